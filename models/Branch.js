@@ -34,11 +34,27 @@ const branchSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       default: {},
     },
+    // IANA time zone (e.g. "Asia/Karachi"); null = restaurant settings.timezone
+    timezone: {
+      type: String,
+      trim: true,
+      default: null,
+    },
     // Optional branch-specific website overrides (hero slides, sections, colors, etc.)
     websiteOverrides: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
     },
+    // Optional branch-specific tax rules; any key set here replaces Restaurant.settings.tax
+    taxOverrides: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Optional branch-specific tip rules; any key set here replaces Restaurant.settings.tips
+    tipOverrides: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
     status: {
       type: String,
       enum: ['active', 'inactive', 'closed_today'],
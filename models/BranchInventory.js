@@ -2,7 +2,7 @@ const mongoose = require('mongoose');
 
 /**
  * Per-branch inventory stock. InventoryItem is the restaurant-level definition (name, unit);
- * BranchInventory holds currentStock, lowStockThreshold, costPrice per branch.
+ * BranchInventory holds currentStock, lowStockThreshold, costPrice, parLevel per branch.
  */
 const branchInventorySchema = new mongoose.Schema(
   {
@@ -34,6 +34,12 @@ const branchInventorySchema = new mongoose.Schema(
       min: 0,
       default: 0,
     },
+    // Branch par level; 0 falls back to InventoryItem.parLevel
+    parLevel: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
   },
   {
     timestamps: true,
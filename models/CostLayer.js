@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * FIFO cost layer: a lot of stock received at one cost at a branch (branch = null for
+ * restaurant-level stock). Outgoing stock movements consume the oldest layers first; the
+ * item's costPrice follows the oldest layer still holding stock. costPrice is per bulk unit,
+ * like InventoryItem.costPrice.
+ */
+const costLayerSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      default: null,
+    },
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    // OPENING for stock on hand before layers were tracked, otherwise the stock movement type
+    sourceType: { type: String, required: true },
+    sourceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    sourceNumber: { type: String, default: '' },
+    receivedAt: { type: Date, default: Date.now },
+    originalQty: { type: Number, required: true, min: 0 },
+    remainingQty: { type: Number, required: true, min: 0 },
+    costPrice: { type: Number, required: true, min: 0 },
+  },
+  { timestamps: true }
+);
+
+costLayerSchema.index({ restaurant: 1, branch: 1, inventoryItem: 1, receivedAt: 1 });
+
+module.exports = mongoose.model('CostLayer', costLayerSchema);
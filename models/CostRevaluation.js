@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * One change to an item's costPrice at a branch (branch = null for restaurant-level stock),
+ * with the stock on hand at the time so the valuation effect can be reported.
+ */
+const costRevaluationSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      default: null,
+    },
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    itemName: { type: String, default: '' },
+    unit: { type: String, default: '' },
+    method: {
+      type: String,
+      enum: ['MANUAL', 'WEIGHTED_AVERAGE', 'FIFO'],
+      required: true,
+    },
+    // What moved the cost: GRN_RECEIPT / TRANSFER_IN / PRODUCTION receipts, FIFO layer turnover, or a manual edit
+    reason: {
+      type: String,
+      enum: ['GRN_RECEIPT', 'TRANSFER_IN', 'PRODUCTION', 'FIFO_LAYER', 'MANUAL_EDIT'],
+      required: true,
+    },
+    oldCostPrice: { type: Number, default: 0 },
+    newCostPrice: { type: Number, default: 0 },
+    // Receipt that triggered the change (receipts only)
+    receivedQty: { type: Number, default: 0 },
+    receiptCostPrice: { type: Number, default: null },
+    stockQty: { type: Number, default: 0 },
+    // Stock on hand valued at the new cost minus at the old cost
+    valuationImpact: { type: Number, default: 0 },
+    referenceType: { type: String, default: null },
+    referenceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    referenceNumber: { type: String, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+costRevaluationSchema.index({ restaurant: 1, createdAt: -1 });
+costRevaluationSchema.index({ restaurant: 1, inventoryItem: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CostRevaluation', costRevaluationSchema);
@@ -52,6 +52,21 @@ const customerSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    /** Loyalty balance (ledger in LoyaltyTransaction); tier is derived from lifetime points. */
+    loyaltyPoints: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    loyaltyLifetimePoints: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    loyaltyTier: {
+      type: String,
+      default: '',
+    },
   },
   {
     timestamps: true,
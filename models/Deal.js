@@ -208,6 +208,13 @@ const dealSchema = new mongoose.Schema(
       // e.g., "HOT DEAL", "LIMITED TIME", "SAVE 20%"
     },
 
+    // ===== Coupon codes =====
+    // When true the deal is never auto-applied; customers unlock it with a DealCode
+    requiresCode: {
+      type: Boolean,
+      default: false,
+    },
+
     // ===== Stacking =====
     canStackWithOtherDeals: {
       type: Boolean,
@@ -300,6 +307,11 @@ dealSchema.statics.findApplicableDeals = async function (
     ];
   }
 
+  // Code-only deals are applied through utils/dealCodes, not automatically
+  if (!options.includeCodeOnly) {
+    query.requiresCode = { $ne: true };
+  }
+
   const deals = await this.find(query).sort({ priority: -1 });
 
   // Filter by time and day of week
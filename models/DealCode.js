@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * Coupon code linked to a deal. A deal with `requiresCode` is only applied when one
+ * of its codes is entered at POS or storefront checkout.
+ * maxUses: 1 = single-use, 0 = unlimited; maxUsesPerCustomer: 0 = unlimited.
+ */
+const dealCodeSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    deal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Deal',
+      required: true,
+      index: true,
+    },
+    code: {
+      // stored upper-case; lookups normalize the typed code
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    // Campaign label for bulk-generated codes (filter / CSV export)
+    batch: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    maxUses: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    maxUsesPerCustomer: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    // Optional expiry earlier than the deal's endDate
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dealCodeSchema.index({ restaurant: 1, code: 1 }, { unique: true });
+dealCodeSchema.index({ deal: 1, batch: 1 });
+
+const DealCode = mongoose.model('DealCode', dealCodeSchema);
+
+module.exports = DealCode;
@@ -11,12 +11,34 @@ const dealUsageSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    // POS customer; null for storefront / anonymous coupon redemptions
     customer: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Customer',
-      required: true,
+      default: null,
+      index: true,
+    },
+    storefrontCustomer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StorefrontCustomer',
+      default: null,
+    },
+    // Set when the deal was unlocked with a coupon code
+    dealCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DealCode',
+      default: null,
       index: true,
     },
+    code: {
+      type: String,
+      default: '',
+    },
+    source: {
+      type: String,
+      enum: ['POS', 'WEBSITE', 'FOODPANDA'],
+      default: 'POS',
+    },
     order: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Order',
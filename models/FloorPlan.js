@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Where a table sits on the plan. x / y are the top-left corner in plan units; the table
+// is rotated (degrees, clockwise) around its centre.
+const floorTableSchema = new mongoose.Schema(
+  {
+    table: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Table',
+      required: true,
+    },
+    x: { type: Number, required: true, min: 0 },
+    y: { type: Number, required: true, min: 0 },
+    width: { type: Number, default: 80, min: 1 },
+    height: { type: Number, default: 80, min: 1 },
+    shape: {
+      type: String,
+      enum: ['rectangle', 'square', 'circle', 'oval'],
+      default: 'rectangle',
+    },
+    rotation: { type: Number, default: 0, min: 0, max: 359 },
+  },
+  { _id: false }
+);
+
+/**
+ * One area of a branch floor (Main hall, Terrace, Rooftop ...) with its tables laid out on a
+ * width x height canvas. A table can be placed on one plan of its branch at most.
+ */
+const floorPlanSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      default: null,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    width: { type: Number, default: 1000, min: 1 },
+    height: { type: Number, default: 700, min: 1 },
+    // Order of the area tabs on the POS
+    sortOrder: { type: Number, default: 0 },
+    tables: { type: [floorTableSchema], default: [] },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+floorPlanSchema.index({ restaurant: 1, branch: 1, name: 1 }, { unique: true });
+
+const FloorPlan = mongoose.model('FloorPlan', floorPlanSchema);
+
+module.exports = FloorPlan;
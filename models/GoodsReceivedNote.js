@@ -12,6 +12,21 @@ const grnLineSchema = new mongoose.Schema(
     receivedQty: { type: Number, required: true, min: 0.001 },
     unitCost: { type: Number, required: true, min: 0 },
     totalCost: { type: Number, required: true, min: 0 },
+    // Sent back to the supplier so far (PurchaseReturn); claimed with a conditional $inc
+    returnedQty: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+// Unit cost off the PO price or the supplier's last price by more than the alert threshold
+const grnPriceAlertSchema = new mongoose.Schema(
+  {
+    inventoryItem: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryItem', required: true },
+    itemName: { type: String, default: '' },
+    unitCost: { type: Number, required: true },
+    basis: { type: String, enum: ['PO', 'LAST_PRICE'], required: true },
+    expectedUnitCost: { type: Number, required: true },
+    deviationPercent: { type: Number, required: true },
   },
   { _id: false }
 );
@@ -44,6 +59,9 @@ const goodsReceivedNoteSchema = new mongoose.Schema(
     status: { type: String, enum: ['draft', 'posted'], default: 'draft', index: true },
     lines: { type: [grnLineSchema], default: [] },
     totalCost: { type: Number, required: true, min: 0 },
+    priceAlerts: { type: [grnPriceAlertSchema], default: [] },
+    // Supplier bill this (credit) GRN has been billed on
+    supplierBill: { type: mongoose.Schema.Types.ObjectId, ref: 'SupplierBill', default: null },
     accountingVoucherId: { type: mongoose.Schema.Types.ObjectId, default: null },
     accountingVoucherNumber: { type: String, default: null },
     accountingError: { type: String, default: null },
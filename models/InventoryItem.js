@@ -1,5 +1,27 @@
 const mongoose = require('mongoose');
 
+// Ingredient of a prep item's recipe; quantity is in `unit` (converted to the ingredient's stock unit)
+const recipeLineSchema = new mongoose.Schema(
+  {
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    unit: {
+      type: String,
+      trim: true,
+      default: 'gram',
+    },
+  },
+  { _id: false }
+);
+
 const inventoryItemSchema = new mongoose.Schema(
   {
     restaurant: {
@@ -45,6 +67,46 @@ const inventoryItemSchema = new mongoose.Schema(
       min: 0,
       default: 0,
     },
+    // Reorder target: suggestions top stock back up to this level (0 = derive from usage)
+    parLevel: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Supplier (accounting Party) that reorder suggestions and draft POs are grouped under
+    preferredSupplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Party',
+      default: null,
+    },
+    preferredSupplierName: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    // raw: bought in; prep: made in-house (sauces, doughs ...) from `recipe`
+    itemType: {
+      type: String,
+      enum: ['raw', 'prep'],
+      default: 'raw',
+    },
+    // Prep items: ingredients for one batch of recipeYield (in this item's unit); may include other prep items
+    recipe: {
+      type: [recipeLineSchema],
+      default: [],
+    },
+    recipeYield: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Prep items: 'stock' = produced in batches, sales draw the prep stock;
+    // 'recipe' = made to order, sales draw the recipe's ingredients directly
+    consumeFrom: {
+      type: String,
+      enum: ['stock', 'recipe'],
+      default: 'stock',
+    },
   },
   {
     timestamps: true,
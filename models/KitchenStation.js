@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * A kitchen station (grill, fryer, bar ...) within a branch.
+ * Order lines are routed to a station by menu item first, then by category;
+ * lines matching neither go to the branch's default station (if any).
+ */
+const kitchenStationSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    categories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+      },
+    ],
+    menuItems: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem',
+      },
+    ],
+    // Catch-all for lines not mapped to any station (one per branch)
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    // Target prep time in minutes; lines over it are flagged as delayed on the station screen
+    targetPrepMinutes: {
+      type: Number,
+      default: 15,
+      min: 1,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+kitchenStationSchema.index({ restaurant: 1, branch: 1, name: 1 }, { unique: true });
+
+const KitchenStation = mongoose.model('KitchenStation', kitchenStationSchema);
+
+module.exports = KitchenStation;
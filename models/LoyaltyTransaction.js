@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * Loyalty points ledger. One row per balance movement; `points` is signed
+ * (positive = credited to the member). EARN rows track `remainingPoints` so
+ * redemptions and expiry consume the oldest points first.
+ */
+const loyaltyTransactionSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      default: null,
+    },
+    memberType: {
+      type: String,
+      enum: ['Customer', 'StorefrontCustomer'],
+      required: true,
+    },
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'memberType',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['EARN', 'REDEEM', 'REVERSE_EARN', 'REVERSE_REDEEM', 'ADJUST', 'EXPIRE'],
+      required: true,
+    },
+    points: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Currency value of the points at the configured point value
+    value: {
+      type: Number,
+      default: 0,
+    },
+    // EARN / positive ADJUST / REVERSE_REDEEM rows: points not yet redeemed or expired
+    remainingPoints: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+      index: true,
+    },
+    orderNumber: {
+      type: String,
+      default: '',
+    },
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund',
+      default: null,
+    },
+    reason: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    accountingVoucherId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    accountingVoucherNumber: { type: String, default: null },
+    accountingError: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+loyaltyTransactionSchema.index({ restaurant: 1, memberType: 1, member: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ restaurant: 1, remainingPoints: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -21,6 +21,60 @@ const inventoryConsumptionSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// A single choice inside a modifier group (e.g. "Large", "Extra cheese").
+// Options keep their _id so orders and carts can reference them.
+const modifierOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Added to (or subtracted from) the item's base price when selected
+  priceDelta: {
+    type: Number,
+    default: 0,
+  },
+  available: {
+    type: Boolean,
+    default: true,
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+  // Extra stock consumed per unit sold when this option is chosen
+  inventoryConsumptions: [inventoryConsumptionSchema],
+});
+
+// Modifier group (size, crust, add-ons ...) with selection rules.
+// minSelect > 0 makes the group required; maxSelect 0 means unlimited.
+const modifierGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  minSelect: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  maxSelect: {
+    type: Number,
+    default: 1,
+    min: 0,
+  },
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+  options: [modifierOptionSchema],
+});
+
 const menuItemSchema = new mongoose.Schema(
   {
     restaurant: {
@@ -93,6 +147,7 @@ const menuItemSchema = new mongoose.Schema(
       default: 'non_veg',
     },
     inventoryConsumptions: [inventoryConsumptionSchema],
+    modifierGroups: [modifierGroupSchema],
   },
   {
     timestamps: true,
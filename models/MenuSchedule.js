@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const HH_MM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// A serving window, e.g. weekdays 07:00–11:30. endTime before startTime runs past midnight.
+const scheduleWindowSchema = new mongoose.Schema(
+  {
+    // Days of week (0 = Sunday, 6 = Saturday); empty = every day
+    daysOfWeek: {
+      type: [Number],
+      default: [],
+      validate: {
+        validator: (arr) => arr.every((day) => Number.isInteger(day) && day >= 0 && day <= 6),
+        message: 'daysOfWeek must contain numbers between 0 (Sunday) and 6 (Saturday)',
+      },
+    },
+    startTime: {
+      type: String, // Format: "HH:mm"
+      required: true,
+      match: [HH_MM, 'startTime must be in HH:mm format (e.g., "07:00")'],
+    },
+    endTime: {
+      type: String, // Format: "HH:mm"
+      required: true,
+      match: [HH_MM, 'endTime must be in HH:mm format (e.g., "11:30")'],
+    },
+  },
+  { _id: false }
+);
+
+// Replaces the schedule's windows at one branch
+const branchWindowsSchema = new mongoose.Schema(
+  {
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      required: true,
+    },
+    windows: { type: [scheduleWindowSchema], default: [] },
+  },
+  { _id: false }
+);
+
+/**
+ * A time-based menu (Breakfast, Lunch, Late night ...). Categories and menu items listed here
+ * are only sold while one of the schedule's windows is open in the branch's local time (and,
+ * with withinOpeningHours, while the branch is open). Items in no schedule are unaffected;
+ * items in several schedules are available while any of them is open.
+ */
+const menuScheduleSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    // Optional branch scoping: when set, the schedule only applies at that branch
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      default: null,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    windows: { type: [scheduleWindowSchema], default: [] },
+    branchWindows: { type: [branchWindowsSchema], default: [] },
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    menuItems: [{ type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem' }],
+    // Clip the windows to the branch's opening hours (where they can be read)
+    withinOpeningHours: {
+      type: Boolean,
+      default: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+menuScheduleSchema.index({ restaurant: 1, branch: 1, name: 1 }, { unique: true });
+
+const MenuSchedule = mongoose.model('MenuSchedule', menuScheduleSchema);
+
+module.exports = MenuSchedule;
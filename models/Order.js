@@ -1,5 +1,32 @@
 const mongoose = require('mongoose');
 
+const orderItemModifierSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    groupName: {
+      type: String,
+      default: '',
+    },
+    optionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    name: {
+      // option name snapshot
+      type: String,
+      required: true,
+    },
+    priceDelta: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
 const orderItemSchema = new mongoose.Schema(
   {
     menuItem: {
@@ -12,10 +39,11 @@ const orderItemSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Whole units, except on equal-share split checks (a share of each line)
     quantity: {
       type: Number,
       required: true,
-      min: 1,
+      min: 0.0001,
     },
     unitPrice: {
       type: Number,
@@ -31,6 +59,240 @@ const orderItemSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Dine-in seat the line was ordered for (used to split the bill by seat)
+    seat: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // Merged bills: the order this line came from (services/tableOpsService), so a merge can be undone
+    mergedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: undefined,
+    },
+    // Open tabs: the round the line was ordered in (1 = when the tab was opened)
+    round: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    // Chosen modifiers snapshot; unitPrice already includes their price deltas
+    modifiers: {
+      type: [orderItemModifierSchema],
+      default: undefined,
+    },
+    // Units already refunded through POST /api/pos/orders/:id/refunds
+    refundedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Kitchen routing (utils/kitchenRouting) and per-line KDS progress
+    station: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'KitchenStation',
+      default: null,
+    },
+    stationName: {
+      type: String,
+      default: '',
+    },
+    kitchenStatus: {
+      type: String,
+      enum: ['QUEUED', 'COOKING', 'DONE'],
+      default: 'QUEUED',
+    },
+    firedAt: {
+      type: Date,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    doneAt: {
+      type: Date,
+      default: null,
+    },
+    recallCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const taxLineSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    taxableAmount: {
+      type: Number,
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // true when the amount is already inside item prices (not added to total)
+    inclusive: {
+      type: Boolean,
+      default: false,
+    },
+    appliesTo: {
+      type: String,
+      enum: ['ITEMS', 'SERVICE_CHARGE'],
+      default: 'ITEMS',
+    },
+  },
+  { _id: false }
+);
+
+const tabRoundSchema = new mongoose.Schema(
+  {
+    number: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    lineCount: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Units taken off an unpaid order (POST /api/pos/orders/:id/void)
+const orderVoidSchema = new mongoose.Schema(
+  {
+    menuItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MenuItem',
+      default: null,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    unitPrice: {
+      type: Number,
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    round: {
+      type: Number,
+      default: null,
+    },
+    station: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'KitchenStation',
+      default: null,
+    },
+    // Whether the line had already been sent to the kitchen, and how far it got
+    fired: {
+      type: Boolean,
+      default: false,
+    },
+    kitchenStatus: {
+      type: String,
+      default: null,
+    },
+    // RESTOCK: ingredients went back to stock; WASTE: they stay used (cost stays on the order)
+    stockAction: {
+      type: String,
+      enum: ['RESTOCK', 'WASTE'],
+      required: true,
+    },
+    restockCost: {
+      type: Number,
+      default: 0,
+    },
+    reason: {
+      type: String,
+      default: '',
+    },
+    managerApproved: {
+      type: Boolean,
+      default: false,
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A table joined to this order's bill, with what its own order (if any) brought in
+const mergedTableSchema = new mongoose.Schema(
+  {
+    table: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Table',
+      default: null,
+    },
+    tableName: {
+      type: String,
+      default: '',
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+    },
+    orderNumber: {
+      type: String,
+      default: '',
+    },
+    previousStatus: {
+      type: String,
+      default: null,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+    ingredientCost: {
+      type: Number,
+      default: 0,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
   },
   { _id: false }
 );
@@ -56,6 +318,16 @@ const appliedDealSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Coupon code that unlocked the deal (DealCode), if any
+    code: {
+      type: String,
+      default: undefined,
+    },
+    mergedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: undefined,
+    },
   },
   { _id: false }
 );
@@ -118,6 +390,24 @@ const orderSchema = new mongoose.Schema(
     splitCardAmount: { type: Number, default: null, min: 0 },
     splitOnlineAmount: { type: Number, default: null, min: 0 },
     splitOnlineProvider: { type: String, default: null },
+    /** Gratuity paid on top of the bill; not part of total / grandTotal (services/tipService). */
+    tipAmount: { type: Number, default: 0, min: 0 },
+    // Set when the tip was entered as a percentage of the bill
+    tipPercent: { type: Number, default: null, min: 0 },
+    tipMethod: {
+      type: String,
+      enum: ['CASH', 'CARD', 'ONLINE', null],
+      default: null,
+    },
+    // Tip carried to Tips Payable by the auto-posted vouchers (services/accounting/autoPost)
+    tipPostedAmount: { type: Number, default: null, min: 0 },
+    /** Server looking after the order; sales and tips are credited to them. */
+    assignedWaiterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    assignedWaiterName: { type: String, default: '' },
     assignedRiderId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -135,9 +425,42 @@ const orderSchema = new mongoose.Schema(
     deliveryPaymentCollected: { type: Boolean, default: false },
     status: {
       type: String,
-      enum: ['NEW_ORDER', 'PROCESSING', 'READY', 'OUT_FOR_DELIVERY', 'DELIVERED', 'CANCELLED'],
+      // SPLIT: the bill was split into child checks (services/orderSplitService); the checks are the sales
+      // MERGED: the lines moved to another table's bill (mergedInto)
+      enum: ['NEW_ORDER', 'PROCESSING', 'READY', 'OUT_FOR_DELIVERY', 'DELIVERED', 'CANCELLED', 'SPLIT', 'MERGED'],
       default: 'NEW_ORDER',
     },
+    /** Split bills: checks point at the order they were split from; the original lists its checks. */
+    parentOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+      index: true,
+    },
+    checkNumber: {
+      type: Number,
+      default: null,
+    },
+    splitMode: {
+      type: String,
+      enum: ['ITEMS', 'SEATS', 'EQUAL', null],
+      default: null,
+    },
+    splitChecks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
+    /** Merged tables: the bill other tables were joined to; the merged order points at it. */
+    mergedTables: [mergedTableSchema],
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+    },
+    /** Open tab (dine-in): lines are added in rounds (services/openTabService) until the bill is paid. */
+    isOpenTab: {
+      type: Boolean,
+      default: false,
+    },
+    rounds: [tabRoundSchema],
+    voids: [orderVoidSchema],
     source: {
       type: String,
       enum: ['POS', 'FOODPANDA', 'WEBSITE'],
@@ -206,6 +529,43 @@ const orderSchema = new mongoose.Schema(
       max: 100,
     },
     appliedDeals: [appliedDealSchema],
+    /** Points redeemed on this order; their value is part of discountAmount. */
+    loyaltyPointsRedeemed: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    loyaltyRedeemValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    loyaltyPointsEarned: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    /** Tax snapshot from utils/taxEngine at order time. total = subtotal - discount + serviceCharge + exclusive tax. */
+    taxInclusive: {
+      type: Boolean,
+      default: false,
+    },
+    taxLines: [taxLineSchema],
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    serviceChargeRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    serviceChargeAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     customer: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Customer',
@@ -220,10 +580,26 @@ const orderSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    /** Daily call-out number (resets each business day), from utils/orderNumber */
+    tokenNumber: {
+      type: Number,
+      default: null,
+    },
     grandTotal: {
       type: Number,
       default: null,
     },
+    /** Running total of Refund documents against this order. */
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refundStatus: {
+      type: String,
+      enum: ['NONE', 'PARTIAL', 'FULL'],
+      default: 'NONE',
+    },
     cancelReason: {
       type: String,
       default: null,
@@ -244,6 +620,11 @@ const orderSchema = new mongoose.Schema(
         _id: false,
       },
     ],
+    /** Whether creating the order took ingredients out of stock (services/inventoryService); cleared once restocked. */
+    stockDeducted: {
+      type: Boolean,
+      default: null,
+    },
     ingredientCost: {
       type: Number,
       min: 0,
@@ -261,6 +642,7 @@ const orderSchema = new mongoose.Schema(
 
 // Uniqueness per branch (and per restaurant when branch is null)
 orderSchema.index({ restaurant: 1, branch: 1, orderNumber: 1 }, { unique: true });
+orderSchema.index({ restaurant: 1, assignedWaiterId: 1, createdAt: -1 });
 
 const Order = mongoose.model('Order', orderSchema);
 
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+/**
+ * Atomic counters for order numbers, call-out tokens and refund numbers (see utils/orderNumber).
+ * One document per restaurant + branch + kind + period; `period` is the business date
+ * (YYYYMMDD) for daily counters and 'ALL' for running ones.
+ */
+const orderSequenceSchema = new mongoose.Schema(
+  {
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant', required: true },
+    branch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', default: null },
+    kind: { type: String, enum: ['ORDER', 'TOKEN', 'REFUND'], required: true },
+    period: { type: String, required: true },
+    lastNumber: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+orderSequenceSchema.index({ restaurant: 1, branch: 1, kind: 1, period: 1 }, { unique: true });
+
+const OrderSequence = mongoose.model('OrderSequence', orderSequenceSchema);
+
+module.exports = OrderSequence;
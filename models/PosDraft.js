@@ -25,6 +25,16 @@ const draftItemSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    modifiers: [
+      {
+        _id: false,
+        groupId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        groupName: { type: String, default: '' },
+        optionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        name: { type: String, required: true },
+        priceDelta: { type: Number, default: 0 },
+      },
+    ],
   },
   { _id: false }
 );
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Ingredient drawn from stock for the batch (made-to-order prep ingredients are resolved to theirs)
+const productionIngredientSchema = new mongoose.Schema(
+  {
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    itemName: { type: String, default: '' },
+    unit: { type: String, default: '' },
+    quantity: { type: Number, required: true, min: 0 },
+    cost: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * A batch of a prep item made in-house: the recipe's ingredients leave stock (PRODUCTION_OUT)
+ * and the prep item's stock goes up (PRODUCTION_IN) in the same branch. The batch cost is the
+ * ingredients at costPrice; it re-costs the prep item like a purchase receipt.
+ */
+const productionBatchSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      default: null,
+      index: true,
+    },
+    batchNumber: { type: String, trim: true },
+    prepItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    itemName: { type: String, required: true, trim: true },
+    unit: { type: String, default: '' },
+    // In the prep item's stock unit
+    producedQty: { type: Number, required: true, min: 0.001 },
+    ingredients: { type: [productionIngredientSchema], default: [] },
+    totalCost: { type: Number, default: 0, min: 0 },
+    // Cost per stock unit of the prep item
+    unitCost: { type: Number, default: 0, min: 0 },
+    producedAt: { type: Date, default: Date.now },
+    notes: { type: String, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+productionBatchSchema.index({ restaurant: 1, batchNumber: 1 }, { unique: true });
+productionBatchSchema.index({ restaurant: 1, producedAt: -1 });
+
+productionBatchSchema.pre('save', async function autoGenerateBatchNumber(next) {
+  try {
+    if (this.isNew && !this.batchNumber) {
+      const count = await this.constructor.countDocuments({ restaurant: this.restaurant });
+      this.batchNumber = `PB-${String(count + 1).padStart(4, '0')}`;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = mongoose.model('ProductionBatch', productionBatchSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const purchaseReturnLineSchema = new mongoose.Schema(
+  {
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    itemName: { type: String, required: true, trim: true },
+    unit: { type: String, required: true, trim: true },
+    returnedQty: { type: Number, required: true, min: 0.001 },
+    // GRN unit cost of the goods going back
+    unitCost: { type: Number, required: true, min: 0 },
+    totalCost: { type: Number, required: true, min: 0 },
+    reason: { type: String, default: '', trim: true },
+  },
+  { _id: false }
+);
+
+/**
+ * Goods sent back to the supplier against a posted GRN (debit note). Stock leaves the GRN's
+ * branch; the value is taken off the supplier's payable or received back as a cash / bank refund.
+ */
+const purchaseReturnSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      required: true,
+      index: true,
+    },
+    returnNumber: { type: String, trim: true },
+    grn: { type: mongoose.Schema.Types.ObjectId, ref: 'GoodsReceivedNote', required: true, index: true },
+    grnNumber: { type: String, default: null },
+    purchaseOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseOrder', default: null },
+    poNumber: { type: String, default: null },
+    supplierId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    supplierName: { type: String, required: true, trim: true },
+    returnDate: { type: Date, default: Date.now },
+    // payable: reduce what we owe; cash_refund / bank_refund: supplier pays the money back
+    settlement: {
+      type: String,
+      enum: ['payable', 'cash_refund', 'bank_refund'],
+      required: true,
+    },
+    refundAccountId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    lines: { type: [purchaseReturnLineSchema], default: [] },
+    totalCost: { type: Number, required: true, min: 0 },
+    // Bill of the GRN when it was already billed: the debit note is credited against it
+    supplierBill: { type: mongoose.Schema.Types.ObjectId, ref: 'SupplierBill', default: null },
+    billCreditAmount: { type: Number, default: 0 },
+    accountingVoucherId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    accountingVoucherNumber: { type: String, default: null },
+    accountingError: { type: String, default: null },
+    notes: { type: String, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+purchaseReturnSchema.index({ restaurant: 1, returnNumber: 1 }, { unique: true });
+
+purchaseReturnSchema.pre('save', async function autoGenerateReturnNumber(next) {
+  try {
+    if (this.isNew && !this.returnNumber) {
+      const count = await this.constructor.countDocuments({ restaurant: this.restaurant });
+      this.returnNumber = `DN-${String(count + 1).padStart(4, '0')}`;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = mongoose.model('PurchaseReturn', purchaseReturnSchema);
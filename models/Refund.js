@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const refundLineSchema = new mongoose.Schema(
+  {
+    // Position of the line in order.items (order lines have no _id)
+    index: { type: Number, required: true, min: 0 },
+    menuItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MenuItem',
+      default: null,
+    },
+    name: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    // Share of the collected order total (after discount, service charge and tax)
+    amount: { type: Number, required: true, min: 0 },
+    modifiers: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+  },
+  { _id: false }
+);
+
+const refundSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      default: null,
+      index: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      index: true,
+    },
+    orderNumber: { type: String, required: true },
+    // Session the money left the drawer in (may differ from the order's own session)
+    daySession: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DaySession',
+      default: null,
+      index: true,
+    },
+    refundNumber: { type: String, trim: true },
+    type: {
+      type: String,
+      enum: ['LINES', 'AMOUNT'],
+      required: true,
+    },
+    lines: { type: [refundLineSchema], default: [] },
+    amount: { type: Number, required: true, min: 0.01 },
+    taxAmount: { type: Number, default: 0, min: 0 },
+    serviceChargeAmount: { type: Number, default: 0, min: 0 },
+    tender: {
+      method: {
+        type: String,
+        enum: ['CASH', 'CARD', 'ONLINE'],
+        required: true,
+      },
+      provider: { type: String, default: null },
+      paymentAccountId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    },
+    // RESTOCK puts refunded lines back into inventory; WASTE leaves stock consumed
+    stockAction: {
+      type: String,
+      enum: ['RESTOCK', 'WASTE', 'NONE'],
+      default: 'NONE',
+    },
+    // Ingredient cost put back into stock on RESTOCK (reversed out of COGS)
+    restockCost: { type: Number, default: 0, min: 0 },
+    reason: { type: String, default: '', trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    accountingVoucherId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    accountingVoucherNumber: { type: String, default: null },
+    accountingError: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+refundSchema.index({ restaurant: 1, refundNumber: 1 }, { unique: true });
+refundSchema.index({ restaurant: 1, createdAt: -1 });
+
+refundSchema.pre('save', async function autoGenerateRefundNumber(next) {
+  try {
+    if (this.isNew && !this.refundNumber) {
+      // Atomic counter: concurrent refunds never draw the same number
+      const { allocateRunningNumber } = require('../utils/orderNumber');
+      this.refundNumber = await allocateRunningNumber({
+        restaurantId: this.restaurant,
+        kind: 'REFUND',
+        Model: this.constructor,
+        field: 'refundNumber',
+        prefix: 'RF-',
+      });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -180,6 +180,37 @@ const restaurantSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // Journal inter-branch stock transfers through Stock in Transit (30504)
+      postTransferJournals: {
+        type: Boolean,
+        default: false,
+      },
+      // How costPrice follows purchases: MANUAL (typed in), WEIGHTED_AVERAGE or FIFO layers per branch.
+      // MANUAL until the owner opts in, so existing cost prices are not rewritten by the next GRN.
+      inventoryCostingMethod: {
+        type: String,
+        enum: ['MANUAL', 'WEIGHTED_AVERAGE', 'FIFO'],
+        default: 'MANUAL',
+      },
+      // GRN unit cost alert: % deviation from the PO price or the supplier's last price
+      purchasePriceAlertPercent: {
+        type: Number,
+        min: 0,
+        default: 10,
+      },
+      // Menu engineering: items whose recipe cost is above this % of their price are flagged
+      targetFoodCostPercent: {
+        type: Number,
+        min: 1,
+        max: 100,
+        default: 30,
+      },
+      // IANA time zone (e.g. "Asia/Karachi") for menu schedules; branches may set their own
+      timezone: {
+        type: String,
+        trim: true,
+        default: null,
+      },
       // Shared restaurant logo used in POS / printed bills (separate from website logo)
       restaurantLogoUrl: {
         type: String,
@@ -222,6 +253,99 @@ const restaurantSchema = new mongoose.Schema(
         type: String,
         default: '',
       },
+      /**
+       * Sales tax / GST and service charge. Branches may override any key via Branch.taxOverrides.
+       * Rates are percentages. Category rates win over order-type rates, which win over defaultRate.
+       */
+      tax: {
+        enabled: { type: Boolean, default: false },
+        label: { type: String, trim: true, default: 'GST' },
+        // true = menu prices already include tax (tax is extracted, total unchanged)
+        pricesIncludeTax: { type: Boolean, default: false },
+        defaultRate: { type: Number, min: 0, max: 100, default: 0 },
+        orderTypeRates: {
+          DINE_IN: { type: Number, min: 0, max: 100, default: null },
+          TAKEAWAY: { type: Number, min: 0, max: 100, default: null },
+          DELIVERY: { type: Number, min: 0, max: 100, default: null },
+        },
+        categoryRates: [
+          {
+            _id: false,
+            category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+            rate: { type: Number, min: 0, max: 100 },
+          },
+        ],
+        // Applied to DINE_IN orders only, on the pre-tax food amount
+        serviceChargeRate: { type: Number, min: 0, max: 100, default: 0 },
+        serviceChargeTaxable: { type: Boolean, default: false },
+      },
+      /**
+       * Order number template (utils/orderNumber). Placeholders: {prefix} (ORD / WEB),
+       * {date} (business date in dateFormat), {branch} (branch code or index), {seq}.
+       */
+      orderNumbering: {
+        template: { type: String, trim: true, default: '{prefix}-{date}-{branch}-{seq}' },
+        dateFormat: {
+          type: String,
+          enum: ['YYYYMMDD', 'YYMMDD', 'DDMMYY', 'DDMM', 'YYYY-MM-DD'],
+          default: 'YYYYMMDD',
+        },
+        seqPadding: { type: Number, min: 1, max: 8, default: 4 },
+        // false = {seq} keeps counting across days (per branch)
+        resetDaily: { type: Boolean, default: true },
+        // CODE uses Branch.code (falls back to the index when a branch has no code)
+        branchToken: { type: String, enum: ['INDEX', 'CODE'], default: 'INDEX' },
+        // Daily call-out token (1..tokenMax, wraps around)
+        tokenEnabled: { type: Boolean, default: true },
+        tokenMax: { type: Number, min: 9, max: 9999, default: 999 },
+      },
+      /**
+       * Loyalty points (services/loyaltyService). Points are earned on net sales of completed orders
+       * and redeemed as an order discount; tiers multiply the earn rate by lifetime points.
+       */
+      loyalty: {
+        enabled: { type: Boolean, default: false },
+        // points earned per 1 unit of currency (0.1 = 1 point per 10)
+        pointsPerCurrencyUnit: { type: Number, min: 0, default: 0 },
+        // currency value of one point when redeemed
+        pointValue: { type: Number, min: 0, default: 0 },
+        minRedeemPoints: { type: Number, min: 0, default: 0 },
+        // cap on how much of an order can be paid with points (percent of order total)
+        maxRedeemPercent: { type: Number, min: 0, max: 100, default: 100 },
+        // 0 = points never expire
+        expiryDays: { type: Number, min: 0, default: 0 },
+        tiers: [
+          {
+            _id: false,
+            name: { type: String, trim: true },
+            minLifetimePoints: { type: Number, min: 0, default: 0 },
+            multiplier: { type: Number, min: 0, default: 1 },
+          },
+        ],
+      },
+      /**
+       * Tips (services/tipService). Branches may override any key via Branch.tipOverrides.
+       * individual: each server keeps the tips on their orders, less poolPercent paid into the pool;
+       * pooled: all tips go to the pool. The pool is shared by poolRoles weights.
+       */
+      tips: {
+        enabled: { type: Boolean, default: true },
+        // Quick-pick percentages for the POS payment screen
+        suggestedPercents: [{ type: Number, min: 0, max: 100 }],
+        // Largest tip accepted, as a percent of the bill (0 = no limit)
+        maxPercent: { type: Number, min: 0, default: 0 },
+        distribution: { type: String, enum: ['individual', 'pooled'], default: 'individual' },
+        poolPercent: { type: Number, min: 0, max: 100, default: 0 },
+        poolRoles: [
+          {
+            _id: false,
+            role: { type: String, trim: true },
+            weight: { type: Number, min: 0, default: 1 },
+          },
+        ],
+        // Processing fee kept by the house on card / online tips
+        cardFeePercent: { type: Number, min: 0, max: 100, default: 0 },
+      },
     },
   },
   {
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// One entry per counter and location; re-entering the same location replaces the entry
+const countEntrySchema = new mongoose.Schema(
+  {
+    countedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    countedByName: { type: String, default: '' },
+    location: { type: String, default: '', trim: true },
+    quantity: { type: Number, required: true, min: 0 },
+    countedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const stockCountLineSchema = new mongoose.Schema(
+  {
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    itemName: { type: String, required: true, trim: true },
+    unit: { type: String, required: true, trim: true },
+    // Frozen when the count starts; variance is measured against this snapshot
+    systemQty: { type: Number, required: true, min: 0 },
+    // costPrice snapshot (per bulk unit, see InventoryItem.costPrice)
+    costPrice: { type: Number, default: 0, min: 0 },
+    entries: { type: [countEntrySchema], default: [] },
+    // Sum of entries; null while the item has not been counted
+    countedQty: { type: Number, default: null, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Physical stock count (stocktake) for a branch, or restaurant-level stock when branch is null.
+ * IN_PROGRESS -> SUBMITTED -> APPROVED (adjustments and journal posted) or CANCELLED.
+ */
+const stockCountSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      default: null,
+      index: true,
+    },
+    countNumber: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: ['IN_PROGRESS', 'SUBMITTED', 'APPROVED', 'CANCELLED'],
+      default: 'IN_PROGRESS',
+      index: true,
+    },
+    notes: { type: String, default: '', trim: true },
+    snapshotAt: { type: Date, default: Date.now },
+    lines: { type: [stockCountLineSchema], default: [] },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    submittedAt: { type: Date, default: null },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    approvedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    // Totals at approval (value = qty x unit cost)
+    varianceValue: { type: Number, default: 0 },
+    accountingVoucherId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    accountingVoucherNumber: { type: String, default: null },
+    accountingError: { type: String, default: null },
+  },
+  // Several staff save entries at once; a stale save fails with VersionError and is retried
+  { timestamps: true, optimisticConcurrency: true }
+);
+
+stockCountSchema.index({ restaurant: 1, countNumber: 1 }, { unique: true });
+
+stockCountSchema.pre('save', async function autoGenerateCountNumber(next) {
+  try {
+    if (this.isNew && !this.countNumber) {
+      const count = await this.constructor.countDocuments({ restaurant: this.restaurant });
+      this.countNumber = `SC-${String(count + 1).padStart(4, '0')}`;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = mongoose.model('StockCount', stockCountSchema);
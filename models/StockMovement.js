@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = [
+  'OPENING',
+  'SALE',
+  'SALE_ADJUSTMENT',
+  'CANCEL_RESTOCK',
+  'REFUND_RESTOCK',
+  'GRN_RECEIPT',
+  'ADJUSTMENT',
+  'STOCK_COUNT',
+  'TRANSFER_OUT',
+  'TRANSFER_IN',
+  'WASTAGE',
+  'PURCHASE_RETURN',
+  'PRODUCTION_OUT',
+  'PRODUCTION_IN',
+];
+
+/**
+ * Stock ledger. One row per change to InventoryItem.currentStock (branch = null) or
+ * BranchInventory.currentStock, written by services/inventoryService. `quantity` is signed
+ * and in the item's stock unit; balanceBefore/balanceAfter are the row's values around the
+ * atomic update. Rows are never edited or deleted — corrections are new movements.
+ */
+const stockMovementSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      default: null,
+    },
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    // Snapshots so the ledger stays readable if the item is renamed or deleted
+    itemName: {
+      type: String,
+      default: '',
+    },
+    unit: {
+      type: String,
+      default: '',
+    },
+    type: {
+      type: String,
+      enum: MOVEMENT_TYPES,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    balanceBefore: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    referenceType: {
+      type: String,
+      default: null,
+    },
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    referenceNumber: {
+      type: String,
+      default: '',
+    },
+    note: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+stockMovementSchema.index({ restaurant: 1, branch: 1, inventoryItem: 1, createdAt: 1 });
+stockMovementSchema.index({ restaurant: 1, referenceType: 1, referenceId: 1 });
+
+function rejectChange(next) {
+  next(new Error('Stock movements are immutable'));
+}
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+stockMovementSchema.pre('save', function guardSave(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
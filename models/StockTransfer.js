@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const transferLineSchema = new mongoose.Schema(
+  {
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    itemName: { type: String, required: true, trim: true },
+    unit: { type: String, required: true, trim: true },
+    requestedQty: { type: Number, required: true, min: 0.001 },
+    dispatchedQty: { type: Number, default: 0, min: 0 },
+    receivedQty: { type: Number, default: 0, min: 0 },
+    // Source branch costPrice at dispatch (per bulk unit, see InventoryItem.costPrice)
+    costPrice: { type: Number, default: 0, min: 0 },
+    // Dispatched but not received (damaged, missing); explained by the receiver
+    shortQty: { type: Number, default: 0, min: 0 },
+    discrepancyReason: { type: String, default: '', trim: true },
+  },
+  { _id: false }
+);
+
+/**
+ * Stock moved between two branches of a restaurant.
+ * requested -> dispatched (stock leaves the source, in transit) -> received (stock arrives
+ * at the destination, shortfalls recorded) or cancelled before dispatch.
+ */
+const stockTransferSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    transferNumber: { type: String, trim: true },
+    fromBranch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', required: true, index: true },
+    toBranch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', required: true, index: true },
+    status: {
+      type: String,
+      enum: ['requested', 'dispatched', 'received', 'cancelled'],
+      default: 'requested',
+      index: true,
+    },
+    lines: { type: [transferLineSchema], default: [] },
+    notes: { type: String, default: '' },
+    receiptNotes: { type: String, default: '' },
+    dispatchedValue: { type: Number, default: 0 },
+    receivedValue: { type: Number, default: 0 },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    dispatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    dispatchedAt: { type: Date, default: null },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    receivedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    // Optional journals (settings.postTransferJournals)
+    dispatchVoucherNumber: { type: String, default: null },
+    receiptVoucherNumber: { type: String, default: null },
+    accountingError: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+stockTransferSchema.index({ restaurant: 1, transferNumber: 1 }, { unique: true });
+
+stockTransferSchema.pre('save', async function autoGenerateTransferNumber(next) {
+  try {
+    if (this.isNew && !this.transferNumber) {
+      const count = await this.constructor.countDocuments({ restaurant: this.restaurant });
+      this.transferNumber = `TRF-${String(count + 1).padStart(4, '0')}`;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
@@ -45,6 +45,10 @@ const storefrontCustomerSchema = new mongoose.Schema(
     savedPhone: { type: String, trim: true, default: '' },
     /** Last delivery address from checkout (editable per order). */
     savedDeliveryAddress: { type: String, trim: true, default: '' },
+    /** Loyalty balance (ledger in LoyaltyTransaction); tier is derived from lifetime points. */
+    loyaltyPoints: { type: Number, default: 0, min: 0 },
+    loyaltyLifetimePoints: { type: Number, default: 0, min: 0 },
+    loyaltyTier: { type: String, default: '' },
   },
   { timestamps: true }
 );
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// Bill line matched against what was ordered (PO) and received (GRNs, net of returns)
+const billLineSchema = new mongoose.Schema(
+  {
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    itemName: { type: String, required: true, trim: true },
+    unit: { type: String, default: '', trim: true },
+    billedQty: { type: Number, required: true, min: 0 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    amount: { type: Number, required: true, min: 0 },
+    receivedQty: { type: Number, default: 0 },
+    receivedUnitCost: { type: Number, default: null },
+    orderedQty: { type: Number, default: null },
+    orderedUnitCost: { type: Number, default: null },
+    // NOT_RECEIVED, QTY_OVER_RECEIVED, QTY_UNDER_RECEIVED, QTY_OVER_ORDERED, PRICE_VS_PO, PRICE_VS_GRN
+    flags: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+const billPaymentSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true, min: 0.01 },
+    method: { type: String, enum: ['cash', 'bank'], required: true },
+    paidAt: { type: Date, default: Date.now },
+    voucherId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    voucherNumber: { type: String, default: null },
+    paymentRun: { type: mongoose.Schema.Types.ObjectId, ref: 'SupplierPaymentRun', default: null },
+  },
+  { _id: false }
+);
+
+// Debit note (payable purchase return) on a GRN after it was billed, taken off the balance
+const billCreditSchema = new mongoose.Schema(
+  {
+    purchaseReturn: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseReturn', required: true },
+    returnNumber: { type: String, default: null },
+    amount: { type: Number, required: true, min: 0 },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * Supplier bill (invoice) for credit GRNs. It is three-way matched on creation: quantities and
+ * prices against the GRNs and their POs. A bill with variances must be approved before it can be
+ * paid; once payable, any difference from the GRN value is journalled against the payable.
+ * Payments (payment runs) settle it in part or in full.
+ */
+const supplierBillSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      default: null,
+    },
+    billNumber: { type: String, trim: true },
+    supplierInvoiceNumber: { type: String, default: '', trim: true },
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Party', required: true, index: true },
+    supplierName: { type: String, required: true, trim: true },
+    billDate: { type: Date, default: Date.now },
+    dueDate: { type: Date, required: true },
+    grns: [{ type: mongoose.Schema.Types.ObjectId, ref: 'GoodsReceivedNote' }],
+    grnNumbers: { type: [String], default: [] },
+    purchaseOrders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseOrder' }],
+    poNumbers: { type: [String], default: [] },
+    lines: { type: [billLineSchema], default: [] },
+    totalAmount: { type: Number, required: true, min: 0 },
+    // Value of the matched GRN lines (what the payable was booked at)
+    receivedValue: { type: Number, default: 0 },
+    matchStatus: {
+      type: String,
+      enum: ['matched', 'variance', 'variance_approved'],
+      required: true,
+    },
+    varianceApprovedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    varianceApprovedAt: { type: Date, default: null },
+    status: {
+      type: String,
+      enum: ['open', 'partially_paid', 'paid', 'cancelled'],
+      default: 'open',
+      index: true,
+    },
+    amountPaid: { type: Number, default: 0, min: 0 },
+    // Returns against billed GRNs: balanceDue = totalAmount - amountPaid - creditedAmount
+    creditedAmount: { type: Number, default: 0, min: 0 },
+    credits: { type: [billCreditSchema], default: [] },
+    balanceDue: { type: Number, required: true, min: 0 },
+    payments: { type: [billPaymentSchema], default: [] },
+    adjustmentVoucherId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    adjustmentVoucherNumber: { type: String, default: null },
+    accountingError: { type: String, default: null },
+    notes: { type: String, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+supplierBillSchema.index({ restaurant: 1, billNumber: 1 }, { unique: true });
+supplierBillSchema.index({ restaurant: 1, status: 1, dueDate: 1 });
+
+supplierBillSchema.pre('save', async function autoGenerateBillNumber(next) {
+  try {
+    if (this.isNew && !this.billNumber) {
+      const count = await this.constructor.countDocuments({ restaurant: this.restaurant });
+      this.billNumber = `BILL-${String(count + 1).padStart(4, '0')}`;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = mongoose.model('SupplierBill', supplierBillSchema);
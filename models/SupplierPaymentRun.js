@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const runPaymentSchema = new mongoose.Schema(
+  {
+    bill: { type: mongoose.Schema.Types.ObjectId, ref: 'SupplierBill', required: true },
+    billNumber: { type: String, default: '' },
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Party', required: true },
+    supplierName: { type: String, default: '' },
+    amount: { type: Number, required: true, min: 0 },
+    voucherNumber: { type: String, default: null },
+    // Set when the supplier's voucher could not be posted (the bill stays unpaid)
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * One batch of supplier payments: a cash / bank payment voucher per supplier settling the
+ * selected bills (in part or in full).
+ */
+const supplierPaymentRunSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    runNumber: { type: String, trim: true },
+    method: { type: String, enum: ['cash', 'bank'], required: true },
+    paymentAccountId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    paymentDate: { type: Date, default: Date.now },
+    payments: { type: [runPaymentSchema], default: [] },
+    totalPaid: { type: Number, default: 0 },
+    notes: { type: String, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+supplierPaymentRunSchema.index({ restaurant: 1, runNumber: 1 }, { unique: true });
+
+supplierPaymentRunSchema.pre('save', async function autoGenerateRunNumber(next) {
+  try {
+    if (this.isNew && !this.runNumber) {
+      const count = await this.constructor.countDocuments({ restaurant: this.restaurant });
+      this.runNumber = `PR-${String(count + 1).padStart(4, '0')}`;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = mongoose.model('SupplierPaymentRun', supplierPaymentRunSchema);
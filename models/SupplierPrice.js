@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Supplier price list entry: what one supplier (accounting Party of type 'supplier')
+ * charges for one inventory item, per stock unit. Kept current by manual edits and by
+ * posted GRNs; every change is recorded in SupplierPriceHistory.
+ */
+const supplierPriceSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Party',
+      required: true,
+    },
+    supplierName: { type: String, default: '', trim: true },
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    itemName: { type: String, default: '', trim: true },
+    unit: { type: String, default: '', trim: true },
+    unitPrice: { type: Number, required: true, min: 0 },
+    supplierSku: { type: String, default: '', trim: true },
+    minOrderQty: { type: Number, default: 0, min: 0 },
+    // Last GRN for this supplier / item (the price list price may be a newer manual quote)
+    lastPurchasePrice: { type: Number, default: null },
+    lastPurchasedAt: { type: Date, default: null },
+    priceUpdatedAt: { type: Date, default: Date.now },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+supplierPriceSchema.index({ restaurant: 1, supplier: 1, inventoryItem: 1 }, { unique: true });
+supplierPriceSchema.index({ restaurant: 1, inventoryItem: 1 });
+
+module.exports = mongoose.model('SupplierPrice', supplierPriceSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * One supplier price change for an inventory item. Written when a price list entry is
+ * edited or a posted GRN comes in at a different unit cost. Never updated.
+ */
+const supplierPriceHistorySchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Party',
+      required: true,
+    },
+    supplierName: { type: String, default: '' },
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    itemName: { type: String, default: '' },
+    unit: { type: String, default: '' },
+    previousPrice: { type: Number, default: null },
+    unitPrice: { type: Number, required: true, min: 0 },
+    // % change from previousPrice (null for the first price)
+    changePercent: { type: Number, default: null },
+    source: {
+      type: String,
+      enum: ['PRICE_LIST', 'GRN'],
+      required: true,
+    },
+    grn: { type: mongoose.Schema.Types.ObjectId, ref: 'GoodsReceivedNote', default: null },
+    grnNumber: { type: String, default: null },
+    effectiveAt: { type: Date, default: Date.now },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+supplierPriceHistorySchema.index({ restaurant: 1, inventoryItem: 1, effectiveAt: -1 });
+supplierPriceHistorySchema.index({ restaurant: 1, supplier: 1, effectiveAt: -1 });
+
+module.exports = mongoose.model('SupplierPriceHistory', supplierPriceHistorySchema);
@@ -38,6 +38,12 @@ const tableSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Set while the table is joined to another table's bill (POST /api/admin/tables/merge)
+    joinedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Table',
+      default: null,
+    },
   },
   {
     timestamps: true,
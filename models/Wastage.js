@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const WASTAGE_REASONS = ['EXPIRED', 'SPOILED', 'BURNT', 'DROPPED', 'OVERPRODUCTION', 'STAFF_MEAL', 'OTHER'];
+
+// Inventory taken out for the entry (the item itself, or a menu item's recipe)
+const wastageStockLineSchema = new mongoose.Schema(
+  {
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventoryItem',
+      required: true,
+    },
+    itemName: { type: String, default: '' },
+    unit: { type: String, default: '' },
+    quantity: { type: Number, required: true, min: 0 },
+    cost: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Food thrown away: a raw inventory item, or a prepared menu item whose recipe
+ * (MenuItem.inventoryConsumptions) is deducted. Cost is valued at costPrice when recorded.
+ */
+const wastageSchema = new mongoose.Schema(
+  {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Restaurant',
+      required: true,
+      index: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      default: null,
+      index: true,
+    },
+    kind: {
+      type: String,
+      enum: ['INVENTORY', 'MENU_ITEM'],
+      required: true,
+    },
+    inventoryItem: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryItem', default: null },
+    menuItem: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem', default: null },
+    // Name / unit snapshot ('portion' for menu items)
+    name: { type: String, required: true, trim: true },
+    unit: { type: String, default: '' },
+    quantity: { type: Number, required: true, min: 0.001 },
+    reason: {
+      type: String,
+      enum: WASTAGE_REASONS,
+      required: true,
+    },
+    note: { type: String, default: '', trim: true },
+    stockLines: { type: [wastageStockLineSchema], default: [] },
+    totalCost: { type: Number, default: 0, min: 0 },
+    wastedAt: { type: Date, default: Date.now },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    recordedByName: { type: String, default: '' },
+    accountingVoucherId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    accountingVoucherNumber: { type: String, default: null },
+    accountingError: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+wastageSchema.index({ restaurant: 1, wastedAt: -1 });
+
+const Wastage = mongoose.model('Wastage', wastageSchema);
+
+module.exports = Wastage;
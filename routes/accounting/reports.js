@@ -4,6 +4,7 @@ const { JournalEntry, Voucher, Account } = require('../../models/accounting');
 const { Party } = require('../../models/accounting');
 const { protect, requireRole } = require('../../middleware/authMiddleware');
 const Restaurant = require('../../models/Restaurant');
+const SupplierBill = require('../../models/SupplierBill');
 
 const router = express.Router();
 
@@ -256,7 +257,7 @@ router.get('/payables', async (req, res) => {
     const supplierOids = suppliers.map((s) => new mongoose.Types.ObjectId(s._id));
 
     // Parallel aggregations — opening (before period) + period breakdown
-    const [openingRows, periodRows] = await Promise.all([
+    const [openingRows, periodRows, openBills] = await Promise.all([
       JournalEntry.aggregate([
         {
           $match: {
@@ -318,10 +319,37 @@ router.get('/payables', async (req, res) => {
           },
         },
       ]),
+      // Unpaid supplier bills (purchase module) billed up to the period end
+      SupplierBill.find({
+        restaurant: tenantId,
+        supplierId: { $in: supplierOids },
+        status: { $in: ['open', 'partially_paid'] },
+        billDate: { $lte: dateEnd },
+      })
+        .sort({ dueDate: 1 })
+        .select('supplierId billNumber supplierInvoiceNumber billDate dueDate totalAmount amountPaid balanceDue status matchStatus')
+        .lean(),
     ]);
 
     const openMap   = Object.fromEntries(openingRows.map((r) => [String(r._id), r]));
     const periodMap = Object.fromEntries(periodRows.map((r) => [String(r._id), r]));
+    const billsMap  = {};
+    for (const b of openBills) {
+      const sid = String(b.supplierId);
+      (billsMap[sid] = billsMap[sid] || []).push({
+        _id:                   b._id,
+        billNumber:            b.billNumber,
+        supplierInvoiceNumber: b.supplierInvoiceNumber,
+        billDate:              b.billDate,
+        dueDate:               b.dueDate,
+        totalAmount:           b.totalAmount,
+        amountPaid:            b.amountPaid,
+        balanceDue:            b.balanceDue,
+        status:                b.status,
+        matchStatus:           b.matchStatus,
+        daysOverdue:           Math.max(0, Math.floor((dateEnd - new Date(b.dueDate)) / 86400000)),
+      });
+    }
 
     const totals = { ...EMPTY_TOTALS };
     let seq = 0;
@@ -356,6 +384,7 @@ router.get('/payables', async (req, res) => {
           cashPaid,
           chequeIssued,
           payable,
+          bills:         billsMap[sid] || [],
         };
       })
       .filter((s) =>
@@ -36,6 +36,8 @@ const COA = [
   { code: '20101', name: 'Suppliers Payable',  type: 'liability', isSystem: true, parentCode: '201' },
   { code: '20201', name: 'Due to Director',    type: 'liability', isSystem: true, parentCode: '202' },
   { code: '20202', name: 'Accrued Liabilities',type: 'liability', isSystem: true, parentCode: '202' },
+  { code: '20203', name: 'Loyalty Points Liability', type: 'liability', isSystem: true, parentCode: '202' },
+  { code: '20204', name: 'Tips Payable',       type: 'liability', isSystem: true, parentCode: '202' },
 
   // ── ASSETS ─────────────────────────────────────────────────────────────────
   { code: '301', name: 'Cash In Hand',            type: 'asset', isSystem: true },
@@ -54,6 +56,7 @@ const COA = [
   { code: '30501', name: 'Raw Materials',       type: 'asset', isSystem: true, parentCode: '305' },
   { code: '30502', name: 'Packing Materials',   type: 'asset', isSystem: true, parentCode: '305' },
   { code: '30503', name: 'Finished Goods',      type: 'asset', isSystem: true, parentCode: '305' },
+  { code: '30504', name: 'Stock in Transit',    type: 'asset', isSystem: true, parentCode: '305' },
   { code: '30701', name: 'Furniture and Fixtures', type: 'asset', isSystem: true, parentCode: '307' },
   { code: '30702', name: 'Kitchen Equipment',   type: 'asset', isSystem: true, parentCode: '307' },
   { code: '30703', name: 'IT Equipment',        type: 'asset', isSystem: true, parentCode: '307' },
@@ -65,7 +68,9 @@ const COA = [
   { code: '40102', name: 'Takeaway Sales', type: 'revenue', isSystem: true, parentCode: '401' },
   { code: '40103', name: 'Delivery Sales', type: 'revenue', isSystem: true, parentCode: '401' },
   { code: '40104', name: 'Online Sales',   type: 'revenue', isSystem: true, parentCode: '401' },
+  { code: '40105', name: 'Sales Returns',  type: 'revenue', isSystem: true, parentCode: '401' },
   { code: '40201', name: 'Catering Sales', type: 'revenue', isSystem: true, parentCode: '402' },
+  { code: '40202', name: 'Service Charges', type: 'revenue', isSystem: true, parentCode: '402' },
 
   // ── COGS ───────────────────────────────────────────────────────────────────
   { code: '501', name: 'Cost of Goods',     type: 'cogs', isSystem: true },
@@ -81,6 +86,7 @@ const COA = [
   { code: '60103', name: 'Utilities',                type: 'expense', isSystem: true, parentCode: '601' },
   { code: '60104', name: 'Rider Payouts',            type: 'expense', isSystem: true, parentCode: '601' },
   { code: '60105', name: 'Discounts Given',          type: 'expense', isSystem: true, parentCode: '601' },
+  { code: '60106', name: 'Loyalty Rewards',          type: 'expense', isSystem: true, parentCode: '601' },
   { code: '60201', name: 'Easypaisa / JazzCash Fees', type: 'expense', isSystem: true, parentCode: '602' },
   { code: '60202', name: 'Foodpanda Commission',     type: 'expense', isSystem: true, parentCode: '602' },
   { code: '60203', name: 'Marketing and Advertising',type: 'expense', isSystem: true, parentCode: '602' },
@@ -89,6 +95,8 @@ const COA = [
   { code: '60206', name: 'Printing and Stationery',  type: 'expense', isSystem: true, parentCode: '602' },
   { code: '60207', name: 'Depreciation Expense',     type: 'expense', isSystem: true, parentCode: '602' },
   { code: '60208', name: 'Miscellaneous Expense',    type: 'expense', isSystem: true, parentCode: '602' },
+  { code: '60209', name: 'Stock Loss and Shrinkage', type: 'expense', isSystem: true, parentCode: '602' },
+  { code: '60210', name: 'Wastage and Spoilage',     type: 'expense', isSystem: true, parentCode: '602' },
 ];
 
 // Resolve tenant restaurant from the request (mirrors the admin routes pattern)
@@ -259,3 +267,5 @@ router.post(
 );
 
 module.exports = router;
+// Chart definition, shared with scripts/backfill-accounting-accounts.js
+module.exports.COA = COA;
@@ -19,13 +19,87 @@ const DailyCurrency = require('../models/DailyCurrency');
 const CashDrawerLog = require('../models/CashDrawerLog');
 const PaymentAccount = require('../models/PaymentAccount');
 const Account = require('../models/accounting/Account');
+const Party = require('../models/accounting/Party');
 const DaySession = require('../models/DaySession');
+const Refund = require('../models/Refund');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const KitchenStation = require('../models/KitchenStation');
 const AgentConversation = require('../models/AgentConversation');
+const StockMovement = require('../models/StockMovement');
+const StockCount = require('../models/StockCount');
+const Wastage = require('../models/Wastage');
+const ProductionBatch = require('../models/ProductionBatch');
+const MenuSchedule = require('../models/MenuSchedule');
+const FloorPlan = require('../models/FloorPlan');
 const { protect, requireRole, requireRestaurant, checkSubscriptionStatus, resolveBranch } = require('../middleware/authMiddleware');
 const { getOrderRooms } = require('../utils/socketRooms');
 const { normalizeEmail, normalizePhone } = require('../utils/storefrontIdentifiers');
 const escapeRegex = require('../utils/escapeRegex');
+const { sendCsv } = require('../utils/csv');
 const { sanitizeDeliveryLocationsInput } = require('../utils/deliveryLocations');
+const {
+  sanitizeModifierGroupsInput,
+  mapModifierGroups,
+  resolveLineModifiers,
+  getLineInventoryConsumptions,
+  formatModifiersLabel,
+  mapLineModifiers,
+} = require('../utils/menuModifiers');
+const { sanitizeTaxSettingsInput, resolveTaxSettings, computeOrderTax, taxFieldsForOrder } = require('../utils/taxEngine');
+const {
+  restoreOrderStock,
+  adjustOrderStock,
+  reverseStockMovements,
+  recordStockMovements,
+  adjustStockLevel,
+  buildStockCard,
+  loadStockLevels,
+} = require('../services/inventoryService');
+const {
+  startStockCount,
+  recordCountEntries,
+  transitionStockCount,
+  approveStockCount,
+  mapStockCount,
+} = require('../services/stockCountService');
+const { WASTAGE_REASONS, recordWastage, buildWastageReport, mapWastage } = require('../services/wastageService');
+const { previewProduction, producePrepBatch, mapProductionBatch } = require('../services/productionService');
+const { COSTING_METHODS, recordManualCostChange, buildRevaluationReport } = require('../services/costingService');
+const { buildMenuEngineeringReport } = require('../services/menuEngineeringService');
+const { areAllChecksClosed } = require('../services/orderSplitService');
+const { transferTable, mergeTables, unmergeTable, releaseMergedTables } = require('../services/tableOpsService');
+const {
+  applyFloorPlanInput,
+  mapFloorPlan,
+  buildLiveFloor,
+  emitFloorUpdate,
+  emitOrderFloorUpdate,
+} = require('../services/floorService');
+const {
+  sanitizeTipSettingsInput,
+  resolveTipSettings,
+  resolveWaiter,
+  applyWaiter,
+  computeTip,
+  applyTip,
+  buildWaiterReport,
+} = require('../services/tipService');
+const { isValidTimeZone, normalizeScheduleWindows, loadMenuScheduleState } = require('../utils/menuSchedule');
+const {
+  DEFAULT_ORDER_NUMBERING,
+  validateOrderNumberTemplate,
+  sanitizeOrderNumberingInput,
+  peekOrderNumber,
+} = require('../utils/orderNumber');
+const {
+  LINE_STATUSES,
+  assignKitchenStations,
+  setLineKitchenStatus,
+  syncOrderStatusFromLines,
+  linePrepSeconds,
+  mapKitchenLine,
+  emitKitchenUpdate,
+} = require('../utils/kitchenRouting');
 
 const DEFAULT_POS_DISCOUNT_PRESETS = [
   { id: '10', label: '10% Off', percent: 10, cashierAllowed: true },
@@ -61,6 +135,21 @@ const normalizeDiscountPreset = (p = {}) => {
 };
 const { checkInventorySufficiency } = require('../utils/checkInventorySufficiency');
 const { autoPostOrder } = require('../services/accounting/autoPost');
+const { applyRecipeCosts, normalizeRecipe } = require('../services/recipeService');
+const {
+  MEMBER_TYPES: LOYALTY_MEMBER_TYPES,
+  sanitizeLoyaltySettingsInput,
+  resolveLoyaltySettings,
+  memberModel,
+  mapMember,
+  mapLoyaltyTransaction,
+  applyMovement,
+  expireMemberPoints,
+  expireRestaurantPoints,
+  awardOrderPoints,
+  reverseOrderLoyalty,
+} = require('../services/loyaltyService');
+const { releaseOrderDealCodes } = require('../utils/dealCodes');
 
 const router = express.Router();
 const VERCEL_API_BASE = 'https://api.vercel.com';
@@ -145,12 +234,15 @@ const mapBranch = (branch) => ({
   contactPhone: branch.contactPhone || '',
   contactEmail: branch.contactEmail || '',
   openingHours: branch.openingHours || {},
+  timezone: branch.timezone || null,
   status: branch.status || 'active',
   sortOrder: branch.sortOrder ?? 0,
   showTablePos: branch.showTablePos !== false,
   showWaiterPos: branch.showWaiterPos !== false,
   showCustomerPos: branch.showCustomerPos !== false,
   businessDayCutoffHour: branch.businessDayCutoffHour ?? 4,
+  taxOverrides: branch.taxOverrides || {},
+  tipOverrides: branch.tipOverrides || {},
   deliveryLocations: Array.isArray(branch.websiteOverrides?.deliveryLocations)
     ? branch.websiteOverrides.deliveryLocations.map((l) => ({
         _id: l._id ? l._id.toString() : undefined,
@@ -523,10 +615,13 @@ router.post('/branches', async (req, res, next) => {
     if (!isTenantFullBranchAccess(req.user.role)) {
       return res.status(403).json({ message: 'Only restaurant owner can create branches' });
     }
-    const { name, code, address, contactPhone, contactEmail, openingHours, status, sortOrder, businessDayCutoffHour } = req.body;
+    const { name, code, address, contactPhone, contactEmail, openingHours, timezone, status, sortOrder, businessDayCutoffHour } = req.body;
     if (!name || !name.trim()) {
       return res.status(400).json({ message: 'Branch name is required' });
     }
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
     let finalCode = null;
     if (code && code.trim()) {
       finalCode = code.trim();
@@ -546,6 +641,7 @@ router.post('/branches', async (req, res, next) => {
       contactPhone: (contactPhone || '').trim(),
       contactEmail: (contactEmail || '').trim(),
       openingHours: openingHours || {},
+      timezone: timezone || null,
       status: status || 'active',
       sortOrder: sortOrder ?? 0,
     };
@@ -599,7 +695,10 @@ router.put('/branches/:id', async (req, res, next) => {
     ) {
       return res.status(403).json({ message: 'Access denied to this branch' });
     }
-    const { name, code, address, contactPhone, contactEmail, openingHours, status, sortOrder, showTablePos, showWaiterPos, showCustomerPos, businessDayCutoffHour } = req.body;
+    const { name, code, address, contactPhone, contactEmail, openingHours, timezone, status, sortOrder, showTablePos, showWaiterPos, showCustomerPos, businessDayCutoffHour, taxOverrides, tipOverrides } = req.body;
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
     if (name !== undefined) branch.name = name.trim();
     if (code !== undefined) {
       const trimmed = code ? code.trim() : null;
@@ -619,6 +718,7 @@ router.put('/branches/:id', async (req, res, next) => {
     if (contactPhone !== undefined) branch.contactPhone = (contactPhone || '').trim();
     if (contactEmail !== undefined) branch.contactEmail = (contactEmail || '').trim();
     if (openingHours !== undefined) branch.openingHours = openingHours;
+    if (timezone !== undefined) branch.timezone = timezone || null;
     if (status !== undefined) branch.status = status;
     if (sortOrder !== undefined) branch.sortOrder = sortOrder;
     if (showTablePos !== undefined) branch.showTablePos = !!showTablePos;
@@ -628,6 +728,16 @@ router.put('/branches/:id', async (req, res, next) => {
       const h = Number(businessDayCutoffHour);
       if (Number.isInteger(h) && h >= 0 && h <= 23) branch.businessDayCutoffHour = h;
     }
+    if (taxOverrides !== undefined) {
+      // null / {} clears overrides so the branch follows restaurant tax settings
+      branch.taxOverrides = sanitizeTaxSettingsInput(taxOverrides);
+      branch.markModified('taxOverrides');
+    }
+    if (tipOverrides !== undefined) {
+      // null / {} clears overrides so the branch follows restaurant tip rules
+      branch.tipOverrides = sanitizeTipSettingsInput(tipOverrides);
+      branch.markModified('tipOverrides');
+    }
     await branch.save();
     res.json(mapBranch(branch));
   } catch (error) {
@@ -761,6 +871,7 @@ const mapMenuItem = (item, options) => {
         unit: c.unit || inferredUnit,
       };
     }),
+    modifierGroups: mapModifierGroups(item.modifierGroups, { includeRecipe: true }),
   };
 };
 
@@ -844,6 +955,7 @@ const mapOrder = (order) => {
     return {
     id: order.orderNumber || order._id.toString(),
     orderNumber: order.orderNumber || null,
+    tokenNumber: order.tokenNumber ?? null,
     _id: order._id.toString(),
     customerName: rawCustomerName,
     orderTakerName,
@@ -858,19 +970,62 @@ const mapOrder = (order) => {
     grandTotal: normalizedGrandTotal,
     subtotal: order.subtotal,
     discountAmount: order.discountAmount || 0,
+    serviceChargeAmount: order.serviceChargeAmount || 0,
+    taxAmount: order.taxAmount || 0,
+    taxInclusive: order.taxInclusive || false,
+    taxLines: (order.taxLines || []).map((t) => ({
+      name: t.name,
+      rate: t.rate,
+      taxableAmount: t.taxableAmount,
+      amount: t.amount,
+      inclusive: !!t.inclusive,
+    })),
+    refundedAmount: order.refundedAmount || 0,
+    refundStatus: order.refundStatus || 'NONE',
+    loyaltyPointsRedeemed: order.loyaltyPointsRedeemed || 0,
+    loyaltyRedeemValue: order.loyaltyRedeemValue || 0,
+    loyaltyPointsEarned: order.loyaltyPointsEarned || 0,
     posDiscountReason: order.posDiscountReason || '',
     posDiscountPresetLabel: order.posDiscountPresetLabel || '',
     posManualDiscountPercent:
       order.posManualDiscountPercent != null ? order.posManualDiscountPercent : null,
     status: order.status,
+    parentOrderId: order.parentOrder ? order.parentOrder.toString() : null,
+    checkNumber: order.checkNumber ?? null,
+    splitMode: order.splitMode || null,
+    splitCheckIds: (order.splitChecks || []).map((c) => c.toString()),
+    mergedIntoOrderId: order.mergedInto ? order.mergedInto.toString() : null,
+    mergedTables: (order.mergedTables || []).map((m) => ({
+      tableId: m.table ? m.table.toString() : null,
+      tableName: m.tableName || '',
+      orderId: m.order ? m.order.toString() : null,
+      orderNumber: m.orderNumber || null,
+    })),
+    isOpenTab: order.isOpenTab || false,
+    roundCount: (order.rounds || []).length,
+    voids: (order.voids || []).map((v) => ({
+      name: v.name,
+      quantity: v.quantity,
+      amount: v.amount,
+      round: v.round ?? null,
+      fired: !!v.fired,
+      stockAction: v.stockAction,
+      reason: v.reason || '',
+      at: v.at,
+    })),
     createdAt: order.createdAt,
     items: (order.items || []).map((i) => ({
       menuItemId: i.menuItem ? i.menuItem.toString() : null,
       name: i.name,
       qty: i.quantity,
+      seat: i.seat ?? undefined,
+      round: i.round ?? undefined,
+      mergedFromOrderId: i.mergedFrom ? i.mergedFrom.toString() : undefined,
       unitPrice: i.unitPrice,
       lineTotal: i.lineTotal,
       note: i.note || undefined,
+      modifiers: mapLineModifiers(i.modifiers),
+      refundedQuantity: i.refundedQuantity || undefined,
     })),
     type:
       order.orderType === 'DINE_IN'
@@ -892,6 +1047,11 @@ const mapOrder = (order) => {
     splitCardAmount: order.splitCardAmount ?? null,
     splitOnlineAmount: order.splitOnlineAmount ?? null,
     splitOnlineProvider: order.splitOnlineProvider ?? null,
+    tipAmount: order.tipAmount || 0,
+    tipPercent: order.tipPercent ?? null,
+    tipMethod: order.tipMethod || null,
+    assignedWaiterId: order.assignedWaiterId ? order.assignedWaiterId.toString() : null,
+    assignedWaiterName: order.assignedWaiterName || '',
     deliveryCharges: order.deliveryCharges ?? 0,
     deliveryPaymentCollected: order.deliveryPaymentCollected ?? false,
     // assignedRiderId/Name/Phone may be either stored fields or populated.
@@ -953,23 +1113,8 @@ router.get('/menu', async (req, res, next) => {
 
     const invUnitMap = new Map(inventoryItems.map((inv) => [inv._id.toString(), inv.unit || 'gram']));
 
-    // Build inventory lookup map: use branch-level stock when a branch is selected
-    const inventoryMap = new Map();
-    if (branchId) {
-      const branchRows = await BranchInventory.find({ branch: branchId }).lean();
-      const branchStockByInv = new Map();
-      for (const row of branchRows) {
-        branchStockByInv.set(row.inventoryItem.toString(), row.currentStock);
-      }
-      for (const inv of inventoryItems) {
-        const currentStock = branchStockByInv.get(inv._id.toString()) ?? 0;
-        inventoryMap.set(inv._id.toString(), { name: inv.name, unit: inv.unit, currentStock });
-      }
-    } else {
-      for (const inv of inventoryItems) {
-        inventoryMap.set(inv._id.toString(), inv);
-      }
-    }
+    // Stock lookup for sufficiency checks (branch-level stock when a branch is selected)
+    const inventoryMap = await loadStockLevels(restaurantId, branchId || null);
 
     // Load branch overrides if a branch is selected
     let overrideMap = new Map();
@@ -1161,6 +1306,21 @@ router.put('/orders/:id', async (req, res, next) => {
     if (order.status === 'CANCELLED') {
       return res.status(400).json({ message: 'Cannot update cancelled order' });
     }
+    if (order.status === 'SPLIT') {
+      return res.status(409).json({ message: 'Order was split into checks; update the checks instead', code: 'ORDER_SPLIT' });
+    }
+    if (order.status === 'MERGED') {
+      return res.status(409).json({ message: 'Order was merged into another table\'s bill', code: 'ORDER_MERGED' });
+    }
+    if (order.isOpenTab && Array.isArray(items) && items.length > 0) {
+      return res.status(409).json({
+        message: 'Lines of an open tab change through rounds and voids (POST /api/pos/orders/:id/rounds, /void)',
+        code: 'TAB_USE_ROUNDS',
+      });
+    }
+    if ((order.refundedAmount || 0) > 0 && (items !== undefined || discountAmount !== undefined || orderType !== undefined)) {
+      return res.status(400).json({ message: 'Cannot change items or totals of an order that has refunds', code: 'ORDER_HAS_REFUNDS' });
+    }
 
     const isOrderTaker = req.user.role === 'order_taker';
     if (isOrderTaker) {
@@ -1178,6 +1338,12 @@ router.put('/orders/:id', async (req, res, next) => {
       }
     }
 
+    const firedLineIndexes = [];
+    let kitchenStatusChanged = false;
+    const itemsBeforeEdit =
+      Array.isArray(items) && items.length > 0
+        ? (order.items || []).map((i) => ({ menuItem: i.menuItem, quantity: i.quantity, modifiers: i.modifiers }))
+        : null;
     if (Array.isArray(items) && items.length > 0) {
       const menuItemIds = items.map((i) => i.menuItemId).filter(Boolean);
       const dbMenuItems = await MenuItem.find({
@@ -1191,7 +1357,16 @@ router.put('/orders/:id', async (req, res, next) => {
       for (const i of items) {
         const menu = i.menuItemId ? menuMap.get(i.menuItemId) : null;
         const qty = Math.max(1, Number(i.quantity) || 1);
-        const unitPrice = menu ? menu.price : (Number(i.unitPrice) || 0);
+        let modifiers = [];
+        let unitPrice = Number(i.unitPrice) || 0;
+        if (menu) {
+          const resolved = resolveLineModifiers(menu, i.modifiers);
+          if (resolved.error) {
+            return res.status(400).json({ message: resolved.error, code: 'INVALID_MODIFIERS' });
+          }
+          modifiers = resolved.modifiers;
+          unitPrice = Math.max(0, menu.price + resolved.priceDelta);
+        }
         const lineTotal = unitPrice * qty;
         subtotal += lineTotal;
         orderItems.push({
@@ -1201,6 +1376,7 @@ router.put('/orders/:id', async (req, res, next) => {
           unitPrice,
           lineTotal,
           note: (i.note || '').trim() || undefined,
+          modifiers: modifiers.length ? modifiers : undefined,
         });
       }
       const discount = isOrderTaker
@@ -1208,7 +1384,27 @@ router.put('/orders/:id', async (req, res, next) => {
         : Math.max(0, Number(discountAmount) ?? order.discountAmount ?? 0);
       const total = Math.max(0, subtotal - discount);
 
+      // Keep kitchen progress on unchanged lines; new or changed lines are routed and fired now
+      const previousLines = order.items || [];
+      orderItems.forEach((line, idx) => {
+        const prev = previousLines[idx];
+        if (prev && String(prev.menuItem || '') === String(line.menuItem || '') && prev.quantity === line.quantity) {
+          for (const key of ['station', 'stationName', 'kitchenStatus', 'firedAt', 'startedAt', 'doneAt', 'recallCount', 'refundedQuantity', 'seat', 'mergedFrom']) {
+            line[key] = prev[key];
+          }
+        } else {
+          firedLineIndexes.push(idx);
+        }
+      });
+      await assignKitchenStations(
+        restaurantId,
+        order.branch,
+        firedLineIndexes.map((idx) => orderItems[idx]),
+        new Map(dbMenuItems.map((m) => [m._id.toString(), m.category]))
+      );
+
       order.items = orderItems;
+      kitchenStatusChanged = Boolean(syncOrderStatusFromLines(order));
       order.subtotal = subtotal;
       order.discountAmount = discount;
       order.total = total;
@@ -1268,6 +1464,30 @@ router.put('/orders/:id', async (req, res, next) => {
       order.deliveryLocationName = '';
     }
 
+    // Re-apply tax rules when lines, discount or order type may have changed.
+    if ((Array.isArray(items) && items.length > 0) || discountAmount !== undefined || orderType !== undefined) {
+      const lineMenuIds = (order.items || []).map((i) => i.menuItem).filter(Boolean);
+      const [menuCategories, orderBranch] = await Promise.all([
+        lineMenuIds.length
+          ? MenuItem.find({ _id: { $in: lineMenuIds }, restaurant: restaurantId }).select('category').lean()
+          : [],
+        order.branch ? Branch.findById(order.branch).select('taxOverrides').lean() : null,
+      ]);
+      const categoryById = new Map(menuCategories.map((m) => [m._id.toString(), m.category]));
+      const taxRestaurant = req.restaurant || (await Restaurant.findById(restaurantId).select('settings').lean());
+      const taxResult = computeOrderTax(resolveTaxSettings(taxRestaurant, orderBranch), {
+        orderType: order.orderType,
+        lines: (order.items || []).map((i) => ({
+          lineTotal: i.lineTotal,
+          category: i.menuItem ? categoryById.get(i.menuItem.toString()) : null,
+        })),
+        discountAmount: order.discountAmount || 0,
+      });
+      Object.assign(order, taxFieldsForOrder(taxResult));
+      order.total =
+        Math.round((Math.max(0, (order.subtotal || 0) - (order.discountAmount || 0)) + taxResult.totalAdjustment) * 100) / 100;
+    }
+
     // Recalculate grandTotal after all field mutations.
     order.grandTotal = (order.total || 0) + (order.orderType === 'DELIVERY' ? (order.deliveryCharges || 0) : 0);
 
@@ -1312,7 +1532,46 @@ router.put('/orders/:id', async (req, res, next) => {
       }
     }
 
-    await order.save();
+    // Keep stock in step with the edited lines (only the difference is deducted or returned)
+    let stockChange = null;
+    if (itemsBeforeEdit) {
+      const stockRestaurant =
+        req.restaurant || (await Restaurant.findById(restaurantId).select('settings.allowOrderWhenOutOfStock').lean());
+      stockChange = await adjustOrderStock(order, itemsBeforeEdit, {
+        restaurantId,
+        allowOutOfStock: Boolean(stockRestaurant?.settings?.allowOrderWhenOutOfStock),
+      });
+      if (stockChange.error) {
+        return res.status(stockChange.error.status).json({
+          message: stockChange.error.message,
+          code: stockChange.error.code,
+          details: stockChange.error.details,
+        });
+      }
+    }
+
+    await order.save().catch(async (err) => {
+      if (stockChange) await reverseStockMovements(restaurantId, stockChange.movements).catch(() => {});
+      throw err;
+    });
+    if (stockChange) {
+      await recordStockMovements(restaurantId, stockChange.movements, {
+        type: 'SALE_ADJUSTMENT',
+        referenceType: 'Order',
+        referenceId: order._id,
+        referenceNumber: order.orderNumber,
+        note: 'Order lines edited',
+        createdBy: req.user.id,
+      });
+    }
+    if (firedLineIndexes.length > 0 || kitchenStatusChanged) {
+      emitKitchenUpdate(req.app.get('io'), order, {
+        event: 'kitchen:ticket',
+        lineIndexes: firedLineIndexes,
+        statusChanged: kitchenStatusChanged,
+      });
+    }
+    emitOrderFloorUpdate(req.app.get('io'), order);
     const updated = await Order.findById(order._id).populate('createdBy', 'name role');
     res.json(mapOrder(updated));
   } catch (error) {
@@ -1347,86 +1606,36 @@ router.put('/orders/:id/status', async (req, res, next) => {
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
+    if (order.status === 'SPLIT') {
+      return res.status(409).json({ message: 'Order was split into checks; update the checks instead', code: 'ORDER_SPLIT' });
+    }
+    if (order.status === 'MERGED') {
+      return res.status(409).json({ message: 'Order was merged into another table\'s bill', code: 'ORDER_MERGED' });
+    }
 
     // Delivery orders must go through OUT_FOR_DELIVERY — use the assign-rider endpoint
     if (order.orderType === 'DELIVERY' && order.status === 'READY' && status === 'DELIVERED') {
       return res.status(400).json({ message: 'Delivery orders must be assigned to a rider before marking as delivered. Use the assign-rider endpoint.' });
     }
 
+    if (status === 'CANCELLED' && order.status !== 'CANCELLED' && (order.refundedAmount || 0) > 0) {
+      return res.status(409).json({ message: 'Order has refunds and cannot be cancelled', code: 'ORDER_HAS_REFUNDS' });
+    }
+
     const previousStatus = order.status;
     order.status = status;
     if (!order.statusHistory) order.statusHistory = [];
     order.statusHistory.push({ status, at: new Date() });
 
     if (status === 'CANCELLED') {
-      // Reverse inventory only on first transition to CANCELLED.
-      // Prevents accidental double-restock if an already-cancelled order is updated again.
-      if (previousStatus !== 'CANCELLED') {
-        const menuItemIds = Array.from(
-          new Set(
-            (order.items || [])
-              .map((i) => i.menuItem?.toString?.())
-              .filter(Boolean)
-          )
-        );
-        if (menuItemIds.length > 0) {
-          const menuItems = await MenuItem.find({
-            _id: { $in: menuItemIds },
-            restaurant: restaurantId,
-          }).lean();
-          const menuMap = new Map(menuItems.map((m) => [m._id.toString(), m]));
-
-          const consumptionByInventoryId = new Map();
-          for (const orderItem of (order.items || [])) {
-            const menuItemId = orderItem.menuItem?.toString?.();
-            if (!menuItemId) continue;
-            const menu = menuMap.get(menuItemId);
-            if (!menu?.inventoryConsumptions?.length) continue;
-
-            for (const cons of menu.inventoryConsumptions) {
-              const invId = cons.inventoryItem?.toString?.();
-              if (!invId) continue;
-              const qty = (cons.quantity || 0) * (orderItem.quantity || 0);
-              if (qty <= 0) continue;
-              consumptionByInventoryId.set(
-                invId,
-                (consumptionByInventoryId.get(invId) || 0) + qty
-              );
-            }
-          }
-
-          if (consumptionByInventoryId.size > 0) {
-            if (order.branch) {
-              await Promise.all(
-                Array.from(consumptionByInventoryId.entries()).map(([invId, qty]) =>
-                  BranchInventory.findOneAndUpdate(
-                    { branch: order.branch, inventoryItem: invId },
-                    { $inc: { currentStock: qty } },
-                    { upsert: false }
-                  )
-                )
-              );
-            } else {
-              const inventoryIds = Array.from(consumptionByInventoryId.keys());
-              const inventoryItems = await InventoryItem.find({
-                _id: { $in: inventoryIds },
-                restaurant: restaurantId,
-              });
-              await Promise.all(
-                inventoryItems.map((inv) => {
-                  const qty = consumptionByInventoryId.get(inv._id.toString()) || 0;
-                  inv.currentStock += qty;
-                  return inv.save();
-                })
-              );
-            }
-          }
-        }
-      }
-
       if (cancelReason && String(cancelReason).trim()) {
         order.cancelReason = String(cancelReason).trim();
       }
+      // Reverse inventory only on first transition to CANCELLED.
+      // restoreOrderStock also claims the order, so a concurrent cancel cannot restock twice.
+      if (previousStatus !== 'CANCELLED') {
+        await restoreOrderStock(order, { restaurantId, createdBy: req.user.id });
+      }
       order.cancelledAt = new Date();
       order.cancelledBy = req.user.id;
     }
@@ -1438,6 +1647,17 @@ router.put('/orders/:id/status', async (req, res, next) => {
       autoPostOrder(order._id, order.restaurant).catch((err) =>
         console.error('[Accounting] autoPostOrder failed for order', order._id, err.message)
       );
+      awardOrderPoints(order._id, { createdBy: req.user.id }).catch((err) =>
+        console.error('[Loyalty] awardOrderPoints failed for order', order._id, err.message)
+      );
+    }
+    if (status === 'CANCELLED' && previousStatus !== 'CANCELLED') {
+      reverseOrderLoyalty(order, { reason: 'Order cancelled', createdBy: req.user.id }).catch((err) =>
+        console.error('[Loyalty] reversal failed for order', order._id, err.message)
+      );
+      releaseOrderDealCodes(order).catch((err) =>
+        console.error('[Deals] coupon release failed for order', order._id, err.message)
+      );
     }
 
     const io = req.app.get('io');
@@ -1447,8 +1667,13 @@ router.put('/orders/:id/status', async (req, res, next) => {
       rooms.forEach((room) => io.to(room).emit('order:updated', payload));
     }
 
-    // When order is delivered, out for delivery, or cancelled, free the table
-    if ((status === 'DELIVERED' || status === 'CANCELLED' || status === 'OUT_FOR_DELIVERY') && order.tableName && order.tableName.trim()) {
+    // When order is delivered, out for delivery, or cancelled, free the table (split checks: once all are settled)
+    if (
+      (status === 'DELIVERED' || status === 'CANCELLED' || status === 'OUT_FOR_DELIVERY') &&
+      order.tableName &&
+      order.tableName.trim() &&
+      (await areAllChecksClosed(order.parentOrder))
+    ) {
       await Table.findOneAndUpdate(
         { restaurant: order.restaurant, branch: order.branch || null, name: order.tableName.trim() },
         { $set: { isAvailable: true, status: 'available' } }
@@ -1464,7 +1689,9 @@ router.put('/orders/:id/status', async (req, res, next) => {
           { $set: { status: 'confirmed' } }
         );
       }
+      await releaseMergedTables(order, status === 'CANCELLED' ? 'confirmed' : 'completed');
     }
+    emitOrderFloorUpdate(req.app.get('io'), order);
 
     res.json(mapOrder(order));
   } catch (error) {
@@ -1489,6 +1716,9 @@ router.put('/orders/:id/payment', async (req, res, next) => {
       cashAmount,
       cardAmount,
       onlineAmount,
+      tipAmount,
+      tipPercent,
+      tipMethod,
     } = req.body;
     const restaurantId = getRestaurantIdForRequest(req);
 
@@ -1516,19 +1746,47 @@ router.put('/orders/:id/payment', async (req, res, next) => {
     if (order.status === 'CANCELLED') {
       return res.status(400).json({ message: 'Cannot record payment for cancelled order' });
     }
+    if (order.status === 'SPLIT') {
+      return res.status(409).json({ message: 'Order was split into checks; record payment on each check', code: 'ORDER_SPLIT' });
+    }
+    if (order.status === 'MERGED') {
+      return res.status(409).json({ message: 'Order was merged into another table\'s bill; record payment there', code: 'ORDER_MERGED' });
+    }
 
     const billTotal = Number(order.grandTotal ?? order.total ?? 0) || 0;
     let received = amountReceived != null ? Number(amountReceived) : null;
     let returned = amountReturned != null ? Number(amountReturned) : null;
 
+    // Tip on top of the bill (tipAmount or tipPercent of the bill; tipMethod defaults to paymentMethod)
+    const orderBranch = order.branch ? await Branch.findById(order.branch).select('tipOverrides').lean() : null;
+    const tipRestaurant = req.restaurant || (await Restaurant.findById(restaurantId).select('settings').lean());
+    const tipResult = computeTip({
+      tipAmount,
+      tipPercent,
+      tipMethod,
+      paymentMethod,
+      billTotal,
+      settings: resolveTipSettings(tipRestaurant, orderBranch),
+    });
+    if (tipResult.error) {
+      const { status, ...body } = tipResult.error;
+      return res.status(status).json(body);
+    }
+    const tip = tipResult.tip;
+    const cashTip = tip ? (tip.method === 'CASH' ? tip.amount : 0) : (order.tipMethod === 'CASH' ? order.tipAmount || 0 : 0);
+
     if (paymentMethod === 'CASH') {
       if (received == null || isNaN(received) || received < 0) {
         return res.status(400).json({ message: 'For cash payment, amountReceived is required and must be >= 0' });
       }
-      if (received < billTotal) {
-        return res.status(400).json({ message: `Amount received (${received}) is less than bill total (${billTotal})` });
+      if (received < billTotal + cashTip) {
+        return res.status(400).json({
+          message: cashTip > 0
+            ? `Amount received (${received}) is less than bill total plus tip (${billTotal + cashTip})`
+            : `Amount received (${received}) is less than bill total (${billTotal})`,
+        });
       }
-      returned = returned != null && !isNaN(returned) ? returned : (received - billTotal);
+      returned = returned != null && !isNaN(returned) ? returned : Math.round((received - billTotal - cashTip) * 100) / 100;
     } else if (paymentMethod === 'SPLIT') {
       const cashPart = Number(cashAmount);
       const cardPart = Number(cardAmount);
@@ -1562,6 +1820,7 @@ router.put('/orders/:id/payment', async (req, res, next) => {
     }
 
     const wasAlreadyDelivered = order.status === 'DELIVERED';
+    if (tip) applyTip(order, tip);
     order.paymentMethod = paymentMethod;
     order.paymentProvider =
       paymentMethod === 'ONLINE' || (paymentMethod === 'SPLIT' && Number(onlineAmount) > 0)
@@ -1588,10 +1847,14 @@ router.put('/orders/:id/payment', async (req, res, next) => {
     }
     await order.save();
 
-    // Auto-post accounting entry (fire-and-forget — never blocks payment recording)
+    // Auto-post accounting entry (fire-and-forget — never blocks payment recording);
+    // on a repeat payment this posts only the change in tip to Tips Payable
     autoPostOrder(order._id, order.restaurant).catch((err) =>
       console.error('[Accounting] autoPostOrder failed for order', order._id, err.message)
     );
+    awardOrderPoints(order._id, { createdBy: req.user.id }).catch((err) =>
+      console.error('[Loyalty] awardOrderPoints failed for order', order._id, err.message)
+    );
 
     const io = req.app.get('io');
     if (io) {
@@ -1600,7 +1863,7 @@ router.put('/orders/:id/payment', async (req, res, next) => {
       rooms.forEach((room) => io.to(room).emit('order:updated', payload));
     }
 
-    if (!wasAlreadyDelivered && order.tableName && order.tableName.trim()) {
+    if (!wasAlreadyDelivered && order.tableName && order.tableName.trim() && (await areAllChecksClosed(order.parentOrder))) {
       await Table.findOneAndUpdate(
         { restaurant: order.restaurant, branch: order.branch || null, name: order.tableName.trim() },
         { $set: { isAvailable: true, status: 'available' } }
@@ -1609,7 +1872,77 @@ router.put('/orders/:id/payment', async (req, res, next) => {
         { restaurant: order.restaurant, branch: order.branch || null, tableNumber: order.tableName.trim(), status: 'seated' },
         { $set: { status: 'completed' } }
       );
+      await releaseMergedTables(order, 'completed');
+    }
+    emitOrderFloorUpdate(req.app.get('io'), order);
+
+    res.json(mapOrder(order));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/orders/:id/waiter
+// @desc    Assign (or with waiterId null, clear) the waiter serving an order. Sales and tips follow the
+//          order, so this also corrects attribution after payment.
+// @access  Restaurant Admin / Admin / Manager / Cashier / Order Taker
+router.put('/orders/:id/waiter', async (req, res, next) => {
+  try {
+    if (['kitchen_staff', 'delivery_rider', 'product_manager'].includes(req.user.role)) {
+      return res.status(403).json({ message: 'Insufficient permissions to assign waiters' });
+    }
+    if (!Object.prototype.hasOwnProperty.call(req.body || {}, 'waiterId')) {
+      return res.status(400).json({ message: 'waiterId is required (null to clear)' });
+    }
+    const restaurantId = getRestaurantIdForRequest(req);
+    const { waiterId } = req.body;
+
+    let order;
+    if (/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+      order = await Order.findOne({ _id: req.params.id, restaurant: restaurantId }).populate('createdBy', 'name role');
+    }
+    if (!order) {
+      order = await Order.findOne({ orderNumber: req.params.id, restaurant: restaurantId }).populate('createdBy', 'name role');
+    }
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    if (['CANCELLED', 'MERGED'].includes(order.status)) {
+      return res.status(400).json({ message: `Cannot assign a waiter to a ${order.status.toLowerCase()} order` });
+    }
+
+    let waiter = null;
+    if (waiterId) {
+      const resolved = await resolveWaiter({ restaurantId, branchId: order.branch || null, waiterId });
+      if (resolved.error) {
+        const { status, ...body } = resolved.error;
+        return res.status(status).json(body);
+      }
+      waiter = resolved.waiter;
+    }
+    applyWaiter(order, waiter);
+    await order.save();
+    // Checks of a split bill are served by the same waiter
+    if (order.status === 'SPLIT') {
+      await Order.updateMany(
+        { parentOrder: order._id },
+        { $set: { assignedWaiterId: order.assignedWaiterId, assignedWaiterName: order.assignedWaiterName } }
+      );
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      const rooms = getOrderRooms(order.restaurant, order.branch);
+      const payload = {
+        id: order._id.toString(),
+        orderNumber: order.orderNumber,
+        status: order.status,
+        assignedWaiterId: order.assignedWaiterId ? order.assignedWaiterId.toString() : null,
+        assignedWaiterName: order.assignedWaiterName,
+      };
+      rooms.forEach((room) => io.to(room).emit('order:updated', payload));
     }
+    emitOrderFloorUpdate(io, order);
 
     res.json(mapOrder(order));
   } catch (error) {
@@ -1928,9 +2261,11 @@ router.delete('/categories/:id', async (req, res, next) => {
       return res.status(404).json({ message: 'Category not found' });
     }
 
+    const itemIds = (await MenuItem.find({ category: id, restaurant: restaurantId }).select('_id').lean()).map((m) => m._id);
     await Promise.all([
       Category.deleteOne({ _id: id, restaurant: restaurantId }),
       MenuItem.deleteMany({ category: id, restaurant: restaurantId }),
+      MenuSchedule.updateMany({ restaurant: restaurantId }, { $pull: { categories: category._id, menuItems: { $in: itemIds } } }),
     ]);
 
     res.status(204).send();
@@ -2004,12 +2339,27 @@ const normalizeInventoryConsumptions = async (restaurantId, rawConsumptions) =>
     .filter((c) => c.quantity > 0);
 };
 
+// Sanitizes modifier groups and validates each option's recipe against this restaurant's inventory.
+const normalizeModifierGroups = async (restaurantId, rawGroups) => {
+  const groups = sanitizeModifierGroupsInput(rawGroups);
+  for (const group of groups) {
+    for (const option of group.options) {
+      const rawConsumptions = option.inventoryConsumptions.map((c) => ({
+        ...c,
+        inventoryItemId: c.inventoryItemId ?? c.inventoryItem,
+      }));
+      option.inventoryConsumptions = await normalizeInventoryConsumptions(restaurantId, rawConsumptions);
+    }
+  }
+  return groups;
+};
+
 // @route   POST /api/admin/items
 // @desc    Create a new menu item
 // @access  Restaurant Admin / Super Admin
 router.post('/items', async (req, res, next) => {
   try {
-    const { name, description, price, categoryId, showOnWebsite, imageUrl, dietaryType, inventoryConsumptions, branchId: bodyBranchId } = req.body;
+    const { name, description, price, categoryId, showOnWebsite, imageUrl, dietaryType, inventoryConsumptions, modifierGroups, branchId: bodyBranchId } = req.body;
     const restaurantId = getRestaurantIdForRequest(req);
     const headerBranchId = getBranchIdForRequest(req);
     // Prefer body.branchId over header so the branch user is creating in wins
@@ -2058,6 +2408,15 @@ router.post('/items', async (req, res, next) => {
       }
     }
 
+    let normalizedModifierGroups = [];
+    if (modifierGroups) {
+      try {
+        normalizedModifierGroups = await normalizeModifierGroups(restaurantId, modifierGroups);
+      } catch (err) {
+        return res.status(400).json({ message: err.message });
+      }
+    }
+
     const { isTrending, isMustTry } = req.body;
     const item = await MenuItem.create({
       restaurant: restaurantId,
@@ -2072,6 +2431,7 @@ router.post('/items', async (req, res, next) => {
       isTrending: typeof isTrending === 'boolean' ? isTrending : false,
       isMustTry: typeof isMustTry === 'boolean' ? isMustTry : false,
       inventoryConsumptions: normalizedConsumptions,
+      modifierGroups: normalizedModifierGroups,
     });
 
     res.status(201).json(mapMenuItem(item));
@@ -2089,7 +2449,7 @@ router.post('/items', async (req, res, next) => {
 router.put('/items/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, description, price, categoryId, available, showOnWebsite, imageUrl, isFeatured, isBestSeller, isTrending, isMustTry, dietaryType, inventoryConsumptions } = req.body;
+    const { name, description, price, categoryId, available, showOnWebsite, imageUrl, isFeatured, isBestSeller, isTrending, isMustTry, dietaryType, inventoryConsumptions, modifierGroups } = req.body;
     const restaurantId = getRestaurantIdForRequest(req);
 
     const item = await MenuItem.findOne({ _id: id, restaurant: restaurantId });
@@ -2138,6 +2498,14 @@ router.put('/items/:id', async (req, res, next) => {
       }
     }
 
+    if (modifierGroups !== undefined) {
+      try {
+        item.modifierGroups = await normalizeModifierGroups(restaurantId, modifierGroups);
+      } catch (err) {
+        return res.status(400).json({ message: err.message });
+      }
+    }
+
     await item.save();
 
     res.json(mapMenuItem(item));
@@ -2163,7 +2531,166 @@ router.delete('/items/:id', async (req, res, next) => {
     }
 
     await MenuItem.deleteOne({ _id: id, restaurant: restaurantId });
+    await MenuSchedule.updateMany({ restaurant: restaurantId }, { $pull: { menuItems: item._id } });
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// MENU SCHEDULE ROUTES (breakfast / lunch / dinner menus)
+
+const mapMenuSchedule = (schedule, state = null) => {
+  const live = state?.schedules.find((s) => s.id === schedule._id.toString());
+  return {
+    id: schedule._id.toString(),
+    name: schedule.name,
+    branchId: schedule.branch ? schedule.branch.toString() : null,
+    windows: schedule.windows || [],
+    branchWindows: (schedule.branchWindows || []).map((b) => ({ branchId: b.branch.toString(), windows: b.windows || [] })),
+    categoryIds: (schedule.categories || []).map((id) => id.toString()),
+    menuItemIds: (schedule.menuItems || []).map((id) => id.toString()),
+    withinOpeningHours: schedule.withinOpeningHours !== false,
+    isActive: schedule.isActive !== false,
+    openNow: live ? live.openNow : null,
+  };
+};
+
+// Validate schedule fields from the body into `target` (a new or existing MenuSchedule)
+async function applyMenuScheduleInput(restaurantId, body, target) {
+  const { name, windows, branchWindows, categoryIds, menuItemIds, withinOpeningHours, isActive } = body;
+  if (name !== undefined) {
+    if (!String(name || '').trim()) return 'Schedule name is required';
+    target.name = String(name).trim();
+  }
+  if (windows !== undefined) {
+    const result = normalizeScheduleWindows(windows);
+    if (result.error) return result.error;
+    target.windows = result.windows;
+  }
+  if (branchWindows !== undefined) {
+    if (!Array.isArray(branchWindows)) return 'branchWindows must be an array';
+    const rows = [];
+    for (const row of branchWindows) {
+      if (!mongoose.Types.ObjectId.isValid(row?.branchId)) return 'Each branchWindows entry requires a valid branchId';
+      const result = normalizeScheduleWindows(row.windows || []);
+      if (result.error) return result.error;
+      rows.push({ branch: String(row.branchId), windows: result.windows });
+    }
+    const branchCount = await Branch.countDocuments({ _id: { $in: rows.map((r) => r.branch) }, restaurant: restaurantId });
+    if (branchCount !== new Set(rows.map((r) => r.branch)).size) return 'Invalid branch in branchWindows';
+    target.branchWindows = rows;
+  }
+  if (categoryIds !== undefined) {
+    const ids = [...new Set((Array.isArray(categoryIds) ? categoryIds : []).map(String))];
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) return 'Invalid categoryIds';
+    if ((await Category.countDocuments({ _id: { $in: ids }, restaurant: restaurantId })) !== ids.length) {
+      return 'One or more categories not found';
+    }
+    target.categories = ids;
+  }
+  if (menuItemIds !== undefined) {
+    const ids = [...new Set((Array.isArray(menuItemIds) ? menuItemIds : []).map(String))];
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) return 'Invalid menuItemIds';
+    if ((await MenuItem.countDocuments({ _id: { $in: ids }, restaurant: restaurantId })) !== ids.length) {
+      return 'One or more menu items not found';
+    }
+    target.menuItems = ids;
+  }
+  if (typeof withinOpeningHours === 'boolean') target.withinOpeningHours = withinOpeningHours;
+  if (typeof isActive === 'boolean') target.isActive = isActive;
+  if (!target.windows?.length && !target.branchWindows?.length) return 'At least one window is required';
+  return null;
+}
+
+// @route   GET /api/admin/menu-schedules
+// @desc    Time-based menus for the current branch (its own and shared ones), with whether each is open now
+// @access  Restaurant Admin / Super Admin
+router.get('/menu-schedules', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    const filter = { restaurant: restaurantId };
+    if (branchId) filter.branch = { $in: [branchId, null] };
+    const [schedules, state] = await Promise.all([
+      MenuSchedule.find(filter).sort({ name: 1 }).lean(),
+      loadMenuScheduleState(restaurantId, branchId || null),
+    ]);
+    res.json({
+      timezone: state.timeZone,
+      localTime: state.clock.time,
+      schedules: schedules.map((s) => mapMenuSchedule(s, state)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/menu-schedules
+// @desc    Create a time-based menu: { name, windows: [{ daysOfWeek, startTime, endTime }], branchWindows?,
+//          categoryIds?, menuItemIds?, withinOpeningHours?, branchId? } (branchId null = all branches)
+// @access  Restaurant Admin / Super Admin
+router.post('/menu-schedules', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    let branchId = null;
+    if (req.body.branchId && req.body.branchId !== 'all') {
+      const branchDoc = await Branch.findOne({ _id: req.body.branchId, restaurant: restaurantId }).select('_id').lean();
+      if (!branchDoc) return res.status(400).json({ message: 'Invalid branchId for this restaurant' });
+      branchId = branchDoc._id;
+    }
+    const schedule = new MenuSchedule({ restaurant: restaurantId, branch: branchId });
+    const invalid = await applyMenuScheduleInput(restaurantId, { ...req.body, name: req.body.name ?? '' }, schedule);
+    if (invalid) return res.status(400).json({ message: invalid });
+    await schedule.save();
+    res.status(201).json(mapMenuSchedule(schedule));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A menu schedule with this name already exists' });
+    }
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/menu-schedules/:id
+// @desc    Update a time-based menu (same fields as create, except branchId)
+// @access  Restaurant Admin / Super Admin
+router.put('/menu-schedules/:id', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid schedule id' });
+    }
+    const schedule = await MenuSchedule.findOne({ _id: req.params.id, restaurant: restaurantId });
+    if (!schedule) {
+      return res.status(404).json({ message: 'Menu schedule not found' });
+    }
+    const invalid = await applyMenuScheduleInput(restaurantId, req.body, schedule);
+    if (invalid) return res.status(400).json({ message: invalid });
+    await schedule.save();
+    res.json(mapMenuSchedule(schedule));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A menu schedule with this name already exists' });
+    }
+    next(error);
+  }
+});
 
+// @route   DELETE /api/admin/menu-schedules/:id
+// @desc    Delete a time-based menu (its items become available all day again)
+// @access  Restaurant Admin / Super Admin
+router.delete('/menu-schedules/:id', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid schedule id' });
+    }
+    const result = await MenuSchedule.deleteOne({ _id: req.params.id, restaurant: restaurantId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Menu schedule not found' });
+    }
     res.status(204).send();
   } catch (error) {
     next(error);
@@ -2364,6 +2891,13 @@ router.post('/branch-copy/menu', async (req, res, next) => {
       (item.inventoryConsumptions || []).forEach((c) => {
         if (c.inventoryItem) sourceInvIds.add(c.inventoryItem.toString());
       });
+      (item.modifierGroups || []).forEach((g) => {
+        (g.options || []).forEach((o) => {
+          (o.inventoryConsumptions || []).forEach((c) => {
+            if (c.inventoryItem) sourceInvIds.add(c.inventoryItem.toString());
+          });
+        });
+      });
     });
     const sourceInvItems = await InventoryItem.find({ _id: { $in: [...sourceInvIds] }, restaurant: restaurantId }).lean();
     // Ensure branch-level inventory rows exist for the target branch with zero stock
@@ -2429,6 +2963,11 @@ router.post('/branch-copy/menu', async (req, res, next) => {
         isBestSeller: item.isBestSeller || false,
         dietaryType: item.dietaryType || 'non_veg',
         inventoryConsumptions: consumptions,
+        // Fresh option ids per branch copy; recipes stay on the same inventory items
+        modifierGroups: (item.modifierGroups || []).map(({ _id: _g, options, ...group }) => ({
+          ...group,
+          options: (options || []).map(({ _id: _o, ...option }) => option),
+        })),
       });
       copiedItems += 1;
     }
@@ -2447,6 +2986,62 @@ router.post('/branch-copy/menu', async (req, res, next) => {
 // When x-branch-id is set, inventory reads/writes go through BranchInventory.
 // When no branch (owner global view or no branches yet), falls back to InventoryItem.
 
+// Preferred supplier for reorder suggestions: must be one of the tenant's supplier parties.
+// Returns { supplier: null } for an empty value (clears it).
+async function resolvePreferredSupplier(restaurantId, supplierId) {
+  if (!supplierId) return { supplier: null };
+  if (!mongoose.Types.ObjectId.isValid(supplierId)) return { error: 'Invalid preferredSupplierId' };
+  const supplier = await Party.findOne({ _id: supplierId, tenantId: restaurantId, type: 'supplier' }).select('_id name').lean();
+  if (!supplier) return { error: 'Preferred supplier not found' };
+  return { supplier };
+}
+
+function mapPreferredSupplier(item) {
+  return item.preferredSupplierId
+    ? { id: item.preferredSupplierId.toString(), name: item.preferredSupplierName || '' }
+    : null;
+}
+
+// Prep item fields from a create / update body (only the ones sent). Prep items need a recipe and a yield.
+async function resolvePrepFields(restaurantId, itemId, body, current = {}) {
+  const fields = {};
+  if (body.itemType !== undefined) {
+    if (!['raw', 'prep'].includes(body.itemType)) return { error: 'itemType must be raw or prep' };
+    fields.itemType = body.itemType;
+  }
+  if (body.consumeFrom !== undefined) {
+    if (!['stock', 'recipe'].includes(body.consumeFrom)) return { error: 'consumeFrom must be stock or recipe' };
+    fields.consumeFrom = body.consumeFrom;
+  }
+  if (body.recipeYield !== undefined) {
+    if (!(Number(body.recipeYield) >= 0)) return { error: 'recipeYield must be 0 or more' };
+    fields.recipeYield = Number(body.recipeYield);
+  }
+  if (body.recipe !== undefined) {
+    const result = await normalizeRecipe(restaurantId, itemId, body.recipe);
+    if (result.error) return { error: result.error.message };
+    fields.recipe = result.recipe;
+  }
+  const merged = { ...current, ...fields };
+  if (merged.itemType === 'prep' && (!(merged.recipe || []).length || !(merged.recipeYield > 0))) {
+    return { error: 'Prep items need a recipe and a recipeYield greater than 0' };
+  }
+  return { fields };
+}
+
+function mapPrepFields(item) {
+  return {
+    itemType: item.itemType || 'raw',
+    consumeFrom: item.consumeFrom || 'stock',
+    recipeYield: item.recipeYield || 0,
+    recipe: (item.recipe || []).map((l) => ({
+      inventoryItemId: l.inventoryItem.toString(),
+      quantity: l.quantity,
+      unit: l.unit,
+    })),
+  };
+}
+
 // @route   GET /api/admin/inventory
 // @desc    List inventory items. With x-branch-id: per-branch stock. Without: restaurant-level.
 // @access  Restaurant Admin / Super Admin
@@ -2476,6 +3071,9 @@ router.get('/inventory', async (req, res, next) => {
             currentStock: br ? br.currentStock : 0,
             lowStockThreshold: br ? br.lowStockThreshold : i.lowStockThreshold,
             costPrice: br ? br.costPrice : i.costPrice || 0,
+            parLevel: br?.parLevel || i.parLevel || 0,
+            preferredSupplier: mapPreferredSupplier(i),
+            ...mapPrepFields(i),
             hasBranchRecord: !!br,
           };
         })
@@ -2490,6 +3088,9 @@ router.get('/inventory', async (req, res, next) => {
         currentStock: i.currentStock,
         lowStockThreshold: i.lowStockThreshold,
           costPrice: i.costPrice || 0,
+        parLevel: i.parLevel || 0,
+        preferredSupplier: mapPreferredSupplier(i),
+        ...mapPrepFields(i),
       }))
     );
     }
@@ -2590,7 +3191,7 @@ router.post('/branch-copy/inventory', async (req, res, next) => {
 // @access  Restaurant Admin / Super Admin
 router.post('/inventory', async (req, res, next) => {
   try {
-    const { name, unit, initialStock, lowStockThreshold, costPrice, branchId: bodyBranchId } = req.body;
+    const { name, unit, initialStock, lowStockThreshold, costPrice, parLevel, preferredSupplierId, branchId: bodyBranchId } = req.body;
     const restaurantId = getRestaurantIdForRequest(req);
     const headerBranchId = getBranchIdForRequest(req);
     // Prefer body.branchId over header so the branch user is creating in wins
@@ -2626,6 +3227,17 @@ router.post('/inventory', async (req, res, next) => {
     if (existing) {
       return res.status(400).json({ message: 'An inventory item with this name already exists in this branch.' });
     }
+    if (parLevel !== undefined && !(Number(parLevel) >= 0)) {
+      return res.status(400).json({ message: 'parLevel must be 0 or more' });
+    }
+    const { supplier, error: supplierError } = await resolvePreferredSupplier(restaurantId, preferredSupplierId);
+    if (supplierError) {
+      return res.status(400).json({ message: supplierError });
+    }
+    const { fields: prepFields, error: prepError } = await resolvePrepFields(restaurantId, null, req.body);
+    if (prepError) {
+      return res.status(400).json({ message: prepError });
+    }
 
     const item = await InventoryItem.create({
       restaurant: restaurantId,
@@ -2635,6 +3247,10 @@ router.post('/inventory', async (req, res, next) => {
       currentStock: branchId ? 0 : (initialStock ?? 0),
       lowStockThreshold: branchId ? 0 : (lowStockThreshold ?? 0),
       costPrice: branchId ? 0 : (costPrice ?? 0),
+      parLevel: Number(parLevel) || 0,
+      preferredSupplierId: supplier?._id || null,
+      preferredSupplierName: supplier?.name || '',
+      ...prepFields,
     });
 
     let branchRecord = null;
@@ -2648,6 +3264,15 @@ router.post('/inventory', async (req, res, next) => {
     });
     }
 
+    const openingQty = Number(initialStock) || 0;
+    if (openingQty > 0) {
+      await recordStockMovements(
+        restaurantId,
+        [{ inventoryItem: item._id.toString(), branch: branchId, quantity: openingQty, before: 0, after: openingQty }],
+        { type: 'OPENING', note: 'Initial stock', createdBy: req.user.id }
+      );
+    }
+
     res.status(201).json({
       id: item._id.toString(),
       name: item.name,
@@ -2655,6 +3280,9 @@ router.post('/inventory', async (req, res, next) => {
       currentStock: branchRecord ? branchRecord.currentStock : item.currentStock,
       lowStockThreshold: branchRecord ? branchRecord.lowStockThreshold : item.lowStockThreshold,
       costPrice: branchRecord ? branchRecord.costPrice : item.costPrice || 0,
+      parLevel: item.parLevel || 0,
+      preferredSupplier: mapPreferredSupplier(item),
+      ...mapPrepFields(item),
     });
   } catch (error) {
     if (error.code === 11000) {
@@ -2670,7 +3298,7 @@ router.post('/inventory', async (req, res, next) => {
 router.put('/inventory/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, unit, lowStockThreshold, stockAdjustment, costPrice } = req.body;
+    const { name, unit, lowStockThreshold, stockAdjustment, stockAdjustmentNote, costPrice, parLevel, preferredSupplierId } = req.body;
     const restaurantId = getRestaurantIdForRequest(req);
     const branchId = getBranchIdForRequest(req);
 
@@ -2700,23 +3328,67 @@ router.put('/inventory/:id', async (req, res, next) => {
       }
       item.unit = unit;
     }
+    if (parLevel !== undefined && !(Number(parLevel) >= 0)) {
+      return res.status(400).json({ message: 'parLevel must be 0 or more' });
+    }
+    if (preferredSupplierId !== undefined) {
+      const { supplier, error: supplierError } = await resolvePreferredSupplier(restaurantId, preferredSupplierId);
+      if (supplierError) {
+        return res.status(400).json({ message: supplierError });
+      }
+      item.preferredSupplierId = supplier?._id || null;
+      item.preferredSupplierName = supplier?.name || '';
+    }
+    const { fields: prepFields, error: prepError } = await resolvePrepFields(restaurantId, item._id, req.body, {
+      itemType: item.itemType,
+      recipe: item.recipe,
+      recipeYield: item.recipeYield,
+    });
+    if (prepError) {
+      return res.status(400).json({ message: prepError });
+    }
+    item.set(prepFields);
 
     if (branchId) {
       // Save any restaurant-level definition changes
       await item.save();
 
-      // Update or create BranchInventory row
-      let branchRow = await BranchInventory.findOne({ branch: branchId, inventoryItem: item._id });
-      if (!branchRow) {
-        branchRow = new BranchInventory({ branch: branchId, inventoryItem: item._id, currentStock: 0, lowStockThreshold: 0, costPrice: 0 });
-      }
-      if (lowStockThreshold !== undefined) branchRow.lowStockThreshold = lowStockThreshold;
-      if (costPrice !== undefined) branchRow.costPrice = costPrice;
+      // Update or create BranchInventory row (stock itself only moves through the ledger)
+      const branchSet = {};
+      if (lowStockThreshold !== undefined) branchSet.lowStockThreshold = lowStockThreshold;
+      if (costPrice !== undefined) branchSet.costPrice = costPrice;
+      if (parLevel !== undefined) branchSet.parLevel = Number(parLevel);
+      const previousRow =
+        costPrice !== undefined
+          ? await BranchInventory.findOne({ branch: branchId, inventoryItem: item._id }).select('costPrice currentStock').lean()
+          : null;
+      await BranchInventory.updateOne(
+        { branch: branchId, inventoryItem: item._id },
+        Object.keys(branchSet).length ? { $set: branchSet } : { $setOnInsert: { currentStock: 0 } },
+        { upsert: true }
+      );
       if (stockAdjustment !== undefined) {
-        const adj = Number(stockAdjustment) || 0;
-        branchRow.currentStock = Math.max(0, branchRow.currentStock + adj);
+        await adjustStockLevel({
+          restaurantId,
+          branchId,
+          inventoryItemId: item._id,
+          delta: Number(stockAdjustment) || 0,
+          note: String(stockAdjustmentNote || '').trim(),
+          createdBy: req.user.id,
+        });
+      }
+      const branchRow = await BranchInventory.findOne({ branch: branchId, inventoryItem: item._id }).lean();
+      if (costPrice !== undefined) {
+        await recordManualCostChange({
+          restaurantId,
+          branchId,
+          inventoryItemId: item._id,
+          oldCostPrice: previousRow?.costPrice,
+          newCostPrice: branchRow.costPrice,
+          stockQty: branchRow.currentStock,
+          createdBy: req.user.id,
+        });
       }
-      await branchRow.save();
 
       res.json({
         id: item._id.toString(),
@@ -2725,16 +3397,37 @@ router.put('/inventory/:id', async (req, res, next) => {
         currentStock: branchRow.currentStock,
         lowStockThreshold: branchRow.lowStockThreshold,
         costPrice: branchRow.costPrice || 0,
+        parLevel: branchRow.parLevel || item.parLevel || 0,
+        preferredSupplier: mapPreferredSupplier(item),
+        ...mapPrepFields(item),
       });
     } else {
       // No branch: update restaurant-level stock (legacy)
     if (lowStockThreshold !== undefined) item.lowStockThreshold = lowStockThreshold;
+      const previousCostPrice = item.costPrice;
       if (costPrice !== undefined) item.costPrice = costPrice;
+      if (parLevel !== undefined) item.parLevel = Number(parLevel);
+    await item.save();
+      if (costPrice !== undefined) {
+        await recordManualCostChange({
+          restaurantId,
+          inventoryItemId: item._id,
+          oldCostPrice: previousCostPrice,
+          newCostPrice: item.costPrice,
+          stockQty: item.currentStock,
+          createdBy: req.user.id,
+        });
+      }
     if (stockAdjustment !== undefined) {
-      const adj = Number(stockAdjustment) || 0;
-      item.currentStock = Math.max(0, item.currentStock + adj);
+      await adjustStockLevel({
+        restaurantId,
+        inventoryItemId: item._id,
+        delta: Number(stockAdjustment) || 0,
+        note: String(stockAdjustmentNote || '').trim(),
+        createdBy: req.user.id,
+      });
+      item.currentStock = (await InventoryItem.findById(item._id).select('currentStock').lean())?.currentStock ?? item.currentStock;
     }
-    await item.save();
 
     res.json({
       id: item._id.toString(),
@@ -2743,6 +3436,9 @@ router.put('/inventory/:id', async (req, res, next) => {
       currentStock: item.currentStock,
       lowStockThreshold: item.lowStockThreshold,
         costPrice: item.costPrice || 0,
+      parLevel: item.parLevel || 0,
+      preferredSupplier: mapPreferredSupplier(item),
+      ...mapPrepFields(item),
     });
     }
   } catch (error) {
@@ -2761,6 +3457,13 @@ router.delete('/inventory/:id', async (req, res, next) => {
     const { id } = req.params;
     const restaurantId = getRestaurantIdForRequest(req);
 
+    const usedBy = mongoose.Types.ObjectId.isValid(id)
+      ? await InventoryItem.findOne({ restaurant: restaurantId, 'recipe.inventoryItem': id }).select('name').lean()
+      : null;
+    if (usedBy) {
+      return res.status(400).json({ message: `This item is used in the recipe of ${usedBy.name}` });
+    }
+
     const item = await InventoryItem.findOneAndDelete({ _id: id, restaurant: restaurantId });
     if (!item) {
       return res.status(404).json({ message: 'Inventory item not found' });
@@ -2775,28 +3478,509 @@ router.delete('/inventory/:id', async (req, res, next) => {
   }
 });
 
-// WEBSITE SETTINGS ROUTES
-
-// @route   GET /api/admin/website
-// @desc    Get website settings for current restaurant (optionally branch-specific)
+// @route   GET /api/admin/inventory/:id/stock-card
+// @desc    Stock card for an item: opening balance, movements with running balance, closing balance.
+//          Uses x-branch-id (branch stock) or restaurant-level stock when no branch is selected.
+//          ?from=&to= (default: last 30 days), ?format=csv for a download
 // @access  Restaurant Admin / Super Admin
-router.get('/website', async (req, res, next) => {
+router.get('/inventory/:id/stock-card', async (req, res, next) => {
   try {
     const restaurantId = getRestaurantIdForRequest(req);
     const branchId = getBranchIdForRequest(req);
-    const restaurant = await Restaurant.findById(restaurantId);
-    if (!restaurant) {
-      return res.status(404).json({ message: 'Restaurant not found' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid inventory item id' });
+    }
+    const fromDate = req.query.from ? new Date(req.query.from) : new Date(Date.now() - 30 * 86400000);
+    const toDate = req.query.to ? new Date(req.query.to) : new Date();
+    if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid from or to date' });
     }
 
-    const raw = restaurant.website || {};
-    const base = typeof raw.toObject === 'function' ? raw.toObject() : { ...raw };
+    const card = await buildStockCard({
+      restaurantId,
+      branchId: branchId || null,
+      inventoryItemId: req.params.id,
+      from: fromDate,
+      to: toDate,
+    });
+    if (!card) {
+      return res.status(404).json({ message: 'Inventory item not found' });
+    }
 
-    let merged = { ...base };
+    if (req.query.format === 'csv') {
+      const rows = [
+        { date: card.from.toISOString(), type: 'OPENING BALANCE', balance: card.openingBalance },
+        ...card.movements.map((m) => ({
+          date: new Date(m.date).toISOString(),
+          type: m.type,
+          reference: m.referenceNumber,
+          in: m.in || '',
+          out: m.out || '',
+          balance: m.balance,
+          user: m.createdBy?.name || '',
+          note: m.note,
+        })),
+        { date: card.to.toISOString(), type: 'CLOSING BALANCE', in: card.totalIn, out: card.totalOut, balance: card.closingBalance },
+      ];
+      const safeName = card.item.name.replace(/[^a-z0-9-_]+/gi, '-').toLowerCase() || 'item';
+      return sendCsv(res, `stock-card-${safeName}.csv`, rows, [
+        { key: 'date', label: 'Date' },
+        { key: 'type', label: 'Type' },
+        { key: 'reference', label: 'Reference' },
+        { key: 'in', label: `In (${card.item.unit})` },
+        { key: 'out', label: `Out (${card.item.unit})` },
+        { key: 'balance', label: 'Balance' },
+        { key: 'user', label: 'User' },
+        { key: 'note', label: 'Note' },
+      ]);
+    }
+
+    res.json(card);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // When a branch is selected, apply branch-specific overrides if present
-    if (branchId) {
-      const branch = await Branch.findOne({ _id: branchId, restaurant: restaurantId }).lean();
+// @route   GET /api/admin/stock-movements
+// @desc    Stock ledger for the restaurant / selected branch. Filters: itemId, type, from, to; paginated (page, limit)
+// @access  Restaurant Admin / Super Admin
+router.get('/stock-movements', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const query = { restaurant: restaurantId };
+    if (branchId) query.branch = branchId;
+    if (req.query.itemId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.itemId)) {
+        return res.status(400).json({ message: 'Invalid itemId' });
+      }
+      query.inventoryItem = req.query.itemId;
+    }
+    if (req.query.type) query.type = String(req.query.type).toUpperCase();
+    if (req.query.from || req.query.to) {
+      query.createdAt = {};
+      if (req.query.from) query.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const [rows, total] = await Promise.all([
+      StockMovement.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('createdBy', 'name')
+        .lean(),
+      StockMovement.countDocuments(query),
+    ]);
+
+    res.json({
+      movements: rows.map((m) => ({
+        id: m._id.toString(),
+        date: m.createdAt,
+        branchId: m.branch ? m.branch.toString() : null,
+        inventoryItemId: m.inventoryItem.toString(),
+        itemName: m.itemName,
+        unit: m.unit,
+        type: m.type,
+        quantity: m.quantity,
+        balanceBefore: m.balanceBefore,
+        balanceAfter: m.balanceAfter,
+        referenceType: m.referenceType || null,
+        referenceId: m.referenceId ? m.referenceId.toString() : null,
+        referenceNumber: m.referenceNumber || '',
+        note: m.note || '',
+        createdBy: m.createdBy ? { id: m.createdBy._id.toString(), name: m.createdBy.name || '' } : null,
+      })),
+      page,
+      limit,
+      total,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stock counts and wastage are open to back-of-house staff; approving, reopening and cancelling counts needs a manager
+const INVENTORY_STAFF_ROLES = ['restaurant_admin', 'super_admin', 'admin', 'manager', 'product_manager', 'kitchen_staff'];
+const INVENTORY_MANAGER_ROLES = ['restaurant_admin', 'super_admin', 'admin', 'manager'];
+
+// @route   GET /api/admin/stock-counts
+// @desc    List stock counts for the restaurant / selected branch (?status=IN_PROGRESS|SUBMITTED|APPROVED|CANCELLED)
+// @access  Restaurant Admin / Manager / Product Manager / Kitchen Staff
+router.get('/stock-counts', async (req, res, next) => {
+  try {
+    if (!INVENTORY_STAFF_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Insufficient permissions for stock counts' });
+    }
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    const query = { restaurant: restaurantId };
+    if (branchId) query.branch = branchId;
+    if (req.query.status) query.status = String(req.query.status).toUpperCase();
+
+    const counts = await StockCount.find(query).sort({ createdAt: -1 }).limit(100);
+    res.json(counts.map((c) => mapStockCount(c)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/stock-counts
+// @desc    Start a stock count: freezes system quantities and costs for the branch.
+//          Body: { inventoryItemIds?: string[] (cycle count; default all items), notes? }
+// @access  Restaurant Admin / Manager / Product Manager / Kitchen Staff
+router.post('/stock-counts', async (req, res, next) => {
+  try {
+    if (!INVENTORY_STAFF_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Insufficient permissions for stock counts' });
+    }
+    const result = await startStockCount({
+      restaurantId: getRestaurantIdForRequest(req),
+      branchId: getBranchIdForRequest(req) || null,
+      inventoryItemIds: req.body.inventoryItemIds,
+      notes: req.body.notes,
+      createdBy: req.user._id,
+    });
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message, code: result.error.code });
+    }
+    res.status(201).json(mapStockCount(result.count, { includeLines: true }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/stock-counts/:id
+// @desc    Stock count with per-item variance (qty and value); ?format=csv for the variance report
+// @access  Restaurant Admin / Manager / Product Manager / Kitchen Staff
+router.get('/stock-counts/:id', async (req, res, next) => {
+  try {
+    if (!INVENTORY_STAFF_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Insufficient permissions for stock counts' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid stock count id' });
+    }
+    const count = await StockCount.findOne({ _id: req.params.id, restaurant: getRestaurantIdForRequest(req) });
+    if (!count) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    const mapped = mapStockCount(count, { includeLines: true });
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `stock-count-${count.countNumber}.csv`, mapped.lines, [
+        { key: 'itemName', label: 'Item' },
+        { key: 'unit', label: 'Unit' },
+        { key: 'systemQty', label: 'System Qty' },
+        { key: 'countedQty', label: 'Counted Qty' },
+        { key: 'varianceQty', label: 'Variance Qty' },
+        { key: 'costPrice', label: 'Cost Price' },
+        { key: 'varianceValue', label: 'Variance Value' },
+      ]);
+    }
+    res.json(mapped);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/stock-counts/:id/entries
+// @desc    Enter counted quantities. Body: { entries: [{ inventoryItemId, quantity, location? }] }.
+//          Entries from different staff or locations add up; re-entering your own location replaces it.
+// @access  Restaurant Admin / Manager / Product Manager / Kitchen Staff
+router.put('/stock-counts/:id/entries', async (req, res, next) => {
+  try {
+    if (!INVENTORY_STAFF_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Insufficient permissions for stock counts' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid stock count id' });
+    }
+    const result = await recordCountEntries({
+      restaurantId: getRestaurantIdForRequest(req),
+      countId: req.params.id,
+      entries: req.body.entries,
+      user: req.user,
+    });
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message, code: result.error.code });
+    }
+    res.json(mapStockCount(result.count, { includeLines: true }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/stock-counts/:id/submit
+// @desc    Finish counting and send the count for approval
+// @access  Restaurant Admin / Manager / Product Manager / Kitchen Staff
+router.post('/stock-counts/:id/submit', async (req, res, next) => {
+  try {
+    if (!INVENTORY_STAFF_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Insufficient permissions for stock counts' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid stock count id' });
+    }
+    const result = await transitionStockCount({
+      restaurantId: getRestaurantIdForRequest(req),
+      countId: req.params.id,
+      from: ['IN_PROGRESS'],
+      to: 'SUBMITTED',
+      set: { submittedBy: req.user._id, submittedAt: new Date() },
+    });
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message, code: result.error.code });
+    }
+    res.json(mapStockCount(result.count, { includeLines: true }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/stock-counts/:id/reopen
+// @desc    Send a submitted count back for recounting
+// @access  Restaurant Admin / Manager
+router.post('/stock-counts/:id/reopen', async (req, res, next) => {
+  try {
+    if (!INVENTORY_MANAGER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Only a manager can reopen a stock count' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid stock count id' });
+    }
+    const result = await transitionStockCount({
+      restaurantId: getRestaurantIdForRequest(req),
+      countId: req.params.id,
+      from: ['SUBMITTED'],
+      to: 'IN_PROGRESS',
+      set: { submittedBy: null, submittedAt: null },
+    });
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message, code: result.error.code });
+    }
+    res.json(mapStockCount(result.count, { includeLines: true }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/stock-counts/:id/approve
+// @desc    Approve a submitted count: adjusts stock by the variance and posts the stock loss / gain journal
+// @access  Restaurant Admin / Manager
+router.post('/stock-counts/:id/approve', async (req, res, next) => {
+  try {
+    if (!INVENTORY_MANAGER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Only a manager can approve a stock count' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid stock count id' });
+    }
+    const result = await approveStockCount({
+      restaurantId: getRestaurantIdForRequest(req),
+      countId: req.params.id,
+      approvedBy: req.user._id,
+    });
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message, code: result.error.code });
+    }
+    res.json({
+      ...mapStockCount(result.count, { includeLines: true }),
+      adjustedItems: result.movements.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/stock-counts/:id/cancel
+// @desc    Cancel an open count (no stock or accounting changes)
+// @access  Restaurant Admin / Manager
+router.post('/stock-counts/:id/cancel', async (req, res, next) => {
+  try {
+    if (!INVENTORY_MANAGER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Only a manager can cancel a stock count' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid stock count id' });
+    }
+    const result = await transitionStockCount({
+      restaurantId: getRestaurantIdForRequest(req),
+      countId: req.params.id,
+      from: ['IN_PROGRESS', 'SUBMITTED'],
+      to: 'CANCELLED',
+      set: { cancelledAt: new Date() },
+    });
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message, code: result.error.code });
+    }
+    res.json(mapStockCount(result.count));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/wastage
+// @desc    Record wastage of an inventory item or a prepared menu item (recipe is deducted).
+//          Body: { inventoryItemId | menuItemId, quantity, reason, note?, modifiers?, wastedAt? }
+// @access  Restaurant Admin / Manager / Product Manager / Kitchen Staff
+router.post('/wastage', async (req, res, next) => {
+  try {
+    if (!INVENTORY_STAFF_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Insufficient permissions to record wastage' });
+    }
+    const result = await recordWastage({
+      restaurantId: getRestaurantIdForRequest(req),
+      branchId: getBranchIdForRequest(req) || null,
+      input: req.body,
+      user: req.user,
+    });
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message, code: result.error.code });
+    }
+    res.status(201).json(mapWastage(result.wastage));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/wastage
+// @desc    Wastage log for the restaurant / selected branch. Filters: from, to, reason; paginated (page, limit)
+// @access  Restaurant Admin / Manager / Product Manager / Kitchen Staff
+router.get('/wastage', async (req, res, next) => {
+  try {
+    if (!INVENTORY_STAFF_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Insufficient permissions to view wastage' });
+    }
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const query = { restaurant: restaurantId };
+    if (branchId) query.branch = branchId;
+    if (req.query.reason) query.reason = String(req.query.reason).toUpperCase();
+    if (req.query.from || req.query.to) {
+      query.wastedAt = {};
+      if (req.query.from) query.wastedAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.wastedAt.$lte = new Date(req.query.to);
+    }
+
+    const [rows, total] = await Promise.all([
+      Wastage.find(query).sort({ wastedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Wastage.countDocuments(query),
+    ]);
+    res.json({ wastage: rows.map(mapWastage), reasons: WASTAGE_REASONS, page, limit, total });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/production/preview
+// @desc    Ingredients and cost a prep item batch would use. Body: { prepItemId, producedQty? | batches? }
+// @access  Restaurant Admin / Manager / Product Manager / Kitchen Staff
+router.post('/production/preview', async (req, res, next) => {
+  try {
+    if (!INVENTORY_STAFF_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Insufficient permissions for production' });
+    }
+    const result = await previewProduction({
+      restaurantId: getRestaurantIdForRequest(req),
+      branchId: getBranchIdForRequest(req) || null,
+      input: req.body,
+    });
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message, code: result.error.code });
+    }
+    res.json(result.preview);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/production
+// @desc    Produce a batch of a prep item: deducts the recipe's ingredients, adds the prep stock and re-costs it.
+//          Body: { prepItemId, producedQty? | batches? (default one recipe yield), producedAt?, notes? }
+// @access  Restaurant Admin / Manager / Product Manager / Kitchen Staff
+router.post('/production', async (req, res, next) => {
+  try {
+    if (!INVENTORY_STAFF_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Insufficient permissions for production' });
+    }
+    const result = await producePrepBatch({
+      restaurantId: getRestaurantIdForRequest(req),
+      branchId: getBranchIdForRequest(req) || null,
+      input: req.body,
+      user: req.user,
+    });
+    if (result.error) {
+      return res
+        .status(result.error.status)
+        .json({ message: result.error.message, code: result.error.code, details: result.error.details });
+    }
+    res.status(201).json({ ...mapProductionBatch(result.batch), revaluations: result.revaluations.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/production
+// @desc    Production batches for the restaurant / selected branch. Filters: from, to, prepItemId; paginated (page, limit)
+// @access  Restaurant Admin / Manager / Product Manager / Kitchen Staff
+router.get('/production', async (req, res, next) => {
+  try {
+    if (!INVENTORY_STAFF_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Insufficient permissions for production' });
+    }
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const query = { restaurant: restaurantId };
+    if (branchId) query.branch = branchId;
+    if (req.query.prepItemId && mongoose.Types.ObjectId.isValid(req.query.prepItemId)) query.prepItem = req.query.prepItemId;
+    if (req.query.from || req.query.to) {
+      query.producedAt = {};
+      if (req.query.from) query.producedAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.producedAt.$lte = new Date(req.query.to);
+    }
+
+    const [rows, total] = await Promise.all([
+      ProductionBatch.find(query).sort({ producedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      ProductionBatch.countDocuments(query),
+    ]);
+    res.json({ batches: rows.map(mapProductionBatch), page, limit, total });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// WEBSITE SETTINGS ROUTES
+
+// @route   GET /api/admin/website
+// @desc    Get website settings for current restaurant (optionally branch-specific)
+// @access  Restaurant Admin / Super Admin
+router.get('/website', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    const restaurant = await Restaurant.findById(restaurantId);
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    const raw = restaurant.website || {};
+    const base = typeof raw.toObject === 'function' ? raw.toObject() : { ...raw };
+
+    let merged = { ...base };
+
+    // When a branch is selected, apply branch-specific overrides if present
+    if (branchId) {
+      const branch = await Branch.findOne({ _id: branchId, restaurant: restaurantId }).lean();
       const overrides = (branch && branch.websiteOverrides) || {};
       const overrideKeys = [
         'heroSlides',
@@ -3193,6 +4377,11 @@ router.put('/settings', async (req, res, next) => {
 
     const {
       allowOrderWhenOutOfStock,
+      postTransferJournals,
+      purchasePriceAlertPercent,
+      targetFoodCostPercent,
+      timezone,
+      inventoryCostingMethod,
       restaurantLogoUrl,
       restaurantLogoHeightPx,
       billFooterMessage,
@@ -3201,12 +4390,42 @@ router.put('/settings', async (req, res, next) => {
       posDiscountPresets,
       posManagerDiscountPin,
       posManagerDiscountPinClear,
+      tax,
+      loyalty,
+      tips,
+      orderNumbering,
     } = req.body;
 
     if (typeof allowOrderWhenOutOfStock === 'boolean') {
       restaurant.settings.allowOrderWhenOutOfStock = allowOrderWhenOutOfStock;
     }
 
+    if (typeof postTransferJournals === 'boolean') {
+      restaurant.settings.postTransferJournals = postTransferJournals;
+    }
+
+    if (typeof purchasePriceAlertPercent === 'number' && purchasePriceAlertPercent >= 0) {
+      restaurant.settings.purchasePriceAlertPercent = purchasePriceAlertPercent;
+    }
+
+    if (typeof targetFoodCostPercent === 'number' && targetFoodCostPercent >= 1 && targetFoodCostPercent <= 100) {
+      restaurant.settings.targetFoodCostPercent = targetFoodCostPercent;
+    }
+
+    if (timezone !== undefined) {
+      if (timezone && !isValidTimeZone(timezone)) {
+        return res.status(400).json({ message: 'Invalid timezone' });
+      }
+      restaurant.settings.timezone = timezone || null;
+    }
+
+    if (inventoryCostingMethod !== undefined) {
+      if (!COSTING_METHODS.includes(inventoryCostingMethod)) {
+        return res.status(400).json({ message: `inventoryCostingMethod must be one of ${COSTING_METHODS.join(', ')}` });
+      }
+      restaurant.settings.inventoryCostingMethod = inventoryCostingMethod;
+    }
+
     if (restaurantLogoUrl !== undefined) {
       restaurant.settings.restaurantLogoUrl = restaurantLogoUrl;
     }
@@ -3253,6 +4472,52 @@ router.put('/settings', async (req, res, next) => {
       restaurant.settings.posDiscountPresets = cleaned;
     }
 
+    if (tax && typeof tax === 'object') {
+      const currentTax =
+        restaurant.settings.tax && typeof restaurant.settings.tax.toObject === 'function'
+          ? restaurant.settings.tax.toObject()
+          : { ...(restaurant.settings.tax || {}) };
+      restaurant.settings.tax = { ...currentTax, ...sanitizeTaxSettingsInput(tax) };
+    }
+
+    if (loyalty && typeof loyalty === 'object') {
+      const currentLoyalty =
+        restaurant.settings.loyalty && typeof restaurant.settings.loyalty.toObject === 'function'
+          ? restaurant.settings.loyalty.toObject()
+          : { ...(restaurant.settings.loyalty || {}) };
+      restaurant.settings.loyalty = { ...currentLoyalty, ...sanitizeLoyaltySettingsInput(loyalty) };
+    }
+
+    if (tips && typeof tips === 'object') {
+      const currentTips =
+        restaurant.settings.tips && typeof restaurant.settings.tips.toObject === 'function'
+          ? restaurant.settings.tips.toObject()
+          : { ...(restaurant.settings.tips || {}) };
+      restaurant.settings.tips = { ...currentTips, ...sanitizeTipSettingsInput(tips) };
+    }
+
+    if (orderNumbering && typeof orderNumbering === 'object') {
+      if (orderNumbering.template !== undefined) {
+        const templateError = validateOrderNumberTemplate(orderNumbering.template);
+        if (templateError) {
+          return res.status(400).json({ message: templateError });
+        }
+      }
+      const currentNumbering =
+        restaurant.settings.orderNumbering && typeof restaurant.settings.orderNumbering.toObject === 'function'
+          ? restaurant.settings.orderNumbering.toObject()
+          : { ...(restaurant.settings.orderNumbering || {}) };
+      const nextNumbering = { ...currentNumbering, ...sanitizeOrderNumberingInput(orderNumbering) };
+      const combinationError = validateOrderNumberTemplate(
+        nextNumbering.template ?? DEFAULT_ORDER_NUMBERING.template,
+        nextNumbering.resetDaily ?? DEFAULT_ORDER_NUMBERING.resetDaily
+      );
+      if (combinationError) {
+        return res.status(400).json({ message: combinationError });
+      }
+      restaurant.settings.orderNumbering = nextNumbering;
+    }
+
     // Mongoose won't detect nested-object mutations without this
     restaurant.markModified('settings');
     await restaurant.save();
@@ -3275,6 +4540,21 @@ router.put('/settings', async (req, res, next) => {
   }
 });
 
+// @route   GET /api/admin/order-numbering/preview
+// @desc    Next order number and token for the current branch (does not consume them)
+// @access  Restaurant Admin / Super Admin
+router.get('/order-numbering/preview', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    const prefix = req.query.prefix === 'WEB' ? 'WEB' : 'ORD';
+    const preview = await peekOrderNumber(restaurantId, branchId || null, prefix);
+    res.json(preview);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   PUT /api/admin/website
 // @desc    Update website branding/content (global + branch-specific parts)
 // @access  Restaurant Admin / Super Admin
@@ -3676,6 +4956,7 @@ router.get('/reports/sales', async (req, res, next) => {
             if (invCostMapForReport.has(id)) invCostMapForReport.set(id, { ...invCostMapForReport.get(id), costPrice: r.costPrice ?? 0 });
           }
         }
+        await applyRecipeCosts(restaurantId, invCostMapForReport, { branchId });
       }
     }
 
@@ -3900,6 +5181,47 @@ router.get('/reports/sales', async (req, res, next) => {
       })),
     };
 
+    // Refunds issued in the period (money out, by tender); revenue above stays gross
+    const refundFilter = useSessionScope
+      ? { restaurant: restaurantId, daySession: sessionDoc._id }
+      : { restaurant: restaurantId, createdAt: { $gte: fromDate, $lte: toDate } };
+    if (branchId) refundFilter.$or = [{ branch: branchId }, { branch: null }];
+    const periodRefunds = await Refund.find(refundFilter).sort({ createdAt: -1 }).lean();
+    const refundByTender = {};
+    for (const r of periodRefunds) {
+      const m = r.tender?.method || 'CASH';
+      if (!refundByTender[m]) refundByTender[m] = { count: 0, amount: 0 };
+      refundByTender[m].count += 1;
+      refundByTender[m].amount += r.amount;
+    }
+    const totalRefunds = periodRefunds.reduce((s, r) => s + r.amount, 0);
+    payload.totalRefunds = Math.round(totalRefunds);
+    payload.netRevenue = Math.round(totalRevenue - totalRefunds);
+    payload.refundSummary = {
+      count: periodRefunds.length,
+      amount: Math.round(totalRefunds),
+      taxAmount: Math.round(periodRefunds.reduce((s, r) => s + (r.taxAmount || 0), 0)),
+      restocked: periodRefunds.filter((r) => r.stockAction === 'RESTOCK').length,
+      wasted: periodRefunds.filter((r) => r.stockAction === 'WASTE').length,
+      byTender: Object.entries(refundByTender).map(([method, d]) => ({
+        method: pmLabels[method] || method,
+        count: d.count,
+        amount: Math.round(d.amount),
+      })),
+      refunds: periodRefunds.slice(0, 200).map((r) => ({
+        id: r._id.toString(),
+        refundNumber: r.refundNumber,
+        orderId: r.order.toString(),
+        orderNumber: r.orderNumber,
+        type: r.type,
+        amount: r.amount,
+        tender: r.tender?.method,
+        stockAction: r.stockAction,
+        reason: r.reason || '',
+        createdAt: r.createdAt,
+      })),
+    };
+
     // Per order-type detailed breakdown
     const typeDetails = {};
     for (const order of orders) {
@@ -3945,6 +5267,19 @@ router.get('/reports/sales', async (req, res, next) => {
     payload.reservationSummary = reservationSummary;
 
     // Completed (closed) orders summary
+    // Wastage in the same window (full breakdown: GET /reports/wastage)
+    const wastageReport = await buildWastageReport({
+      restaurantId,
+      branchId: branchId || sessionDoc?.branch || null,
+      from: fromDate,
+      to: toDate,
+    });
+    payload.wastageSummary = {
+      count: wastageReport.count,
+      totalCost: wastageReport.totalCost,
+      byReason: wastageReport.byReason,
+    };
+
     payload.completedSummary = {
       count: orders.length,
       amount: Math.round(totalRevenue),
@@ -3967,40 +5302,169 @@ router.get('/reports/sales', async (req, res, next) => {
   }
 });
 
-// @route   GET /api/admin/reports/discounts
-// @desc    Discount totals by reason, staff, and day (paid closed orders)
-// @access  Tenant admin / manager / cashier (same as sales report)
-router.get('/reports/discounts', async (req, res, next) => {
+// @route   GET /api/admin/reports/wastage
+// @desc    Wastage cost by reason, item, branch, staff member and day (?from=&to=, default last 30 days)
+// @access  Restaurant Admin / Super Admin / Manager
+router.get('/reports/wastage', async (req, res, next) => {
   try {
     const restaurantId = getRestaurantIdForRequest(req);
     const branchId = getBranchIdForRequest(req);
-    const { from, to, daySessionId: daySessionIdRaw } = req.query;
-    let fromDate = from ? new Date(from) : new Date(Date.now() - 30 * 86400000);
-    let toDate = to ? new Date(to) : new Date();
-    const daySessionId =
-      daySessionIdRaw && mongoose.Types.ObjectId.isValid(String(daySessionIdRaw))
-        ? String(daySessionIdRaw)
-        : null;
-
-    const match = {
-      restaurant: restaurantId,
-      discountAmount: { $gt: 0 },
-      status: { $in: ['DELIVERED', 'COMPLETED'] },
-    };
-    let sessionScoped = false;
-    if (daySessionId) {
-      const ds = await DaySession.findOne({
-        _id: daySessionId,
-        restaurant: restaurantId,
-      })
-        .select('startAt endAt')
-        .lean();
-      if (ds?.startAt) {
-        match.daySession = new mongoose.Types.ObjectId(daySessionId);
-        sessionScoped = true;
-        fromDate = new Date(ds.startAt);
-        toDate = ds.endAt ? new Date(ds.endAt) : new Date();
-      }
+    const { from, to } = req.query;
+    const fromDate = from ? new Date(from) : new Date(Date.now() - 30 * 86400000);
+    const toDate = to ? new Date(to) : new Date();
+    if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid from or to date' });
+    }
+
+    const report = await buildWastageReport({ restaurantId, branchId: branchId || null, from: fromDate, to: toDate });
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/reports/inventory-revaluation
+// @desc    Cost price changes (GRN / transfer receipts, FIFO layers, manual edits) and their effect on
+//          stock valuation, plus stock on hand at current cost (?from=&to=&itemId=&format=csv, default last 30 days)
+// @access  Restaurant Admin / Super Admin / Manager
+router.get('/reports/inventory-revaluation', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    const { from, to, itemId } = req.query;
+    const fromDate = from ? new Date(from) : new Date(Date.now() - 30 * 86400000);
+    const toDate = to ? new Date(to) : new Date();
+    if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid from or to date' });
+    }
+    if (itemId && !mongoose.Types.ObjectId.isValid(itemId)) {
+      return res.status(400).json({ message: 'Invalid itemId' });
+    }
+
+    const report = await buildRevaluationReport({
+      restaurantId,
+      branchId: branchId || null,
+      inventoryItemId: itemId || null,
+      from: fromDate,
+      to: toDate,
+    });
+    if (req.query.format === 'csv') {
+      return sendCsv(res, 'inventory-revaluation.csv', report.entries, [
+        { key: 'createdAt', label: 'Date' },
+        { key: 'itemName', label: 'Item' },
+        { key: 'unit', label: 'Unit' },
+        { key: 'reason', label: 'Reason' },
+        { key: 'referenceNumber', label: 'Reference' },
+        { key: 'oldCostPrice', label: 'Old Cost Price' },
+        { key: 'newCostPrice', label: 'New Cost Price' },
+        { key: 'changePercent', label: 'Change %' },
+        { key: 'stockQty', label: 'Stock Qty' },
+        { key: 'valuationImpact', label: 'Valuation Impact' },
+      ]);
+    }
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/reports/menu-engineering
+// @desc    Menu items classified as stars / plowhorses / puzzles / dogs by popularity and contribution margin
+//          (paid closed orders), food cost % per item and category, items above the target food cost with a
+//          suggested price (?from=&to=&targetFoodCostPercent=&priceStep=&format=csv, default last 30 days)
+// @access  Restaurant Admin / Super Admin / Manager
+router.get('/reports/menu-engineering', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    const { from, to } = req.query;
+    const fromDate = from ? new Date(from) : new Date(Date.now() - 30 * 86400000);
+    const toDate = to ? new Date(to) : new Date();
+    if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid from or to date' });
+    }
+    let targetFoodCostPercent;
+    if (req.query.targetFoodCostPercent !== undefined) {
+      targetFoodCostPercent = Number(req.query.targetFoodCostPercent);
+      if (!(targetFoodCostPercent >= 1 && targetFoodCostPercent <= 100)) {
+        return res.status(400).json({ message: 'targetFoodCostPercent must be between 1 and 100' });
+      }
+    }
+    const priceStep = req.query.priceStep !== undefined ? Number(req.query.priceStep) : 1;
+    if (!(priceStep >= 0)) {
+      return res.status(400).json({ message: 'priceStep must be 0 or more' });
+    }
+
+    const report = await buildMenuEngineeringReport({
+      restaurantId,
+      branchId: branchId || null,
+      from: fromDate,
+      to: toDate,
+      targetFoodCostPercent,
+      priceStep,
+      includeOrder: isOrderPaid,
+    });
+    if (req.query.format === 'csv') {
+      return sendCsv(res, 'menu-engineering.csv', report.items, [
+        { key: 'name', label: 'Item' },
+        { key: 'categoryName', label: 'Category' },
+        { key: 'classification', label: 'Class' },
+        { key: 'quantitySold', label: 'Qty Sold' },
+        { key: 'menuMixPercent', label: 'Menu Mix %' },
+        { key: 'revenue', label: 'Revenue' },
+        { key: 'averagePrice', label: 'Avg Price' },
+        { key: 'unitCost', label: 'Unit Cost' },
+        { key: 'contributionMargin', label: 'Contribution Margin' },
+        { key: 'totalContribution', label: 'Total Contribution' },
+        { key: 'foodCostPercent', label: 'Food Cost %' },
+        { key: 'menuPrice', label: 'Menu Price' },
+        { key: 'currentRecipeCost', label: 'Current Recipe Cost' },
+        { key: 'currentFoodCostPercent', label: 'Current Food Cost %' },
+        { key: 'aboveTargetFoodCost', label: 'Above Target' },
+        { key: 'suggestedPrice', label: 'Suggested Price' },
+        { key: 'advice', label: 'Advice' },
+      ]);
+    }
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/reports/discounts
+// @desc    Discount totals by reason, staff, and day (paid closed orders)
+// @access  Tenant admin / manager / cashier (same as sales report)
+router.get('/reports/discounts', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    const { from, to, daySessionId: daySessionIdRaw } = req.query;
+    let fromDate = from ? new Date(from) : new Date(Date.now() - 30 * 86400000);
+    let toDate = to ? new Date(to) : new Date();
+    const daySessionId =
+      daySessionIdRaw && mongoose.Types.ObjectId.isValid(String(daySessionIdRaw))
+        ? String(daySessionIdRaw)
+        : null;
+
+    const match = {
+      restaurant: restaurantId,
+      discountAmount: { $gt: 0 },
+      status: { $in: ['DELIVERED', 'COMPLETED'] },
+    };
+    let sessionScoped = false;
+    if (daySessionId) {
+      const ds = await DaySession.findOne({
+        _id: daySessionId,
+        restaurant: restaurantId,
+      })
+        .select('startAt endAt')
+        .lean();
+      if (ds?.startAt) {
+        match.daySession = new mongoose.Types.ObjectId(daySessionId);
+        sessionScoped = true;
+        fromDate = new Date(ds.startAt);
+        toDate = ds.endAt ? new Date(ds.endAt) : new Date();
+      }
     }
     if (!sessionScoped) {
       if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
@@ -4082,6 +5546,238 @@ router.get('/reports/discounts', async (req, res, next) => {
   }
 });
 
+// @route   GET /api/admin/reports/waiters
+// @desc    Sales and tips per waiter (paid closed orders, ?from=&to=, default last 30 days; ?format=csv).
+//          With a branch selected (or no branches) also the tip distribution under the branch tip rules;
+//          ?participants=id,id limits the tip pool to the staff who worked the period.
+// @access  Restaurant Admin / Super Admin / Manager
+router.get('/reports/waiters', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    const { from, to } = req.query;
+    const fromDate = from ? new Date(from) : new Date(Date.now() - 30 * 86400000);
+    const toDate = to ? new Date(to) : new Date();
+    if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid from or to date' });
+    }
+    let participantIds = null;
+    if (req.query.participants !== undefined) {
+      participantIds = String(req.query.participants).split(',').map((id) => id.trim()).filter(Boolean);
+      if (participantIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ message: 'Invalid participants' });
+      }
+    }
+
+    // Tip rules are per branch, so distribution needs one branch (or a restaurant without branches)
+    let settings = null;
+    if (branchId || !(await Branch.exists({ restaurant: restaurantId }))) {
+      const [restaurant, branch] = await Promise.all([
+        req.restaurant || Restaurant.findById(restaurantId).select('settings').lean(),
+        branchId ? Branch.findById(branchId).select('tipOverrides').lean() : null,
+      ]);
+      settings = resolveTipSettings(restaurant, branch);
+    }
+
+    const report = await buildWaiterReport({
+      restaurantId,
+      branchId: branchId || null,
+      from: fromDate,
+      to: toDate,
+      settings,
+      includeOrder: isOrderPaid,
+      participantIds,
+    });
+    if (req.query.format === 'csv') {
+      const payoutByUser = new Map((report.distribution?.payouts || []).map((p) => [p.userId, p.total]));
+      const rows = [...report.waiters, ...(report.unassigned ? [report.unassigned] : [])].map((w) => ({
+        ...w,
+        cashTips: w.tips.cash,
+        cardTips: w.tips.card,
+        onlineTips: w.tips.online,
+        totalTips: w.tips.total,
+        tipPayout: w.waiterId ? payoutByUser.get(w.waiterId) ?? 0 : '',
+      }));
+      return sendCsv(res, 'waiter-sales-tips.csv', rows, [
+        { key: 'name', label: 'Waiter' },
+        { key: 'orders', label: 'Orders' },
+        { key: 'sales', label: 'Sales' },
+        { key: 'refunds', label: 'Refunds' },
+        { key: 'netSales', label: 'Net Sales' },
+        { key: 'averageCheck', label: 'Avg Check' },
+        { key: 'tipOrders', label: 'Tipped Orders' },
+        { key: 'cashTips', label: 'Cash Tips' },
+        { key: 'cardTips', label: 'Card Tips' },
+        { key: 'onlineTips', label: 'Online Tips' },
+        { key: 'totalTips', label: 'Total Tips' },
+        { key: 'tipPercentOfSales', label: 'Tip %' },
+        { key: 'tipPayout', label: 'Tip Payout' },
+      ]);
+    }
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/reports/tax
+// @desc    Tax summary for filing: tax collected per rate, service charge, by order type and day,
+//          net of refunds issued in the period (refund vouchers debit tax payable)
+// @access  Restaurant Admin / Super Admin / Manager
+router.get('/reports/tax', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    const { from, to } = req.query;
+    const fromDate = from ? new Date(from) : new Date(Date.now() - 30 * 86400000);
+    const toDate = to ? new Date(to) : new Date();
+    if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+      return res.status(400).json({ message: 'Invalid from or to date' });
+    }
+
+    const match = {
+      restaurant: restaurantId,
+      status: { $in: ['DELIVERED', 'COMPLETED'] },
+      createdAt: { $gte: fromDate, $lte: toDate },
+    };
+    if (branchId) {
+      match.$or = [{ branch: branchId }, { branch: null }];
+    }
+
+    const orders = await Order.find(match)
+      .select('orderType subtotal discountAmount total taxLines taxAmount serviceChargeAmount taxInclusive createdAt source')
+      .lean();
+
+    const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+    let grossSales = 0;
+    let discounts = 0;
+    let taxCollected = 0;
+    let serviceCharge = 0;
+    let taxableOrders = 0;
+    const byRate = {};
+    const byOrderType = {};
+    const byDay = {};
+
+    for (const o of orders) {
+      grossSales += Number(o.subtotal) || 0;
+      discounts += Number(o.discountAmount) || 0;
+      const orderTax = Number(o.taxAmount) || 0;
+      taxCollected += orderTax;
+      serviceCharge += Number(o.serviceChargeAmount) || 0;
+      if (orderTax > 0) taxableOrders += 1;
+
+      for (const t of o.taxLines || []) {
+        const key = `${t.name}|${t.inclusive ? 'incl' : 'excl'}`;
+        byRate[key] = byRate[key] || {
+          name: t.name,
+          rate: t.rate,
+          inclusive: !!t.inclusive,
+          taxableAmount: 0,
+          taxAmount: 0,
+          orderCount: 0,
+        };
+        byRate[key].taxableAmount += Number(t.taxableAmount) || 0;
+        byRate[key].taxAmount += Number(t.amount) || 0;
+        byRate[key].orderCount += 1;
+      }
+
+      const type = o.orderType || 'UNKNOWN';
+      byOrderType[type] = byOrderType[type] || { orderType: type, orderCount: 0, netSales: 0, taxAmount: 0, serviceCharge: 0 };
+      byOrderType[type].orderCount += 1;
+      byOrderType[type].netSales += (Number(o.subtotal) || 0) - (Number(o.discountAmount) || 0);
+      byOrderType[type].taxAmount += orderTax;
+      byOrderType[type].serviceCharge += Number(o.serviceChargeAmount) || 0;
+
+      const d = o.createdAt ? new Date(o.createdAt).toISOString().slice(0, 10) : 'unknown';
+      byDay[d] = byDay[d] || { day: d, taxAmount: 0, serviceCharge: 0, orderCount: 0 };
+      byDay[d].taxAmount += orderTax;
+      byDay[d].serviceCharge += Number(o.serviceChargeAmount) || 0;
+      byDay[d].orderCount += 1;
+    }
+
+    // Refunds issued in the period give back their tax and service charge; split across the
+    // refunded order's rates in proportion to its tax
+    const refundMatch = { restaurant: restaurantId, createdAt: { $gte: fromDate, $lte: toDate } };
+    if (branchId) {
+      refundMatch.$or = [{ branch: branchId }, { branch: null }];
+    }
+    const refunds = await Refund.find(refundMatch)
+      .select('order taxAmount serviceChargeAmount createdAt')
+      .lean();
+    const refundedOrders = await Order.find({ _id: { $in: refunds.map((r) => r.order) } })
+      .select('orderType taxLines taxAmount')
+      .lean();
+    const refundedOrderById = new Map(refundedOrders.map((o) => [o._id.toString(), o]));
+    let taxRefunded = 0;
+    let serviceChargeRefunded = 0;
+
+    for (const r of refunds) {
+      const refundTax = Number(r.taxAmount) || 0;
+      const refundService = Number(r.serviceChargeAmount) || 0;
+      taxRefunded += refundTax;
+      serviceChargeRefunded += refundService;
+      const o = refundedOrderById.get(r.order.toString());
+
+      const orderTax = Number(o?.taxAmount) || 0;
+      if (o && orderTax > 0 && refundTax > 0) {
+        const ratio = refundTax / orderTax;
+        for (const t of o.taxLines || []) {
+          const key = `${t.name}|${t.inclusive ? 'incl' : 'excl'}`;
+          byRate[key] = byRate[key] || {
+            name: t.name,
+            rate: t.rate,
+            inclusive: !!t.inclusive,
+            taxableAmount: 0,
+            taxAmount: 0,
+            orderCount: 0,
+          };
+          byRate[key].taxableAmount -= (Number(t.taxableAmount) || 0) * ratio;
+          byRate[key].taxAmount -= (Number(t.amount) || 0) * ratio;
+        }
+      }
+
+      const type = o?.orderType || 'UNKNOWN';
+      byOrderType[type] = byOrderType[type] || { orderType: type, orderCount: 0, netSales: 0, taxAmount: 0, serviceCharge: 0 };
+      byOrderType[type].taxAmount -= refundTax;
+      byOrderType[type].serviceCharge -= refundService;
+
+      const d = r.createdAt ? new Date(r.createdAt).toISOString().slice(0, 10) : 'unknown';
+      byDay[d] = byDay[d] || { day: d, taxAmount: 0, serviceCharge: 0, orderCount: 0 };
+      byDay[d].taxAmount -= refundTax;
+      byDay[d].serviceCharge -= refundService;
+    }
+
+    res.json({
+      from: fromDate.toISOString(),
+      to: toDate.toISOString(),
+      orderCount: orders.length,
+      taxableOrders,
+      grossSales: round2(grossSales),
+      discounts: round2(discounts),
+      netSales: round2(grossSales - discounts),
+      taxCollected: round2(taxCollected - taxRefunded),
+      serviceCharge: round2(serviceCharge - serviceChargeRefunded),
+      refundCount: refunds.length,
+      taxRefunded: round2(taxRefunded),
+      serviceChargeRefunded: round2(serviceChargeRefunded),
+      byRate: Object.values(byRate)
+        .map((r) => ({ ...r, taxableAmount: round2(r.taxableAmount), taxAmount: round2(r.taxAmount) }))
+        .sort((a, b) => a.rate - b.rate),
+      byOrderType: Object.values(byOrderType).map((r) => ({
+        ...r,
+        netSales: round2(r.netSales),
+        taxAmount: round2(r.taxAmount),
+        serviceCharge: round2(r.serviceCharge),
+      })),
+      byDay: Object.values(byDay)
+        .map((r) => ({ ...r, taxAmount: round2(r.taxAmount), serviceCharge: round2(r.serviceCharge) }))
+        .sort((a, b) => a.day.localeCompare(b.day)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/admin/reports/day
 // @desc    Full day report with cost & profit
 // @access  Restaurant Admin / Super Admin
@@ -4113,6 +5809,7 @@ router.get('/reports/day', async (req, res, next) => {
 
     const iMap = new Map();
     for (const i of invItems) iMap.set(i._id.toString(), i);
+    await applyRecipeCosts(restaurantId, iMap);
     const mcMap = new Map();
     for (const m of mItems) mcMap.set(m._id.toString(), computeItemCost(m, iMap));
 
@@ -4343,6 +6040,7 @@ router.get('/dashboard/summary', async (req, res, next) => {
     // Build inventory map for cost calculations
     const invMap = new Map();
     for (const inv of inventoryItems) invMap.set(inv._id.toString(), inv);
+    await applyRecipeCosts(restaurantId, invMap);
     const miCostMap = new Map();
     for (const mi of allMenuItems) miCostMap.set(mi._id.toString(), computeItemCost(mi, invMap));
 
@@ -5162,57 +6860,287 @@ router.delete('/customers/:id', async (req, res, next) => {
   }
 });
 
+// LOYALTY ROUTES
+
+const LOYALTY_ADJUST_ROLES = ['restaurant_admin', 'admin', 'super_admin', 'manager'];
+
+// @route   GET /api/admin/loyalty/members
+// @desc    Top loyalty members. ?type=Customer|StorefrontCustomer, ?sort=points|lifetime, ?limit= (max 200)
+// @access  Restaurant Admin / Super Admin
+router.get('/loyalty/members', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    if (!restaurantId) {
+      return res.status(400).json({ message: 'Restaurant context is required' });
+    }
+    const restaurant = await Restaurant.findById(restaurantId).select('settings.loyalty').lean();
+    const settings = resolveLoyaltySettings(restaurant);
+    const branchId = getBranchIdForRequest(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+    const sortField = req.query.sort === 'lifetime' ? 'loyaltyLifetimePoints' : 'loyaltyPoints';
+    const types = LOYALTY_MEMBER_TYPES.includes(req.query.type) ? [req.query.type] : LOYALTY_MEMBER_TYPES;
+
+    const lists = await Promise.all(
+      types.map(async (type) => {
+        const query = { restaurant: restaurantId, loyaltyLifetimePoints: { $gt: 0 } };
+        if (type === 'Customer' && branchId) query.branch = branchId;
+        const rows = await memberModel(type)
+          .find(query)
+          .sort({ [sortField]: -1 })
+          .limit(limit)
+          .lean();
+        return rows.map((m) => mapMember(settings, m, type));
+      })
+    );
+    const key = sortField === 'loyaltyPoints' ? 'points' : 'lifetimePoints';
+    const members = lists
+      .flat()
+      .sort((a, b) => b[key] - a[key])
+      .slice(0, limit);
+
+    const totals = await Promise.all(
+      types.map((type) =>
+        memberModel(type).aggregate([
+          { $match: { restaurant: new mongoose.Types.ObjectId(String(restaurantId)) } },
+          { $group: { _id: null, points: { $sum: '$loyaltyPoints' }, members: { $sum: { $cond: [{ $gt: ['$loyaltyLifetimePoints', 0] }, 1, 0] } } } },
+        ])
+      )
+    );
+    const outstandingPoints = totals.reduce((s, t) => s + (t[0]?.points || 0), 0);
+
+    res.json({
+      settings,
+      members,
+      summary: {
+        memberCount: totals.reduce((s, t) => s + (t[0]?.members || 0), 0),
+        outstandingPoints,
+        outstandingValue: Math.round(outstandingPoints * (settings.pointValue || 0) * 100) / 100,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/loyalty/members/:type/:id/ledger
+// @desc    Points ledger of one member (type = Customer | StorefrontCustomer)
+// @access  Restaurant Admin / Super Admin
+router.get('/loyalty/members/:type/:id/ledger', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const { type, id } = req.params;
+    if (!LOYALTY_MEMBER_TYPES.includes(type)) {
+      return res.status(400).json({ message: 'Invalid member type' });
+    }
+    const restaurant = await Restaurant.findById(restaurantId).select('settings.loyalty').lean();
+    const settings = resolveLoyaltySettings(restaurant);
+
+    const exists = await memberModel(type).exists({ _id: id, restaurant: restaurantId });
+    if (!exists) {
+      return res.status(404).json({ message: 'Loyalty member not found' });
+    }
+    await expireMemberPoints(restaurantId, type, id, settings);
+    const member = await memberModel(type).findById(id).lean();
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 50, 1), 200);
+    const query = { restaurant: restaurantId, memberType: type, member: id };
+    const [rows, total] = await Promise.all([
+      LoyaltyTransaction.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize)
+        .populate('createdBy', 'name')
+        .lean(),
+      LoyaltyTransaction.countDocuments(query),
+    ]);
+
+    res.json({
+      member: mapMember(settings, member, type),
+      transactions: rows.map(mapLoyaltyTransaction),
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/loyalty/members/:type/:id/adjust
+// @desc    Manually add (positive) or remove (negative) points. Body: { points, reason }
+// @access  Restaurant Admin / Manager
+router.post('/loyalty/members/:type/:id/adjust', async (req, res, next) => {
+  try {
+    if (!LOYALTY_ADJUST_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Only managers can adjust loyalty points' });
+    }
+    const restaurantId = getRestaurantIdForRequest(req);
+    const { type, id } = req.params;
+    if (!LOYALTY_MEMBER_TYPES.includes(type)) {
+      return res.status(400).json({ message: 'Invalid member type' });
+    }
+    const points = Number(req.body.points);
+    const reason = String(req.body.reason || '').trim();
+    if (!Number.isInteger(points) || points === 0) {
+      return res.status(400).json({ message: 'points must be a non-zero whole number' });
+    }
+    if (!reason) {
+      return res.status(400).json({ message: 'reason is required' });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId).select('settings.loyalty').lean();
+    const settings = resolveLoyaltySettings(restaurant);
+    await expireMemberPoints(restaurantId, type, id, settings);
+
+    const result = await applyMovement({
+      restaurantId,
+      branch: getBranchIdForRequest(req) || null,
+      memberType: type,
+      memberId: id,
+      type: 'ADJUST',
+      points,
+      settings,
+      reason,
+      createdBy: req.user.id,
+    });
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message, code: result.error.code });
+    }
+
+    res.status(201).json({
+      member: mapMember(settings, result.member, type),
+      transaction: mapLoyaltyTransaction(result.transaction),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/loyalty/expire
+// @desc    Expire all lapsed points now (expiry also runs lazily on member lookups)
+// @access  Restaurant Admin / Manager
+router.post('/loyalty/expire', async (req, res, next) => {
+  try {
+    if (!LOYALTY_ADJUST_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Only managers can expire loyalty points' });
+    }
+    const restaurantId = getRestaurantIdForRequest(req);
+    const result = await expireRestaurantPoints(new mongoose.Types.ObjectId(String(restaurantId)));
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // KITCHEN DISPLAY SYSTEM (KDS) ROUTES
 
 // @route   GET /api/admin/kitchen/orders
-// @desc    Get orders for kitchen display, grouped by status (scoped by x-branch-id)
+// @desc    Get orders for kitchen display, grouped by status (scoped by x-branch-id).
+//          ?stationId= limits each ticket to that station's lines (station screen).
 // @access  Restaurant Admin / Kitchen Staff
 router.get('/kitchen/orders', async (req, res, next) => {
   try {
     const restaurantId = getRestaurantIdForRequest(req);
     const branchId = getBranchIdForRequest(req);
+    const { stationId } = req.query;
+
+    let station = null;
+    if (stationId) {
+      if (!mongoose.Types.ObjectId.isValid(stationId)) {
+        return res.status(400).json({ message: 'Invalid stationId' });
+      }
+      station = await KitchenStation.findOne({ _id: stationId, restaurant: restaurantId }).lean();
+      if (!station) {
+        return res.status(404).json({ message: 'Kitchen station not found' });
+      }
+    }
 
-    const query = { 
+    // A split order keeps its kitchen ticket until every line is done; its checks are billing only
+    const query = {
       restaurant: restaurantId,
-      status: { $in: ['NEW_ORDER', 'PROCESSING', 'READY'] },
+      $or: [
+        { status: { $in: ['NEW_ORDER', 'PROCESSING', 'READY'] }, parentOrder: null },
+        { status: 'SPLIT', items: { $elemMatch: { kitchenStatus: { $ne: 'DONE' } } } },
+      ],
     };
     if (branchId) query.branch = branchId;
+    if (station) {
+      query.branch = station.branch;
+      query['items.station'] = station._id;
+    }
 
     const orders = await Order.find(query)
       .populate('createdBy', 'name role')
       .sort({ createdAt: 1 })
       .lean();
 
-    // Group by status for KDS columns
+    const mapKitchenOrder = (o) => {
+      const lines = (o.items || [])
+        .map((i, index) => mapKitchenLine(i, index, o))
+        .filter((l) => !station || l.stationId === station._id.toString());
+      return {
+        id: o._id.toString(),
+        orderNumber: o.orderNumber,
+        tokenNumber: o.tokenNumber ?? null,
+        status: o.status,
+        orderType: o.orderType,
+        source: o.source || 'POS',
+        tableNumber: o.tableNumber || '',
+        tableName: o.tableName || '',
+        customerName: o.customerName || 'Walk-in',
+        items: lines,
+        createdAt: o.createdAt,
+      };
+    };
+
+    if (station) {
+      // Station screen: columns follow the station's own lines, not the whole order
+      const delayMs = (station.targetPrepMinutes || 15) * 60 * 1000;
+      const tickets = orders.map(mapKitchenOrder).map((t) => {
+        const open = t.items.filter((l) => l.kitchenStatus !== 'DONE');
+        const oldestFire = open.reduce((min, l) => Math.min(min, new Date(l.firedAt || t.createdAt).getTime()), Infinity);
+        return {
+          ...t,
+          stationStatus: open.length === 0 ? 'DONE' : open.some((l) => l.kitchenStatus === 'COOKING') ? 'COOKING' : 'QUEUED',
+          isDelayed: open.length > 0 && Date.now() - oldestFire > delayMs,
+        };
+      });
+      return res.json({
+        station: { id: station._id.toString(), name: station.name },
+        queued: tickets.filter((t) => t.stationStatus === 'QUEUED'),
+        cooking: tickets.filter((t) => t.stationStatus === 'COOKING'),
+        done: tickets.filter((t) => t.stationStatus === 'DONE'),
+        delayed: tickets.filter((t) => t.isDelayed).length,
+      });
+    }
+
+    // Group by status for KDS columns (a split order's column follows its lines)
+    const kitchenColumn = (o) =>
+      o.status !== 'SPLIT'
+        ? o.status
+        : (o.items || []).every((i) => (i.kitchenStatus || 'QUEUED') === 'QUEUED')
+        ? 'NEW_ORDER'
+        : 'PROCESSING';
     const grouped = {
-      newOrders: orders.filter(o => o.status === 'NEW_ORDER'),
-      inKitchen: orders.filter(o => o.status === 'PROCESSING'),
-      ready: orders.filter(o => o.status === 'READY'),
+      newOrders: orders.filter(o => kitchenColumn(o) === 'NEW_ORDER'),
+      inKitchen: orders.filter(o => kitchenColumn(o) === 'PROCESSING'),
+      ready: orders.filter(o => kitchenColumn(o) === 'READY'),
     };
 
     // Detect delayed orders (older than 20 minutes and still in kitchen)
     const twentyMinutesAgo = new Date(Date.now() - 20 * 60 * 1000);
     const delayed = orders.filter(o => 
-      o.status === 'PROCESSING' && new Date(o.createdAt) < twentyMinutesAgo
+      kitchenColumn(o) === 'PROCESSING' && new Date(o.createdAt) < twentyMinutesAgo
     ).map(o => o._id.toString());
 
-    const mapKitchenOrder = (o) => ({
-      id: o._id.toString(),
-      orderNumber: o.orderNumber,
-      status: o.status,
-      orderType: o.orderType,
-      source: o.source || 'POS',
-      tableNumber: o.tableNumber || '',
-      customerName: o.customerName || 'Walk-in',
-      items: (o.items || []).map(i => ({ name: i.name, quantity: i.quantity })),
-      createdAt: o.createdAt,
-      isDelayed: delayed.includes(o._id.toString()),
-    });
+    const withDelay = (o) => ({ ...mapKitchenOrder(o), isDelayed: delayed.includes(o._id.toString()) });
 
     res.json({
-      newOrders: grouped.newOrders.map(mapKitchenOrder),
-      inKitchen: grouped.inKitchen.map(mapKitchenOrder),
-      ready: grouped.ready.map(mapKitchenOrder),
+      newOrders: grouped.newOrders.map(withDelay),
+      inKitchen: grouped.inKitchen.map(withDelay),
+      ready: grouped.ready.map(withDelay),
       delayed: delayed.length,
     });
   } catch (error) {
@@ -5249,90 +7177,64 @@ router.put('/kitchen/orders/:id/status', async (req, res, next) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
+    if (status === 'CANCELLED' && order.status !== 'CANCELLED' && (order.refundedAmount || 0) > 0) {
+      return res.status(409).json({ message: 'Order has refunds and cannot be cancelled', code: 'ORDER_HAS_REFUNDS' });
+    }
+
+    // A split order stays SPLIT (its checks are billed separately); the expo can only close its lines
+    if (order.status === 'SPLIT') {
+      if (status !== 'READY' && status !== 'DELIVERED') {
+        return res.status(409).json({ message: 'Order was split into checks; update the checks instead', code: 'ORDER_SPLIT' });
+      }
+      const now = new Date();
+      (order.items || []).forEach((line) => setLineKitchenStatus(line, 'DONE', now));
+      order.markModified('items');
+      await order.save();
+      emitKitchenUpdate(req.app.get('io'), order);
+      return res.json({ id: order._id.toString(), orderNumber: order.orderNumber, status: order.status });
+    }
+
+    const previousStatus = order.status;
     order.status = status;
     if (!order.statusHistory) order.statusHistory = [];
     order.statusHistory.push({ status, at: new Date() });
 
-    if (status === 'CANCELLED') {
-      // Reverse inventory only on first transition to CANCELLED.
-      // Prevents accidental double-restock if an already-cancelled order is updated again.
-      if (previousStatus !== 'CANCELLED') {
-        const menuItemIds = Array.from(
-          new Set(
-            (order.items || [])
-              .map((i) => i.menuItem?.toString?.())
-              .filter(Boolean)
-          )
-        );
-        if (menuItemIds.length > 0) {
-          const menuItems = await MenuItem.find({
-            _id: { $in: menuItemIds },
-            restaurant: restaurantId,
-          }).lean();
-          const menuMap = new Map(menuItems.map((m) => [m._id.toString(), m]));
-
-          const consumptionByInventoryId = new Map();
-          for (const orderItem of (order.items || [])) {
-            const menuItemId = orderItem.menuItem?.toString?.();
-            if (!menuItemId) continue;
-            const menu = menuMap.get(menuItemId);
-            if (!menu?.inventoryConsumptions?.length) continue;
-
-            for (const cons of menu.inventoryConsumptions) {
-              const invId = cons.inventoryItem?.toString?.();
-              if (!invId) continue;
-              const qty = (cons.quantity || 0) * (orderItem.quantity || 0);
-              if (qty <= 0) continue;
-              consumptionByInventoryId.set(
-                invId,
-                (consumptionByInventoryId.get(invId) || 0) + qty
-              );
-            }
-          }
-
-          if (consumptionByInventoryId.size > 0) {
-            if (order.branch) {
-              await Promise.all(
-                Array.from(consumptionByInventoryId.entries()).map(([invId, qty]) =>
-                  BranchInventory.findOneAndUpdate(
-                    { branch: order.branch, inventoryItem: invId },
-                    { $inc: { currentStock: qty } },
-                    { upsert: false }
-                  )
-                )
-              );
-            } else {
-              const inventoryIds = Array.from(consumptionByInventoryId.keys());
-              const inventoryItems = await InventoryItem.find({
-                _id: { $in: inventoryIds },
-                restaurant: restaurantId,
-              });
-              await Promise.all(
-                inventoryItems.map((inv) => {
-                  const qty = consumptionByInventoryId.get(inv._id.toString()) || 0;
-                  inv.currentStock += qty;
-                  return inv.save();
-                })
-              );
-            }
-          }
-        }
-      }
+    // Whole-order bump from the expo screen closes any lines still open
+    if (status === 'READY' || status === 'DELIVERED') {
+      const now = new Date();
+      (order.items || []).forEach((line) => setLineKitchenStatus(line, 'DONE', now));
+    }
 
+    if (status === 'CANCELLED') {
       if (cancelReason && String(cancelReason).trim()) {
         order.cancelReason = String(cancelReason).trim();
       }
+      // Reverse inventory only on first transition to CANCELLED.
+      // restoreOrderStock also claims the order, so a concurrent cancel cannot restock twice.
+      if (previousStatus !== 'CANCELLED') {
+        await restoreOrderStock(order, { restaurantId, createdBy: req.user.id });
+      }
       order.cancelledAt = new Date();
       order.cancelledBy = req.user.id;
     }
 
     await order.save();
 
+    if (status === 'CANCELLED' && previousStatus !== 'CANCELLED') {
+      reverseOrderLoyalty(order, { reason: 'Order cancelled', createdBy: req.user.id }).catch((err) =>
+        console.error('[Loyalty] reversal failed for order', order._id, err.message)
+      );
+      releaseOrderDealCodes(order).catch((err) =>
+        console.error('[Deals] coupon release failed for order', order._id, err.message)
+      );
+    }
+
     const io = req.app.get('io');
     if (io) {
       const rooms = getOrderRooms(order.restaurant, order.branch);
       const payload = { id: order._id.toString(), orderNumber: order.orderNumber, status: order.status };
       rooms.forEach((room) => io.to(room).emit('order:updated', payload));
+      emitKitchenUpdate(io, order);
     }
 
     // When order is delivered or cancelled, free the table (set isAvailable = true)
@@ -5352,7 +7254,9 @@ router.put('/kitchen/orders/:id/status', async (req, res, next) => {
           { $set: { status: 'confirmed' } }
         );
       }
+      await releaseMergedTables(order, status === 'CANCELLED' ? 'confirmed' : 'completed');
     }
+    emitOrderFloorUpdate(req.app.get('io'), order);
 
     res.json({
       id: order._id.toString(),
@@ -5364,6 +7268,343 @@ router.put('/kitchen/orders/:id/status', async (req, res, next) => {
   }
 });
 
+// KITCHEN STATIONS (per-branch routing for station KDS screens)
+
+const mapKitchenStation = (st) => ({
+  id: st._id.toString(),
+  branchId: st.branch ? st.branch.toString() : null,
+  name: st.name,
+  categoryIds: (st.categories || []).map((c) => c.toString()),
+  menuItemIds: (st.menuItems || []).map((m) => m.toString()),
+  isDefault: !!st.isDefault,
+  targetPrepMinutes: st.targetPrepMinutes ?? 15,
+  isActive: st.isActive !== false,
+  sortOrder: st.sortOrder ?? 0,
+});
+
+/** Keep only category / menu item ids that belong to the tenant. */
+async function normalizeStationMapping(restaurantId, { categoryIds, menuItemIds }) {
+  const out = {};
+  if (categoryIds !== undefined) {
+    const ids = (Array.isArray(categoryIds) ? categoryIds : []).filter((id) => mongoose.Types.ObjectId.isValid(id));
+    const found = ids.length ? await Category.find({ _id: { $in: ids }, restaurant: restaurantId }).select('_id').lean() : [];
+    out.categories = found.map((c) => c._id);
+  }
+  if (menuItemIds !== undefined) {
+    const ids = (Array.isArray(menuItemIds) ? menuItemIds : []).filter((id) => mongoose.Types.ObjectId.isValid(id));
+    const found = ids.length ? await MenuItem.find({ _id: { $in: ids }, restaurant: restaurantId }).select('_id').lean() : [];
+    out.menuItems = found.map((m) => m._id);
+  }
+  return out;
+}
+
+// @route   GET /api/admin/kitchen/stations
+// @desc    List kitchen stations (scoped by x-branch-id when set)
+// @access  Restaurant Admin / Kitchen Staff
+router.get('/kitchen/stations', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+
+    const query = { restaurant: restaurantId };
+    if (branchId) query.branch = branchId;
+
+    const stations = await KitchenStation.find(query).sort({ sortOrder: 1, name: 1 }).lean();
+    res.json({ stations: stations.map(mapKitchenStation) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/kitchen/stations
+// @desc    Create a kitchen station for the current branch (x-branch-id required)
+// @access  Restaurant Admin
+router.post('/kitchen/stations', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    if (!branchId) {
+      return res.status(400).json({ message: 'Select a branch to create kitchen stations' });
+    }
+
+    const { name, categoryIds, menuItemIds, isDefault, targetPrepMinutes, sortOrder } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: 'Station name is required' });
+    }
+    const trimmedName = String(name).trim();
+    const existing = await KitchenStation.findOne({ restaurant: restaurantId, branch: branchId, name: trimmedName });
+    if (existing) {
+      return res.status(400).json({ message: 'A station with this name already exists for this branch' });
+    }
+
+    const mapping = await normalizeStationMapping(restaurantId, { categoryIds: categoryIds || [], menuItemIds: menuItemIds || [] });
+    if (isDefault) {
+      await KitchenStation.updateMany({ restaurant: restaurantId, branch: branchId }, { $set: { isDefault: false } });
+    }
+
+    const station = await KitchenStation.create({
+      restaurant: restaurantId,
+      branch: branchId,
+      name: trimmedName,
+      ...mapping,
+      isDefault: Boolean(isDefault),
+      targetPrepMinutes: Math.max(1, Number(targetPrepMinutes) || 15),
+      sortOrder: Number(sortOrder) || 0,
+    });
+
+    res.status(201).json(mapKitchenStation(station));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/kitchen/stations/:id
+// @desc    Update a kitchen station (name, mapping, default, target prep time, active)
+// @access  Restaurant Admin
+router.put('/kitchen/stations/:id', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const station = await KitchenStation.findOne({ _id: req.params.id, restaurant: restaurantId });
+    if (!station) {
+      return res.status(404).json({ message: 'Kitchen station not found' });
+    }
+
+    const { name, categoryIds, menuItemIds, isDefault, targetPrepMinutes, isActive, sortOrder } = req.body;
+    if (name !== undefined) {
+      const trimmed = String(name).trim();
+      if (!trimmed) {
+        return res.status(400).json({ message: 'Station name cannot be empty' });
+      }
+      if (trimmed !== station.name) {
+        const duplicate = await KitchenStation.findOne({
+          restaurant: restaurantId,
+          branch: station.branch,
+          name: trimmed,
+          _id: { $ne: station._id },
+        });
+        if (duplicate) {
+          return res.status(400).json({ message: 'A station with this name already exists for this branch' });
+        }
+        station.name = trimmed;
+      }
+    }
+
+    Object.assign(station, await normalizeStationMapping(restaurantId, { categoryIds, menuItemIds }));
+    if (isDefault !== undefined) {
+      if (isDefault) {
+        await KitchenStation.updateMany(
+          { restaurant: restaurantId, branch: station.branch, _id: { $ne: station._id } },
+          { $set: { isDefault: false } }
+        );
+      }
+      station.isDefault = Boolean(isDefault);
+    }
+    if (targetPrepMinutes !== undefined) station.targetPrepMinutes = Math.max(1, Number(targetPrepMinutes) || 15);
+    if (typeof isActive === 'boolean') station.isActive = isActive;
+    if (sortOrder !== undefined) station.sortOrder = Number(sortOrder) || 0;
+
+    await station.save();
+    res.json(mapKitchenStation(station));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/kitchen/stations/:id
+// @desc    Delete a kitchen station (open lines keep their station name snapshot)
+// @access  Restaurant Admin
+router.delete('/kitchen/stations/:id', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const station = await KitchenStation.findOneAndDelete({ _id: req.params.id, restaurant: restaurantId });
+    if (!station) {
+      return res.status(404).json({ message: 'Kitchen station not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+async function findKitchenOrder(req, id) {
+  const query = { restaurant: getRestaurantIdForRequest(req) };
+  const branchId = getBranchIdForRequest(req);
+  if (branchId) query.branch = branchId;
+  if (/^[0-9a-fA-F]{24}$/.test(id)) {
+    const byId = await Order.findOne({ _id: id, ...query });
+    if (byId) return byId;
+  }
+  return Order.findOne({ orderNumber: id, ...query });
+}
+
+/**
+ * Apply a line status to the selected lines (explicit indexes, a station's lines, or all),
+ * derive the order status, save and notify station rooms.
+ */
+async function applyKitchenLineStatus(req, res, order, status, { indexes, stationId } = {}) {
+  if (!['NEW_ORDER', 'PROCESSING', 'READY', 'SPLIT'].includes(order.status)) {
+    return res.status(400).json({ message: `Order is ${order.status} and no longer in the kitchen` });
+  }
+  let targets = (order.items || []).map((_, i) => i);
+  if (Array.isArray(indexes) && indexes.length > 0) {
+    targets = indexes.map(Number);
+    if (targets.some((i) => !Number.isInteger(i) || i < 0 || i >= order.items.length)) {
+      return res.status(400).json({ message: 'Invalid line index' });
+    }
+  } else if (stationId) {
+    targets = targets.filter((i) => String(order.items[i].station || '') === String(stationId));
+  }
+  if (targets.length === 0) {
+    return res.status(400).json({ message: 'No matching lines on this order' });
+  }
+
+  const now = new Date();
+  const changed = targets.filter((i) => setLineKitchenStatus(order.items[i], status, now));
+  if (changed.length > 0) order.markModified('items');
+  const newStatus = syncOrderStatusFromLines(order);
+  await order.save();
+
+  emitKitchenUpdate(req.app.get('io'), order, { lineIndexes: targets, statusChanged: Boolean(newStatus) });
+
+  return res.json({
+    id: order._id.toString(),
+    orderNumber: order.orderNumber,
+    status: order.status,
+    items: targets.map((i) => mapKitchenLine(order.items[i], i, order)),
+  });
+}
+
+// @route   PUT /api/admin/kitchen/orders/:id/items/:index/status
+// @desc    Set one line to QUEUED / COOKING / DONE (order goes READY when all lines are done)
+// @access  Restaurant Admin / Kitchen Staff
+router.put('/kitchen/orders/:id/items/:index/status', async (req, res, next) => {
+  try {
+    const status = String(req.body.status || '').toUpperCase();
+    if (!LINE_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Invalid line status' });
+    }
+    const order = await findKitchenOrder(req, req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    return applyKitchenLineStatus(req, res, order, status, { indexes: [req.params.index] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/kitchen/orders/:id/bump
+// @desc    Bump lines as done. Body: { stationId } for a station ticket or { indexes: [..] }; omit both for the whole order
+// @access  Restaurant Admin / Kitchen Staff
+router.post('/kitchen/orders/:id/bump', async (req, res, next) => {
+  try {
+    const order = await findKitchenOrder(req, req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    const { indexes, stationId } = req.body || {};
+    return applyKitchenLineStatus(req, res, order, 'DONE', { indexes, stationId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/kitchen/orders/:id/recall
+// @desc    Recall bumped lines back to cooking (a READY order returns to PROCESSING). Same body as bump.
+// @access  Restaurant Admin / Kitchen Staff
+router.post('/kitchen/orders/:id/recall', async (req, res, next) => {
+  try {
+    const order = await findKitchenOrder(req, req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    const { indexes, stationId } = req.body || {};
+    return applyKitchenLineStatus(req, res, order, 'COOKING', { indexes, stationId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/kitchen/reports/prep-times
+// @desc    Prep time per station and item for lines finished in a date range (default: today)
+// @access  Restaurant Admin
+router.get('/kitchen/reports/prep-times', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    const cutoff = req.branch?.businessDayCutoffHour ?? 0;
+    const fromDate = req.query.from ? new Date(req.query.from) : getCurrentBusinessDayStart(cutoff);
+    const toDate = req.query.to ? new Date(req.query.to) : new Date();
+
+    const query = {
+      restaurant: restaurantId,
+      status: { $ne: 'CANCELLED' },
+      // Split checks carry copies of the kitchen lines; the work is counted on the original order
+      parentOrder: null,
+      'items.doneAt': { $gte: fromDate, $lte: toDate },
+    };
+    if (branchId) query.branch = branchId;
+
+    const orders = await Order.find(query).select('createdAt items').lean();
+
+    const newBucket = () => ({ lines: 0, quantity: 0, prepTotal: 0, prepMax: 0, cookTotal: 0, cookLines: 0, recalls: 0 });
+    const add = (b, line, prep) => {
+      b.lines += 1;
+      b.quantity += line.quantity || 0;
+      b.prepTotal += prep;
+      b.prepMax = Math.max(b.prepMax, prep);
+      if (line.startedAt) {
+        b.cookTotal += Math.max(0, (new Date(line.doneAt) - new Date(line.startedAt)) / 1000);
+        b.cookLines += 1;
+      }
+      b.recalls += line.recallCount || 0;
+    };
+    const finish = (b) => ({
+      lines: b.lines,
+      quantity: b.quantity,
+      avgPrepSeconds: b.lines ? Math.round(b.prepTotal / b.lines) : 0,
+      maxPrepSeconds: b.prepMax,
+      avgCookSeconds: b.cookLines ? Math.round(b.cookTotal / b.cookLines) : 0,
+      recalls: b.recalls,
+    });
+
+    const overall = newBucket();
+    const byStation = new Map();
+    const byItem = new Map();
+    for (const o of orders) {
+      for (const line of o.items || []) {
+        if (!line.doneAt) continue;
+        const doneAt = new Date(line.doneAt);
+        if (doneAt < fromDate || doneAt > toDate) continue;
+        const prep = linePrepSeconds(line, o);
+        if (prep == null) continue;
+
+        add(overall, line, prep);
+        const sKey = line.station ? line.station.toString() : '';
+        if (!byStation.has(sKey)) byStation.set(sKey, { name: line.stationName || 'Unassigned', bucket: newBucket() });
+        add(byStation.get(sKey).bucket, line, prep);
+        const iKey = line.menuItem ? line.menuItem.toString() : `name:${line.name}`;
+        if (!byItem.has(iKey)) byItem.set(iKey, { name: line.name, bucket: newBucket() });
+        add(byItem.get(iKey).bucket, line, prep);
+      }
+    }
+
+    res.json({
+      from: fromDate,
+      to: toDate,
+      overall: finish(overall),
+      stations: Array.from(byStation.entries())
+        .map(([id, s]) => ({ stationId: id || null, stationName: s.name, ...finish(s.bucket) }))
+        .sort((a, b) => b.avgPrepSeconds - a.avgPrepSeconds),
+      items: Array.from(byItem.entries())
+        .map(([id, s]) => ({ menuItemId: id.startsWith('name:') ? null : id, name: s.name, ...finish(s.bucket) }))
+        .sort((a, b) => b.avgPrepSeconds - a.avgPrepSeconds),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // TABLE MANAGEMENT ROUTES (simple: name + isAvailable)
 
 const mapTable = (table) => {
@@ -5376,10 +7617,33 @@ const mapTable = (table) => {
     status: derivedStatus,
     isAvailable: derivedStatus === 'available',
     branchId: table.branch ? table.branch.toString() : null,
+    joinedToTableId: table.joinedTo ? table.joinedTo.toString() : null,
     createdAt: table.createdAt?.toISOString?.(),
   };
 };
 
+// Tell every POS terminal about changed tables and the orders that moved with them
+const emitTableChanges = (req, { tables = [], orders = [] }) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  for (const table of tables) {
+    getOrderRooms(table.restaurant, table.branch).forEach((room) => io.to(room).emit('table:updated', mapTable(table)));
+  }
+  for (const order of orders) {
+    const payload = {
+      id: order._id.toString(),
+      orderNumber: order.orderNumber,
+      status: order.status,
+      tableId: order.table ? order.table.toString() : null,
+      tableName: order.tableName || '',
+    };
+    getOrderRooms(order.restaurant, order.branch).forEach((room) => io.to(room).emit('order:updated', payload));
+  }
+  if (tables.length) {
+    emitFloorUpdate(io, { restaurantId: tables[0].restaurant, branchId: tables[0].branch, tableIds: tables.map((t) => t._id) });
+  }
+};
+
 // @route   GET /api/admin/tables
 // @desc    List tables (scoped by x-branch-id when set)
 // @access  Restaurant Admin / Staff
@@ -5437,6 +7701,7 @@ router.post('/tables', async (req, res, next) => {
       isAvailable: true,
     });
 
+    emitTableChanges(req, { tables: [table] });
     res.status(201).json(mapTable(table));
   } catch (error) {
     next(error);
@@ -5492,6 +7757,7 @@ router.put('/tables/:id', async (req, res, next) => {
     }
 
     await table.save();
+    emitTableChanges(req, { tables: [table] });
     res.json(mapTable(table));
   } catch (error) {
     next(error);
@@ -5499,7 +7765,7 @@ router.put('/tables/:id', async (req, res, next) => {
 });
 
 // @route   DELETE /api/admin/tables/:id
-// @desc    Delete a table
+// @desc    Delete a table (and take it off its floor plan)
 // @access  Restaurant Admin
 router.delete('/tables/:id', async (req, res, next) => {
   try {
@@ -5508,12 +7774,211 @@ router.delete('/tables/:id', async (req, res, next) => {
     if (!table) {
       return res.status(404).json({ message: 'Table not found' });
     }
+    await FloorPlan.updateMany({ restaurant: restaurantId, 'tables.table': table._id }, { $pull: { tables: { table: table._id } } });
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/tables/:id/transfer
+// @desc    Move the open order(s) on a table to a free table. Body: { toTableId, orderId? } (orderId moves just that order)
+// @access  Restaurant Admin / Staff
+router.post('/tables/:id/transfer', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const { toTableId, orderId } = req.body || {};
+    if (!toTableId) {
+      return res.status(400).json({ message: 'toTableId is required' });
+    }
+    const result = await transferTable({ restaurantId, fromTableId: req.params.id, toTableId, orderId: orderId || null });
+    if (result.error) {
+      const { status, ...body } = result.error;
+      return res.status(status).json(body);
+    }
+    emitTableChanges(req, result);
+    res.json({ tables: result.tables.map(mapTable), orders: result.orders.map(mapOrder) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/tables/merge
+// @desc    Join tables into one bill: unpaid orders on tableIds are folded into the open order on intoTableId.
+//          Body: { intoTableId, tableIds: [..], orderId? } (orderId picks the bill when the table has several)
+// @access  Restaurant Admin / Staff
+router.post('/tables/merge', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const { intoTableId, tableIds, orderId } = req.body || {};
+    if (!intoTableId) {
+      return res.status(400).json({ message: 'intoTableId is required' });
+    }
+    const restaurant = req.restaurant || (await Restaurant.findById(restaurantId).select('settings').lean());
+    const result = await mergeTables({ restaurant, intoTableId, tableIds, orderId: orderId || null });
+    if (result.error) {
+      const { status, ...body } = result.error;
+      return res.status(status).json(body);
+    }
+    emitTableChanges(req, { tables: result.tables, orders: [result.order, ...result.mergedOrders] });
+    emitKitchenUpdate(req.app.get('io'), result.order, { event: 'kitchen:updated' });
+    res.json({
+      order: mapOrder(result.order),
+      mergedOrders: result.mergedOrders.map(mapOrder),
+      tables: result.tables.map(mapTable),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/tables/:id/unmerge
+// @desc    Separate a joined table from its bill again (on the main table: every joined table).
+//          Orders merged from it get their lines back.
+// @access  Restaurant Admin / Staff
+router.post('/tables/:id/unmerge', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const restaurant = req.restaurant || (await Restaurant.findById(restaurantId).select('settings').lean());
+    const result = await unmergeTable({ restaurant, tableId: req.params.id });
+    if (result.error) {
+      const { status, ...body } = result.error;
+      return res.status(status).json(body);
+    }
+    const orders = [result.order, ...result.restoredOrders].filter(Boolean);
+    emitTableChanges(req, { tables: result.tables, orders });
+    for (const order of orders) emitKitchenUpdate(req.app.get('io'), order, { event: 'kitchen:updated' });
+    res.json({
+      order: result.order ? mapOrder(result.order) : null,
+      restoredOrders: result.restoredOrders.map(mapOrder),
+      tables: result.tables.map(mapTable),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// FLOOR PLAN ROUTES (areas with table positions, and the live floor view)
+
+// Tell POS terminals a plan's layout changed (or the plan was removed)
+const emitFloorLayout = (req, plan, { deleted = false } = {}) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  const payload = deleted ? { id: plan._id.toString(), branchId: plan.branch ? plan.branch.toString() : null, deleted: true } : mapFloorPlan(plan);
+  getOrderRooms(plan.restaurant, plan.branch).forEach((room) => io.to(room).emit('floor:layout', payload));
+};
+
+// @route   GET /api/admin/floor-plans
+// @desc    List floor plans (scoped by x-branch-id when set), in display order
+// @access  Restaurant Admin / Staff
+router.get('/floor-plans', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+
+    const query = { restaurant: restaurantId };
+    if (branchId) query.branch = branchId;
+
+    const plans = await FloorPlan.find(query).sort({ sortOrder: 1, name: 1 }).lean();
+    res.json({ floorPlans: plans.map(mapFloorPlan) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/floor-plans
+// @desc    Create a floor plan area for the current branch.
+//          Body: { name, width?, height?, sortOrder?, tables?: [{ tableId, x, y, width?, height?, shape?, rotation? }] }
+// @access  Restaurant Admin
+router.post('/floor-plans', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    const plan = new FloorPlan({ restaurant: restaurantId, branch: branchId || null });
+    const invalid = await applyFloorPlanInput(plan, { ...req.body, name: req.body.name ?? '' });
+    if (invalid) {
+      const { status, ...body } = invalid.error;
+      return res.status(status).json(body);
+    }
+    await plan.save();
+    emitFloorLayout(req, plan);
+    res.status(201).json(mapFloorPlan(plan));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A floor plan with this name already exists for this branch' });
+    }
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/floor-plans/:id
+// @desc    Update a floor plan (same fields as create, plus isActive). tables replaces the whole layout.
+// @access  Restaurant Admin
+router.put('/floor-plans/:id', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid floor plan id' });
+    }
+    const plan = await FloorPlan.findOne({ _id: req.params.id, restaurant: restaurantId });
+    if (!plan) {
+      return res.status(404).json({ message: 'Floor plan not found' });
+    }
+    const invalid = await applyFloorPlanInput(plan, req.body || {});
+    if (invalid) {
+      const { status, ...body } = invalid.error;
+      return res.status(status).json(body);
+    }
+    await plan.save();
+    emitFloorLayout(req, plan);
+    res.json(mapFloorPlan(plan));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A floor plan with this name already exists for this branch' });
+    }
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/floor-plans/:id
+// @desc    Delete a floor plan (its tables are kept, unplaced)
+// @access  Restaurant Admin
+router.delete('/floor-plans/:id', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid floor plan id' });
+    }
+    const plan = await FloorPlan.findOneAndDelete({ _id: req.params.id, restaurant: restaurantId });
+    if (!plan) {
+      return res.status(404).json({ message: 'Floor plan not found' });
+    }
+    emitFloorLayout(req, plan, { deleted: true });
     res.status(204).send();
   } catch (error) {
     next(error);
   }
 });
 
+// @route   GET /api/admin/floor
+// @desc    Live floor for the current branch: active plan areas with each table's status, seated time,
+//          open orders and total, server and next reservation today; tables not on a plan are listed
+//          in unplacedTables. Kept current over Socket.IO by 'floor:updated' (tables) and 'floor:layout' (plans).
+// @access  Restaurant Admin / Staff
+router.get('/floor', async (req, res, next) => {
+  try {
+    const restaurantId = getRestaurantIdForRequest(req);
+    const branchId = getBranchIdForRequest(req);
+    if (!branchId && (await Branch.exists({ restaurant: restaurantId }))) {
+      return res.status(400).json({ message: 'x-branch-id header is required for the floor view' });
+    }
+    const floor = await buildLiveFloor({ restaurantId, branchId });
+    res.json(floor);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // RESERVATION ROUTES
 
 const mapReservation = (reservation) => ({
@@ -5533,6 +7998,17 @@ const mapReservation = (reservation) => ({
   createdAt: reservation.createdAt?.toISOString?.(),
 });
 
+// Refresh the floor for the tables a reservation is (or was) booked on
+const emitReservationFloorUpdate = (req, ...reservations) => {
+  const [first] = reservations;
+  emitFloorUpdate(req.app.get('io'), {
+    restaurantId: first.restaurant,
+    branchId: first.branch || null,
+    tableIds: reservations.map((r) => r.table),
+    tableNames: reservations.map((r) => r.tableNumber),
+  });
+};
+
 // @route   GET /api/admin/reservations
 // @desc    List reservations (scoped by x-branch-id; optional ?date=YYYY-MM-DD filter)
 // @access  Restaurant Admin / Staff
@@ -5610,6 +8086,7 @@ router.post('/reservations', async (req, res, next) => {
       specialRequests: (specialRequests || '').trim(),
     });
 
+    emitReservationFloorUpdate(req, reservation);
     res.status(201).json(mapReservation(reservation));
   } catch (error) {
     next(error);
@@ -5644,6 +8121,7 @@ router.put('/reservations/:id', async (req, res, next) => {
     }
 
     const { customerName, customerPhone, customerEmail, date, time, guestCount, tableNumber, tableId, status, notes, specialRequests } = req.body;
+    const previous = { restaurant: reservation.restaurant, branch: reservation.branch, table: reservation.table, tableNumber: reservation.tableNumber };
 
     if (customerName !== undefined) reservation.customerName = customerName.trim();
     if (customerPhone !== undefined) reservation.customerPhone = customerPhone.trim();
@@ -5658,6 +8136,7 @@ router.put('/reservations/:id', async (req, res, next) => {
     if (specialRequests !== undefined) reservation.specialRequests = (specialRequests || '').trim();
 
     await reservation.save();
+    emitReservationFloorUpdate(req, reservation, previous);
     res.json(mapReservation(reservation));
   } catch (error) {
     next(error);
@@ -5674,6 +8153,7 @@ router.delete('/reservations/:id', async (req, res, next) => {
     if (!reservation) {
       return res.status(404).json({ message: 'Reservation not found' });
     }
+    emitReservationFloorUpdate(req, reservation);
     res.status(204).send();
   } catch (error) {
     next(error);
@@ -7,8 +7,11 @@ const Customer = require('../models/Customer');
 const Restaurant = require('../models/Restaurant');
 const Order = require('../models/Order');
 const Branch = require('../models/Branch');
-const { generateOrderNumber } = require('../utils/orderNumber');
+const { allocateOrderNumber } = require('../utils/orderNumber');
 const { getOrderRooms } = require('../utils/socketRooms');
+const { assignKitchenStations, emitKitchenUpdate } = require('../utils/kitchenRouting');
+const { checkInventorySufficiency } = require('../utils/checkInventorySufficiency');
+const { loadMenuScheduleState, scheduleUnavailableMessage } = require('../utils/menuSchedule');
 
 const router = express.Router();
 
@@ -73,11 +76,12 @@ router.get('/menu', async (req, res, next) => {
       menuQuery.branch = selectedBranchId;
     }
 
-    const [categories, allItems, inventoryItems, branchForWebsite] = await Promise.all([
+    const [categories, allItems, inventoryItems, branchForWebsite, scheduleState] = await Promise.all([
       Category.find(categoryQuery).sort({ createdAt: 1 }),
       MenuItem.find(menuQuery).populate('category'),
       InventoryItem.find({ restaurant: restaurant._id }),
       selectedBranchId ? Branch.findOne({ _id: selectedBranchId, restaurant: restaurant._id }) : null,
+      loadMenuScheduleState(restaurant._id, selectedBranchId),
     ]);
 
     // Build inventory lookup for sufficiency check
@@ -86,41 +90,13 @@ router.get('/menu', async (req, res, next) => {
       inventoryMap.set(inv._id.toString(), inv);
     }
 
-    // Filter out items with insufficient inventory
-    function normalizeUnit(unit) {
-      const u = String(unit || '').trim().toLowerCase();
-      if (u === 'g' || u === 'gram') return 'gram';
-      if (u === 'kg' || u === 'kilogram') return 'kilogram';
-      if (u === 'ml' || u === 'milliliter') return 'milliliter';
-      if (u === 'l' || u === 'liter') return 'liter';
-      if (u === 'pc' || u === 'pcs' || u === 'piece') return 'piece';
-      if (u === 'dozen') return 'dozen';
-      return u;
-    }
-    function convertToInventoryUnit(recipeQty, recipeUnitRaw, inventoryUnitRaw) {
-      const recipeQtyNum = Number(recipeQty || 0);
-      if (!recipeQtyNum) return 0;
-      const recipeUnit = normalizeUnit(recipeUnitRaw);
-      const inventoryUnit = normalizeUnit(inventoryUnitRaw);
-      if (recipeUnit === 'gram' && inventoryUnit === 'kilogram') return recipeQtyNum / 1000;
-      if (recipeUnit === 'kilogram' && inventoryUnit === 'gram') return recipeQtyNum * 1000;
-      if (recipeUnit === 'milliliter' && inventoryUnit === 'liter') return recipeQtyNum / 1000;
-      if (recipeUnit === 'liter' && inventoryUnit === 'milliliter') return recipeQtyNum * 1000;
-      if (recipeUnit === 'piece' && inventoryUnit === 'dozen') return recipeQtyNum / 12;
-      if (recipeUnit === 'dozen' && inventoryUnit === 'piece') return recipeQtyNum * 12;
-      return recipeQtyNum;
-    }
+    // Filter out items with insufficient inventory (unknown ingredients are ignored) and items
+    // outside their menu schedule's serving times
     function hasEnoughInventory(menuItem) {
-      if (!menuItem.inventoryConsumptions || menuItem.inventoryConsumptions.length === 0) return true;
-      for (const consumption of menuItem.inventoryConsumptions) {
-        const invId = consumption.inventoryItem ? consumption.inventoryItem.toString() : null;
-        if (!invId) continue;
-        const inv = inventoryMap.get(invId);
-        if (!inv) continue;
-        const needed = convertToInventoryUnit(consumption.quantity || 0, consumption.unit, inv.unit);
-        if (needed > 0 && inv.currentStock < needed) return false;
-      }
-      return true;
+      return (
+        checkInventorySufficiency(menuItem, inventoryMap, { ignoreUnknown: true }).sufficient &&
+        scheduleState.isItemAvailableNow(menuItem)
+      );
     }
 
     const items = allItems.filter(hasEnoughInventory);
@@ -316,11 +292,18 @@ router.post('/orders/website', async (req, res, next) => {
     let subtotal = 0;
     const orderItems = [];
 
+    const scheduleState = await loadMenuScheduleState(restaurant._id, branch ? branch._id : null);
     for (const cartItem of items) {
       const mi = menuItemMap[cartItem.menuItemId];
       if (!mi) {
         return res.status(400).json({ message: `Menu item not found or unavailable: ${cartItem.menuItemId}` });
       }
+      if (!scheduleState.isItemAvailableNow(mi)) {
+        return res.status(400).json({
+          message: scheduleUnavailableMessage(mi.name, scheduleState.closedSchedulesFor(mi)),
+          code: 'ITEM_OUTSIDE_SCHEDULE',
+        });
+      }
       const qty = Math.max(1, parseInt(cartItem.quantity) || 1);
       const lineTotal = mi.price * qty;
       subtotal += lineTotal;
@@ -333,8 +316,8 @@ router.post('/orders/website', async (req, res, next) => {
       });
     }
 
-    // Generate order number per branch: WEB-YYYYMMDD-branchIndex-seq
-    const orderNumber = await generateOrderNumber(restaurant._id, branch ? branch._id : null, 'WEB');
+    // Order number + call-out token from the branch's business-day sequence (utils/orderNumber)
+    const { orderNumber, tokenNumber } = await allocateOrderNumber(restaurant._id, branch ? branch._id : null, 'WEB');
 
     // Upsert customer record
     try {
@@ -357,6 +340,8 @@ router.post('/orders/website', async (req, res, next) => {
       );
     } catch (_) { /* non-critical */ }
 
+    await assignKitchenStations(restaurant._id, branch ? branch._id : null, orderItems);
+
     const order = await Order.create({
       restaurant: restaurant._id,
       branch: branch ? branch._id : undefined,
@@ -372,6 +357,8 @@ router.post('/orders/website', async (req, res, next) => {
       discountAmount: 0,
       total: subtotal,
       orderNumber,
+      tokenNumber,
+      stockDeducted: false,
     });
 
     const io = req.app.get('io');
@@ -379,11 +366,13 @@ router.post('/orders/website', async (req, res, next) => {
       const rooms = getOrderRooms(order.restaurant, order.branch);
       const payload = { id: order._id.toString(), orderNumber: order.orderNumber, status: order.status, createdAt: order.createdAt };
       rooms.forEach((room) => io.to(room).emit('order:created', payload));
+      emitKitchenUpdate(io, order, { event: 'kitchen:ticket' });
     }
 
     res.status(201).json({
       message: 'Order placed successfully!',
       orderNumber: order.orderNumber,
+      tokenNumber: order.tokenNumber,
       total: order.total,
     });
   } catch (error) {
@@ -2,8 +2,26 @@ const express = require('express');
 const router = express.Router();
 const Deal = require('../models/Deal');
 const DealUsage = require('../models/DealUsage');
+const DealCode = require('../models/DealCode');
 const { protect } = require('../middleware/authMiddleware');
 const { findBestDeals } = require('../utils/dealCalculator');
+const {
+  MAX_BULK_CODES,
+  normalizeCode,
+  isValidCodeFormat,
+  generateDealCodes,
+  mapDealCode,
+} = require('../utils/dealCodes');
+const { sendCsv } = require('../utils/csv');
+
+/** Shared limit fields for single and bulk code creation. */
+function parseCodeLimits(body = {}) {
+  const maxUses = body.maxUses === undefined ? 1 : Math.max(0, Math.floor(Number(body.maxUses) || 0));
+  const maxUsesPerCustomer = Math.max(0, Math.floor(Number(body.maxUsesPerCustomer) || 0));
+  const expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+  if (expiresAt && Number.isNaN(expiresAt.getTime())) return { error: 'Invalid expiresAt' };
+  return { maxUses, maxUsesPerCustomer, expiresAt };
+}
 
 /**
  * @route   POST /api/deals
@@ -243,6 +261,7 @@ router.delete('/:id', protect, async (req, res) => {
     }
 
     await deal.deleteOne();
+    await DealCode.deleteMany({ deal: deal._id, restaurant: req.user.restaurant });
     res.json({ message: 'Deal deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -296,7 +315,12 @@ router.get('/:id/usage', protect, async (req, res) => {
       .sort({ createdAt: -1 });
 
     const totalDiscount = usageRecords.reduce((sum, record) => sum + record.discountApplied, 0);
-    const uniqueCustomers = new Set(usageRecords.map((r) => r.customer._id.toString())).size;
+    const uniqueCustomers = new Set(
+      usageRecords
+        .map((r) => (r.customer?._id || r.storefrontCustomer || '').toString())
+        .filter(Boolean)
+    ).size;
+    const codeRedemptions = usageRecords.filter((r) => r.dealCode).length;
 
     res.json({
       deal,
@@ -305,6 +329,7 @@ router.get('/:id/usage', protect, async (req, res) => {
         totalDiscountGiven: totalDiscount,
         uniqueCustomers,
         averageDiscountPerUse: deal.currentUsageCount > 0 ? totalDiscount / deal.currentUsageCount : 0,
+        codeRedemptions,
       },
       usageRecords,
     });
@@ -360,4 +385,238 @@ router.post('/:id/check-eligibility', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/deals/:id/codes
+ * @desc    List coupon codes of a deal. ?batch=, ?status=available|used, ?q=, ?page=&pageSize=
+ * @access  Admin only
+ */
+router.get('/:id/codes', protect, async (req, res) => {
+  try {
+    const deal = await Deal.findOne({ _id: req.params.id, restaurant: req.user.restaurant }).select('_id name');
+    if (!deal) {
+      return res.status(404).json({ message: 'Deal not found' });
+    }
+
+    const query = { deal: deal._id, restaurant: req.user.restaurant };
+    if (req.query.batch) query.batch = String(req.query.batch);
+    if (req.query.q) query.code = { $regex: `^${normalizeCode(req.query.q).replace(/[^A-Z0-9_-]/g, '')}` };
+    if (req.query.status === 'used') query.usedCount = { $gt: 0 };
+    if (req.query.status === 'available') {
+      query.isActive = true;
+      query.$expr = { $or: [{ $lte: ['$maxUses', 0] }, { $lt: ['$usedCount', '$maxUses'] }] };
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 50, 1), 500);
+    const [codes, total, batches] = await Promise.all([
+      DealCode.find(query).sort({ createdAt: -1 }).skip((page - 1) * pageSize).limit(pageSize).lean(),
+      DealCode.countDocuments(query),
+      DealCode.distinct('batch', { deal: deal._id, restaurant: req.user.restaurant }),
+    ]);
+
+    res.json({
+      codes: codes.map(mapDealCode),
+      batches: batches.filter(Boolean),
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/deals/:id/codes
+ * @desc    Create one named coupon code. Body: { code, maxUses (1 = single-use, 0 = unlimited), maxUsesPerCustomer, expiresAt, batch }
+ * @access  Admin only
+ */
+router.post('/:id/codes', protect, async (req, res) => {
+  try {
+    const deal = await Deal.findOne({ _id: req.params.id, restaurant: req.user.restaurant }).select('_id');
+    if (!deal) {
+      return res.status(404).json({ message: 'Deal not found' });
+    }
+
+    const code = normalizeCode(req.body.code);
+    if (!isValidCodeFormat(code)) {
+      return res.status(400).json({ message: 'Code must be 3-32 letters, digits, - or _' });
+    }
+    const limits = parseCodeLimits(req.body);
+    if (limits.error) {
+      return res.status(400).json({ message: limits.error });
+    }
+
+    const exists = await DealCode.exists({ restaurant: req.user.restaurant, code });
+    if (exists) {
+      return res.status(409).json({ message: 'Code already exists', code: 'COUPON_CODE_TAKEN' });
+    }
+
+    const dealCode = await DealCode.create({
+      restaurant: req.user.restaurant,
+      deal: deal._id,
+      code,
+      batch: String(req.body.batch || '').trim(),
+      maxUses: limits.maxUses,
+      maxUsesPerCustomer: limits.maxUsesPerCustomer,
+      expiresAt: limits.expiresAt,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json(mapDealCode(dealCode));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/deals/:id/codes/bulk
+ * @desc    Generate unique random codes for a campaign.
+ *          Body: { count, prefix, length, batch, maxUses, maxUsesPerCustomer, expiresAt }
+ * @access  Admin only
+ */
+router.post('/:id/codes/bulk', protect, async (req, res) => {
+  try {
+    const deal = await Deal.findOne({ _id: req.params.id, restaurant: req.user.restaurant }).select('_id name');
+    if (!deal) {
+      return res.status(404).json({ message: 'Deal not found' });
+    }
+
+    const count = Math.floor(Number(req.body.count) || 0);
+    if (count < 1 || count > MAX_BULK_CODES) {
+      return res.status(400).json({ message: `count must be between 1 and ${MAX_BULK_CODES}` });
+    }
+    const limits = parseCodeLimits(req.body);
+    if (limits.error) {
+      return res.status(400).json({ message: limits.error });
+    }
+    const batch = String(req.body.batch || '').trim() || `${deal.name} ${new Date().toISOString().slice(0, 10)}`;
+
+    const created = await generateDealCodes({
+      restaurantId: req.user.restaurant,
+      dealId: deal._id,
+      count,
+      prefix: req.body.prefix,
+      length: req.body.length,
+      batch,
+      ...limits,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      batch,
+      requested: count,
+      created: created.length,
+      codes: created.map(mapDealCode),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/deals/:id/codes/export
+ * @desc    Download the deal's codes as CSV (?batch= to export one campaign)
+ * @access  Admin only
+ */
+router.get('/:id/codes/export', protect, async (req, res) => {
+  try {
+    const deal = await Deal.findOne({ _id: req.params.id, restaurant: req.user.restaurant }).select('_id name');
+    if (!deal) {
+      return res.status(404).json({ message: 'Deal not found' });
+    }
+
+    const query = { deal: deal._id, restaurant: req.user.restaurant };
+    if (req.query.batch) query.batch = String(req.query.batch);
+    const codes = await DealCode.find(query).sort({ createdAt: 1 }).lean();
+
+    const rows = codes.map((c) => ({
+      ...mapDealCode(c),
+      dealName: deal.name,
+      maxUses: c.maxUses || 'unlimited',
+      maxUsesPerCustomer: c.maxUsesPerCustomer || 'unlimited',
+      isActive: c.isActive ? 'yes' : 'no',
+    }));
+    const safeName = deal.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'deal';
+    sendCsv(res, `${safeName}-codes.csv`, rows, [
+      { key: 'code', label: 'Code' },
+      { key: 'dealName', label: 'Deal' },
+      { key: 'batch', label: 'Batch' },
+      { key: 'maxUses', label: 'Max uses' },
+      { key: 'maxUsesPerCustomer', label: 'Max uses per customer' },
+      { key: 'usedCount', label: 'Used' },
+      { key: 'expiresAt', label: 'Expires at' },
+      { key: 'isActive', label: 'Active' },
+      { key: 'createdAt', label: 'Created at' },
+    ]);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/deals/:id/codes/:codeId
+ * @desc    Update a code's limits / expiry / active flag
+ * @access  Admin only
+ */
+router.put('/:id/codes/:codeId', protect, async (req, res) => {
+  try {
+    const dealCode = await DealCode.findOne({
+      _id: req.params.codeId,
+      deal: req.params.id,
+      restaurant: req.user.restaurant,
+    });
+    if (!dealCode) {
+      return res.status(404).json({ message: 'Code not found' });
+    }
+
+    const { isActive, maxUses, maxUsesPerCustomer, expiresAt, batch } = req.body;
+    if (typeof isActive === 'boolean') dealCode.isActive = isActive;
+    if (maxUses !== undefined) dealCode.maxUses = Math.max(0, Math.floor(Number(maxUses) || 0));
+    if (maxUsesPerCustomer !== undefined) {
+      dealCode.maxUsesPerCustomer = Math.max(0, Math.floor(Number(maxUsesPerCustomer) || 0));
+    }
+    if (expiresAt !== undefined) {
+      const parsed = expiresAt ? new Date(expiresAt) : null;
+      if (parsed && Number.isNaN(parsed.getTime())) {
+        return res.status(400).json({ message: 'Invalid expiresAt' });
+      }
+      dealCode.expiresAt = parsed;
+    }
+    if (batch !== undefined) dealCode.batch = String(batch || '').trim();
+    await dealCode.save();
+
+    res.json(mapDealCode(dealCode));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/deals/:id/codes/:codeId
+ * @desc    Delete an unused code (used codes can only be deactivated)
+ * @access  Admin only
+ */
+router.delete('/:id/codes/:codeId', protect, async (req, res) => {
+  try {
+    const dealCode = await DealCode.findOne({
+      _id: req.params.codeId,
+      deal: req.params.id,
+      restaurant: req.user.restaurant,
+    });
+    if (!dealCode) {
+      return res.status(404).json({ message: 'Code not found' });
+    }
+    if (dealCode.usedCount > 0) {
+      return res.status(409).json({ message: 'Code has been redeemed; deactivate it instead' });
+    }
+
+    await dealCode.deleteOne();
+    res.json({ message: 'Code deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
@@ -2,14 +2,62 @@ const express = require('express');
 const Integration = require('../models/Integration');
 const Order = require('../models/Order');
 const MenuItem = require('../models/MenuItem');
-const InventoryItem = require('../models/InventoryItem');
 const Restaurant = require('../models/Restaurant');
 const { protect, requireRole, requireRestaurant, requireActiveSubscription } = require('../middleware/authMiddleware');
-const { generateOrderNumber } = require('../utils/orderNumber');
+const { allocateOrderNumber } = require('../utils/orderNumber');
 const { getOrderRooms } = require('../utils/socketRooms');
+const { resolveTaxSettings, computeOrderTax, taxFieldsForOrder } = require('../utils/taxEngine');
+const { assignKitchenStations } = require('../utils/kitchenRouting');
+const {
+  computeStockConsumption,
+  deductStock,
+  reverseStockMovements,
+  recordStockMovements,
+} = require('../services/inventoryService');
 
 const router = express.Router();
 
+/**
+ * Foodpanda orders are always DELIVERY with no branch; tax uses the restaurant rules
+ * and the category of the matched local menu item (unmatched lines use the default rate).
+ */
+function computeFoodpandaTax(restaurant, orderItems, menuItems, discountAmount) {
+  const categoryById = new Map(menuItems.map((m) => [m._id.toString(), m.category]));
+  return computeOrderTax(resolveTaxSettings(restaurant, null), {
+    orderType: 'DELIVERY',
+    lines: orderItems.map((oi) => ({
+      lineTotal: oi.lineTotal,
+      category: oi.menuItem ? categoryById.get(oi.menuItem.toString()) : null,
+    })),
+    discountAmount: discountAmount || 0,
+  });
+}
+
+/**
+ * Order total from our own tax calculation, so taxAmount is always inside it and the sale
+ * voucher balances. A platform total that disagrees is logged, not used.
+ */
+function resolveFoodpandaTotal(extId, subtotal, discountAmount, taxResult, platformTotal) {
+  const computed = Math.round((subtotal - (discountAmount || 0) + taxResult.totalAdjustment) * 100) / 100;
+  if (platformTotal != null && Math.abs(Number(platformTotal) - computed) >= 0.01) {
+    console.warn(
+      `[Foodpanda] Order ${extId}: platform total ${platformTotal} differs from computed total ${computed}; using computed total`
+    );
+  }
+  return computed;
+}
+
+/**
+ * Restaurant-level stock for a Foodpanda order (recipe quantities converted to stock units).
+ * Never fails on low stock: the order is already placed on the platform.
+ */
+async function deductIntegrationStock(restaurantId, orderItems, menuItems) {
+  const { quantities } = await computeStockConsumption(restaurantId, orderItems, {
+    menuMap: new Map(menuItems.map((m) => [m._id.toString(), m])),
+  });
+  return deductStock({ restaurantId, branchId: null, quantities, allowOutOfStock: true });
+}
+
 // ────────────────────────────────────────────────────────────────────────────────
 // AUTHENTICATED ROUTES – restaurant_admin only
 // ────────────────────────────────────────────────────────────────────────────────
@@ -219,19 +267,16 @@ router.post('/test-order', authMiddleware, async (req, res, next) => {
     });
 
     const computedSubtotal = subtotal || orderItems.reduce((s, i) => s + i.lineTotal, 0);
-    const computedTotal = total || computedSubtotal - (discountAmount || 0);
-
-    // Deduct inventory
-    for (const oi of orderItems) {
-      if (!oi.menuItem) continue;
-      const mi = menuItems.find((m) => m._id.toString() === oi.menuItem.toString());
-      if (!mi || !mi.inventoryConsumptions) continue;
-      for (const c of mi.inventoryConsumptions) {
-        await InventoryItem.findByIdAndUpdate(c.inventoryItem, {
-          $inc: { currentStock: -(c.quantity * oi.quantity) },
-        });
-      }
-    }
+    const taxResult = computeFoodpandaTax(req.restaurant, orderItems, menuItems, discountAmount);
+    const computedTotal = resolveFoodpandaTotal(extId, computedSubtotal, discountAmount, taxResult, total);
+
+    await assignKitchenStations(restaurantId, null, orderItems);
+
+    const { orderNumber, tokenNumber } = await allocateOrderNumber(restaurantId, null, 'ORD');
+
+    // Deduct inventory for matched items. The platform has already accepted the order, so
+    // stock is drawn down to zero rather than rejecting it.
+    const stockDeduction = await deductIntegrationStock(restaurantId, orderItems, menuItems);
 
     const order = await Order.create({
       restaurant: restaurantId,
@@ -247,8 +292,20 @@ router.post('/test-order', authMiddleware, async (req, res, next) => {
       items: orderItems,
       subtotal: computedSubtotal,
       discountAmount: discountAmount || 0,
+      ...taxFieldsForOrder(taxResult),
       total: computedTotal,
-      orderNumber: await generateOrderNumber(restaurantId, null, 'ORD'),
+      orderNumber,
+      tokenNumber,
+      stockDeducted: true,
+    }).catch(async (err) => {
+      await reverseStockMovements(restaurantId, stockDeduction.movements).catch(() => {});
+      throw err;
+    });
+    await recordStockMovements(restaurantId, stockDeduction.movements, {
+      type: 'SALE',
+      referenceType: 'Order',
+      referenceId: order._id,
+      referenceNumber: order.orderNumber,
     });
 
     const io = req.app.get('io');
@@ -345,21 +402,17 @@ router.post('/webhooks/foodpanda/:restaurantId', async (req, res, next) => {
     });
 
     const computedSubtotal = subtotal || orderItems.reduce((s, i) => s + i.lineTotal, 0);
-    const computedTotal = total || computedSubtotal - (discountAmount || 0);
-
-    // Deduct inventory for matched items
-    for (const oi of orderItems) {
-      if (!oi.menuItem) continue;
-      const menuItem = menuItems.find((m) => m._id.toString() === oi.menuItem.toString());
-      if (!menuItem || !menuItem.inventoryConsumptions) continue;
-
-      for (const consumption of menuItem.inventoryConsumptions) {
-        const deduction = consumption.quantity * oi.quantity;
-        await InventoryItem.findByIdAndUpdate(consumption.inventoryItem, {
-          $inc: { currentStock: -deduction },
-        });
-      }
-    }
+    const restaurant = await Restaurant.findById(restaurantId).select('settings').lean();
+    const taxResult = computeFoodpandaTax(restaurant, orderItems, menuItems, discountAmount);
+    const computedTotal = resolveFoodpandaTotal(externalOrderId, computedSubtotal, discountAmount, taxResult, total);
+
+    await assignKitchenStations(restaurantId, null, orderItems);
+
+    const { orderNumber, tokenNumber } = await allocateOrderNumber(restaurantId, null, 'ORD');
+
+    // Deduct inventory for matched items. The platform has already accepted the order, so
+    // stock is drawn down to zero rather than rejecting it.
+    const stockDeduction = await deductIntegrationStock(restaurantId, orderItems, menuItems);
 
     const order = await Order.create({
       restaurant: restaurantId,
@@ -375,8 +428,20 @@ router.post('/webhooks/foodpanda/:restaurantId', async (req, res, next) => {
       items: orderItems,
       subtotal: computedSubtotal,
       discountAmount: discountAmount || 0,
+      ...taxFieldsForOrder(taxResult),
       total: computedTotal,
-      orderNumber: await generateOrderNumber(restaurantId, null, 'ORD'),
+      orderNumber,
+      tokenNumber,
+      stockDeducted: true,
+    }).catch(async (err) => {
+      await reverseStockMovements(restaurantId, stockDeduction.movements).catch(() => {});
+      throw err;
+    });
+    await recordStockMovements(restaurantId, stockDeduction.movements, {
+      type: 'SALE',
+      referenceType: 'Order',
+      referenceId: order._id,
+      referenceNumber: order.orderNumber,
     });
 
     const io = req.app.get('io');
@@ -11,11 +11,49 @@ const Reservation = require('../models/Reservation');
 const PosDraft = require('../models/PosDraft');
 const DaySession = require('../models/DaySession');
 const Deal = require('../models/Deal');
+const Refund = require('../models/Refund');
 const bcrypt = require('bcryptjs');
 const { protect, requireRole, requireRestaurant, checkSubscriptionStatus } = require('../middleware/authMiddleware');
-const { generateOrderNumber } = require('../utils/orderNumber');
+const { allocateOrderNumber } = require('../utils/orderNumber');
 const { mergedDeliveryLocations, pickDeliveryLocation } = require('../utils/deliveryLocations');
-const { getOrderRooms } = require('../utils/socketRooms');
+const { getOrderRooms, getStationRoom } = require('../utils/socketRooms');
+const { resolveLineModifiers, getLineInventoryConsumptions } = require('../utils/menuModifiers');
+const { resolveTaxSettings, computeOrderTax, taxFieldsForOrder } = require('../utils/taxEngine');
+const { assignKitchenStations, emitKitchenUpdate } = require('../utils/kitchenRouting');
+const { loadMenuScheduleState, scheduleUnavailableMessage } = require('../utils/menuSchedule');
+const { splitOrder, areAllChecksClosed, mapCheck } = require('../services/orderSplitService');
+const { findOpenTab, addRound, voidLines, mapTab } = require('../services/openTabService');
+const { releaseMergedTables } = require('../services/tableOpsService');
+const { emitOrderFloorUpdate } = require('../services/floorService');
+const { resolveTipSettings, resolveWaiter, listWaiters, computeTip } = require('../services/tipService');
+const {
+  convertRecipeQtyToInventoryStockQty,
+  computeStockConsumption,
+  deductStock,
+  addStock,
+  reverseStockMovements,
+  orderHasDeductedStock,
+  restoreOrderStock,
+  recordStockMovements,
+} = require('../services/inventoryService');
+const { applyRecipeCosts, loadRecipeBook, resolveConsumption } = require('../services/recipeService');
+const {
+  resolveLoyaltySettings,
+  expireMemberPoints,
+  planRedemption,
+  redeemPoints,
+  attachRedemptionToOrder,
+  releaseRedemption,
+  reverseOrderLoyalty,
+  mapMember,
+} = require('../services/loyaltyService');
+const {
+  validateDealCode,
+  claimDealCode,
+  releaseDealCodeClaim,
+  recordDealCodeUsage,
+  releaseOrderDealCodes,
+} = require('../utils/dealCodes');
 const CLOSED_ORDER_STATUSES = ['DELIVERED', 'COMPLETED'];
 const PAID_ORDER_MATCH = {
   $or: [
@@ -204,47 +242,6 @@ function normalizeUnit(unit) {
   return u || 'piece';
 }
 
-function convertRecipeQtyToInventoryStockQty(recipeQty, recipeUnitRaw, inventoryUnitRaw) {
-  const recipeQtyNum = Number(recipeQty || 0);
-  if (!recipeQtyNum) return 0;
-  const recipeUnit = normalizeUnit(recipeUnitRaw);
-  const inventoryUnit = normalizeUnit(inventoryUnitRaw);
-
-  if (inventoryUnit === 'kilogram') {
-    if (recipeUnit === 'gram') return recipeQtyNum / 1000;
-    if (recipeUnit === 'kilogram') return recipeQtyNum;
-  }
-  if (inventoryUnit === 'gram') {
-    if (recipeUnit === 'gram') return recipeQtyNum;
-    if (recipeUnit === 'kilogram') return recipeQtyNum * 1000;
-  }
-  if (inventoryUnit === 'liter') {
-    if (recipeUnit === 'milliliter') return recipeQtyNum / 1000;
-    if (recipeUnit === 'liter') return recipeQtyNum;
-  }
-  if (inventoryUnit === 'milliliter') {
-    if (recipeUnit === 'milliliter') return recipeQtyNum;
-    if (recipeUnit === 'liter') return recipeQtyNum * 1000;
-  }
-  if (inventoryUnit === 'dozen') {
-    if (recipeUnit === 'piece') return recipeQtyNum / 12;
-    if (recipeUnit === 'dozen') return recipeQtyNum;
-  }
-  // piece-like units default to piece counts
-  if (
-    inventoryUnit === 'piece' ||
-    inventoryUnit === 'bottle' ||
-    inventoryUnit === 'can' ||
-    inventoryUnit === 'pack' ||
-    inventoryUnit === 'bag' ||
-    inventoryUnit === 'box'
-  ) {
-    if (recipeUnit === 'piece') return recipeQtyNum;
-    if (recipeUnit === 'dozen') return recipeQtyNum * 12;
-  }
-  return recipeQtyNum;
-}
-
 function getIngredientCostFromRecipeQty(recipeQty, recipeUnitRaw, invItem) {
   const qty = Number(recipeQty || 0);
   if (!qty || !invItem || invItem.costPrice == null) return 0;
@@ -282,11 +279,12 @@ function getIngredientCostFromRecipeQty(recipeQty, recipeUnitRaw, invItem) {
   return ingredientCost;
 }
 
-// Cost per single unit of a menu item from inventory consumptions
-function getMenuItemIngredientCost(menuItem, inventoryMap) {
-  if (!menuItem?.inventoryConsumptions?.length) return 0;
+// Cost per single unit of a menu item from inventory consumptions (plus chosen modifiers)
+function getMenuItemIngredientCost(menuItem, inventoryMap, modifiers) {
+  const consumptions = getLineInventoryConsumptions(menuItem, modifiers);
+  if (!consumptions.length) return 0;
   let cost = 0;
-  for (const c of menuItem.inventoryConsumptions) {
+  for (const c of consumptions) {
     const invId = c.inventoryItem?.toString?.();
     if (!invId) continue;
     const inv = inventoryMap.get(invId);
@@ -297,8 +295,164 @@ function getMenuItemIngredientCost(menuItem, inventoryMap) {
   return cost;
 }
 
+/**
+ * Put refunded order lines back into stock (branch-aware, same unit conversion as order creation).
+ * @param {Array<{ menuItem, modifiers, quantity }>} lines
+ * @returns {Promise<number>} ingredient cost of what was restocked
+ */
+async function restockRefundedLines(order, lines, restaurantId, log = null) {
+  const menuItemIds = Array.from(new Set(lines.map((l) => l.menuItem).filter(Boolean).map(String)));
+  if (menuItemIds.length === 0) return 0;
+  const menuItems = await MenuItem.find({ _id: { $in: menuItemIds }, restaurant: restaurantId });
+  const menuMap = new Map(menuItems.map((m) => [m._id.toString(), m]));
+
+  const linesWithRecipe = lines
+    .map((l) => ({ line: l, consumptions: getLineInventoryConsumptions(menuMap.get(String(l.menuItem)), l.modifiers) }))
+    .filter((x) => x.consumptions.length > 0);
+  const invIds = Array.from(
+    new Set(linesWithRecipe.flatMap((x) => x.consumptions.map((c) => c.inventoryItem.toString())))
+  );
+  if (invIds.length === 0) return 0;
+
+  const invDefs = await InventoryItem.find({ _id: { $in: invIds }, restaurant: restaurantId })
+    .select('_id name unit costPrice itemType consumeFrom')
+    .lean();
+  const invMap = new Map(invDefs.map((d) => [d._id.toString(), d]));
+  if (order.branch) {
+    const branchRows = await BranchInventory.find({ branch: order.branch, inventoryItem: { $in: invIds } })
+      .select('inventoryItem costPrice')
+      .lean();
+    for (const r of branchRows) {
+      const inv = invMap.get(r.inventoryItem.toString());
+      if (inv && r.costPrice) invMap.set(r.inventoryItem.toString(), { ...inv, costPrice: r.costPrice });
+    }
+  }
+  await applyRecipeCosts(restaurantId, invMap, { branchId: order.branch || null });
+
+  let qtyByInventoryId = new Map();
+  let restockCost = 0;
+  for (const { line, consumptions } of linesWithRecipe) {
+    for (const cons of consumptions) {
+      const key = cons.inventoryItem.toString();
+      const inv = invMap.get(key);
+      if (!inv) continue;
+      const recipeQty = cons.quantity * line.quantity;
+      const qty = convertRecipeQtyToInventoryStockQty(recipeQty, cons.unit, inv.unit);
+      qtyByInventoryId.set(key, (qtyByInventoryId.get(key) || 0) + qty);
+      restockCost += getIngredientCostFromRecipeQty(recipeQty, cons.unit, inv);
+    }
+  }
+
+  // Orders that never took stock out (legacy website orders) have nothing to put back
+  if (orderHasDeductedStock(order)) {
+    // Made-to-order prep items were taken from their ingredients
+    if (invDefs.some((d) => d.itemType === 'prep' && d.consumeFrom === 'recipe')) {
+      qtyByInventoryId = resolveConsumption(qtyByInventoryId, await loadRecipeBook(restaurantId));
+    }
+    await addStock({ restaurantId, branchId: order.branch || null, quantities: qtyByInventoryId, log });
+  }
+
+  return Math.round(restockCost * 100) / 100;
+}
+
+function mapRefund(r) {
+  return {
+    id: r._id.toString(),
+    refundNumber: r.refundNumber,
+    orderId: r.order?._id ? r.order._id.toString() : r.order?.toString?.() || null,
+    orderNumber: r.orderNumber,
+    type: r.type,
+    amount: r.amount,
+    taxAmount: r.taxAmount || 0,
+    serviceChargeAmount: r.serviceChargeAmount || 0,
+    tender: {
+      method: r.tender?.method,
+      provider: r.tender?.provider || null,
+    },
+    stockAction: r.stockAction,
+    restockCost: r.restockCost || 0,
+    reason: r.reason || '',
+    lines: (r.lines || []).map((l) => ({
+      index: l.index,
+      menuItemId: l.menuItem ? l.menuItem.toString() : null,
+      name: l.name,
+      quantity: l.quantity,
+      unitPrice: l.unitPrice,
+      amount: l.amount,
+      modifiers: l.modifiers || [],
+    })),
+    daySessionId: r.daySession ? r.daySession.toString() : null,
+    voucherNumber: r.accountingVoucherNumber || null,
+    accountingError: r.accountingError || null,
+    createdBy: r.createdBy?.name ? { id: r.createdBy._id?.toString(), name: r.createdBy.name } : null,
+    createdAt: r.createdAt,
+  };
+}
+
+/** Refund totals per tender for the given day sessions (close-out / session reports). */
+async function getRefundSummaryForSessions(restaurantId, sessionIds) {
+  const rows = await Refund.aggregate([
+    { $match: { restaurant: restaurantId, daySession: { $in: sessionIds } } },
+    { $group: { _id: '$tender.method', amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+  ]);
+  const byMethod = Object.fromEntries(rows.map((r) => [r._id, r]));
+  return {
+    totalRefunds: rows.reduce((s, r) => s + r.amount, 0),
+    refundCount: rows.reduce((s, r) => s + r.count, 0),
+    cashRefunds: byMethod.CASH?.amount || 0,
+    cardRefunds: byMethod.CARD?.amount || 0,
+    onlineRefunds: byMethod.ONLINE?.amount || 0,
+  };
+}
+
+/**
+ * Validate draft lines against the menu and snapshot their modifier selections the same
+ * way POST /orders does, so a draft only ever holds lines that can be turned into an order.
+ * @returns {Promise<{ items?: Array, error?: { message: string, code?: string } }>}
+ */
+async function resolveDraftItems(restaurantId, items) {
+  for (const i of items) {
+    if (!i || !mongoose.Types.ObjectId.isValid(String(i.menuItemId))) {
+      return { error: { message: 'Each draft item needs a valid menuItemId' } };
+    }
+    const quantity = Number(i.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: { message: 'Draft item quantity must be a whole number of at least 1' } };
+    }
+  }
+
+  const ids = [...new Set(items.map((i) => String(i.menuItemId)))];
+  const menuItems = await MenuItem.find({ _id: { $in: ids }, restaurant: restaurantId })
+    .select('name price imageUrl modifierGroups')
+    .lean();
+  const menuMap = new Map(menuItems.map((m) => [m._id.toString(), m]));
+
+  const resolvedItems = [];
+  for (const i of items) {
+    const menu = menuMap.get(String(i.menuItemId));
+    if (!menu) {
+      return { error: { message: 'One or more draft items are not on this restaurant\'s menu' } };
+    }
+    const resolved = resolveLineModifiers(menu, i.modifiers);
+    if (resolved.error) {
+      return { error: { message: resolved.error, code: 'INVALID_MODIFIERS' } };
+    }
+    const price = Number(i.price);
+    resolvedItems.push({
+      menuItemId: menu._id,
+      name: String(i.name || '').trim() || menu.name,
+      price: Number.isFinite(price) && price >= 0 ? price : Math.max(0, menu.price + resolved.priceDelta),
+      quantity: Number(i.quantity),
+      imageUrl: i.imageUrl || menu.imageUrl || '',
+      modifiers: resolved.modifiers,
+    });
+  }
+  return { items: resolvedItems };
+}
+
 // @route   POST /api/pos/orders
-// @desc    Create and complete a new POS order (branchId required when restaurant has branches)
+// @desc    Create and complete a new POS order (branchId required when restaurant has branches).
+//          openTab: true opens a dine-in tab on the table instead; later rounds go to /orders/:id/rounds
 // @access  Staff / Restaurant Admin
 router.post('/orders', async (req, res, next) => {
   try {
@@ -321,6 +475,13 @@ router.post('/orders', async (req, res, next) => {
       tableId,
       tableName,
       amountReceived,
+      loyaltyRedeemPoints = 0,
+      couponCode = '',
+      openTab = false,
+      waiterId,
+      tipAmount,
+      tipPercent,
+      tipMethod,
     } = req.body;
 
     if (!Array.isArray(items) || items.length === 0) {
@@ -352,6 +513,25 @@ router.post('/orders', async (req, res, next) => {
       return res.status(400).json({ message: 'paymentProvider is required when paymentMethod is ONLINE' });
     }
 
+    // Open tab: one unpaid dine-in order per table, paid when the guests leave
+    const isOpenTab = openTab === true || openTab === 'true';
+    if (isOpenTab) {
+      if (orderType !== 'DINE_IN' || !(tableId || String(tableName || '').trim())) {
+        return res.status(400).json({ message: 'Open tabs are for dine-in orders on a table', code: 'TAB_TABLE_REQUIRED' });
+      }
+      if (orderPaymentMethod !== 'PENDING') {
+        return res.status(400).json({ message: 'Open tabs are paid when they are settled', code: 'TAB_PAID_AT_OPEN' });
+      }
+      const existingTab = await findOpenTab({ restaurantId, branchId: branch ? branch._id : null, tableId, tableName });
+      if (existingTab) {
+        return res.status(409).json({
+          message: `Table already has an open tab (${existingTab.orderNumber}); add a round to it instead`,
+          code: 'TABLE_HAS_OPEN_TAB',
+          orderId: existingTab._id.toString(),
+        });
+      }
+    }
+
     // Separate regular menu items from deal items.
     // Deal lines may come as `menuItemId: "deal-<dealId>"` or explicit `dealId`.
     const isDealLineItem = (line) =>
@@ -365,7 +545,7 @@ router.post('/orders', async (req, res, next) => {
       ? await MenuItem.find({ _id: { $in: menuItemIds }, restaurant: req.restaurant._id, available: true })
       : [];
 
-    if (dbMenuItems.length !== regularItems.length) {
+    if (dbMenuItems.length !== new Set(menuItemIds.map(String)).size) {
       return res.status(400).json({ message: 'One or more items are invalid or unavailable' });
     }
 
@@ -385,7 +565,7 @@ router.post('/orders', async (req, res, next) => {
       }).populate({
         path: 'comboItems.menuItem',
         model: 'MenuItem',
-        select: '_id name price inventoryConsumptions available',
+        select: '_id name price category inventoryConsumptions available',
       });
 
       const dealMap = new Map(dbDeals.map((d) => [d._id.toString(), d]));
@@ -438,16 +618,49 @@ router.post('/orders', async (req, res, next) => {
       menuMap.set(menuItem._id.toString(), menuItem);
     }
 
+    // Items on a breakfast / lunch ... menu can only be sold during its serving times
+    const scheduleState = await loadMenuScheduleState(restaurantId, branch ? branch._id : null);
+    for (const menuItem of menuMap.values()) {
+      if (!scheduleState.isItemAvailableNow(menuItem)) {
+        return res.status(400).json({
+          message: scheduleUnavailableMessage(menuItem.name, scheduleState.closedSchedulesFor(menuItem)),
+          code: 'ITEM_OUTSIDE_SCHEDULE',
+        });
+      }
+    }
+
     let subtotal = 0;
 
+    // Resolve modifier selections (size, add-ons ...) per cart line
+    const regularLineModifiers = [];
+    for (const i of regularItems) {
+      const resolved = resolveLineModifiers(menuMap.get(String(i.menuItemId)), i.modifiers);
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error, code: 'INVALID_MODIFIERS' });
+      }
+      regularLineModifiers.push(resolved);
+    }
+
     // Build order items for regular menu items
-    const regularOrderItems = regularItems.map((i) => {
+    const regularOrderItems = regularItems.map((i, idx) => {
       const menu = menuMap.get(String(i.menuItemId));
       const quantity = Number(i.quantity) || 0;
       if (quantity <= 0) throw new Error('Quantity must be greater than zero');
-      const lineTotal = menu.price * quantity;
+      const { modifiers, priceDelta } = regularLineModifiers[idx];
+      const unitPrice = Math.max(0, menu.price + priceDelta);
+      const lineTotal = unitPrice * quantity;
       subtotal += lineTotal;
-      return { menuItem: menu._id, name: menu.name, quantity, unitPrice: menu.price, lineTotal, note: (i.note || '').trim() || undefined };
+      const seat = Number(i.seat);
+      return {
+        menuItem: menu._id,
+        name: menu.name,
+        quantity,
+        unitPrice,
+        lineTotal,
+        note: (i.note || '').trim() || undefined,
+        seat: Number.isInteger(seat) && seat > 0 ? seat : undefined,
+        modifiers: modifiers.length ? modifiers : undefined,
+      };
     });
 
     // Build order items for deal (combo) expansions — items at full price, discount tracked in appliedDeals
@@ -462,9 +675,69 @@ router.post('/orders', async (req, res, next) => {
     }
 
     const orderItems = [...regularOrderItems, ...dealOrderItems];
+    if (isOpenTab) orderItems.forEach((oi) => { oi.round = 1; });
+
+    // Coupon code: priced here on regular lines (combo lines are already discounted) and
+    // added on top of the client's discountAmount, which must not include it.
+    let coupon = null;
+    if (String(couponCode || '').trim()) {
+      const phone = String(customerPhone || '').trim();
+      const couponCustomer = phone
+        ? await Customer.findOne({ restaurant: restaurantId, branch: branch ? branch._id : null, phone }).select('_id').lean()
+        : null;
+      coupon = await validateDealCode({
+        restaurantId,
+        branchId: branch ? branch._id : null,
+        code: couponCode,
+        orderItems: regularOrderItems.map((oi) => ({
+          menuItem: oi.menuItem,
+          quantity: oi.quantity,
+          price: oi.unitPrice,
+          category: menuMap.get(oi.menuItem.toString())?.category,
+        })),
+        subtotal: regularOrderItems.reduce((sum, oi) => sum + oi.lineTotal, 0),
+        customerId: couponCustomer?._id || null,
+        newCustomer: Boolean(phone),
+      });
+      if (coupon.error) {
+        return res.status(coupon.error.status).json({ message: coupon.error.message, code: coupon.error.code });
+      }
+      appliedDeals.push({
+        deal: coupon.deal._id,
+        dealName: coupon.deal.name,
+        dealType: coupon.deal.dealType,
+        discountAmount: coupon.discountAmount,
+        code: coupon.dealCode.code,
+      });
+    }
 
     // Total discount: client sends final monetary discount (deals + manual %). Do not add server deal savings again.
-    const discount = Math.min(subtotal, Math.max(0, Number(discountAmount) || 0));
+    const baseDiscount = Math.min(subtotal, Math.max(0, Number(discountAmount) || 0) + (coupon?.discountAmount || 0));
+
+    // Loyalty redemption: points of the customer on this order are taken as extra discount
+    const loyaltySettings = resolveLoyaltySettings(req.restaurant);
+    let loyaltyMember = null;
+    let loyaltyPlan = null;
+    if (Number(loyaltyRedeemPoints) > 0) {
+      if (!customerPhone || !customerPhone.trim()) {
+        return res.status(400).json({ message: 'customerPhone is required to redeem loyalty points', code: 'LOYALTY_MEMBER_REQUIRED' });
+      }
+      loyaltyMember = await Customer.findOne({
+        restaurant: restaurantId,
+        branch: branch ? branch._id : null,
+        phone: customerPhone.trim(),
+      });
+      if (!loyaltyMember) {
+        return res.status(404).json({ message: 'Loyalty member not found', code: 'LOYALTY_MEMBER_NOT_FOUND' });
+      }
+      const expired = await expireMemberPoints(restaurantId, 'Customer', loyaltyMember._id, loyaltySettings);
+      if (expired > 0) loyaltyMember.loyaltyPoints = Math.max(0, (loyaltyMember.loyaltyPoints || 0) - expired);
+      loyaltyPlan = planRedemption(loyaltySettings, loyaltyMember, loyaltyRedeemPoints, subtotal - baseDiscount);
+      if (loyaltyPlan.error) {
+        return res.status(loyaltyPlan.error.status).json({ message: loyaltyPlan.error.message, code: loyaltyPlan.error.code });
+      }
+    }
+    const discount = Math.round((baseDiscount + (loyaltyPlan?.value || 0)) * 100) / 100;
     const foodTotal = Math.max(0, subtotal - discount);
 
     const manualPctNum =
@@ -527,140 +800,98 @@ router.post('/orders', async (req, res, next) => {
       }
     }
 
-    const total = foodTotal;
-    const amountDue = Math.round((foodTotal + deliveryCharges) * 100) / 100;
-
-    /** Accumulates recipe ingredient cost for the order (same scope through Order.create + COGS post). */
-    let totalIngredientCost = 0;
+    // Tax / service charge (branch rules override restaurant rules)
+    const taxResult = computeOrderTax(resolveTaxSettings(req.restaurant, branch), {
+      orderType,
+      lines: orderItems.map((oi) => ({
+        lineTotal: oi.lineTotal,
+        category: menuMap.get(oi.menuItem.toString())?.category,
+      })),
+      discountAmount: discount,
+    });
 
-    // Inventory deduction (branch-aware)
-    const inventoryIdsForConsumption = [
-      ...new Set(
-        orderItems.flatMap((orderItem) => {
-          const menu = menuMap.get(orderItem.menuItem.toString());
-          return (menu?.inventoryConsumptions || []).map((c) => c.inventoryItem?.toString?.()).filter(Boolean);
-        })
-      ),
-    ];
-    const inventoryDefsForConsumption = inventoryIdsForConsumption.length
-      ? await InventoryItem.find({
-          _id: { $in: inventoryIdsForConsumption },
-          restaurant: req.restaurant._id,
-        })
-          .select('_id name unit')
-          .lean()
-      : [];
-    const invMetaMap = new Map(
-      inventoryDefsForConsumption.map((d) => [
-        d._id.toString(),
-        { name: d.name || 'Unknown', unit: d.unit || 'piece' },
-      ])
-    );
+    const total = Math.round((foodTotal + taxResult.totalAdjustment) * 100) / 100;
+    const amountDue = Math.round((total + deliveryCharges) * 100) / 100;
 
-    const consumptionByInventoryId = new Map();
-    for (const orderItem of orderItems) {
-      const menu = menuMap.get(orderItem.menuItem.toString());
-      if (!menu.inventoryConsumptions || menu.inventoryConsumptions.length === 0) continue;
-
-      for (const cons of menu.inventoryConsumptions) {
-        const key = cons.inventoryItem.toString();
-        const needed = convertRecipeQtyToInventoryStockQty(
-          cons.quantity * orderItem.quantity,
-          cons.unit,
-          invMetaMap.get(key)?.unit
-        );
-        console.log('Inventory deduction:', {
-          item: invMetaMap.get(key)?.name || 'Unknown',
-          recipeQty: cons.quantity * orderItem.quantity,
-          recipeUnit: cons.unit,
-          inventoryUnit: invMetaMap.get(key)?.unit,
-          deductedQty: needed,
-        });
-        consumptionByInventoryId.set(key, (consumptionByInventoryId.get(key) || 0) + needed);
+    // Server for the order: the chosen waiter, else the order taker taking it
+    let waiter = null;
+    if (waiterId) {
+      const resolved = await resolveWaiter({ restaurantId, branchId: branch ? branch._id : null, waiterId });
+      if (resolved.error) {
+        const { status, ...body } = resolved.error;
+        return res.status(status).json(body);
       }
+      waiter = resolved.waiter;
+    } else if (req.user.role === 'order_taker') {
+      waiter = { _id: req.user.id, name: req.user.name || '' };
     }
 
-    if (consumptionByInventoryId.size > 0) {
-      const inventoryIds = Array.from(consumptionByInventoryId.keys());
-
-      if (branch) {
-        // Branch-level stock deduction
-        const branchInvRows = await BranchInventory.find({ branch: branch._id, inventoryItem: { $in: inventoryIds } });
-        const branchInvMap = new Map(branchInvRows.map((r) => [r.inventoryItem.toString(), r]));
-        // Also load item names for error messages
-        const itemDefs = await InventoryItem.find({ _id: { $in: inventoryIds }, restaurant: req.restaurant._id });
-        const itemNameMap = new Map(itemDefs.map((d) => [d._id.toString(), d.name]));
-
-        const insufficient = [];
-        for (const [invId, required] of consumptionByInventoryId.entries()) {
-          const brRow = branchInvMap.get(invId);
-          const available = brRow ? brRow.currentStock : 0;
-          if (available < required && !req.restaurant.settings.allowOrderWhenOutOfStock) {
-            insufficient.push({ itemId: invId, name: itemNameMap.get(invId) || 'Unknown', required, available });
-          }
-        }
-        if (insufficient.length > 0) {
-          return res.status(400).json({ message: 'Insufficient stock for one or more items', details: insufficient });
-        }
-        // Deduct from BranchInventory
-        await Promise.all(
-          Array.from(consumptionByInventoryId.entries()).map(async ([invId, required]) => {
-            await BranchInventory.findOneAndUpdate(
-              { branch: branch._id, inventoryItem: invId },
-              { $inc: { currentStock: -required } },
-              { upsert: false }
-            );
-          })
-        );
-      } else {
-        // Restaurant-level stock deduction (legacy/no branches)
-        const inventoryItems = await InventoryItem.find({
-          _id: { $in: inventoryIds },
-          restaurant: req.restaurant._id,
-        });
+    // Tip taken with a counter payment (kept out of the bill total)
+    const tipResult = computeTip({
+      tipAmount,
+      tipPercent,
+      tipMethod,
+      paymentMethod: orderPaymentMethod,
+      billTotal: amountDue,
+      settings: resolveTipSettings(req.restaurant, branch),
+    });
+    if (tipResult.error) {
+      const { status, ...body } = tipResult.error;
+      return res.status(status).json(body);
+    }
+    const tip = tipResult.tip;
+    if (tip && tip.amount > 0 && orderPaymentMethod === 'PENDING') {
+      return res.status(400).json({ message: 'Tips are recorded with the payment', code: 'TIP_WITHOUT_PAYMENT' });
+    }
+    if (tip && tip.method === 'CASH' && orderPaymentMethod === 'CASH' && amountReceived != null && Number(amountReceived) < amountDue + tip.amount) {
+      return res.status(400).json({ message: 'Amount received does not cover the bill and the cash tip', code: 'TIP_NOT_COVERED' });
+    }
 
-        if (inventoryItems.length !== inventoryIds.length) {
-          return res.status(400).json({ message: 'Inventory configuration invalid for one or more items' });
-        }
+    /** Accumulates recipe ingredient cost for the order (same scope through Order.create + COGS post). */
+    let totalIngredientCost = 0;
 
-        const insufficient = [];
-        for (const inv of inventoryItems) {
-          const required = consumptionByInventoryId.get(inv._id.toString());
-          if (inv.currentStock < required && !req.restaurant.settings.allowOrderWhenOutOfStock) {
-            insufficient.push({ itemId: inv._id, name: inv.name, required, available: inv.currentStock });
-          }
-        }
-        if (insufficient.length > 0) {
-          return res.status(400).json({ message: 'Insufficient stock for one or more items', details: insufficient });
-        }
-        // Deduct stock from InventoryItem
-        await Promise.all(
-          inventoryItems.map((inv) => {
-            const required = consumptionByInventoryId.get(inv._id.toString());
-            inv.currentStock = Math.max(0, inv.currentStock - required);
-            return inv.save();
-          })
-        );
-      }
+    const session = await getCurrentOpenSession(req.restaurant._id, branch);
+    if (!session) {
+      return res.status(409).json({
+        message: 'No active business day session. Please start a session before placing orders.',
+        code: 'NO_ACTIVE_SESSION',
+      });
     }
 
-    // Upsert customer record for this order
-    if (customerPhone && customerPhone.trim()) {
-      try {
-        await Customer.findOneAndUpdate(
-          { restaurant: req.restaurant._id, branch: branch ? branch._id : null, phone: customerPhone.trim() },
-          {
-            $set: { name: customerName || 'Walk-in Customer', lastOrderAt: new Date() },
-            $inc: { totalOrders: 1, totalSpent: amountDue },
-            $setOnInsert: { restaurant: req.restaurant._id, branch: branch ? branch._id : null, phone: customerPhone.trim() },
-          },
-          { upsert: true }
-        );
-      } catch (_) { /* non-critical */ }
+    // Routed and numbered before any stock is taken, so a failure here leaves nothing to release
+    await assignKitchenStations(req.restaurant._id, branch ? branch._id : null, orderItems);
+
+    const { orderNumber, tokenNumber } = await allocateOrderNumber(req.restaurant._id, branch ? branch._id : null, 'ORD');
+
+    // Inventory deduction (branch-aware, guarded per row; released below if the order is not saved)
+    const { quantities: consumptionByInventoryId } = await computeStockConsumption(req.restaurant._id, orderItems, { menuMap });
+    const stockDeduction = await deductStock({
+      restaurantId: req.restaurant._id,
+      branchId: branch ? branch._id : null,
+      quantities: consumptionByInventoryId,
+      allowOutOfStock: Boolean(req.restaurant.settings?.allowOrderWhenOutOfStock),
+    });
+    if (stockDeduction.error) {
+      return res.status(stockDeduction.error.status).json({
+        message: stockDeduction.error.message,
+        code: stockDeduction.error.code,
+        details: stockDeduction.error.details,
+      });
     }
+    const releaseStock = () =>
+      reverseStockMovements(req.restaurant._id, stockDeduction.movements).catch((err) =>
+        console.error('Stock release failed:', err.message)
+      );
 
     // Compute ingredient cost and profit (sale price - ingredient cost at time of order)
-    const invIds = Array.from(consumptionByInventoryId.keys());
+    // Costed per recipe line, so prep items are valued as a whole (recipe cost when made to order)
+    const invIds = Array.from(
+      new Set(
+        orderItems.flatMap((oi) =>
+          getLineInventoryConsumptions(menuMap.get(oi.menuItem.toString()), oi.modifiers).map((c) => c.inventoryItem.toString())
+        )
+      )
+    );
     if (invIds.length > 0) {
       const itemDefs = await InventoryItem.find({ _id: { $in: invIds }, restaurant: req.restaurant._id })
         .select('_id name unit costPrice')
@@ -678,14 +909,17 @@ router.post('/orders', async (req, res, next) => {
           if (invCostMap.has(id)) invCostMap.set(id, { ...invCostMap.get(id), costPrice: r.costPrice ?? 0 });
         }
       }
+      await applyRecipeCosts(req.restaurant._id, invCostMap, { branchId: branch ? branch._id : null });
       for (const orderItem of orderItems) {
         const menu = menuMap.get(orderItem.menuItem.toString());
         if (!menu) continue;
-        totalIngredientCost += getMenuItemIngredientCost(menu, invCostMap) * orderItem.quantity;
+        totalIngredientCost += getMenuItemIngredientCost(menu, invCostMap, orderItem.modifiers) * orderItem.quantity;
       }
     }
     const ingredientCost = totalIngredientCost;
-    const profit = Math.round((foodTotal - ingredientCost) * 100) / 100;
+    // Tax already inside menu prices is not revenue
+    const inclusiveTax = taxResult.taxAmount - taxResult.exclusiveTaxAmount;
+    const profit = Math.round((foodTotal - inclusiveTax - ingredientCost) * 100) / 100;
 
     console.log(
       '[COGS debug] ingredientCost after compute:',
@@ -704,43 +938,19 @@ router.post('/orders', async (req, res, next) => {
       deliveryAddressFinal = addrNotes ? `${deliveryLocationName} — ${addrNotes}` : deliveryLocationName;
     }
 
-    // When DINE_IN order has a table name, mark that table as occupied (isAvailable = false)
-    if (orderType === 'DINE_IN' && tableNameTrimmed) {
-      await Table.findOneAndUpdate(
-        { restaurant: req.restaurant._id, branch: branch ? branch._id : null, name: tableNameTrimmed },
-        { $set: { isAvailable: false, status: 'occupied' } }
-      );
-      // Advance any active reservation for this table to 'seated'
-      await Reservation.findOneAndUpdate(
-        {
-          restaurant: req.restaurant._id,
-          branch: branch ? branch._id : null,
-          tableNumber: tableNameTrimmed,
-          status: { $in: ['pending', 'confirmed'] },
-        },
-        { $set: { status: 'seated' } },
-        { sort: { date: 1 } }
-      );
-    }
-
     const paidAtCreation = orderPaymentMethod === 'CASH' || orderPaymentMethod === 'CARD' || orderPaymentMethod === 'ONLINE';
     let paymentAmountReceived = null;
     let paymentAmountReturned = null;
     if (paidAtCreation && orderPaymentMethod === 'CASH' && amountReceived != null) {
+      // A cash tip is left out of the change
+      const cashTip = tip && tip.method === 'CASH' ? tip.amount : 0;
       const received = Number(amountReceived);
-      if (!isNaN(received) && received >= amountDue) {
+      if (!isNaN(received) && received >= amountDue + cashTip) {
         paymentAmountReceived = received;
-        paymentAmountReturned = received - amountDue;
+        paymentAmountReturned = Math.round((received - amountDue - cashTip) * 100) / 100;
       }
     }
 
-    const session = await getCurrentOpenSession(req.restaurant._id, branch);
-    if (!session) {
-      return res.status(409).json({
-        message: 'No active business day session. Please start a session before placing orders.',
-        code: 'NO_ACTIVE_SESSION',
-      });
-    }
 
     // Auto-assign rider when a delivery_rider creates the order
     const isRiderCreated = req.user.role === 'delivery_rider' && orderType === 'DELIVERY';
@@ -751,6 +961,32 @@ router.post('/orders', async (req, res, next) => {
       riderFields.assignedRiderPhone = req.user.phone || '';
     }
 
+    let loyaltyRedemption = null;
+    if (loyaltyPlan) {
+      const redeemed = await redeemPoints({
+        restaurantId,
+        branch: branch ? branch._id : null,
+        memberType: 'Customer',
+        memberId: loyaltyMember._id,
+        points: loyaltyPlan.points,
+        settings: loyaltySettings,
+        createdBy: req.user.id,
+      });
+      if (redeemed.error) {
+        await releaseStock();
+        return res.status(redeemed.error.status).json({ message: redeemed.error.message, code: redeemed.error.code });
+      }
+      loyaltyRedemption = redeemed.transaction;
+    }
+    if (coupon) {
+      const claimed = await claimDealCode(coupon.dealCode, coupon.deal);
+      if (claimed.error) {
+        await releaseRedemption(loyaltyRedemption, loyaltySettings).catch(() => {});
+        await releaseStock();
+        return res.status(claimed.error.status).json({ message: claimed.error.message, code: claimed.error.code });
+      }
+    }
+
     const order = await Order.create({
       restaurant: req.restaurant._id,
       branch: branch ? branch._id : undefined,
@@ -773,9 +1009,13 @@ router.post('/orders', async (req, res, next) => {
       posDiscountPresetLabel: storedManualPct ? posPresetLbl : '',
       posManualDiscountPercent: storedManualPct,
       appliedDeals,
+      loyaltyPointsRedeemed: loyaltyPlan?.points || 0,
+      loyaltyRedeemValue: loyaltyPlan?.value || 0,
+      ...taxFieldsForOrder(taxResult),
       total,
       ingredientCost,
       profit,
+      customer: loyaltyMember?._id || undefined,
       customerName: customerName || '',
       customerPhone: customerPhone || '',
       deliveryAddress: orderType === 'DELIVERY' ? deliveryAddressFinal : '',
@@ -783,9 +1023,80 @@ router.post('/orders', async (req, res, next) => {
       deliveryLocationId: orderType === 'DELIVERY' ? (deliveryLocationObjectId || undefined) : undefined,
       deliveryLocationName: orderType === 'DELIVERY' ? (deliveryLocationName || undefined) : undefined,
       grandTotal: amountDue,
-      orderNumber: await generateOrderNumber(req.restaurant._id, branch ? branch._id : null, 'ORD'),
+      orderNumber,
+      tokenNumber,
+      stockDeducted: true,
+      isOpenTab,
+      rounds: isOpenTab ? [{ number: 1, lineCount: orderItems.length, createdBy: req.user.id, at: new Date() }] : [],
+      assignedWaiterId: waiter ? waiter._id : null,
+      assignedWaiterName: waiter ? waiter.name || '' : '',
+      tipAmount: tip ? tip.amount : 0,
+      tipPercent: tip ? tip.percent : null,
+      tipMethod: tip ? tip.method : null,
       ...riderFields,
+    }).catch(async (err) => {
+      await releaseRedemption(loyaltyRedemption, loyaltySettings).catch(() => {});
+      if (coupon) await releaseDealCodeClaim(coupon.dealCode._id, coupon.deal._id).catch(() => {});
+      await releaseStock();
+      throw err;
     });
+    await recordStockMovements(req.restaurant._id, stockDeduction.movements, {
+      type: 'SALE',
+      referenceType: 'Order',
+      referenceId: order._id,
+      referenceNumber: order.orderNumber,
+      createdBy: req.user.id,
+    });
+    if (loyaltyRedemption) await attachRedemptionToOrder(loyaltyRedemption, order);
+
+    // Customer counters and the table are only touched once the order exists, so an order
+    // refused above (loyalty, coupon, save) leaves neither behind
+    if (customerPhone && customerPhone.trim()) {
+      try {
+        const customerDoc = await Customer.findOneAndUpdate(
+          { restaurant: req.restaurant._id, branch: branch ? branch._id : null, phone: customerPhone.trim() },
+          {
+            $set: { name: customerName || 'Walk-in Customer', lastOrderAt: new Date() },
+            $inc: { totalOrders: 1, totalSpent: amountDue },
+            $setOnInsert: { restaurant: req.restaurant._id, branch: branch ? branch._id : null, phone: customerPhone.trim() },
+          },
+          { upsert: true, new: true }
+        );
+        if (!order.customer && customerDoc) {
+          order.customer = customerDoc._id;
+          await Order.updateOne({ _id: order._id }, { $set: { customer: customerDoc._id } });
+        }
+      } catch (_) { /* non-critical */ }
+    }
+
+    // When DINE_IN order has a table name, mark that table as occupied (isAvailable = false)
+    if (orderType === 'DINE_IN' && tableNameTrimmed) {
+      await Table.findOneAndUpdate(
+        { restaurant: req.restaurant._id, branch: branch ? branch._id : null, name: tableNameTrimmed },
+        { $set: { isAvailable: false, status: 'occupied' } }
+      );
+      // Advance any active reservation for this table to 'seated'
+      await Reservation.findOneAndUpdate(
+        {
+          restaurant: req.restaurant._id,
+          branch: branch ? branch._id : null,
+          tableNumber: tableNameTrimmed,
+          status: { $in: ['pending', 'confirmed'] },
+        },
+        { $set: { status: 'seated' } },
+        { sort: { date: 1 } }
+      );
+    }
+
+    if (coupon) {
+      await recordDealCodeUsage({
+        dealCode: coupon.dealCode,
+        deal: coupon.deal,
+        order,
+        discountAmount: coupon.discountAmount,
+        customerId: order.customer || null,
+      }).catch((err) => console.error('Coupon usage record failed:', err.message));
+    }
 
     console.log('ingredientCost value:', ingredientCost, 'orderId:', order._id);
 
@@ -822,16 +1133,31 @@ router.post('/orders', async (req, res, next) => {
       const rooms = getOrderRooms(order.restaurant, order.branch);
       const payload = { id: order._id.toString(), orderNumber: order.orderNumber, status: order.status, createdAt: order.createdAt };
       rooms.forEach((room) => io.to(room).emit('order:created', payload));
+      emitKitchenUpdate(io, order, { event: 'kitchen:ticket' });
     }
+    emitOrderFloorUpdate(io, order);
 
     res.status(201).json({
       id: order._id,
       orderNumber: order.orderNumber,
+      tokenNumber: order.tokenNumber,
       subtotal: order.subtotal,
       discountAmount: order.discountAmount,
+      serviceChargeAmount: order.serviceChargeAmount || 0,
+      taxAmount: order.taxAmount || 0,
+      taxLines: order.taxLines || [],
       deliveryCharges: order.deliveryCharges ?? 0,
       total: order.total,
       amountDue: amountDue,
+      loyaltyPointsRedeemed: order.loyaltyPointsRedeemed || 0,
+      loyaltyRedeemValue: order.loyaltyRedeemValue || 0,
+      couponCode: coupon ? coupon.dealCode.code : null,
+      couponDiscount: coupon ? coupon.discountAmount : 0,
+      isOpenTab: order.isOpenTab,
+      assignedWaiterId: order.assignedWaiterId ? order.assignedWaiterId.toString() : null,
+      assignedWaiterName: order.assignedWaiterName || '',
+      tipAmount: order.tipAmount || 0,
+      tipMethod: order.tipMethod || null,
       createdAt: order.createdAt,
     });
   } catch (error) {
@@ -855,82 +1181,32 @@ router.post('/orders/:id/cancel', async (req, res, next) => {
     if (!order) {
       return res.status(404).json({ message: 'Order not found or already cancelled' });
     }
-
-    // Rebuild inventory consumption from the order items and current menu configuration
-    const menuItemIds = Array.from(new Set(order.items.map((i) => i.menuItem.toString())));
-    const menuItems = await MenuItem.find({
-      _id: { $in: menuItemIds },
-      restaurant: req.restaurant._id,
-    });
-    const menuMap = new Map(menuItems.map((m) => [m._id.toString(), m]));
-
-    const consumptionByInventoryId = new Map();
-    for (const orderItem of order.items) {
-      const menu = menuMap.get(orderItem.menuItem.toString());
-      if (!menu || !menu.inventoryConsumptions || menu.inventoryConsumptions.length === 0) continue;
-
-      const invDefs = await InventoryItem.find({
-        _id: { $in: menu.inventoryConsumptions.map((c) => c.inventoryItem) },
-        restaurant: req.restaurant._id,
-      })
-        .select('_id unit')
-        .lean();
-      const invUnitMap = new Map(invDefs.map((d) => [d._id.toString(), d.unit]));
-
-      for (const cons of menu.inventoryConsumptions) {
-        const qty = convertRecipeQtyToInventoryStockQty(
-          cons.quantity * orderItem.quantity,
-          cons.unit,
-          invUnitMap.get(cons.inventoryItem.toString())
-        );
-        const key = cons.inventoryItem.toString();
-        consumptionByInventoryId.set(key, (consumptionByInventoryId.get(key) || 0) + qty);
-      }
-    }
-
-    if (consumptionByInventoryId.size > 0) {
-      const inventoryIds = Array.from(consumptionByInventoryId.keys());
-
-      if (order.branch) {
-        // Reverse BranchInventory
-        await Promise.all(
-          Array.from(consumptionByInventoryId.entries()).map(async ([invId, qty]) => {
-            await BranchInventory.findOneAndUpdate(
-              { branch: order.branch, inventoryItem: invId },
-              { $inc: { currentStock: qty } },
-              { upsert: false }
-            );
-          })
-        );
-      } else {
-        // Reverse restaurant-level InventoryItem
-        const inventoryItems = await InventoryItem.find({
-          _id: { $in: inventoryIds },
-          restaurant: req.restaurant._id,
-        });
-        await Promise.all(
-          inventoryItems.map((inv) => {
-            const qty = consumptionByInventoryId.get(inv._id.toString()) || 0;
-            inv.currentStock += qty;
-            return inv.save();
-          })
-        );
-      }
+    if ((order.refundedAmount || 0) > 0) {
+      return res.status(409).json({ message: 'Order has refunds and cannot be cancelled', code: 'ORDER_HAS_REFUNDS' });
     }
 
     const { cancelReason } = req.body;
-    order.status = 'CANCELLED';
     if (cancelReason && String(cancelReason).trim()) {
       order.cancelReason = String(cancelReason).trim();
     }
+
+    // Return ingredients to stock (once per order, from the current recipes)
+    await restoreOrderStock(order, { restaurantId: req.restaurant._id, createdBy: req.user.id });
+
+    order.status = 'CANCELLED';
     order.cancelledAt = new Date();
     order.cancelledBy = req.user.id;
     if (!order.statusHistory) order.statusHistory = [];
     order.statusHistory.push({ status: 'CANCELLED', at: new Date() });
     await order.save();
 
-    // Free the table and revert any seated reservation back to confirmed
-    if (order.tableName && order.tableName.trim()) {
+    await reverseOrderLoyalty(order, { reason: 'Order cancelled', createdBy: req.user.id }).catch((err) =>
+      console.error('Loyalty reversal failed:', err.message)
+    );
+    await releaseOrderDealCodes(order).catch((err) => console.error('Coupon release failed:', err.message));
+
+    // Free the table and revert any seated reservation back to confirmed (split checks: once all are settled)
+    if (order.tableName && order.tableName.trim() && (await areAllChecksClosed(order.parentOrder))) {
       await Table.findOneAndUpdate(
         { restaurant: order.restaurant, branch: order.branch || null, name: order.tableName.trim() },
         { $set: { isAvailable: true, status: 'available' } }
@@ -944,7 +1220,9 @@ router.post('/orders/:id/cancel', async (req, res, next) => {
         },
         { $set: { status: 'confirmed' } }
       );
+      await releaseMergedTables(order, 'confirmed');
     }
+    emitOrderFloorUpdate(req.app.get('io'), order);
 
     res.json({
       id: order._id,
@@ -958,10 +1236,721 @@ router.post('/orders/:id/cancel', async (req, res, next) => {
   }
 });
 
+// @route   GET /api/pos/waiters
+// @desc    Staff who can be chosen as the waiter at a branch. Query: branchId
+// @access  Staff / Cashier / Admin
+router.get('/waiters', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const { branchId } = req.query;
+    if (branchId && !mongoose.Types.ObjectId.isValid(branchId)) {
+      return res.status(400).json({ message: 'Invalid branchId' });
+    }
+    const branch = branchId
+      ? await Branch.findOne({ _id: branchId, restaurant: restaurantId }).select('showWaiterPos tipOverrides').lean()
+      : null;
+    if (branchId && !branch) {
+      return res.status(400).json({ message: 'Invalid branchId for this restaurant' });
+    }
+    const tips = resolveTipSettings(req.restaurant, branch);
+    res.json({
+      showWaiterPos: branch ? branch.showWaiterPos !== false : true,
+      waiters: await listWaiters({ restaurantId, branchId: branch ? branch._id : null }),
+      tips: { enabled: tips.enabled, suggestedPercents: tips.suggestedPercents, maxPercent: tips.maxPercent },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/pos/tabs
+// @desc    Open tabs (unpaid dine-in orders taking rounds). Query: branchId, tableId, tableName
+// @access  Staff / Cashier / Admin
+router.get('/tabs', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const filter = {
+      restaurant: restaurantId,
+      isOpenTab: true,
+      paymentMethod: 'PENDING',
+      status: { $in: ['NEW_ORDER', 'PROCESSING', 'READY'] },
+    };
+    const { branchId, tableId, tableName } = req.query;
+    if (branchId) {
+      if (!mongoose.Types.ObjectId.isValid(branchId)) {
+        return res.status(400).json({ message: 'Invalid branchId' });
+      }
+      filter.branch = branchId;
+    }
+    if (tableId) {
+      if (!mongoose.Types.ObjectId.isValid(tableId)) {
+        return res.status(400).json({ message: 'Invalid tableId' });
+      }
+      filter.table = tableId;
+    }
+    if (tableName && String(tableName).trim()) filter.tableName = String(tableName).trim();
+
+    const tabs = await Order.find(filter).sort({ createdAt: 1 }).lean();
+    res.json(tabs.map(mapTab));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/pos/orders/:id/rounds
+// @desc    Add a round to an open tab; only the new lines are fired to the kitchen.
+//          Body: { items: [{ menuItemId, quantity, modifiers?, note?, seat? }] }
+// @access  Staff / Cashier / Admin
+router.post('/orders/:id/rounds', async (req, res, next) => {
+  try {
+    const result = await addRound({
+      restaurant: req.restaurant,
+      orderId: req.params.id,
+      items: req.body?.items,
+      user: req.user,
+    });
+    if (result.error) {
+      const { status, ...body } = result.error;
+      return res.status(status).json(body);
+    }
+    const { order, round, lineIndexes, statusChanged, roundCost } = result;
+
+    if (roundCost > 0) {
+      const { postOrderCogsJournal } = require('../services/accounting/orderCogsPost');
+      postOrderCogsJournal({
+        tenantId: req.restaurant._id,
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        totalCOGS: roundCost,
+        createdBy: req.user.id,
+        round,
+      }).catch((err) => console.error('COGS auto-post failed:', err.message));
+    }
+
+    const io = req.app.get('io');
+    emitKitchenUpdate(io, order, { event: 'kitchen:ticket', lineIndexes, statusChanged });
+    if (io) {
+      const payload = { id: order._id.toString(), orderNumber: order.orderNumber, status: order.status, round, total: order.total };
+      getOrderRooms(order.restaurant, order.branch).forEach((r) => io.to(r).emit('order:round', payload));
+    }
+    emitOrderFloorUpdate(io, order);
+
+    res.status(201).json({ round, lineIndexes, tab: mapTab(order) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/pos/orders/:id/void
+// @desc    Void units of an unpaid order. Items already sent to the kitchen need a reason and the manager PIN.
+//          Body: { lines: [{ index, quantity, stockAction? }], reason, managerPin, stockAction?: 'RESTOCK' | 'WASTE' }
+// @access  Staff / Cashier / Admin (not order takers)
+router.post('/orders/:id/void', async (req, res, next) => {
+  try {
+    if (['order_taker', 'delivery_rider', 'kitchen_staff'].includes(req.user.role)) {
+      return res.status(403).json({ message: 'You do not have permission to void items' });
+    }
+    const { lines, reason, managerPin, stockAction } = req.body || {};
+    const result = await voidLines({
+      restaurant: req.restaurant,
+      orderId: req.params.id,
+      lines,
+      reason,
+      managerPin,
+      stockAction,
+      user: req.user,
+    });
+    if (result.error) {
+      const { status, ...body } = result.error;
+      return res.status(status).json(body);
+    }
+    const { order, voids, statusChanged } = result;
+
+    // Restocked units were already in the order's (or round's) COGS journal
+    const restockCost = Math.round(voids.reduce((sum, v) => sum + (v.restockCost || 0), 0) * 100) / 100;
+    if (restockCost > 0) {
+      const { postVoidCogsReversal } = require('../services/accounting/orderCogsPost');
+      postVoidCogsReversal({
+        tenantId: req.restaurant._id,
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        amount: restockCost,
+        voidKey: voids[0].at.getTime(),
+        createdBy: req.user.id,
+      }).catch((err) => console.error('COGS void reversal failed:', err.message));
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      // Stations drop the voided units; the remaining lines are re-sent with their new indexes
+      if (order.branch) {
+        for (const v of voids.filter((x) => x.fired && x.station)) {
+          io.to(getStationRoom(order.restaurant, order.branch, v.station)).emit('kitchen:void', {
+            id: order._id.toString(),
+            orderNumber: order.orderNumber,
+            tableName: order.tableName || '',
+            name: v.name,
+            quantity: v.quantity,
+            reason: v.reason,
+          });
+        }
+      }
+      emitKitchenUpdate(io, order, { event: 'kitchen:updated', statusChanged });
+      const payload = {
+        id: order._id.toString(),
+        orderNumber: order.orderNumber,
+        status: order.status,
+        total: order.total,
+        voids: voids.map((v) => ({ name: v.name, quantity: v.quantity, fired: v.fired })),
+      };
+      getOrderRooms(order.restaurant, order.branch).forEach((r) => io.to(r).emit('order:void', payload));
+    }
+    emitOrderFloorUpdate(io, order);
+
+    res.json({
+      id: order._id.toString(),
+      orderNumber: order.orderNumber,
+      status: order.status,
+      voids: voids.map((v) => ({
+        name: v.name,
+        quantity: v.quantity,
+        amount: v.amount,
+        round: v.round,
+        fired: v.fired,
+        stockAction: v.stockAction,
+        reason: v.reason,
+      })),
+      subtotal: order.subtotal,
+      taxAmount: order.taxAmount || 0,
+      total: order.total,
+      grandTotal: order.grandTotal ?? order.total,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/pos/orders/:id/split
+// @desc    Split an open, unpaid order into checks that are paid separately.
+//          Body: { mode: 'ITEMS', checks: [[{ index, quantity? }]] }  (unpicked lines form one more check)
+//              | { mode: 'SEATS', seats?: [{ index, seat }] }          (unseated lines are shared equally)
+//              | { mode: 'EQUAL', shares }
+// @access  Staff / Cashier / Admin
+router.post('/orders/:id/split', async (req, res, next) => {
+  try {
+    const result = await splitOrder({
+      restaurantId: req.restaurant._id,
+      orderId: req.params.id,
+      input: req.body || {},
+      user: req.user,
+    });
+    if (result.error) {
+      const { status, ...body } = result.error;
+      return res.status(status).json(body);
+    }
+    const { parent, checks } = result;
+
+    const io = req.app.get('io');
+    if (io) {
+      const rooms = getOrderRooms(parent.restaurant, parent.branch);
+      const payload = {
+        id: parent._id.toString(),
+        orderNumber: parent.orderNumber,
+        status: parent.status,
+        splitCheckIds: checks.map((c) => c._id.toString()),
+      };
+      rooms.forEach((room) => io.to(room).emit('order:updated', payload));
+      checks.forEach((c) => {
+        const created = { id: c._id.toString(), orderNumber: c.orderNumber, status: c.status, createdAt: c.createdAt, parentOrderId: parent._id.toString() };
+        rooms.forEach((room) => io.to(room).emit('order:created', created));
+      });
+    }
+    emitOrderFloorUpdate(io, parent);
+
+    res.status(201).json({
+      id: parent._id.toString(),
+      orderNumber: parent.orderNumber,
+      status: parent.status,
+      splitMode: parent.splitMode,
+      checks: checks.map(mapCheck),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/pos/orders/:id/checks
+// @desc    Checks of a split order (or the sibling checks of a check)
+// @access  Staff / Cashier / Admin
+router.get('/orders/:id/checks', async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    const order = await Order.findOne({ _id: req.params.id, restaurant: req.restaurant._id })
+      .select('orderNumber status splitMode parentOrder')
+      .lean();
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    const parentId = order.parentOrder || order._id;
+    const parent = order.parentOrder
+      ? await Order.findOne({ _id: parentId, restaurant: req.restaurant._id }).select('orderNumber status splitMode').lean()
+      : order;
+    const checks = await Order.find({ parentOrder: parentId, restaurant: req.restaurant._id }).sort({ checkNumber: 1 }).lean();
+
+    res.json({
+      id: parentId.toString(),
+      orderNumber: parent?.orderNumber || null,
+      status: parent?.status || null,
+      splitMode: parent?.splitMode || null,
+      allSettled: checks.length > 0 && checks.every((c) => ['DELIVERED', 'COMPLETED', 'CANCELLED'].includes(c.status)),
+      balanceDue: Math.round(
+        checks
+          .filter((c) => c.paymentMethod === 'PENDING' && c.status !== 'CANCELLED')
+          .reduce((s, c) => s + (c.grandTotal ?? c.total), 0) * 100
+      ) / 100,
+      checks: checks.map(mapCheck),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/pos/orders/:id/refunds
+// @desc    Refund selected lines or an amount of a paid order (manager PIN required).
+//          Body: { lines: [{ index, quantity }] | amount, tender: { method, provider, paymentAccountId },
+//                  stockAction: 'RESTOCK' | 'WASTE', reason, managerPin }
+// @access  Staff / Cashier / Admin
+router.post('/orders/:id/refunds', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const blockedRoles = ['order_taker', 'delivery_rider', 'kitchen_staff'];
+    if (blockedRoles.includes(req.user.role)) {
+      return res.status(403).json({ message: 'You do not have permission to refund orders' });
+    }
+
+    const hash = req.restaurant.settings?.posManagerDiscountPinHash;
+    if (!hash) {
+      return res.status(403).json({
+        message: 'Manager PIN is not configured in restaurant settings',
+        code: 'MANAGER_PIN_NOT_CONFIGURED',
+      });
+    }
+    const pin = String(req.body?.managerPin || '');
+    if (!pin || !(await bcrypt.compare(pin, hash))) {
+      return res.status(403).json({ message: 'Valid manager PIN is required for refunds', code: 'MANAGER_PIN_REQUIRED' });
+    }
+
+    const order = await Order.findOne({ _id: req.params.id, restaurant: restaurantId });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    if (order.status === 'CANCELLED') {
+      return res.status(400).json({ message: 'Cancelled orders cannot be refunded' });
+    }
+    if (!isOrderPaid(order)) {
+      return res.status(400).json({ message: 'Only paid orders can be refunded' });
+    }
+
+    const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+    const orderGross = Number(order.grandTotal ?? order.total) || 0;
+    const alreadyRefunded = Number(order.refundedAmount) || 0;
+    const refundable = round2(orderGross - alreadyRefunded);
+    if (refundable <= 0) {
+      return res.status(400).json({ message: 'Order is already fully refunded' });
+    }
+
+    // Tender: defaults to how the order was paid
+    const tenderRaw = typeof req.body.tender === 'string' ? { method: req.body.tender } : req.body.tender || {};
+    const orderMethod = ['CASH', 'CARD', 'ONLINE'].includes(order.paymentMethod) ? order.paymentMethod : 'CASH';
+    const tenderMethod = String(tenderRaw.method || orderMethod).toUpperCase();
+    if (!['CASH', 'CARD', 'ONLINE'].includes(tenderMethod)) {
+      return res.status(400).json({ message: 'tender.method must be CASH, CARD or ONLINE' });
+    }
+    const tenderProvider =
+      tenderMethod === 'ONLINE'
+        ? String(tenderRaw.provider || order.splitOnlineProvider || order.paymentProvider || '').trim() || null
+        : null;
+    const tenderAccountId =
+      tenderRaw.paymentAccountId && mongoose.Types.ObjectId.isValid(String(tenderRaw.paymentAccountId))
+        ? new mongoose.Types.ObjectId(String(tenderRaw.paymentAccountId))
+        : null;
+
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ message: 'Refund reason is required' });
+    }
+
+    // Each line's share of what was collected: discount, service charge and exclusive tax spread pro rata
+    const ratio = order.subtotal > 0 ? (Number(order.total) || 0) / order.subtotal : 0;
+    const rawLines = Array.isArray(req.body.lines) ? req.body.lines : [];
+    const refundLines = [];
+    let amount = 0;
+    let type = 'AMOUNT';
+
+    if (rawLines.length > 0) {
+      type = 'LINES';
+      const requestedByIndex = new Map();
+      for (const l of rawLines) {
+        const index = Number(l?.index);
+        const qty = Math.floor(Number(l?.quantity));
+        if (!Number.isInteger(index) || index < 0 || index >= order.items.length) {
+          return res.status(400).json({ message: `Invalid order line index: ${l?.index}` });
+        }
+        if (!Number.isFinite(qty) || qty < 1) {
+          return res.status(400).json({ message: 'Refund quantity must be at least 1' });
+        }
+        requestedByIndex.set(index, (requestedByIndex.get(index) || 0) + qty);
+      }
+      for (const [index, qty] of requestedByIndex) {
+        const item = order.items[index];
+        const remaining = item.quantity - (item.refundedQuantity || 0);
+        if (qty > remaining) {
+          return res.status(400).json({
+            message: `Only ${remaining} of "${item.name}" can still be refunded`,
+          });
+        }
+        const lineAmount = round2(item.unitPrice * qty * ratio);
+        amount += lineAmount;
+        refundLines.push({
+          index,
+          menuItem: item.menuItem || null,
+          name: item.name,
+          quantity: qty,
+          unitPrice: item.unitPrice,
+          amount: lineAmount,
+          modifiers: item.modifiers?.length ? item.modifiers.map((m) => (m.toObject ? m.toObject() : m)) : undefined,
+        });
+      }
+      // Refunding the last units returns everything still held (delivery charge, rounding)
+      const completesOrder = order.items.every(
+        (item, i) => (item.refundedQuantity || 0) + (requestedByIndex.get(i) || 0) >= item.quantity
+      );
+      amount = completesOrder ? refundable : Math.min(round2(amount), refundable);
+    } else {
+      amount = round2(req.body.amount);
+      if (!(amount > 0)) {
+        return res.status(400).json({ message: 'Provide lines to refund or a positive amount' });
+      }
+      if (amount > refundable) {
+        return res.status(400).json({ message: `Amount exceeds refundable balance (${refundable})` });
+      }
+    }
+    amount = round2(amount);
+    if (!(amount > 0)) {
+      return res.status(400).json({ message: 'Refund amount must be greater than zero' });
+    }
+
+    const stockActionRaw = String(req.body.stockAction || '').toUpperCase();
+    if (type === 'LINES' && !['RESTOCK', 'WASTE'].includes(stockActionRaw)) {
+      return res.status(400).json({ message: 'stockAction must be RESTOCK or WASTE when refunding lines' });
+    }
+    const stockAction = type === 'LINES' ? stockActionRaw : 'NONE';
+
+    // Tax and service charge shares follow the refunded fraction of the order total
+    const share = order.total > 0 ? Math.min(1, amount / order.total) : 0;
+    const taxAmount = round2((Number(order.taxAmount) || 0) * share);
+    const serviceChargeAmount = round2((Number(order.serviceChargeAmount) || 0) * share);
+
+    // Claim the amount on the order first so two concurrent refunds cannot both pass the balance check
+    const newRefundedAmount = round2(alreadyRefunded + amount);
+    const itemIncs = {};
+    for (const l of refundLines) itemIncs[`items.${l.index}.refundedQuantity`] = l.quantity;
+    const claimed = await Order.updateOne(
+      {
+        _id: order._id,
+        refundedAmount: alreadyRefunded > 0 ? alreadyRefunded : { $in: [0, null] },
+      },
+      {
+        $set: {
+          refundedAmount: newRefundedAmount,
+          refundStatus: newRefundedAmount >= orderGross - 0.01 ? 'FULL' : 'PARTIAL',
+        },
+        ...(Object.keys(itemIncs).length ? { $inc: itemIncs } : {}),
+      }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({ message: 'Order was refunded by someone else, please reload and try again' });
+    }
+
+    // Until the refund is recorded (and restocked) the claim is handed back on any failure
+    let refund = null;
+    try {
+      const branch = order.branch ? await Branch.findOne({ _id: order.branch, restaurant: restaurantId }) : null;
+      const session = await getCurrentOpenSession(restaurantId, branch);
+
+      // Saved first so the refund number exists for the restock movements
+      refund = await Refund.create({
+        restaurant: restaurantId,
+        branch: order.branch || null,
+        order: order._id,
+        orderNumber: order.orderNumber,
+        daySession: session ? session._id : order.daySession || null,
+        type,
+        lines: refundLines,
+        amount,
+        taxAmount,
+        serviceChargeAmount,
+        tender: { method: tenderMethod, provider: tenderProvider, paymentAccountId: tenderAccountId },
+        stockAction,
+        reason,
+        createdBy: req.user.id,
+      });
+
+      if (stockAction === 'RESTOCK') {
+        refund.restockCost = await restockRefundedLines(order, refundLines, restaurantId, {
+          type: 'REFUND_RESTOCK',
+          referenceType: 'Refund',
+          referenceId: refund._id,
+          referenceNumber: refund.refundNumber,
+          note: reason || '',
+          createdBy: req.user.id,
+        });
+      }
+    } catch (err) {
+      if (refund) await Refund.deleteOne({ _id: refund._id }).catch(() => {});
+      const itemDecs = Object.fromEntries(Object.entries(itemIncs).map(([k, v]) => [k, -v]));
+      await Order.updateOne(
+        { _id: order._id, refundedAmount: newRefundedAmount },
+        {
+          $set: { refundedAmount: alreadyRefunded, refundStatus: order.refundStatus || 'NONE' },
+          ...(Object.keys(itemDecs).length ? { $inc: itemDecs } : {}),
+        }
+      ).catch((undoErr) => console.error('Refund claim rollback failed:', undoErr.message));
+      throw err;
+    }
+
+    // Accounting (must not block the refund)
+    try {
+      const { postRefundVoucher } = require('../services/accounting/refundPost');
+      const { voucher } = await postRefundVoucher({
+        tenantId: restaurantId,
+        refund,
+        order,
+        createdBy: req.user.id,
+      });
+      refund.accountingVoucherId = voucher._id;
+      refund.accountingVoucherNumber = voucher.voucherNumber;
+    } catch (err) {
+      refund.accountingError = err.message;
+      console.error('Refund accounting post failed:', err.message);
+    }
+    await refund.save();
+
+    // Give back redeemed points and take back earned points for the refunded share
+    await reverseOrderLoyalty(order, {
+      share: newRefundedAmount >= orderGross - 0.01 ? 1 : orderGross > 0 ? amount / orderGross : 0,
+      refund,
+      reason: `Refund ${refund.refundNumber}`,
+      createdBy: req.user.id,
+    }).catch((err) => console.error('Loyalty reversal failed:', err.message));
+
+    const updated = await Order.findById(order._id).select('orderNumber status refundedAmount refundStatus restaurant branch').lean();
+
+    const io = req.app.get('io');
+    if (io) {
+      const rooms = getOrderRooms(updated.restaurant, updated.branch);
+      const payload = {
+        id: updated._id.toString(),
+        orderNumber: updated.orderNumber,
+        status: updated.status,
+        refundStatus: updated.refundStatus,
+        refundedAmount: updated.refundedAmount,
+      };
+      rooms.forEach((room) => io.to(room).emit('order:updated', payload));
+    }
+
+    res.status(201).json({
+      refund: mapRefund(refund),
+      order: {
+        id: updated._id.toString(),
+        refundedAmount: updated.refundedAmount,
+        refundStatus: updated.refundStatus,
+      },
+      voucherNumber: refund.accountingVoucherNumber || null,
+      accountingError: refund.accountingError || null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/pos/orders/:id/refunds
+// @desc    Refunds issued against an order
+// @access  Staff / Cashier / Admin
+router.get('/orders/:id/refunds', async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, restaurant: req.restaurant._id })
+      .select('orderNumber grandTotal total refundedAmount refundStatus items')
+      .lean();
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    const refunds = await Refund.find({ restaurant: req.restaurant._id, order: order._id })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name')
+      .lean();
+
+    res.json({
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      refundedAmount: order.refundedAmount || 0,
+      refundStatus: order.refundStatus || 'NONE',
+      refundableAmount: Math.max(0, (order.grandTotal ?? order.total) - (order.refundedAmount || 0)),
+      lines: (order.items || []).map((i, index) => ({
+        index,
+        name: i.name,
+        quantity: i.quantity,
+        refundedQuantity: i.refundedQuantity || 0,
+      })),
+      refunds: refunds.map(mapRefund),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/pos/refunds
+// @desc    List refunds (optional ?daySessionId=, ?from=&to=, branch via x-branch-id)
+// @access  Staff / Cashier / Admin
+router.get('/refunds', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const branchId = req.headers['x-branch-id'] || req.query.branchId || null;
+    const { daySessionId, from, to } = req.query;
+
+    const filter = { restaurant: restaurantId };
+    if (branchId && mongoose.Types.ObjectId.isValid(branchId)) filter.branch = branchId;
+    if (daySessionId) {
+      if (!mongoose.Types.ObjectId.isValid(daySessionId)) {
+        return res.status(400).json({ message: 'Invalid daySessionId' });
+      }
+      filter.daySession = daySessionId;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const refunds = await Refund.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .populate('createdBy', 'name')
+      .lean();
+
+    res.json({
+      totalAmount: refunds.reduce((s, r) => s + r.amount, 0),
+      count: refunds.length,
+      refunds: refunds.map(mapRefund),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ============================================
 // POS DRAFT ENDPOINTS
 // ============================================
 
+// @route   POST /api/pos/coupons/validate
+// @desc    Check a coupon code against the cart before placing the order.
+//          Body: { code, items: [{ menuItemId, quantity, modifiers }], branchId, customerPhone }
+// @access  Staff / Cashier / Admin
+router.post('/coupons/validate', async (req, res, next) => {
+  try {
+    const { code, items = [], branchId, customerPhone = '' } = req.body;
+    const restaurantId = req.restaurant._id;
+    const branch = branchId ? await Branch.findOne({ _id: branchId, restaurant: restaurantId }).select('_id').lean() : null;
+
+    // Combo deal lines are already discounted and never count towards a coupon
+    const regularItems = (Array.isArray(items) ? items : []).filter(
+      (i) => i && !i.dealId && !String(i.menuItemId || '').startsWith('deal-')
+    );
+    const ids = regularItems.map((i) => String(i.menuItemId)).filter((id) => mongoose.Types.ObjectId.isValid(id));
+    const menuItems = ids.length ? await MenuItem.find({ _id: { $in: ids }, restaurant: restaurantId }) : [];
+    const menuMap = new Map(menuItems.map((m) => [m._id.toString(), m]));
+
+    let subtotal = 0;
+    const cart = [];
+    for (const i of regularItems) {
+      const menu = menuMap.get(String(i.menuItemId));
+      if (!menu) continue;
+      const resolved = resolveLineModifiers(menu, i.modifiers);
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error, code: 'INVALID_MODIFIERS' });
+      }
+      const quantity = Math.max(0, Number(i.quantity) || 0);
+      const price = Math.max(0, menu.price + resolved.priceDelta);
+      subtotal += price * quantity;
+      cart.push({ menuItem: menu._id, quantity, price, category: menu.category });
+    }
+
+    const phone = String(customerPhone || '').trim();
+    const customer = phone
+      ? await Customer.findOne({ restaurant: restaurantId, branch: branch ? branch._id : null, phone }).select('_id').lean()
+      : null;
+
+    const result = await validateDealCode({
+      restaurantId,
+      branchId: branch ? branch._id : null,
+      code,
+      orderItems: cart,
+      subtotal,
+      customerId: customer?._id || null,
+      newCustomer: Boolean(phone),
+    });
+    if (result.error) {
+      return res.status(result.error.status).json({ valid: false, message: result.error.message, code: result.error.code });
+    }
+
+    res.json({
+      valid: true,
+      code: result.dealCode.code,
+      dealId: result.deal._id.toString(),
+      dealName: result.deal.name,
+      dealType: result.deal.dealType,
+      discountAmount: result.discountAmount,
+      remainingUses: result.dealCode.maxUses > 0 ? result.dealCode.maxUses - result.dealCode.usedCount : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/pos/loyalty/member?phone=
+// @desc    Loyalty balance and tier of the customer with this phone (current branch)
+// @access  Staff / Cashier / Admin
+router.get('/loyalty/member', async (req, res, next) => {
+  try {
+    const phone = String(req.query.phone || '').trim();
+    if (!phone) {
+      return res.status(400).json({ message: 'phone is required' });
+    }
+    const restaurantId = req.restaurant._id;
+    const branchId = req.headers['x-branch-id'] || req.query.branchId || null;
+    const settings = resolveLoyaltySettings(req.restaurant);
+
+    const member = await Customer.findOne({ restaurant: restaurantId, branch: branchId || null, phone });
+    if (!member) {
+      return res.status(404).json({ message: 'Loyalty member not found', code: 'LOYALTY_MEMBER_NOT_FOUND' });
+    }
+    const expired = await expireMemberPoints(restaurantId, 'Customer', member._id, settings);
+    if (expired > 0) member.loyaltyPoints = Math.max(0, (member.loyaltyPoints || 0) - expired);
+
+    res.json({
+      enabled: settings.enabled,
+      pointValue: settings.pointValue,
+      minRedeemPoints: settings.minRedeemPoints,
+      maxRedeemPercent: settings.maxRedeemPercent,
+      member: mapMember(settings, member, 'Customer'),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/pos/drafts
 // @desc    Get all drafts for the current user/restaurant/branch
 // @access  Staff / Restaurant Admin / Cashier
@@ -1064,6 +2053,11 @@ router.post('/drafts', async (req, res, next) => {
       return res.status(400).json({ message: 'Invalid orderType' });
     }
 
+    const draftItems = await resolveDraftItems(restaurantId, items);
+    if (draftItems.error) {
+      return res.status(400).json(draftItems.error);
+    }
+
     const tableNameVal = (req.body.tableName || '').trim();
 
     // Create the draft
@@ -1071,7 +2065,7 @@ router.post('/drafts', async (req, res, next) => {
       restaurant: restaurantId,
       branch: branch ? branch._id : null,
       createdBy: req.user.id,
-      items,
+      items: draftItems.items,
       orderType,
       customerName,
       customerPhone,
@@ -1208,8 +2202,18 @@ router.put('/drafts/:id', async (req, res, next) => {
       return res.status(400).json({ message: 'Invalid orderType' });
     }
 
+    if (items !== undefined) {
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ message: 'Draft items are required' });
+      }
+      const draftItems = await resolveDraftItems(restaurantId, items);
+      if (draftItems.error) {
+        return res.status(400).json(draftItems.error);
+      }
+      draft.items = draftItems.items;
+    }
+
     // Update fields
-    if (items !== undefined) draft.items = items;
     if (orderType !== undefined) draft.orderType = orderType;
     if (customerName !== undefined) draft.customerName = customerName;
     if (customerPhone !== undefined) draft.customerPhone = customerPhone;
@@ -1377,6 +2381,8 @@ router.get('/transactions', async (req, res, next) => {
       total: order.total,
       deliveryCharges: order.deliveryCharges ?? 0,
       grandTotal: order.grandTotal ?? order.total,
+      refundedAmount: order.refundedAmount || 0,
+      refundStatus: order.refundStatus || 'NONE',
       discountAmount: order.discountAmount,
       appliedDeals: order.appliedDeals || [],
       tableNumber: order.tableNumber,
@@ -1448,6 +2454,8 @@ router.get('/transactions/:id', async (req, res, next) => {
       total: transaction.total,
       deliveryCharges: transaction.deliveryCharges ?? 0,
       grandTotal: transaction.grandTotal ?? transaction.total,
+      refundedAmount: transaction.refundedAmount || 0,
+      refundStatus: transaction.refundStatus || 'NONE',
       discountAmount: transaction.discountAmount,
       appliedDeals: transaction.appliedDeals || [],
       tableNumber: transaction.tableNumber,
@@ -1509,73 +2517,22 @@ router.delete('/transactions/:id', async (req, res, next) => {
     if (transaction.status === 'CANCELLED') {
       return res.status(400).json({ message: 'Transaction is already cancelled' });
     }
+    if ((transaction.refundedAmount || 0) > 0) {
+      return res.status(409).json({ message: 'Transaction has refunds and cannot be cancelled', code: 'ORDER_HAS_REFUNDS' });
+    }
 
     transaction.status = 'CANCELLED';
     transaction.cancelledAt = new Date();
     transaction.cancelledBy = req.user.id;
     await transaction.save();
 
-    // Optionally reverse inventory (similar to cancel order endpoint)
-    const menuItemIds = Array.from(new Set(transaction.items.map((i) => i.menuItem.toString())));
-    const menuItems = await MenuItem.find({
-      _id: { $in: menuItemIds },
-      restaurant: restaurantId,
-    });
-    const menuMap = new Map(menuItems.map((m) => [m._id.toString(), m]));
-
-    const consumptionByInventoryId = new Map();
-    for (const orderItem of transaction.items) {
-      const menu = menuMap.get(orderItem.menuItem.toString());
-      if (!menu || !menu.inventoryConsumptions || menu.inventoryConsumptions.length === 0) continue;
-
-      const invDefs = await InventoryItem.find({
-        _id: { $in: menu.inventoryConsumptions.map((c) => c.inventoryItem) },
-        restaurant: req.restaurant._id,
-      })
-        .select('_id unit')
-        .lean();
-      const invUnitMap = new Map(invDefs.map((d) => [d._id.toString(), d.unit]));
-
-      for (const cons of menu.inventoryConsumptions) {
-        const qty = convertRecipeQtyToInventoryStockQty(
-          cons.quantity * orderItem.quantity,
-          cons.unit,
-          invUnitMap.get(cons.inventoryItem.toString())
-        );
-        const key = cons.inventoryItem.toString();
-        consumptionByInventoryId.set(key, (consumptionByInventoryId.get(key) || 0) + qty);
-      }
-    }
+    await reverseOrderLoyalty(transaction, { reason: 'Transaction deleted', createdBy: req.user.id }).catch((err) =>
+      console.error('Loyalty reversal failed:', err.message)
+    );
+    await releaseOrderDealCodes(transaction).catch((err) => console.error('Coupon release failed:', err.message));
 
-    if (consumptionByInventoryId.size > 0) {
-      const inventoryIds = Array.from(consumptionByInventoryId.keys());
-
-      if (transaction.branch) {
-        // Reverse BranchInventory
-        await Promise.all(
-          Array.from(consumptionByInventoryId.entries()).map(async ([invId, qty]) => {
-            await BranchInventory.findOneAndUpdate(
-              { branch: transaction.branch, inventoryItem: invId },
-              { $inc: { currentStock: qty } },
-              { upsert: false }
-            );
-          })
-        );
-      } else {
-        // Reverse restaurant-level InventoryItem
-        const inventoryItems = await InventoryItem.find({
-          _id: { $in: inventoryIds },
-          restaurant: restaurantId,
-        });
-        await Promise.all(
-          inventoryItems.map((inv) => {
-            const qty = consumptionByInventoryId.get(inv._id.toString()) || 0;
-            inv.currentStock += qty;
-            return inv.save();
-          })
-        );
-      }
-    }
+    // Reverse inventory (same as the cancel order endpoint)
+    await restoreOrderStock(transaction, { restaurantId, createdBy: req.user.id });
 
     res.json({
       message: 'Transaction deleted successfully',
@@ -1629,6 +2586,7 @@ router.get('/day-session/current', async (req, res, next) => {
       { $group: { _id: null, totalSales: { $sum: { $ifNull: ['$grandTotal', '$total'] } }, totalOrders: { $sum: 1 } } },
     ]);
     const { totalSales = 0, totalOrders = 0 } = agg[0] || {};
+    const refunds = await getRefundSummaryForSessions(restaurantId, [session._id]);
 
     return res.json({
       id: session._id.toString(),
@@ -1636,6 +2594,9 @@ router.get('/day-session/current', async (req, res, next) => {
       endAt: session.endAt || null,
       totalSales,
       totalOrders,
+      totalRefunds: refunds.totalRefunds,
+      refundCount: refunds.refundCount,
+      netSales: totalSales - refunds.totalRefunds,
     });
   } catch (err) {
     next(err);
@@ -1786,6 +2747,7 @@ router.post('/day-session/end', async (req, res, next) => {
     targetSession.sessionKey = buildSessionKey(targetSession.startAt, targetSession.endAt);
 
     await targetSession.save();
+    const refunds = await getRefundSummaryForSessions(restaurantId, [targetSession._id]);
 
     if (normalizedEndMode === 'selectedOrder') {
       // Create/reuse a new OPEN session and move orders created after endAt.
@@ -1821,6 +2783,7 @@ router.post('/day-session/end', async (req, res, next) => {
           startAt: targetSession.startAt,
           endAt: targetSession.endAt,
         },
+        refunds,
         nextOpenSession: {
           id: nextOpenSession._id.toString(),
           startAt: nextOpenSession.startAt,
@@ -1836,6 +2799,7 @@ router.post('/day-session/end', async (req, res, next) => {
         startAt: targetSession.startAt,
         endAt: targetSession.endAt,
       },
+      refunds,
     });
   } catch (err) {
     next(err);
@@ -2150,14 +3114,17 @@ router.post('/day-session/bulk-orders', async (req, res, next) => {
       ]),
     ]);
 
-    const summary = totalsAgg[0] || {
-      totalSales: 0,
-      totalOrders: 0,
-      totalDiscount: 0,
-      totalProfit: 0,
-      totalDeliveryCharges: 0,
-      cashSales: 0,
-      cardSales: 0,
+    const summary = {
+      ...(totalsAgg[0] || {
+        totalSales: 0,
+        totalOrders: 0,
+        totalDiscount: 0,
+        totalProfit: 0,
+        totalDeliveryCharges: 0,
+        cashSales: 0,
+        cardSales: 0,
+      }),
+      ...(await getRefundSummaryForSessions(restaurantId, validIds)),
     };
 
     return res.json({
@@ -2180,6 +3147,8 @@ router.post('/day-session/bulk-orders', async (req, res, next) => {
         tableName: o.tableName || '',
         source: o.source || 'POS',
         orderTakerName: o.createdBy?.name || '',
+        assignedWaiterName: o.assignedWaiterName || '',
+        tipAmount: o.tipAmount || 0,
         assignedRiderName: o.assignedRiderName || '',
         assignedRiderPhone: o.assignedRiderPhone || '',
         deliveryAddress: o.deliveryAddress || '',
@@ -2188,6 +3157,8 @@ router.post('/day-session/bulk-orders', async (req, res, next) => {
         total: o.total,
         deliveryCharges: o.deliveryCharges ?? 0,
         grandTotal: o.grandTotal ?? o.total,
+        refundedAmount: o.refundedAmount || 0,
+        refundStatus: o.refundStatus || 'NONE',
         profit: o.profit,
         items: (o.items || []).map((i) => ({
           name: i.name,
@@ -2272,7 +3243,10 @@ router.get('/day-session/:sessionId/orders', async (req, res, next) => {
         },
       },
     ]);
-    const summary = totalsAgg[0] || { totalSales: 0, totalOrders: 0, totalDiscount: 0, totalProfit: 0, totalDeliveryCharges: 0, cashSales: 0, cardSales: 0 };
+    const summary = {
+      ...(totalsAgg[0] || { totalSales: 0, totalOrders: 0, totalDiscount: 0, totalProfit: 0, totalDeliveryCharges: 0, cashSales: 0, cardSales: 0 }),
+      ...(await getRefundSummaryForSessions(restaurantId, sessionIdsForOrders)),
+    };
 
     return res.json({
       session: {
@@ -2300,6 +3274,8 @@ router.get('/day-session/:sessionId/orders', async (req, res, next) => {
         tableName: o.tableName || '',
         source: o.source || 'POS',
         orderTakerName: o.createdBy?.name || '',
+        assignedWaiterName: o.assignedWaiterName || '',
+        tipAmount: o.tipAmount || 0,
         assignedRiderName: o.assignedRiderName || '',
         assignedRiderPhone: o.assignedRiderPhone || '',
         deliveryAddress: o.deliveryAddress || '',
@@ -2308,6 +3284,8 @@ router.get('/day-session/:sessionId/orders', async (req, res, next) => {
         total: o.total,
         deliveryCharges: o.deliveryCharges ?? 0,
         grandTotal: o.grandTotal ?? o.total,
+        refundedAmount: o.refundedAmount || 0,
+        refundStatus: o.refundStatus || 'NONE',
         profit: o.profit,
         items: (o.items || []).map((i) => ({
           name: i.name,
@@ -2,10 +2,41 @@ const express = require('express');
 const mongoose = require('mongoose');
 const PurchaseOrder = require('../models/PurchaseOrder');
 const GoodsReceivedNote = require('../models/GoodsReceivedNote');
-const BranchInventory = require('../models/BranchInventory');
 const InventoryItem = require('../models/InventoryItem');
 const Branch = require('../models/Branch');
+const StockTransfer = require('../models/StockTransfer');
+const PurchaseReturn = require('../models/PurchaseReturn');
 const { createVoucher } = require('../services/accounting/voucherService');
+const { addStock } = require('../services/inventoryService');
+const { applyReceiptCosts, costPriceFromUnitCost } = require('../services/costingService');
+const {
+  createTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  loadInTransit,
+} = require('../services/stockTransferService');
+const { buildReorderSuggestions, createReorderPurchaseOrders } = require('../services/reorderService');
+const {
+  DEFAULT_PRICE_ALERT_PERCENT,
+  findSupplier,
+  listSupplierPrices,
+  upsertSupplierPrices,
+  fillOrderLinePrices,
+  recordGrnPrices,
+  getPriceHistory,
+  buildSupplierComparison,
+} = require('../services/supplierPriceService');
+const SupplierPrice = require('../models/SupplierPrice');
+const { loadReturnableLines, createPurchaseReturn } = require('../services/purchaseReturnService');
+const SupplierBill = require('../models/SupplierBill');
+const SupplierPaymentRun = require('../models/SupplierPaymentRun');
+const {
+  createSupplierBill,
+  approveBillVariance,
+  cancelSupplierBill,
+  buildPayablesAging,
+  runSupplierPayments,
+} = require('../services/supplierBillService');
 const { protect, requireRole, requireRestaurant, checkSubscriptionStatus } = require('../middleware/authMiddleware');
 
 const router = express.Router();
@@ -54,16 +85,41 @@ function sanitizeGrnLines(lines = []) {
   });
 }
 
+// Shared by the GRN, debit note and stock transfer print views
+const PRINT_DOC_STYLES = `
+  body { font-family: Arial, sans-serif; margin: 28px; color: #1f2937; }
+  .title { text-align: center; font-size: 28px; font-weight: 800; margin: 0; }
+  .subtitle { text-align: center; margin: 4px 0 16px; font-size: 14px; color: #4b5563; }
+  .doc-title { text-align: center; font-size: 17px; font-weight: 700; margin: 0 0 16px; letter-spacing: .08em; }
+  .grid { display: grid; grid-template-columns: repeat(4, minmax(0,1fr)); gap: 10px; margin-bottom: 12px; }
+  .cell { border: 1px solid #e5e7eb; border-radius: 6px; padding: 8px 10px; font-size: 12px; }
+  .k { color: #6b7280; font-weight: 600; margin-bottom: 4px; text-transform: uppercase; font-size: 10px; letter-spacing: .04em; }
+  .v { font-weight: 700; }
+  table { width: 100%; border-collapse: collapse; margin-top: 10px; }
+  th, td { border: 1px solid #e5e7eb; padding: 8px 10px; font-size: 12px; }
+  th { background: #f9fafb; text-align: left; text-transform: uppercase; font-size: 10px; letter-spacing: .04em; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; }
+  .total td { font-weight: 800; background: #fff7ed; }
+  .notes { margin-top: 10px; padding: 10px; border: 1px dashed #d1d5db; border-radius: 6px; font-size: 12px; }
+  .sign { margin-top: 32px; display: grid; grid-template-columns: repeat(3,minmax(0,1fr)); gap: 16px; }
+  .sig { text-align: center; font-size: 12px; color: #6b7280; }
+  .line { margin-top: 40px; border-top: 1px solid #9ca3af; }
+  .footer { margin-top: 18px; font-size: 11px; color: #6b7280; display: flex; justify-content: space-between; }
+`;
+
+function formatPrintDate(d) {
+  return new Date(d).toLocaleString('en-PK', {
+    year: 'numeric',
+    month: 'short',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
 function buildGrnPrintHtml({ grn, restaurantName, userName }) {
   const receivedAt = grn.receivedDate ? new Date(grn.receivedDate) : new Date();
-  const fmt = (d) =>
-    new Date(d).toLocaleString('en-PK', {
-      year: 'numeric',
-      month: 'short',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-    });
+  const fmt = formatPrintDate;
   const rowsHtml = (grn.lines || [])
     .map((line) => `
       <tr>
@@ -81,26 +137,7 @@ function buildGrnPrintHtml({ grn, restaurantName, userName }) {
 <head>
   <meta charset="utf-8" />
   <title>GRN ${grn.grnNumber}</title>
-  <style>
-    body { font-family: Arial, sans-serif; margin: 28px; color: #1f2937; }
-    .title { text-align: center; font-size: 28px; font-weight: 800; margin: 0; }
-    .subtitle { text-align: center; margin: 4px 0 16px; font-size: 14px; color: #4b5563; }
-    .doc-title { text-align: center; font-size: 17px; font-weight: 700; margin: 0 0 16px; letter-spacing: .08em; }
-    .grid { display: grid; grid-template-columns: repeat(4, minmax(0,1fr)); gap: 10px; margin-bottom: 12px; }
-    .cell { border: 1px solid #e5e7eb; border-radius: 6px; padding: 8px 10px; font-size: 12px; }
-    .k { color: #6b7280; font-weight: 600; margin-bottom: 4px; text-transform: uppercase; font-size: 10px; letter-spacing: .04em; }
-    .v { font-weight: 700; }
-    table { width: 100%; border-collapse: collapse; margin-top: 10px; }
-    th, td { border: 1px solid #e5e7eb; padding: 8px 10px; font-size: 12px; }
-    th { background: #f9fafb; text-align: left; text-transform: uppercase; font-size: 10px; letter-spacing: .04em; }
-    .num { text-align: right; font-variant-numeric: tabular-nums; }
-    .total td { font-weight: 800; background: #fff7ed; }
-    .notes { margin-top: 10px; padding: 10px; border: 1px dashed #d1d5db; border-radius: 6px; font-size: 12px; }
-    .sign { margin-top: 32px; display: grid; grid-template-columns: repeat(3,minmax(0,1fr)); gap: 16px; }
-    .sig { text-align: center; font-size: 12px; color: #6b7280; }
-    .line { margin-top: 40px; border-top: 1px solid #9ca3af; }
-    .footer { margin-top: 18px; font-size: 11px; color: #6b7280; display: flex; justify-content: space-between; }
-  </style>
+  <style>${PRINT_DOC_STYLES}</style>
 </head>
 <body>
   <h1 class="title">${restaurantName || 'Restaurant'}</h1>
@@ -161,6 +198,173 @@ function buildGrnPrintHtml({ grn, restaurantName, userName }) {
 </html>`;
 }
 
+function buildDebitNotePrintHtml({ purchaseReturn, restaurantName, userName }) {
+  const fmt = formatPrintDate;
+  const settlementLabel = {
+    payable: 'Adjust against payable',
+    cash_refund: 'Cash refund',
+    bank_refund: 'Bank refund',
+  }[purchaseReturn.settlement] || purchaseReturn.settlement;
+  const rowsHtml = (purchaseReturn.lines || [])
+    .map((line) => `
+      <tr>
+        <td>${line.itemName || '-'}</td>
+        <td>${line.unit || '-'}</td>
+        <td class="num">${line.returnedQty ?? 0}</td>
+        <td class="num">Rs ${Number(line.unitCost || 0).toLocaleString()}</td>
+        <td class="num">Rs ${Number(line.totalCost || 0).toLocaleString()}</td>
+        <td>${line.reason || '-'}</td>
+      </tr>
+    `)
+    .join('');
+
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>Debit Note ${purchaseReturn.returnNumber}</title>
+  <style>${PRINT_DOC_STYLES}</style>
+</head>
+<body>
+  <h1 class="title">${restaurantName || 'Restaurant'}</h1>
+  <p class="subtitle">Inventory Module</p>
+  <h2 class="doc-title">DEBIT NOTE / PURCHASE RETURN</h2>
+
+  <div class="grid">
+    <div class="cell"><div class="k">Debit Note No</div><div class="v">${purchaseReturn.returnNumber}</div></div>
+    <div class="cell"><div class="k">Date</div><div class="v">${fmt(purchaseReturn.returnDate || purchaseReturn.createdAt)}</div></div>
+    <div class="cell"><div class="k">GRN Ref</div><div class="v">${purchaseReturn.grnNumber || '-'}</div></div>
+    <div class="cell"><div class="k">PO Ref</div><div class="v">${purchaseReturn.poNumber || '-'}</div></div>
+  </div>
+
+  <div class="cell" style="margin-bottom: 8px;">
+    <div class="k">Supplier</div>
+    <div class="v">${purchaseReturn.supplierName}</div>
+  </div>
+
+  <table>
+    <thead>
+      <tr>
+        <th>Item</th>
+        <th>Unit</th>
+        <th class="num">Qty Returned</th>
+        <th class="num">Unit Cost</th>
+        <th class="num">Total</th>
+        <th>Reason</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${rowsHtml}
+      <tr class="total">
+        <td colspan="4" class="num">Total Debit</td>
+        <td class="num">Rs ${Number(purchaseReturn.totalCost || 0).toLocaleString()}</td>
+        <td></td>
+      </tr>
+    </tbody>
+  </table>
+
+  <div class="cell" style="margin-top: 10px;">
+    <div class="k">Settlement</div>
+    <div class="v">${settlementLabel}${purchaseReturn.accountingVoucherNumber ? ` (${purchaseReturn.accountingVoucherNumber})` : ''}</div>
+  </div>
+
+  ${purchaseReturn.notes ? `<div class="notes"><strong>Notes:</strong> ${purchaseReturn.notes}</div>` : ''}
+
+  <div class="sign">
+    <div class="sig"><div class="line"></div><div>Returned By</div></div>
+    <div class="sig"><div class="line"></div><div>Supplier Acknowledgement</div></div>
+    <div class="sig"><div class="line"></div><div>Approved By</div></div>
+  </div>
+
+  <div class="footer">
+    <span>Printed by: ${userName || 'User'}</span>
+    <span>Printed at: ${fmt(new Date())}</span>
+  </div>
+
+  <script>window.onload = () => window.print()</script>
+</body>
+</html>`;
+}
+
+function buildTransferPrintHtml({ transfer, fromName, toName, restaurantName, userName }) {
+  const fmt = formatPrintDate;
+  const received = transfer.status === 'received';
+  const rowsHtml = (transfer.lines || [])
+    .map((line) => `
+      <tr>
+        <td>${line.itemName || '-'}</td>
+        <td>${line.unit || '-'}</td>
+        <td class="num">${line.requestedQty ?? 0}</td>
+        <td class="num">${line.dispatchedQty ?? 0}</td>
+        <td class="num">${received ? line.receivedQty ?? 0 : ''}</td>
+        <td>${line.discrepancyReason || ''}</td>
+      </tr>
+    `)
+    .join('');
+
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>Transfer ${transfer.transferNumber}</title>
+  <style>${PRINT_DOC_STYLES}</style>
+</head>
+<body>
+  <h1 class="title">${restaurantName || 'Restaurant'}</h1>
+  <p class="subtitle">Inventory Module</p>
+  <h2 class="doc-title">STOCK TRANSFER NOTE</h2>
+
+  <div class="grid">
+    <div class="cell"><div class="k">Transfer No</div><div class="v">${transfer.transferNumber}</div></div>
+    <div class="cell"><div class="k">Status</div><div class="v">${String(transfer.status || '').toUpperCase()}</div></div>
+    <div class="cell"><div class="k">Dispatched</div><div class="v">${transfer.dispatchedAt ? fmt(transfer.dispatchedAt) : '-'}</div></div>
+    <div class="cell"><div class="k">Received</div><div class="v">${transfer.receivedAt ? fmt(transfer.receivedAt) : '-'}</div></div>
+  </div>
+
+  <div class="grid" style="grid-template-columns: repeat(2, minmax(0,1fr));">
+    <div class="cell"><div class="k">From</div><div class="v">${fromName}</div></div>
+    <div class="cell"><div class="k">To</div><div class="v">${toName}</div></div>
+  </div>
+
+  <table>
+    <thead>
+      <tr>
+        <th>Item</th>
+        <th>Unit</th>
+        <th class="num">Requested</th>
+        <th class="num">Dispatched</th>
+        <th class="num">Received</th>
+        <th>Discrepancy</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${rowsHtml}
+      <tr class="total">
+        <td colspan="5" class="num">Dispatched Value</td>
+        <td class="num">Rs ${Number(transfer.dispatchedValue || 0).toLocaleString()}</td>
+      </tr>
+    </tbody>
+  </table>
+
+  ${transfer.notes ? `<div class="notes"><strong>Notes:</strong> ${transfer.notes}</div>` : ''}
+  ${transfer.receiptNotes ? `<div class="notes"><strong>Receipt notes:</strong> ${transfer.receiptNotes}</div>` : ''}
+
+  <div class="sign">
+    <div class="sig"><div class="line"></div><div>Dispatched By</div></div>
+    <div class="sig"><div class="line"></div><div>Driver</div></div>
+    <div class="sig"><div class="line"></div><div>Received By</div></div>
+  </div>
+
+  <div class="footer">
+    <span>Printed by: ${userName || 'User'}</span>
+    <span>Printed at: ${fmt(new Date())}</span>
+  </div>
+
+  <script>window.onload = () => window.print()</script>
+</body>
+</html>`;
+}
+
 // ---- Purchase Orders ----
 router.get('/orders', async (req, res, next) => {
   try {
@@ -195,12 +399,14 @@ router.post('/orders', async (req, res, next) => {
     const branch = await Branch.findOne({ _id: branchId, restaurant: restaurantId }).lean();
     if (!branch) return res.status(400).json({ message: 'Invalid branchId for this restaurant' });
 
-    const normalizedLines = sanitizeOrderLines(lines);
-    for (const line of normalizedLines) {
+    const sanitizedLines = sanitizeOrderLines(lines);
+    for (const line of sanitizedLines) {
       if (!line.inventoryItem || !line.itemName || !line.unit || !(line.orderedQty > 0)) {
         return res.status(400).json({ message: 'Each line requires inventoryItem, itemName, unit, orderedQty > 0' });
       }
     }
+    // Lines without a cost take the supplier's list price
+    const normalizedLines = await fillOrderLinePrices(restaurantId, ensureObjectId(supplierId), sanitizedLines);
     const totalEstimatedCost = normalizedLines.reduce(
       (sum, l) => sum + l.orderedQty * (l.estimatedUnitCost || 0),
       0
@@ -223,6 +429,52 @@ router.post('/orders', async (req, res, next) => {
   }
 });
 
+// ---- Reorder suggestions ----
+// Query: branchId (required), lookbackDays, leadTimeDays, coverDays
+router.get('/reorder-suggestions', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const { branchId, lookbackDays, leadTimeDays, coverDays } = req.query;
+    if (!branchId) return res.status(400).json({ message: 'branchId is required' });
+    const branch = await Branch.findOne({ _id: ensureObjectId(branchId), restaurant: restaurantId }).lean();
+    if (!branch) return res.status(400).json({ message: 'Invalid branchId for this restaurant' });
+
+    const suggestions = await buildReorderSuggestions({
+      restaurantId,
+      branchId: branch._id,
+      options: { lookbackDays, leadTimeDays, coverDays },
+    });
+    res.json(suggestions);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Body: { branchId, supplierIds?, excludeItemIds?, expectedDeliveryDate?, lookbackDays?, leadTimeDays?, coverDays? }
+// Creates one draft PO per preferred supplier; items without one come back as `unassigned`
+router.post('/orders/reorder', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const { branchId, supplierIds, excludeItemIds, expectedDeliveryDate = null, lookbackDays, leadTimeDays, coverDays } = req.body;
+    if (!branchId) return res.status(400).json({ message: 'branchId is required' });
+    const branch = await Branch.findOne({ _id: ensureObjectId(branchId), restaurant: restaurantId }).lean();
+    if (!branch) return res.status(400).json({ message: 'Invalid branchId for this restaurant' });
+
+    const { orders, unassigned } = await createReorderPurchaseOrders({
+      restaurantId,
+      branchId: branch._id,
+      supplierIds: Array.isArray(supplierIds) ? supplierIds : null,
+      excludeItemIds: Array.isArray(excludeItemIds) ? excludeItemIds : [],
+      options: { lookbackDays, leadTimeDays, coverDays },
+      expectedDeliveryDate,
+      createdBy: req.user?._id || null,
+    });
+    res.status(orders.length ? 201 : 200).json({ orders, unassigned });
+  } catch (err) {
+    next(err);
+  }
+});
+
 router.get('/orders/:id', async (req, res, next) => {
   try {
     const restaurantId = req.restaurant._id;
@@ -249,12 +501,13 @@ router.patch('/orders/:id', async (req, res, next) => {
     if (expectedDeliveryDate !== undefined) po.expectedDeliveryDate = expectedDeliveryDate || null;
     if (notes !== undefined) po.notes = String(notes || '');
     if (Array.isArray(lines)) {
-      const normalizedLines = sanitizeOrderLines(lines);
-      for (const line of normalizedLines) {
+      const sanitizedLines = sanitizeOrderLines(lines);
+      for (const line of sanitizedLines) {
         if (!line.inventoryItem || !line.itemName || !line.unit || !(line.orderedQty > 0)) {
           return res.status(400).json({ message: 'Each line requires inventoryItem, itemName, unit, orderedQty > 0' });
         }
       }
+      const normalizedLines = await fillOrderLinePrices(restaurantId, po.supplierId, sanitizedLines);
       po.lines = normalizedLines;
       po.totalEstimatedCost = Math.round(
         normalizedLines.reduce((sum, l) => sum + l.orderedQty * (l.estimatedUnitCost || 0), 0) * 100
@@ -300,14 +553,101 @@ router.patch('/orders/:id/cancel', async (req, res, next) => {
   }
 });
 
+// ---- Supplier price lists ----
+router.get('/suppliers/:supplierId/prices', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const supplier = await findSupplier(restaurantId, req.params.supplierId);
+    if (!supplier) return res.status(404).json({ message: 'Supplier not found' });
+    const prices = await listSupplierPrices(restaurantId, supplier._id, {
+      includeInactive: req.query.includeInactive === 'true',
+    });
+    res.json({ supplier: { id: supplier._id.toString(), name: supplier.name }, prices });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Body: { lines: [{ inventoryItem, unitPrice, supplierSku?, minOrderQty?, isActive? }] }
+router.put('/suppliers/:supplierId/prices', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const result = await upsertSupplierPrices({
+      restaurantId,
+      supplierId: req.params.supplierId,
+      lines: req.body.lines,
+      user: req.user,
+    });
+    if (result.error) return res.status(result.error.status).json({ message: result.error.message });
+    res.json({ prices: result.prices });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/suppliers/:supplierId/prices/:inventoryItemId', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const supplierId = ensureObjectId(req.params.supplierId);
+    const inventoryItemId = ensureObjectId(req.params.inventoryItemId);
+    if (!supplierId || !inventoryItemId) return res.status(400).json({ message: 'Invalid id' });
+    const result = await SupplierPrice.deleteOne({ restaurant: restaurantId, supplier: supplierId, inventoryItem: inventoryItemId });
+    if (result.deletedCount === 0) return res.status(404).json({ message: 'Price list entry not found' });
+    res.json({ message: 'Price list entry removed' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Query: inventoryItemId, supplierId, dateFrom, dateTo, limit
+router.get('/price-history', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const { inventoryItemId, supplierId, dateFrom, dateTo, limit } = req.query;
+    const history = await getPriceHistory({
+      restaurantId,
+      inventoryItemId: ensureObjectId(inventoryItemId),
+      supplierId: ensureObjectId(supplierId),
+      from: dateFrom ? new Date(dateFrom) : null,
+      to: dateTo ? new Date(dateTo) : null,
+      limit,
+    });
+    res.json({ history });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Suppliers compared per inventory item. Query: inventoryItemId, dateFrom, dateTo (default last 90 days)
+router.get('/reports/supplier-comparison', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const { inventoryItemId, dateFrom, dateTo } = req.query;
+    if (inventoryItemId && !ensureObjectId(inventoryItemId)) {
+      return res.status(400).json({ message: 'Invalid inventoryItemId' });
+    }
+    const to = dateTo ? new Date(dateTo) : new Date();
+    const from = dateFrom ? new Date(dateFrom) : new Date(to.getTime() - 90 * 86400000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    const report = await buildSupplierComparison({ restaurantId, inventoryItemId: inventoryItemId || null, from, to });
+    res.json(report);
+  } catch (err) {
+    next(err);
+  }
+});
+
 // ---- GRNs ----
 router.get('/grn', async (req, res, next) => {
   try {
     const restaurantId = req.restaurant._id;
-    const { supplierId, paymentType, dateFrom, dateTo } = req.query;
+    const { supplierId, paymentType, unbilled, dateFrom, dateTo } = req.query;
     const filter = { restaurant: restaurantId };
     if (supplierId) filter.supplierId = supplierId;
     if (paymentType) filter.paymentType = paymentType;
+    // Credit GRNs still waiting for a supplier bill
+    if (unbilled === 'true') Object.assign(filter, { paymentType: 'credit', status: 'posted', supplierBill: null });
     if (dateFrom || dateTo) {
       filter.receivedDate = {};
       if (dateFrom) filter.receivedDate.$gte = new Date(dateFrom);
@@ -427,16 +767,57 @@ router.post('/grn', async (req, res, next) => {
       createdBy: req.user?._id || null,
     });
 
-    // Update stock (must not fail silently)
+    // Update stock (must not fail silently). addStock reverts rows it already changed if one
+    // fails, so the draft GRN is removed and nothing is half-posted.
+    const receivedQty = new Map();
     for (const line of normalizedLines) {
-      await BranchInventory.findOneAndUpdate(
-        { branch: branchId, inventoryItem: line.inventoryItem },
-        {
-          $inc: { currentStock: line.receivedQty },
-          $setOnInsert: { lowStockThreshold: 0, costPrice: 0 },
+      const key = String(line.inventoryItem);
+      receivedQty.set(key, (receivedQty.get(key) || 0) + line.receivedQty);
+    }
+    let stockMovements;
+    try {
+      stockMovements = await addStock({
+        restaurantId,
+        branchId,
+        quantities: receivedQty,
+        createMissing: true,
+        log: {
+          type: 'GRN_RECEIPT',
+          referenceType: 'GoodsReceivedNote',
+          referenceId: grn._id,
+          referenceNumber: grn.grnNumber,
+          createdBy: req.user?._id || null,
         },
-        { upsert: true, new: true }
+      });
+    } catch (err) {
+      await GoodsReceivedNote.deleteOne({ _id: grn._id }).catch(() => {});
+      throw err;
+    }
+
+    // Re-cost received items (settings.inventoryCostingMethod); must not block GRN posting
+    try {
+      const received = new Map();
+      for (const line of normalizedLines) {
+        const key = String(line.inventoryItem);
+        const r = received.get(key) || { qty: 0, cost: 0, unit: line.unit };
+        r.qty += line.receivedQty;
+        r.cost += line.receivedQty * line.unitCost;
+        received.set(key, r);
+      }
+      const costPrices = new Map(
+        [...received.entries()].map(([key, r]) => [key, costPriceFromUnitCost(r.cost / r.qty, r.unit)])
       );
+      await applyReceiptCosts({
+        restaurantId,
+        branchId,
+        movements: stockMovements,
+        costPrices,
+        reason: 'GRN_RECEIPT',
+        reference: { type: 'GoodsReceivedNote', id: grn._id, number: grn.grnNumber, date: grn.receivedDate },
+        createdBy: req.user?._id || null,
+      });
+    } catch (err) {
+      console.error('GRN costing failed:', err.message);
     }
 
     // Update PO receiving progress when linked
@@ -452,6 +833,19 @@ router.post('/grn', async (req, res, next) => {
       await po.save();
     }
 
+    // Supplier price list, price history and cost alerts (must not block GRN posting)
+    try {
+      grn.priceAlerts = await recordGrnPrices({
+        restaurantId,
+        grn,
+        po,
+        alertPercent: req.restaurant.settings?.purchasePriceAlertPercent ?? DEFAULT_PRICE_ALERT_PERCENT,
+        user: req.user,
+      });
+    } catch (err) {
+      console.error('GRN price tracking failed:', err.message);
+    }
+
     // Accounting (must not block GRN posting)
     try {
       let voucher = null;
@@ -533,6 +927,7 @@ router.post('/grn', async (req, res, next) => {
       message: `GRN ${grn.grnNumber} posted successfully`,
       voucherNumber: grn.accountingVoucherNumber || null,
       accountingError: grn.accountingError || null,
+      priceAlerts: grn.priceAlerts,
     });
   } catch (err) {
     next(err);
@@ -562,4 +957,393 @@ router.get('/grn/:id/print', async (req, res, next) => {
   }
 });
 
+// ---- Supplier returns (debit notes) ----
+// What is still returnable per item on a posted GRN
+router.get('/grn/:id/returnable', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const grn = await GoodsReceivedNote.findOne({ _id: ensureObjectId(req.params.id), restaurant: restaurantId }).lean();
+    if (!grn) return res.status(404).json({ message: 'GRN not found' });
+    const lines = await loadReturnableLines(grn);
+    res.json({ grnId: grn._id, grnNumber: grn.grnNumber, lines: [...lines.values()] });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/returns', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const { supplierId, grnId, dateFrom, dateTo } = req.query;
+    const filter = { restaurant: restaurantId };
+    if (supplierId) filter.supplierId = supplierId;
+    if (grnId) filter.grn = grnId;
+    if (dateFrom || dateTo) {
+      filter.returnDate = {};
+      if (dateFrom) filter.returnDate.$gte = new Date(dateFrom);
+      if (dateTo) filter.returnDate.$lte = new Date(dateTo);
+    }
+
+    const [returns, total] = await Promise.all([
+      PurchaseReturn.find(filter).sort({ createdAt: -1 }).lean(),
+      PurchaseReturn.countDocuments(filter),
+    ]);
+    res.json({ returns, total });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/returns/:id', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const purchaseReturn = await PurchaseReturn.findOne({ _id: req.params.id, restaurant: restaurantId }).lean();
+    if (!purchaseReturn) return res.status(404).json({ message: 'Purchase return not found' });
+    res.json(purchaseReturn);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Body: { grnId, lines: [{ inventoryItem, returnedQty, reason? }], settlement?: payable|cash_refund|bank_refund,
+//         refundAccountId?, returnDate?, notes? } — settlement defaults from the GRN's payment type
+router.post('/returns', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const { grnId, ...input } = req.body;
+    const result = await createPurchaseReturn({ restaurantId, grnId, input, user: req.user });
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message, details: result.error.details });
+    }
+    const { purchaseReturn } = result;
+    res.status(201).json({
+      purchaseReturn,
+      message: `Debit note ${purchaseReturn.returnNumber} posted successfully`,
+      voucherNumber: purchaseReturn.accountingVoucherNumber || null,
+      accountingError: purchaseReturn.accountingError || null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/returns/:id/print', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const purchaseReturn = await PurchaseReturn.findOne({ _id: req.params.id, restaurant: restaurantId }).lean();
+    if (!purchaseReturn) return res.status(404).json({ message: 'Purchase return not found' });
+
+    const html = buildDebitNotePrintHtml({
+      purchaseReturn,
+      restaurantName: req.restaurant?.name || 'Restaurant',
+      userName: req.user?.name || req.user?.email || 'User',
+    });
+    res.setHeader('Content-Type', 'text/html');
+    res.send(html);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---- Supplier bills (three-way match) and payment runs ----
+const requireBillApprover = requireRole('restaurant_admin', 'super_admin', 'admin', 'manager');
+
+function sendBillError(res, error) {
+  return res.status(error.status).json({ message: error.message, details: error.details });
+}
+
+router.get('/bills', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const { supplierId, status, matchStatus, dateFrom, dateTo } = req.query;
+    const filter = { restaurant: restaurantId };
+    if (supplierId) filter.supplierId = supplierId;
+    if (status) filter.status = status;
+    if (matchStatus) filter.matchStatus = matchStatus;
+    if (dateFrom || dateTo) {
+      filter.billDate = {};
+      if (dateFrom) filter.billDate.$gte = new Date(dateFrom);
+      if (dateTo) filter.billDate.$lte = new Date(dateTo);
+    }
+
+    const [bills, total] = await Promise.all([
+      SupplierBill.find(filter).sort({ dueDate: 1, createdAt: -1 }).lean(),
+      SupplierBill.countDocuments(filter),
+    ]);
+    res.json({ bills, total });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Open bills per supplier in aging buckets. Query: asOf?, supplierId?
+router.get('/bills/aging', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (Number.isNaN(asOf.getTime())) return res.status(400).json({ message: 'Invalid asOf date' });
+    if (req.query.asOf && !/T/.test(req.query.asOf)) asOf.setHours(23, 59, 59, 999);
+    const supplierId = req.query.supplierId ? ensureObjectId(req.query.supplierId) : null;
+    res.json(await buildPayablesAging({ restaurantId, asOf, supplierId }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/bills/:id', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const bill = await SupplierBill.findOne({ _id: ensureObjectId(req.params.id), restaurant: restaurantId }).lean();
+    if (!bill) return res.status(404).json({ message: 'Bill not found' });
+    res.json(bill);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Body: { grnIds: [], supplierInvoiceNumber?, billDate?, dueDate?, lines?: [{ inventoryItem, billedQty, unitPrice }], notes? }
+// Lines default to the received quantities at GRN cost; dueDate defaults from the supplier's payment terms
+router.post('/bills', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const result = await createSupplierBill({ restaurantId, input: req.body, user: req.user });
+    if (result.error) return sendBillError(res, result.error);
+    const { bill } = result;
+    res.status(201).json({
+      bill,
+      message:
+        bill.matchStatus === 'matched'
+          ? `Bill ${bill.billNumber} matched and ready for payment`
+          : `Bill ${bill.billNumber} has variances and needs approval before payment`,
+      voucherNumber: bill.adjustmentVoucherNumber || null,
+      accountingError: bill.accountingError || null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/bills/:id/approve-variance', requireBillApprover, async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const result = await approveBillVariance({ restaurantId, billId: ensureObjectId(req.params.id), user: req.user });
+    if (result.error) return sendBillError(res, result.error);
+    const { bill } = result;
+    res.json({
+      bill,
+      message: `Bill ${bill.billNumber} approved for payment`,
+      voucherNumber: bill.adjustmentVoucherNumber || null,
+      accountingError: bill.accountingError || null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/bills/:id/cancel', requireBillApprover, async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const result = await cancelSupplierBill({ restaurantId, billId: ensureObjectId(req.params.id) });
+    if (result.error) return sendBillError(res, result.error);
+    res.json({ bill: result.bill, message: `Bill ${result.bill.billNumber} cancelled` });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/payment-runs', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const { dateFrom, dateTo } = req.query;
+    const filter = { restaurant: restaurantId };
+    if (dateFrom || dateTo) {
+      filter.paymentDate = {};
+      if (dateFrom) filter.paymentDate.$gte = new Date(dateFrom);
+      if (dateTo) filter.paymentDate.$lte = new Date(dateTo);
+    }
+    const runs = await SupplierPaymentRun.find(filter).sort({ createdAt: -1 }).lean();
+    res.json({ runs, total: runs.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/payment-runs/:id', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const run = await SupplierPaymentRun.findOne({ _id: ensureObjectId(req.params.id), restaurant: restaurantId }).lean();
+    if (!run) return res.status(404).json({ message: 'Payment run not found' });
+    res.json(run);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Body: { method: cash|bank, paymentAccountId?, paymentDate?, notes?,
+//         payments?: [{ billId, amount? }] | dueBy?, supplierIds?, maxTotal? } — without payments,
+//         every payable bill due by dueBy (default paymentDate) is paid, oldest due first
+router.post('/payment-runs', requireBillApprover, async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const result = await runSupplierPayments({ restaurantId, input: req.body, user: req.user });
+    if (result.error) return sendBillError(res, result.error);
+    const { run } = result;
+    const failed = run.payments.filter((p) => p.error);
+    res.status(201).json({
+      run,
+      message: failed.length
+        ? `Payment run ${run.runNumber}: ${failed.length} payment(s) could not be posted`
+        : `Payment run ${run.runNumber} posted successfully`,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---- Stock transfers between branches ----
+router.get('/transfers', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const { status, fromBranchId, toBranchId } = req.query;
+    const filter = { restaurant: restaurantId };
+    if (status) filter.status = status;
+    if (fromBranchId) filter.fromBranch = fromBranchId;
+    if (toBranchId) filter.toBranch = toBranchId;
+
+    const [transfers, total] = await Promise.all([
+      StockTransfer.find(filter).sort({ createdAt: -1 }).lean(),
+      StockTransfer.countDocuments(filter),
+    ]);
+    res.json({ transfers, total });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// In-transit stock (dispatched, not yet received), per item and destination
+router.get('/transfers/in-transit', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const inTransit = await loadInTransit(restaurantId, {
+      toBranchId: ensureObjectId(req.query.toBranchId),
+      fromBranchId: ensureObjectId(req.query.fromBranchId),
+    });
+    res.json(inTransit);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/transfers/:id', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const transfer = await StockTransfer.findOne({ _id: req.params.id, restaurant: restaurantId }).lean();
+    if (!transfer) return res.status(404).json({ message: 'Transfer not found' });
+    res.json(transfer);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/transfers', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const { fromBranchId, toBranchId, lines = [], notes = '' } = req.body;
+    const result = await createTransfer({
+      restaurantId,
+      fromBranchId,
+      toBranchId,
+      lines,
+      notes,
+      requestedBy: req.user?._id || null,
+    });
+    if (result.error) return res.status(result.error.status).json({ message: result.error.message });
+    res.status(201).json(result.transfer);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Body (optional): { lines: [{ inventoryItem, dispatchedQty }] }; defaults to the requested quantities
+router.patch('/transfers/:id/dispatch', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const result = await dispatchTransfer({
+      restaurantId,
+      transferId: req.params.id,
+      lines: Array.isArray(req.body.lines) ? req.body.lines : null,
+      dispatchedBy: req.user?._id || null,
+    });
+    if (result.error) {
+      return res
+        .status(result.error.status)
+        .json({ message: result.error.message, code: result.error.code, details: result.error.details });
+    }
+    res.json(result.transfer);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Body (optional): { lines: [{ inventoryItem, receivedQty, discrepancyReason }], receiptNotes }
+router.patch('/transfers/:id/receive', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const result = await receiveTransfer({
+      restaurantId,
+      transferId: req.params.id,
+      lines: Array.isArray(req.body.lines) ? req.body.lines : null,
+      receiptNotes: req.body.receiptNotes,
+      receivedBy: req.user?._id || null,
+    });
+    if (result.error) return res.status(result.error.status).json({ message: result.error.message });
+    res.json(result.transfer);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.patch('/transfers/:id/cancel', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const transfer = await StockTransfer.findOneAndUpdate(
+      { _id: req.params.id, restaurant: restaurantId, status: 'requested' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!transfer) {
+      const exists = await StockTransfer.exists({ _id: req.params.id, restaurant: restaurantId });
+      if (!exists) return res.status(404).json({ message: 'Transfer not found' });
+      return res.status(400).json({ message: 'Only requested transfers can be cancelled' });
+    }
+    res.json(transfer);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get('/transfers/:id/print', async (req, res, next) => {
+  try {
+    const restaurantId = req.restaurant._id;
+    const transfer = await StockTransfer.findOne({ _id: req.params.id, restaurant: restaurantId }).lean();
+    if (!transfer) return res.status(404).json({ message: 'Transfer not found' });
+    const branches = await Branch.find({ _id: { $in: [transfer.fromBranch, transfer.toBranch] } })
+      .select('_id name')
+      .lean();
+    const nameOf = (id) => branches.find((b) => String(b._id) === String(id))?.name || '-';
+
+    const html = buildTransferPrintHtml({
+      transfer,
+      fromName: nameOf(transfer.fromBranch),
+      toName: nameOf(transfer.toBranch),
+      restaurantName: req.restaurant?.name || 'Restaurant',
+      userName: req.user?.name || req.user?.email || 'User',
+    });
+    res.setHeader('Content-Type', 'text/html');
+    res.send(html);
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
@@ -7,12 +7,12 @@ const Branch = require('../models/Branch');
 const Customer = require('../models/Customer');
 const Category = require('../models/Category');
 const MenuItem = require('../models/MenuItem');
-const InventoryItem = require('../models/InventoryItem');
-const BranchInventory = require('../models/BranchInventory');
 const BranchMenuItem = require('../models/BranchMenuItem');
 const { checkInventorySufficiency } = require('../utils/checkInventorySufficiency');
 const { protect, requireRole, resolveBranch } = require('../middleware/authMiddleware');
 const { getOrderRooms } = require('../utils/socketRooms');
+const { awardOrderPoints } = require('../services/loyaltyService');
+const { loadStockLevels } = require('../services/inventoryService');
 
 const router = express.Router();
 
@@ -206,42 +206,24 @@ router.get('/menu', async (req, res, next) => {
 
     let categories;
     let rawItems;
-    let inventoryItems;
 
     if (branchId) {
       const categoryQuery = { restaurant: restaurantId, branch: branchId };
       const itemQuery = { restaurant: restaurantId, branch: branchId };
-      const inventoryQuery = { restaurant: restaurantId, branch: branchId };
-      [categories, rawItems, inventoryItems] = await Promise.all([
+      [categories, rawItems] = await Promise.all([
         Category.find(categoryQuery).sort({ createdAt: 1 }),
         MenuItem.find(itemQuery),
-        InventoryItem.find(inventoryQuery),
       ]);
     } else {
       // Legacy: same broad catalog as before (no branch filter on items/categories)
-      [categories, rawItems, inventoryItems] = await Promise.all([
+      [categories, rawItems] = await Promise.all([
         Category.find({ restaurant: restaurantId }).sort({ createdAt: 1 }),
         MenuItem.find({ restaurant: restaurantId, available: true }),
-        InventoryItem.find({ restaurant: restaurantId }),
       ]);
     }
 
-    const inventoryMap = new Map();
-    if (branchId) {
-      const branchRows = await BranchInventory.find({ branch: branchId }).lean();
-      const branchStockByInv = new Map();
-      for (const row of branchRows) {
-        branchStockByInv.set(row.inventoryItem.toString(), row.currentStock);
-      }
-      for (const inv of inventoryItems) {
-        const currentStock = branchStockByInv.get(inv._id.toString()) ?? 0;
-        inventoryMap.set(inv._id.toString(), { name: inv.name, unit: inv.unit, currentStock });
-      }
-    } else {
-      for (const inv of inventoryItems) {
-        inventoryMap.set(inv._id.toString(), inv);
-      }
-    }
+    // Stock lookup for sufficiency checks (branch-level stock when a branch is selected)
+    const inventoryMap = await loadStockLevels(restaurantId, branchId || null);
 
     let overrideMap = new Map();
     if (branchId) {
@@ -490,6 +472,11 @@ router.put('/orders/:id/delivered', async (req, res, next) => {
     order.statusHistory.push({ status: 'DELIVERED', at: new Date() });
     await order.save();
 
+    // Orders paid before dispatch earn loyalty points now (no-op while payment is pending)
+    awardOrderPoints(order._id, { createdBy: req.user.id }).catch((err) =>
+      console.error('[Loyalty] awardOrderPoints failed for order', order._id, err.message)
+    );
+
     const io = req.app.get('io');
     if (io) {
       const rooms = getOrderRooms(order.restaurant, order.branch);
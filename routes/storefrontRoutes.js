@@ -11,7 +11,7 @@ const Order = require('../models/Order');
 const StorefrontCustomer = require('../models/StorefrontCustomer');
 const Deal = require('../models/Deal');
 const AgentConversation = require('../models/AgentConversation');
-const { generateOrderNumber } = require('../utils/orderNumber');
+const { allocateOrderNumber } = require('../utils/orderNumber');
 const { getOrderRooms } = require('../utils/socketRooms');
 const crypto = require('crypto');
 const storefrontAuthRoutes = require('./storefrontAuthRoutes');
@@ -22,6 +22,34 @@ const {
 } = require('../middleware/storefrontCustomerAuth');
 const { storefrontCustomerToPublic } = require('../utils/storefrontCustomerPublic');
 const { mergedDeliveryLocations, pickDeliveryLocation, publicDeliveryZones } = require('../utils/deliveryLocations');
+const { mapModifierGroups, resolveLineModifiers, mapLineModifiers } = require('../utils/menuModifiers');
+const { resolveTaxSettings, computeOrderTax, taxFieldsForOrder } = require('../utils/taxEngine');
+const { assignKitchenStations, emitKitchenUpdate } = require('../utils/kitchenRouting');
+const { checkInventorySufficiency } = require('../utils/checkInventorySufficiency');
+const { loadMenuScheduleState, describeWindows, scheduleUnavailableMessage } = require('../utils/menuSchedule');
+const {
+  computeStockConsumption,
+  deductStock,
+  reverseStockMovements,
+  recordStockMovements,
+} = require('../services/inventoryService');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const {
+  resolveLoyaltySettings,
+  expireMemberPoints,
+  planRedemption,
+  redeemPoints,
+  attachRedemptionToOrder,
+  releaseRedemption,
+  mapMember,
+  mapLoyaltyTransaction,
+} = require('../services/loyaltyService');
+const {
+  validateDealCode,
+  claimDealCode,
+  releaseDealCodeClaim,
+  recordDealCodeUsage,
+} = require('../utils/dealCodes');
 
 const router = express.Router();
 
@@ -406,7 +434,7 @@ router.get(
         ];
       }
 
-      const [categories, allItems, inventoryItems, branchInventoryRows, branchForWebsite] = await Promise.all([
+      const [categories, allItems, inventoryItems, branchInventoryRows, branchForWebsite, scheduleState] = await Promise.all([
         Category.find(categoryQuery).sort({ createdAt: 1 }),
         MenuItem.find(menuQuery).populate('category'),
         InventoryItem.find({ restaurant: restaurant._id }),
@@ -416,6 +444,7 @@ router.get(
         selectedBranchId
           ? Branch.findOne({ _id: selectedBranchId, restaurant: restaurant._id })
           : null,
+        loadMenuScheduleState(restaurant._id, selectedBranchId),
       ]);
 
       // Inventory sufficiency check.
@@ -436,43 +465,17 @@ router.get(
         inventoryMap.set(id, { ...inv.toObject?.() ?? inv, currentStock });
       }
 
-      function normalizeUnit(unit) {
-        const u = String(unit || '').trim().toLowerCase();
-        if (u === 'g' || u === 'gram') return 'gram';
-        if (u === 'kg' || u === 'kilogram') return 'kilogram';
-        if (u === 'ml' || u === 'milliliter') return 'milliliter';
-        if (u === 'l' || u === 'liter') return 'liter';
-        if (u === 'pc' || u === 'pcs' || u === 'piece') return 'piece';
-        if (u === 'dozen') return 'dozen';
-        return u;
-      }
-      function convertToInventoryUnit(recipeQty, recipeUnitRaw, inventoryUnitRaw) {
-        const recipeQtyNum = Number(recipeQty || 0);
-        if (!recipeQtyNum) return 0;
-        const recipeUnit = normalizeUnit(recipeUnitRaw);
-        const inventoryUnit = normalizeUnit(inventoryUnitRaw);
-        if (recipeUnit === 'gram' && inventoryUnit === 'kilogram') return recipeQtyNum / 1000;
-        if (recipeUnit === 'kilogram' && inventoryUnit === 'gram') return recipeQtyNum * 1000;
-        if (recipeUnit === 'milliliter' && inventoryUnit === 'liter') return recipeQtyNum / 1000;
-        if (recipeUnit === 'liter' && inventoryUnit === 'milliliter') return recipeQtyNum * 1000;
-        if (recipeUnit === 'piece' && inventoryUnit === 'dozen') return recipeQtyNum / 12;
-        if (recipeUnit === 'dozen' && inventoryUnit === 'piece') return recipeQtyNum * 12;
-        return recipeQtyNum;
-      }
+      // Made-to-order prep items are checked through their recipes; unknown ingredients are ignored
       function hasEnoughInventory(menuItem) {
-        if (!menuItem.inventoryConsumptions || menuItem.inventoryConsumptions.length === 0) return true;
-        for (const consumption of menuItem.inventoryConsumptions) {
-          const invId = consumption.inventoryItem ? consumption.inventoryItem.toString() : null;
-          if (!invId) continue;
-          const inv = inventoryMap.get(invId);
-          if (!inv) continue;
-          const needed = convertToInventoryUnit(consumption.quantity || 0, consumption.unit, inv.unit);
-          if (needed > 0 && inv.currentStock < needed) return false;
-        }
-        return true;
+        return checkInventorySufficiency(menuItem, inventoryMap, { ignoreUnknown: true }).sufficient;
+      }
+
+      // Breakfast / lunch ... items are hidden outside their menu schedule (branch local time)
+      function isOnMenuNow(menuItem) {
+        return hasEnoughInventory(menuItem) && scheduleState.isItemAvailableNow(menuItem);
       }
 
-      const items = allItems.filter(hasEnoughInventory);
+      const items = allItems.filter(isOnMenuNow);
 
       // Branch-specific overrides for website config
       const rawWebsite = restaurant.website || {};
@@ -519,7 +522,7 @@ router.get(
         websiteSections.push({
           title: section.title || '',
           subtitle: section.subtitle || '',
-          items: sectionItems.filter(hasEnoughInventory).map((item) => ({
+          items: sectionItems.filter(isOnMenuNow).map((item) => ({
             id: item._id.toString(),
             name: item.name,
             description: item.description || item.category?.description || '',
@@ -555,6 +558,7 @@ router.get(
           imageUrl: item.imageUrl,
           isFeatured: item.isFeatured || false,
           isBestSeller: item.isBestSeller || false,
+          modifierGroups: mapModifierGroups(item.modifierGroups, { onlyAvailable: true }),
         };
       });
 
@@ -582,11 +586,16 @@ router.get(
           deliveryZones: publicDeliveryZones(restaurant, branchForWebsite),
         },
         menu: menuResponse,
-        categories: categories.map((c) => ({
+        categories: categories.filter((c) => scheduleState.isCategoryAvailableNow(c)).map((c) => ({
           id: c._id.toString(),
           name: c.name,
           description: c.description || '',
         })),
+        menuSchedules: scheduleState.schedules.map((sch) => ({
+          name: sch.name,
+          openNow: sch.openNow,
+          hours: describeWindows(sch.windows),
+        })),
         branches: activeBranches.map((b) => ({
           id: b._id.toString(),
           name: b.name,
@@ -792,6 +801,7 @@ router.get(
             quantity: it.quantity,
             unitPrice: it.unitPrice,
             lineTotal: it.lineTotal,
+            modifiers: mapLineModifiers(it.modifiers),
           })),
         })),
       });
@@ -801,6 +811,112 @@ router.get(
   }
 );
 
+// ---------------------------------------------------------------------------
+// POST /api/storefront/:slug/coupons/validate — check a coupon code against the cart
+// ---------------------------------------------------------------------------
+router.post(
+  '/:slug/coupons/validate',
+  rateLimit({ windowMs: 60000, max: 30 }),
+  optionalStorefrontCustomer,
+  async (req, res, next) => {
+    try {
+      const restaurant = await resolveBySlug(req.params.slug);
+      if (!restaurant) return res.status(404).json({ message: 'Restaurant not found' });
+
+      const { code, items, branchId } = req.body || {};
+      const branch = branchId ? await Branch.findOne({ _id: branchId, restaurant: restaurant._id }).select('_id').lean() : null;
+      const ids = (Array.isArray(items) ? items : [])
+        .map((i) => String(i?.menuItemId || ''))
+        .filter((id) => /^[a-f0-9]{24}$/i.test(id));
+      const menuItems = ids.length
+        ? await MenuItem.find({ _id: { $in: ids }, restaurant: restaurant._id, available: true })
+        : [];
+      const menuItemMap = new Map(menuItems.map((m) => [m._id.toString(), m]));
+
+      let subtotal = 0;
+      const cart = [];
+      for (const cartItem of Array.isArray(items) ? items : []) {
+        const mi = menuItemMap.get(String(cartItem?.menuItemId || ''));
+        if (!mi) continue;
+        const { priceDelta, error: modifierError } = resolveLineModifiers(mi, cartItem.modifiers);
+        if (modifierError) return res.status(400).json({ message: modifierError });
+        const qty = Math.max(1, parseInt(cartItem.quantity) || 1);
+        const price = Math.max(0, mi.price + priceDelta);
+        subtotal += price * qty;
+        cart.push({ menuItem: mi._id, quantity: qty, price, category: mi.category });
+      }
+
+      const result = await validateDealCode({
+        restaurantId: restaurant._id,
+        branchId: branch ? branch._id : null,
+        code,
+        orderItems: cart,
+        subtotal,
+        storefrontCustomerId: req.storefrontCustomer ? req.storefrontCustomer._id : null,
+      });
+      if (result.error) {
+        return res.status(result.error.status).json({ valid: false, message: result.error.message, code: result.error.code });
+      }
+
+      res.json({
+        valid: true,
+        code: result.dealCode.code,
+        dealName: result.deal.name,
+        description: result.deal.description || '',
+        discountAmount: result.discountAmount,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// ---------------------------------------------------------------------------
+// GET /api/storefront/:slug/loyalty — logged-in customer points balance and ledger
+// ---------------------------------------------------------------------------
+router.get(
+  '/:slug/loyalty',
+  rateLimit({ windowMs: 60000, max: 60 }),
+  authenticateStorefrontCustomer,
+  async (req, res, next) => {
+    try {
+      const restaurant = await resolveBySlug(req.params.slug);
+      if (!restaurant) return res.status(404).json({ message: 'Restaurant not found' });
+      if (!restaurant._id.equals(req.storefrontCustomer.restaurant)) {
+        return res.status(403).json({ message: 'Forbidden' });
+      }
+
+      const settings = resolveLoyaltySettings(restaurant);
+      const c = req.storefrontCustomer;
+      await expireMemberPoints(restaurant._id, 'StorefrontCustomer', c._id, settings);
+      const member = await StorefrontCustomer.findById(c._id).lean();
+      const ledger = await LoyaltyTransaction.find({
+        restaurant: restaurant._id,
+        memberType: 'StorefrontCustomer',
+        member: c._id,
+      })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .lean();
+
+      res.json({
+        enabled: settings.enabled,
+        pointValue: settings.pointValue,
+        pointsPerCurrencyUnit: settings.pointsPerCurrencyUnit,
+        minRedeemPoints: settings.minRedeemPoints,
+        maxRedeemPercent: settings.maxRedeemPercent,
+        member: mapMember(settings, member, 'StorefrontCustomer'),
+        transactions: ledger.map((t) => {
+          const { createdBy, accountingError, voucherNumber, ...rest } = mapLoyaltyTransaction(t);
+          return rest;
+        }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // ---------------------------------------------------------------------------
 // POST /api/storefront/:slug/orders
 // ---------------------------------------------------------------------------
@@ -820,8 +936,17 @@ router.post(
         return res.status(403).json({ message: 'Online ordering is temporarily unavailable. Please contact the restaurant directly.' });
       }
 
-      const { customerName, customerPhone, customerEmail, deliveryAddress, deliveryLocationId, items, branchId } =
-        req.body || {};
+      const {
+        customerName,
+        customerPhone,
+        customerEmail,
+        deliveryAddress,
+        deliveryLocationId,
+        items,
+        branchId,
+        loyaltyRedeemPoints = 0,
+        couponCode = '',
+      } = req.body || {};
 
       if (!customerPhone || !customerPhone.trim()) {
         return res.status(400).json({ message: 'Phone number is required' });
@@ -862,6 +987,7 @@ router.post(
 
       const menuItemMap = {};
       for (const mi of menuItems) menuItemMap[mi._id.toString()] = mi;
+      const scheduleState = await loadMenuScheduleState(restaurant._id, branch ? branch._id : null);
 
       let subtotal = 0;
       const orderItems = [];
@@ -871,15 +997,28 @@ router.post(
         if (!mi) {
           return res.status(400).json({ message: `Menu item not found or unavailable: ${cartItem.menuItemId}` });
         }
+        if (!scheduleState.isItemAvailableNow(mi)) {
+          return res.status(400).json({
+            message: scheduleUnavailableMessage(mi.name, scheduleState.closedSchedulesFor(mi)),
+            code: 'ITEM_OUTSIDE_SCHEDULE',
+          });
+        }
+        const { modifiers, priceDelta, error: modifierError } = resolveLineModifiers(mi, cartItem.modifiers);
+        if (modifierError) {
+          return res.status(400).json({ message: modifierError });
+        }
         const qty = Math.max(1, parseInt(cartItem.quantity) || 1);
-        const lineTotal = mi.price * qty;
+        const unitPrice = Math.max(0, mi.price + priceDelta);
+        const lineTotal = unitPrice * qty;
         subtotal += lineTotal;
         orderItems.push({
           menuItem: mi._id,
           name: mi.name,
           quantity: qty,
-          unitPrice: mi.price,
+          unitPrice,
           lineTotal,
+          note: (cartItem.note || '').trim() || undefined,
+          modifiers: modifiers.length ? modifiers : undefined,
         });
       }
 
@@ -900,30 +1039,108 @@ router.post(
         addressTrim = deliveryLocName + (addressTrim ? ` — ${addressTrim}` : '');
       }
 
-      const foodTotal = Math.round(subtotal * 100) / 100;
+      // Coupon code
+      let coupon = null;
+      if (String(couponCode || '').trim()) {
+        coupon = await validateDealCode({
+          restaurantId: restaurant._id,
+          branchId: branch ? branch._id : null,
+          code: couponCode,
+          orderItems: orderItems.map((oi) => ({
+            menuItem: oi.menuItem,
+            quantity: oi.quantity,
+            price: oi.unitPrice,
+            category: menuItemMap[oi.menuItem.toString()]?.category,
+          })),
+          subtotal,
+          storefrontCustomerId,
+          newCustomer: false,
+        });
+        if (coupon.error) {
+          return res.status(coupon.error.status).json({ message: coupon.error.message, code: coupon.error.code });
+        }
+      }
+      const couponDiscount = coupon?.discountAmount || 0;
+
+      // Loyalty redemption (signed-in customers only)
+      const loyaltySettings = resolveLoyaltySettings(restaurant);
+      let loyaltyPlan = null;
+      if (Number(loyaltyRedeemPoints) > 0) {
+        if (!storefrontCustomerId) {
+          return res.status(401).json({ message: 'Sign in to redeem loyalty points', code: 'LOYALTY_MEMBER_REQUIRED' });
+        }
+        await expireMemberPoints(restaurant._id, 'StorefrontCustomer', storefrontCustomerId, loyaltySettings);
+        const member = await StorefrontCustomer.findById(storefrontCustomerId).select('loyaltyPoints').lean();
+        loyaltyPlan = planRedemption(loyaltySettings, member, loyaltyRedeemPoints, subtotal - couponDiscount);
+        if (loyaltyPlan.error) {
+          return res.status(loyaltyPlan.error.status).json({ message: loyaltyPlan.error.message, code: loyaltyPlan.error.code });
+        }
+      }
+      const discount = Math.round((couponDiscount + (loyaltyPlan?.value || 0)) * 100) / 100;
+
+      const taxResult = computeOrderTax(resolveTaxSettings(restaurant, branch), {
+        orderType: 'DELIVERY',
+        lines: orderItems.map((oi) => ({
+          lineTotal: oi.lineTotal,
+          category: menuItemMap[oi.menuItem.toString()]?.category,
+        })),
+        discountAmount: discount,
+      });
+
+      const foodTotal = Math.round((subtotal - discount + taxResult.totalAdjustment) * 100) / 100;
       const deliveryChargesRounded = Math.round(deliveryCharges * 100) / 100;
       const grandTotal = Math.round((foodTotal + deliveryChargesRounded) * 100) / 100;
-      const orderNumber = await generateOrderNumber(restaurant._id, branch ? branch._id : null, 'WEB');
 
-      try {
-        await Customer.findOneAndUpdate(
-          { restaurant: restaurant._id, branch: branch ? branch._id : null, phone: phoneTrim },
-          {
-            $set: {
-              name: (customerName || '').trim() || 'Website Customer',
-              address: addressTrim,
-              lastOrderAt: new Date(),
-            },
-            $inc: { totalOrders: 1, totalSpent: grandTotal },
-            $setOnInsert: {
-              restaurant: restaurant._id,
-              branch: branch ? branch._id : null,
-              phone: phoneTrim,
-            },
-          },
-          { upsert: true }
+      // Routed and numbered before any stock is taken, so a failure here leaves nothing to release
+      await assignKitchenStations(restaurant._id, branch ? branch._id : null, orderItems);
+
+      const { orderNumber, tokenNumber } = await allocateOrderNumber(restaurant._id, branch ? branch._id : null, 'WEB');
+
+      // Take ingredients out of stock before anything else is committed (released below on failure)
+      const { quantities: stockNeeded } = await computeStockConsumption(restaurant._id, orderItems, {
+        menuMap: new Map(Object.entries(menuItemMap)),
+      });
+      const stockDeduction = await deductStock({
+        restaurantId: restaurant._id,
+        branchId: branch ? branch._id : null,
+        quantities: stockNeeded,
+        allowOutOfStock: Boolean(restaurant.settings?.allowOrderWhenOutOfStock),
+      });
+      if (stockDeduction.error) {
+        return res.status(409).json({
+          message: 'Some items in your cart just sold out. Please review your cart.',
+          code: stockDeduction.error.code,
+        });
+      }
+      const releaseStock = () =>
+        reverseStockMovements(restaurant._id, stockDeduction.movements).catch((err) =>
+          console.error('Stock release failed:', err.message)
         );
-      } catch (_) { /* non-critical */ }
+
+      let loyaltyRedemption = null;
+      if (loyaltyPlan) {
+        const redeemed = await redeemPoints({
+          restaurantId: restaurant._id,
+          branch: branch ? branch._id : null,
+          memberType: 'StorefrontCustomer',
+          memberId: storefrontCustomerId,
+          points: loyaltyPlan.points,
+          settings: loyaltySettings,
+        });
+        if (redeemed.error) {
+          await releaseStock();
+          return res.status(redeemed.error.status).json({ message: redeemed.error.message, code: redeemed.error.code });
+        }
+        loyaltyRedemption = redeemed.transaction;
+      }
+      if (coupon) {
+        const claimed = await claimDealCode(coupon.dealCode, coupon.deal);
+        if (claimed.error) {
+          await releaseRedemption(loyaltyRedemption, loyaltySettings).catch(() => {});
+          await releaseStock();
+          return res.status(claimed.error.status).json({ message: claimed.error.message, code: claimed.error.code });
+        }
+      }
 
       const order = await Order.create({
         restaurant: restaurant._id,
@@ -943,11 +1160,69 @@ router.post(
         deliveryLocationName: deliveryLocName || undefined,
         items: orderItems,
         subtotal,
-        discountAmount: 0,
+        discountAmount: discount,
+        appliedDeals: coupon
+          ? [
+              {
+                deal: coupon.deal._id,
+                dealName: coupon.deal.name,
+                dealType: coupon.deal.dealType,
+                discountAmount: couponDiscount,
+                code: coupon.dealCode.code,
+              },
+            ]
+          : [],
+        loyaltyPointsRedeemed: loyaltyPlan?.points || 0,
+        loyaltyRedeemValue: loyaltyPlan?.value || 0,
+        ...taxFieldsForOrder(taxResult),
         total: foodTotal,
         grandTotal,
         orderNumber,
+        tokenNumber,
+        stockDeducted: true,
+      }).catch(async (err) => {
+        await releaseRedemption(loyaltyRedemption, loyaltySettings).catch(() => {});
+        if (coupon) await releaseDealCodeClaim(coupon.dealCode._id, coupon.deal._id).catch(() => {});
+        await releaseStock();
+        throw err;
       });
+      await recordStockMovements(restaurant._id, stockDeduction.movements, {
+        type: 'SALE',
+        referenceType: 'Order',
+        referenceId: order._id,
+        referenceNumber: order.orderNumber,
+      });
+      if (loyaltyRedemption) await attachRedemptionToOrder(loyaltyRedemption, order);
+
+      // Counted only once the order exists, so a refused redemption or coupon leaves no trace
+      try {
+        await Customer.findOneAndUpdate(
+          { restaurant: restaurant._id, branch: branch ? branch._id : null, phone: phoneTrim },
+          {
+            $set: {
+              name: (customerName || '').trim() || 'Website Customer',
+              address: addressTrim,
+              lastOrderAt: new Date(),
+            },
+            $inc: { totalOrders: 1, totalSpent: grandTotal },
+            $setOnInsert: {
+              restaurant: restaurant._id,
+              branch: branch ? branch._id : null,
+              phone: phoneTrim,
+            },
+          },
+          { upsert: true }
+        );
+      } catch (_) { /* non-critical */ }
+      if (coupon) {
+        await recordDealCodeUsage({
+          dealCode: coupon.dealCode,
+          deal: coupon.deal,
+          order,
+          discountAmount: couponDiscount,
+          storefrontCustomerId,
+        }).catch((err) => console.error('Coupon usage record failed:', err.message));
+      }
 
       let customerPayload = null;
       if (storefrontCustomerId) {
@@ -969,12 +1244,19 @@ router.post(
           createdAt: order.createdAt,
         };
         rooms.forEach((room) => io.to(room).emit('order:created', payload));
+        emitKitchenUpdate(io, order, { event: 'kitchen:ticket' });
       }
 
       res.status(201).json({
         message: 'Order placed successfully!',
         orderNumber: order.orderNumber,
+        tokenNumber: order.tokenNumber,
         subtotal: order.subtotal,
+        discountAmount: order.discountAmount || 0,
+        couponCode: coupon ? coupon.dealCode.code : null,
+        loyaltyPointsRedeemed: order.loyaltyPointsRedeemed || 0,
+        taxAmount: order.taxAmount || 0,
+        taxLines: order.taxLines || [],
         deliveryCharges: order.deliveryCharges || 0,
         total: order.total + (order.deliveryCharges || 0),
         ...(customerPayload ? { customer: customerPayload } : {}),
@@ -0,0 +1,42 @@
+/**
+ * One-time migration: add chart-of-accounts entries introduced after a tenant ran accounting
+ * setup (20203 Loyalty Points Liability, 20204 Tips Payable, 30504 Stock in Transit,
+ * 40105 Sales Returns, 40202 Service Charges, 60106 Loyalty Rewards, 60209 Stock Loss and
+ * Shrinkage, 60210 Wastage and Spoilage, and any other missing code). Existing accounts
+ * are left untouched; safe to run more than once.
+ * Run from backend root: node scripts/backfill-accounting-accounts.js
+ */
+require('dotenv').config();
+const connectDB = require('../config/db');
+const { Account } = require('../models/accounting');
+const { COA } = require('../routes/accounting/setup');
+
+async function main() {
+  await connectDB(process.env.MONGO_URI);
+  const tenantIds = await Account.distinct('tenantId');
+  let created = 0;
+
+  for (const tenantId of tenantIds) {
+    // COA lists groups before their children, so parents exist when a child is added
+    for (const { parentCode, ...def } of COA) {
+      const parent = parentCode ? await Account.findOne({ tenantId, code: parentCode }).select('_id').lean() : null;
+      const res = await Account.updateOne(
+        { tenantId, code: def.code },
+        { $setOnInsert: { ...def, tenantId, parentId: parent?._id || null } },
+        { upsert: true }
+      );
+      if (res.upsertedCount > 0) {
+        created++;
+        console.log(`Tenant ${tenantId}: added ${def.code} ${def.name}`);
+      }
+    }
+  }
+
+  console.log(`Backfill done: ${created} account(s) added across ${tenantIds.length} tenant(s).`);
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
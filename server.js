@@ -8,7 +8,7 @@ const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const User = require('./models/User');
 const Restaurant = require('./models/Restaurant');
-const { getOrderRooms } = require('./utils/socketRooms');
+const { getOrderRooms, getStationRoom } = require('./utils/socketRooms');
 
 dotenv.config();
 
@@ -75,6 +75,10 @@ io.use(async (socket, next) => {
     socket.restaurantId = restaurant._id.toString();
     const branchId = socket.handshake.auth?.branchId || socket.handshake.query?.branchId || null;
     socket.branchId = branchId && branchId !== 'all' ? branchId : null;
+    const stationIds = socket.handshake.auth?.stationIds || socket.handshake.query?.stationId || null;
+    socket.stationIds = (Array.isArray(stationIds) ? stationIds : String(stationIds || '').split(','))
+      .map((s) => String(s).trim())
+      .filter((s) => /^[0-9a-fA-F]{24}$/.test(s));
     next();
   } catch (err) {
     next(new Error('Not authorized, token invalid'));
@@ -85,6 +89,10 @@ io.on('connection', (socket) => {
   // Branch-scoped client: only join branch room. "All branches" client: join restaurant room only.
   const rooms = getOrderRooms(socket.restaurantId, socket.branchId);
   rooms.forEach((room) => socket.join(room));
+  // Station KDS screens also get per-station kitchen events
+  if (socket.branchId) {
+    socket.stationIds.forEach((sid) => socket.join(getStationRoom(socket.restaurantId, socket.branchId, sid)));
+  }
 });
 
 app.set('io', io);
@@ -1,6 +1,8 @@
 const Order   = require('../../models/Order');
 const { Account, Voucher } = require('../../models/accounting');
 
+const round2 = (n) => Math.round(n * 100) / 100;
+
 /**
  * Map an Order's payment method + provider to the correct cash/bank account code.
  * Mirrors the COA codes seeded in setup.js.
@@ -148,30 +150,151 @@ async function buildOrderLines(order, acc, tenantId) {
     }
   }
 
+  // Loyalty redemption settles the points liability instead of being a discount expense
+  // (20203, else 202 as loyaltyService credits earned points for tenants set up without it)
+  const loyaltyAccountId = acc['20203'] || acc['202'];
+  const loyaltyValue = loyaltyAccountId ? Math.min(discount, Number(order.loyaltyRedeemValue) || 0) : 0;
+  if (loyaltyValue > 0) {
+    lines.push({ accountId: loyaltyAccountId, debit: loyaltyValue, credit: 0, description: `Loyalty points redeemed – Order #${order.orderNumber}` });
+  }
+
   // Discount debit (if any)
-  if (discount > 0 && acc['405']) {
-    lines.push({ accountId: acc['405'], debit: discount, credit: 0, description: `Discount – Order #${order.orderNumber}` });
+  const otherDiscount = discount - loyaltyValue;
+  if (otherDiscount > 0 && acc['405']) {
+    lines.push({ accountId: acc['405'], debit: otherDiscount, credit: 0, description: `Discount – Order #${order.orderNumber}` });
   }
 
-  // Revenue credit (gross before discount)
+  // Tax-inclusive prices: the tax portion of gross sales belongs to Tax Payable, not revenue
+  const taxAmount    = Number(order.taxAmount) || 0;
+  const inclusiveTax = (order.taxLines || [])
+    .filter((t) => t.inclusive)
+    .reduce((s, t) => s + (Number(t.amount) || 0), 0);
+
+  // Revenue credit (gross before discount, net of inclusive tax)
   const revCode = resolveRevenueAccountCode(order);
   if (acc[revCode]) {
-    lines.push({ accountId: acc[revCode], debit: 0, credit: grossSales, description: `Sales – Order #${order.orderNumber}` });
+    lines.push({ accountId: acc[revCode], debit: 0, credit: round2(grossSales - inclusiveTax), description: `Sales – Order #${order.orderNumber}` });
+  }
+
+  // Service charge credit
+  const serviceCharge = Number(order.serviceChargeAmount) || 0;
+  const serviceChargeAccId = acc['40202'] || acc['402'];
+  if (serviceCharge > 0 && serviceChargeAccId) {
+    lines.push({ accountId: serviceChargeAccId, debit: 0, credit: serviceCharge, description: `Service charge – Order #${order.orderNumber}` });
+  }
+
+  // Tax collected credit
+  if (taxAmount > 0 && acc['203']) {
+    lines.push({ accountId: acc['203'], debit: 0, credit: round2(taxAmount), description: `Tax – Order #${order.orderNumber}` });
+  }
+
+  // Tips are held for staff: Dr the account that took them / Cr Tips Payable (not revenue)
+  const tip = round2(Number(order.tipAmount) || 0);
+  const tipsPayableId = acc['20204'] || acc['202'];
+  if (tip > 0 && tipsPayableId) {
+    const tipAccountId = await resolveTipAccountId(order, acc, tenantId);
+    if (tipAccountId) {
+      lines.push({ accountId: tipAccountId, debit: tip, credit: 0, description: `Tip – Order #${order.orderNumber}` });
+      lines.push({ accountId: tipsPayableId, debit: 0, credit: tip, description: `Tips payable – Order #${order.orderNumber}` });
+    }
   }
 
   return lines;
 }
 
+/** Cash / bank account a tip was paid into (tipMethod, else the order's payment method). */
+async function resolveTipAccountId(order, acc, tenantId) {
+  const method = (order.tipMethod || order.paymentMethod || '').toUpperCase();
+  if (method === order.paymentMethod && method !== 'SPLIT') {
+    return getAccountingAccountForPayment(tenantId, order.paymentProvider || order.paymentMethod, order.paymentAccountId || null);
+  }
+  if (method === 'CARD') return acc['30201'] || null;
+  if (method === 'ONLINE') {
+    return getAccountingAccountForPayment(
+      tenantId,
+      order.splitOnlineProvider || order.paymentProvider || 'ONLINE',
+      order.splitOnlinePaymentAccountId || order.paymentAccountId || null
+    );
+  }
+  return acc['30101'] || null;
+}
+
+/** Tip credited to Tips Payable by a set of voucher lines. */
+function tipPostedOn(lines) {
+  return round2((lines || [])
+    .filter((l) => String(l.description || '').startsWith('Tips payable'))
+    .reduce((s, l) => s + (Number(l.credit) || 0), 0));
+}
+
+/**
+ * Post the change in an already-posted order's tip (e.g. a tip added when the bill is paid
+ * again): Dr tip account / Cr Tips Payable for an increase, the reverse for a decrease.
+ * `tipPostedAmount` is claimed with a conditional update so concurrent calls post it once.
+ */
+async function postTipAdjustment(order, saleVoucher, tenantId) {
+  // Orders posted before tipPostedAmount was tracked: read the tip off the sale voucher
+  const postedTip = order.tipPostedAmount != null
+    ? round2(order.tipPostedAmount)
+    : tipPostedOn(saleVoucher.lines);
+  const tip = round2(Number(order.tipAmount) || 0);
+  const delta = round2(tip - postedTip);
+  if (Math.abs(delta) < 0.01) return { skipped: true, reason: 'already_posted' };
+
+  const accounts = await Account.find({
+    tenantId,
+    code: { $in: ['30101', '30201', '20204', '202'] },
+    isActive: true,
+  }).lean();
+  const acc = Object.fromEntries(accounts.map((a) => [a.code, a._id]));
+  const tipsPayableId = acc['20204'] || acc['202'];
+  const tipAccountId = tipsPayableId ? await resolveTipAccountId(order, acc, tenantId) : null;
+  if (!tipAccountId) return { skipped: true, reason: 'no_account_mapping' };
+
+  const claimed = await Order.updateOne(
+    { _id: order._id, tipPostedAmount: order.tipPostedAmount ?? null },
+    { $set: { tipPostedAmount: tip } }
+  );
+  if (!claimed.modifiedCount) return { skipped: true, reason: 'already_posted' };
+
+  const amount = Math.abs(delta);
+  const isCash = (order.tipMethod || order.paymentMethod || '').toUpperCase() === 'CASH';
+  const { createVoucher } = require('./voucherService');
+  try {
+    await createVoucher({
+      tenantId,
+      type:       `${isCash ? 'cash' : 'bank'}_${delta > 0 ? 'receipt' : 'payment'}`,
+      date:       new Date(),
+      notes:      `Auto-posted: Tip adjustment – Order #${order.orderNumber}`,
+      lines: [
+        { accountId: tipAccountId, debit: delta > 0 ? amount : 0, credit: delta > 0 ? 0 : amount, description: `Tip – Order #${order.orderNumber}` },
+        { accountId: tipsPayableId, debit: delta > 0 ? 0 : amount, credit: delta > 0 ? amount : 0, description: `Tips payable – Order #${order.orderNumber}` },
+      ],
+      autoPosted: true,
+    });
+  } catch (err) {
+    await Order.updateOne(
+      { _id: order._id, tipPostedAmount: tip },
+      { $set: { tipPostedAmount: order.tipPostedAmount ?? null } }
+    );
+    throw err;
+  }
+
+  return { success: true, tipAdjustment: delta };
+}
+
 /**
  * Auto-post a single completed order as an accounting voucher.
- * Idempotent: skips if already posted (sourceId match).
+ * Idempotent: skips if already posted (sourceId match), only posting a later tip change.
  */
 async function autoPostOrder(orderId, tenantId) {
   // Idempotency guard
   const existing = await Voucher.findOne({ tenantId, sourceId: orderId }).lean();
-  if (existing) return { skipped: true, reason: 'already_posted' };
 
   const order = await Order.findById(orderId).lean();
+  if (existing) {
+    if (!order) return { skipped: true, reason: 'already_posted' };
+    return postTipAdjustment(order, existing, tenantId);
+  }
   if (!order) return { skipped: true, reason: 'order_not_found' };
 
   const completedStatuses = ['DELIVERED', 'COMPLETED'];
@@ -185,7 +308,7 @@ async function autoPostOrder(orderId, tenantId) {
   }
 
   // Look up accounts by code for this tenant
-  const CODES_NEEDED = ['30101', '30201', '30301', '30302', '401', '402', '403', '405'];
+  const CODES_NEEDED = ['30101', '30201', '30301', '30302', '401', '402', '403', '405', '40202', '203', '20203', '20204', '202'];
   const accounts = await Account.find({
     tenantId,
     code: { $in: CODES_NEEDED },
@@ -207,6 +330,10 @@ async function autoPostOrder(orderId, tenantId) {
     autoPosted: true,
     sourceId:   orderId,
   });
+  await Order.updateOne(
+    { _id: orderId, tipPostedAmount: null },
+    { $set: { tipPostedAmount: tipPostedOn(lines) } }
+  );
 
   return { success: true };
 }
@@ -241,4 +368,9 @@ async function syncSalesForDate(tenantId, date) {
   return results;
 }
 
-module.exports = { autoPostOrder, syncSalesForDate };
+module.exports = {
+  autoPostOrder,
+  syncSalesForDate,
+  resolveRevenueAccountCode,
+  getAccountingAccountForPayment,
+};
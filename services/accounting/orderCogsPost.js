@@ -14,19 +14,29 @@ async function resolveInventoryCreditAccountId(tenantId) {
 }
 
 /**
- * Idempotent journal: Dr Food Cost (501), Cr Raw Materials / Inventory (30501 or 305).
- * Does not use sourceId — sales auto-post already reserves sourceId = orderId on receipt vouchers.
+ * Whether a journal keyed by `prefix` exists. Notes read `${prefix} — label`, so the key is
+ * matched up to that separator: the order's own journal never matches its `|round N` ones.
  */
-async function postOrderCogsJournal({ tenantId, orderId, orderNumber, totalCOGS, createdBy }) {
-  const prefix = `COGS auto-post|${orderId}`;
+async function isAlreadyPosted(tenantId, prefix) {
   const escapedPrefix = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   const existing = await Voucher.findOne({
     tenantId,
     type: 'journal',
     autoPosted: true,
-    notes: { $regex: new RegExp(`^${escapedPrefix}`) },
+    notes: { $regex: new RegExp(`^${escapedPrefix} — `) },
   }).lean();
-  if (existing) return { skipped: true, reason: 'already_posted' };
+  return Boolean(existing);
+}
+
+/**
+ * Idempotent journal: Dr Food Cost (501), Cr Raw Materials / Inventory (30501 or 305).
+ * Does not use sourceId — sales auto-post already reserves sourceId = orderId on receipt vouchers.
+ * Later rounds of an open tab are posted separately (one journal per `round`).
+ */
+async function postOrderCogsJournal({ tenantId, orderId, orderNumber, totalCOGS, createdBy, round = null }) {
+  const prefix = round ? `COGS auto-post|${orderId}|round ${round}` : `COGS auto-post|${orderId}`;
+  const label = round ? `Order #${orderNumber} round ${round}` : `Order #${orderNumber}`;
+  if (await isAlreadyPosted(tenantId, prefix)) return { skipped: true, reason: 'already_posted' };
 
   const cogsAccountId = await getAccountIdByCode('501', tenantId);
   const inventoryAccountId = await resolveInventoryCreditAccountId(tenantId);
@@ -38,7 +48,7 @@ async function postOrderCogsJournal({ tenantId, orderId, orderNumber, totalCOGS,
     tenantId,
     type: 'journal',
     date: new Date(),
-    notes: `${prefix} — Order #${orderNumber}`,
+    notes: `${prefix} — ${label}`,
     autoPosted: true,
     sourceId: null,
     createdBy,
@@ -47,13 +57,55 @@ async function postOrderCogsJournal({ tenantId, orderId, orderNumber, totalCOGS,
         accountId: cogsAccountId,
         debit: totalCOGS,
         credit: 0,
-        description: `Food cost: Order #${orderNumber}`,
+        description: `Food cost: ${label}`,
       },
       {
         accountId: inventoryAccountId,
         debit: 0,
         credit: totalCOGS,
-        description: `Inventory consumed: Order #${orderNumber}`,
+        description: `Inventory consumed: ${label}`,
+      },
+    ],
+  });
+
+  return { success: true };
+}
+
+/**
+ * Reverse the food cost of voided units that went back to stock: Dr Raw Materials / Inventory
+ * (30501 or 305), Cr Food Cost (501). Idempotent per void (`voidKey`, e.g. the void time).
+ */
+async function postVoidCogsReversal({ tenantId, orderId, orderNumber, amount, voidKey, createdBy }) {
+  const prefix = `COGS void|${orderId}|${voidKey}`;
+  const label = `Order #${orderNumber} void`;
+  if (await isAlreadyPosted(tenantId, prefix)) return { skipped: true, reason: 'already_posted' };
+
+  const cogsAccountId = await getAccountIdByCode('501', tenantId);
+  const inventoryAccountId = await resolveInventoryCreditAccountId(tenantId);
+  if (!cogsAccountId || !inventoryAccountId) {
+    throw new Error('COGS (501) or inventory (30501/305) account not found');
+  }
+
+  await createVoucher({
+    tenantId,
+    type: 'journal',
+    date: new Date(),
+    notes: `${prefix} — ${label}`,
+    autoPosted: true,
+    sourceId: null,
+    createdBy,
+    lines: [
+      {
+        accountId: inventoryAccountId,
+        debit: amount,
+        credit: 0,
+        description: `Restocked: ${label}`,
+      },
+      {
+        accountId: cogsAccountId,
+        debit: 0,
+        credit: amount,
+        description: `Food cost reversed: ${label}`,
       },
     ],
   });
@@ -64,4 +116,5 @@ async function postOrderCogsJournal({ tenantId, orderId, orderNumber, totalCOGS,
 module.exports = {
   getAccountIdByCode,
   postOrderCogsJournal,
+  postVoidCogsReversal,
 };
@@ -0,0 +1,69 @@
+const Account = require('../../models/accounting/Account');
+const { createVoucher } = require('./voucherService');
+
+async function getAccountIdByCode(code, tenantId) {
+  const account = await Account.findOne({ code, tenantId, isActive: true }).lean();
+  return account?._id;
+}
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Debit note voucher, Cr Raw Materials / Inventory (30501 / 305) against:
+ * - payable: Dr Suppliers Payable (20101) with the supplier as party (journal);
+ * - cash_refund: Dr refund account or Cash in Hand (30101) (cash receipt);
+ * - bank_refund: Dr the given bank account (bank receipt).
+ * @returns {Promise<object|null>} voucher, or null when the return has no value
+ */
+async function postPurchaseReturnVoucher({ tenantId, purchaseReturn, createdBy }) {
+  const amount = round2(purchaseReturn.totalCost);
+  if (amount <= 0) return null;
+
+  const inventoryAccountId =
+    (await getAccountIdByCode('30501', tenantId)) || (await getAccountIdByCode('305', tenantId));
+  if (!inventoryAccountId) throw new Error('Inventory account not found (30501/305)');
+
+  const label = `Purchase return ${purchaseReturn.returnNumber} — ${purchaseReturn.supplierName} (GRN ${purchaseReturn.grnNumber})`;
+  let type = 'journal';
+  let debitLine;
+  if (purchaseReturn.settlement === 'payable') {
+    const suppliersPayableId = await getAccountIdByCode('20101', tenantId);
+    if (!suppliersPayableId) throw new Error('Suppliers payable account not found (20101)');
+    debitLine = {
+      accountId: suppliersPayableId,
+      debit: amount,
+      credit: 0,
+      description: `Debit note ${purchaseReturn.returnNumber} — ${purchaseReturn.supplierName}`,
+      partyId: purchaseReturn.supplierId || null,
+      partyName: purchaseReturn.supplierName,
+    };
+  } else {
+    type = purchaseReturn.settlement === 'bank_refund' ? 'bank_receipt' : 'cash_receipt';
+    const refundAccountId =
+      purchaseReturn.refundAccountId || (type === 'cash_receipt' ? await getAccountIdByCode('30101', tenantId) : null);
+    if (!refundAccountId) throw new Error('Refund account not found (30101 or refundAccountId)');
+    debitLine = {
+      accountId: refundAccountId,
+      debit: amount,
+      credit: 0,
+      description: `Refund from ${purchaseReturn.supplierName} — ${purchaseReturn.returnNumber}`,
+    };
+  }
+
+  return createVoucher({
+    tenantId,
+    type,
+    date: purchaseReturn.returnDate || new Date(),
+    referenceNo: purchaseReturn.returnNumber,
+    notes: `Auto-posted: ${label}`,
+    lines: [
+      debitLine,
+      { accountId: inventoryAccountId, debit: 0, credit: amount, description: `Stock returned: ${purchaseReturn.supplierName}` },
+    ],
+    autoPosted: true,
+    sourceId: purchaseReturn._id,
+    createdBy,
+  });
+}
+
+module.exports = { postPurchaseReturnVoucher };
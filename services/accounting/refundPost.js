@@ -0,0 +1,94 @@
+const Account = require('../../models/accounting/Account');
+const { createVoucher } = require('./voucherService');
+const { resolveRevenueAccountCode, getAccountingAccountForPayment } = require('./autoPost');
+
+async function getAccountIdByCode(code, tenantId) {
+  const account = await Account.findOne({ code, tenantId, isActive: true }).lean();
+  return account?._id;
+}
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Reversing voucher for a refund: Dr Sales Returns (40105, falls back to the order's
+ * revenue account), Dr Service Charges and Tax Payable for their shares, Cr the tender account.
+ * Cash refunds post as cash_payment, everything else as bank_payment.
+ * When stock was put back (RESTOCK) a second journal reverses the food cost.
+ * @returns {Promise<{ voucher: object, cogsVoucher: object|null }>}
+ */
+async function postRefundVoucher({ tenantId, refund, order, createdBy }) {
+  const label = `Refund ${refund.refundNumber} – Order #${order.orderNumber}`;
+
+  const tenderAccountId = await getAccountingAccountForPayment(
+    tenantId,
+    refund.tender.provider || refund.tender.method,
+    refund.tender.paymentAccountId || null
+  );
+  if (!tenderAccountId) throw new Error('Refund tender account not found');
+
+  const returnsAccountId =
+    (await getAccountIdByCode('40105', tenantId)) ||
+    (await getAccountIdByCode(resolveRevenueAccountCode(order), tenantId)) ||
+    (await getAccountIdByCode('401', tenantId));
+  if (!returnsAccountId) throw new Error('Sales account not found (40105/401)');
+
+  const serviceChargeAccountId =
+    (await getAccountIdByCode('40202', tenantId)) || (await getAccountIdByCode('402', tenantId));
+  const taxAccountId = await getAccountIdByCode('203', tenantId);
+
+  const amount = round2(refund.amount);
+  const tax = taxAccountId ? round2(refund.taxAmount) : 0;
+  const serviceCharge = serviceChargeAccountId ? round2(refund.serviceChargeAmount) : 0;
+  const sales = round2(amount - tax - serviceCharge);
+
+  const lines = [];
+  if (sales > 0) {
+    lines.push({ accountId: returnsAccountId, debit: sales, credit: 0, description: `Sales returned – ${label}` });
+  }
+  if (serviceCharge > 0) {
+    lines.push({ accountId: serviceChargeAccountId, debit: serviceCharge, credit: 0, description: `Service charge – ${label}` });
+  }
+  if (tax > 0) {
+    lines.push({ accountId: taxAccountId, debit: tax, credit: 0, description: `Tax – ${label}` });
+  }
+  lines.push({ accountId: tenderAccountId, debit: 0, credit: amount, description: `${refund.tender.method} paid out – ${label}` });
+
+  const voucher = await createVoucher({
+    tenantId,
+    type: refund.tender.method === 'CASH' ? 'cash_payment' : 'bank_payment',
+    date: refund.createdAt || new Date(),
+    referenceNo: refund.refundNumber,
+    notes: `Auto-posted: ${label}${refund.reason ? ` (${refund.reason})` : ''}`,
+    lines,
+    autoPosted: true,
+    sourceId: refund._id,
+    createdBy,
+  });
+
+  let cogsVoucher = null;
+  const restockCost = round2(refund.restockCost);
+  if (refund.stockAction === 'RESTOCK' && restockCost > 0) {
+    const inventoryAccountId =
+      (await getAccountIdByCode('30501', tenantId)) || (await getAccountIdByCode('305', tenantId));
+    const cogsAccountId = await getAccountIdByCode('501', tenantId);
+    if (inventoryAccountId && cogsAccountId) {
+      cogsVoucher = await createVoucher({
+        tenantId,
+        type: 'journal',
+        date: refund.createdAt || new Date(),
+        referenceNo: refund.refundNumber,
+        notes: `Auto-posted: Restock – ${label}`,
+        autoPosted: true,
+        createdBy,
+        lines: [
+          { accountId: inventoryAccountId, debit: restockCost, credit: 0, description: `Restocked – ${label}` },
+          { accountId: cogsAccountId, debit: 0, credit: restockCost, description: `Food cost reversed – ${label}` },
+        ],
+      });
+    }
+  }
+
+  return { voucher, cogsVoucher };
+}
+
+module.exports = { postRefundVoucher };
@@ -0,0 +1,56 @@
+const Account = require('../../models/accounting/Account');
+const { createVoucher } = require('./voucherService');
+
+async function getAccountIdByCode(code, tenantId) {
+  const account = await Account.findOne({ code, tenantId, isActive: true }).lean();
+  return account?._id;
+}
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Journal for an approved stock count. Shortages: Dr Stock Loss (60209, falls back to
+ * 60208 / 602), Cr Inventory (30501 / 305). Surpluses post the other way round.
+ * Both sides are posted as separate lines so the variance report ties to the voucher.
+ * @returns {Promise<object|null>} voucher, or null when there is no value to post
+ */
+async function postStockCountVoucher({ tenantId, count, shortageValue, surplusValue, createdBy }) {
+  const shortage = round2(shortageValue);
+  const surplus = round2(surplusValue);
+  if (shortage <= 0 && surplus <= 0) return null;
+
+  const inventoryAccountId =
+    (await getAccountIdByCode('30501', tenantId)) || (await getAccountIdByCode('305', tenantId));
+  const lossAccountId =
+    (await getAccountIdByCode('60209', tenantId)) ||
+    (await getAccountIdByCode('60208', tenantId)) ||
+    (await getAccountIdByCode('602', tenantId));
+  if (!inventoryAccountId || !lossAccountId) {
+    throw new Error('Inventory (30501/305) or stock loss (60209/602) account not found');
+  }
+
+  const label = `Stock count ${count.countNumber}`;
+  const lines = [];
+  if (shortage > 0) {
+    lines.push({ accountId: lossAccountId, debit: shortage, credit: 0, description: `Stock shortage – ${label}` });
+    lines.push({ accountId: inventoryAccountId, debit: 0, credit: shortage, description: `Inventory written down – ${label}` });
+  }
+  if (surplus > 0) {
+    lines.push({ accountId: inventoryAccountId, debit: surplus, credit: 0, description: `Inventory written up – ${label}` });
+    lines.push({ accountId: lossAccountId, debit: 0, credit: surplus, description: `Stock surplus – ${label}` });
+  }
+
+  return createVoucher({
+    tenantId,
+    type: 'journal',
+    date: count.approvedAt || new Date(),
+    referenceNo: count.countNumber,
+    notes: `Auto-posted: ${label}`,
+    lines,
+    autoPosted: true,
+    sourceId: count._id,
+    createdBy,
+  });
+}
+
+module.exports = { postStockCountVoucher };
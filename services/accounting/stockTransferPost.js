@@ -0,0 +1,92 @@
+const Account = require('../../models/accounting/Account');
+const { createVoucher } = require('./voucherService');
+
+async function getAccountIdByCode(code, tenantId) {
+  const account = await Account.findOne({ code, tenantId, isActive: true }).lean();
+  return account?._id;
+}
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+async function resolveTransferAccounts(tenantId, { transit = true } = {}) {
+  const inventoryAccountId =
+    (await getAccountIdByCode('30501', tenantId)) || (await getAccountIdByCode('305', tenantId));
+  const transitAccountId = transit ? await getAccountIdByCode('30504', tenantId) : null;
+  if (!inventoryAccountId || (transit && !transitAccountId)) {
+    throw new Error('Inventory (30501/305) or Stock in Transit (30504) account not found');
+  }
+  return { inventoryAccountId, transitAccountId };
+}
+
+/**
+ * Dispatch: Dr Stock in Transit (30504), Cr Inventory (30501 / 305) at the source's cost.
+ * @returns {Promise<object|null>} voucher, or null when the transfer has no value
+ */
+async function postTransferDispatchVoucher({ tenantId, transfer, fromName, toName, createdBy }) {
+  const value = round2(transfer.dispatchedValue);
+  if (value <= 0) return null;
+  const { inventoryAccountId, transitAccountId } = await resolveTransferAccounts(tenantId);
+  const label = `Transfer ${transfer.transferNumber} ${fromName} → ${toName}`;
+  return createVoucher({
+    tenantId,
+    type: 'journal',
+    date: transfer.dispatchedAt || new Date(),
+    referenceNo: transfer.transferNumber,
+    notes: `Auto-posted: ${label} dispatched`,
+    lines: [
+      { accountId: transitAccountId, debit: value, credit: 0, description: `In transit – ${label}` },
+      { accountId: inventoryAccountId, debit: 0, credit: value, description: `Stock out of ${fromName} – ${label}` },
+    ],
+    autoPosted: true,
+    sourceId: transfer._id,
+    createdBy,
+  });
+}
+
+/**
+ * Receipt: Dr Inventory for what arrived, Dr Stock Loss (60209 / 60208 / 602) for the
+ * shortfall, Cr Stock in Transit for everything that was dispatched. Without a posted
+ * dispatch voucher nothing is in transit, so the credit goes to Inventory at the source.
+ * @returns {Promise<object|null>}
+ */
+async function postTransferReceiptVoucher({ tenantId, transfer, fromName, toName, createdBy }) {
+  const dispatched = round2(transfer.dispatchedValue);
+  if (dispatched <= 0) return null;
+  const received = Math.min(dispatched, round2(transfer.receivedValue));
+  const short = round2(dispatched - received);
+  const inTransit = Boolean(transfer.dispatchVoucherNumber);
+  const { inventoryAccountId, transitAccountId } = await resolveTransferAccounts(tenantId, { transit: inTransit });
+  const label = `Transfer ${transfer.transferNumber} ${fromName} → ${toName}`;
+
+  const lines = [];
+  if (received > 0) {
+    lines.push({ accountId: inventoryAccountId, debit: received, credit: 0, description: `Stock into ${toName} – ${label}` });
+  }
+  if (short > 0) {
+    const lossAccountId =
+      (await getAccountIdByCode('60209', tenantId)) ||
+      (await getAccountIdByCode('60208', tenantId)) ||
+      (await getAccountIdByCode('602', tenantId));
+    if (!lossAccountId) throw new Error('Stock loss account not found (60209/602)');
+    lines.push({ accountId: lossAccountId, debit: short, credit: 0, description: `Transit shortage – ${label}` });
+  }
+  lines.push(
+    inTransit
+      ? { accountId: transitAccountId, debit: 0, credit: dispatched, description: `Received – ${label}` }
+      : { accountId: inventoryAccountId, debit: 0, credit: dispatched, description: `Stock out of ${fromName} – ${label}` }
+  );
+
+  return createVoucher({
+    tenantId,
+    type: 'journal',
+    date: transfer.receivedAt || new Date(),
+    referenceNo: transfer.transferNumber,
+    notes: `Auto-posted: ${label} received`,
+    lines,
+    autoPosted: true,
+    sourceId: transfer._id,
+    createdBy,
+  });
+}
+
+module.exports = { postTransferDispatchVoucher, postTransferReceiptVoucher };
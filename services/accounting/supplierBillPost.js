@@ -0,0 +1,94 @@
+const Account = require('../../models/accounting/Account');
+const { createVoucher } = require('./voucherService');
+
+async function getAccountIdByCode(code, tenantId) {
+  const account = await Account.findOne({ code, tenantId, isActive: true }).lean();
+  return account?._id;
+}
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Bill vs GRN difference: the GRN booked the payable at received value, the bill is what we
+ * owe. Billed more: Dr Inventory (30501 / 305), Cr Suppliers Payable (20101); billed less:
+ * the reverse.
+ * @returns {Promise<object|null>} voucher, or null when the bill equals the GRN value
+ */
+async function postBillAdjustmentVoucher({ tenantId, bill, createdBy }) {
+  const diff = round2(bill.totalAmount - bill.receivedValue);
+  if (Math.abs(diff) < 0.01) return null;
+
+  const inventoryAccountId =
+    (await getAccountIdByCode('30501', tenantId)) || (await getAccountIdByCode('305', tenantId));
+  const suppliersPayableId = await getAccountIdByCode('20101', tenantId);
+  if (!inventoryAccountId || !suppliersPayableId) {
+    throw new Error('Inventory (30501/305) or suppliers payable (20101) account not found');
+  }
+
+  const amount = Math.abs(diff);
+  const label = `Bill ${bill.billNumber} vs GRN ${bill.grnNumbers.join(', ')} — ${bill.supplierName}`;
+  const payableLine = {
+    accountId: suppliersPayableId,
+    debit: diff < 0 ? amount : 0,
+    credit: diff > 0 ? amount : 0,
+    description: `Bill variance ${bill.billNumber}${bill.supplierInvoiceNumber ? ` (inv ${bill.supplierInvoiceNumber})` : ''}`,
+    partyId: bill.supplierId,
+    partyName: bill.supplierName,
+  };
+  const inventoryLine = {
+    accountId: inventoryAccountId,
+    debit: diff > 0 ? amount : 0,
+    credit: diff < 0 ? amount : 0,
+    description: `Purchase price variance: ${bill.supplierName}`,
+  };
+
+  return createVoucher({
+    tenantId,
+    type: 'journal',
+    date: bill.billDate || new Date(),
+    referenceNo: bill.billNumber,
+    notes: `Auto-posted: ${label}`,
+    lines: diff > 0 ? [inventoryLine, payableLine] : [payableLine, inventoryLine],
+    autoPosted: true,
+    sourceId: bill._id,
+    createdBy,
+  });
+}
+
+/**
+ * Supplier payment: Dr Suppliers Payable (20101) per bill with the supplier as party,
+ * Cr the cash (30101 by default) or bank account. cash_payment / bank_payment voucher.
+ * @param {Array<{ billNumber: string, amount: number }>} allocations
+ */
+async function postSupplierPaymentVoucher({ tenantId, method, paymentAccountId, paymentDate, supplierId, supplierName, allocations, runNumber, createdBy }) {
+  const total = round2(allocations.reduce((s, a) => s + a.amount, 0));
+  if (total <= 0) throw new Error('Payment amount must be greater than 0');
+
+  const suppliersPayableId = await getAccountIdByCode('20101', tenantId);
+  if (!suppliersPayableId) throw new Error('Suppliers payable account not found (20101)');
+  const creditAccountId = paymentAccountId || (method === 'cash' ? await getAccountIdByCode('30101', tenantId) : null);
+  if (!creditAccountId) throw new Error(method === 'cash' ? 'Cash account not found (30101)' : 'paymentAccountId is required for bank payments');
+
+  return createVoucher({
+    tenantId,
+    type: method === 'bank' ? 'bank_payment' : 'cash_payment',
+    date: paymentDate || new Date(),
+    referenceNo: runNumber,
+    notes: `Auto-posted: Supplier payment ${runNumber} — ${supplierName} (${allocations.map((a) => a.billNumber).join(', ')})`,
+    lines: [
+      ...allocations.map((a) => ({
+        accountId: suppliersPayableId,
+        debit: round2(a.amount),
+        credit: 0,
+        description: `Payment against bill ${a.billNumber}`,
+        partyId: supplierId,
+        partyName: supplierName,
+      })),
+      { accountId: creditAccountId, debit: 0, credit: total, description: `Paid to ${supplierName}` },
+    ],
+    autoPosted: true,
+    createdBy,
+  });
+}
+
+module.exports = { postBillAdjustmentVoucher, postSupplierPaymentVoucher };
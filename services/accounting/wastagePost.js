@@ -0,0 +1,46 @@
+const Account = require('../../models/accounting/Account');
+const { createVoucher } = require('./voucherService');
+
+async function getAccountIdByCode(code, tenantId) {
+  const account = await Account.findOne({ code, tenantId, isActive: true }).lean();
+  return account?._id;
+}
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Wastage journal: Dr Wastage and Spoilage (60210, falls back to 60208 / 602),
+ * Cr Raw Materials / Inventory (30501 / 305).
+ * @returns {Promise<object|null>} voucher, or null when the entry has no cost
+ */
+async function postWastageVoucher({ tenantId, wastage, createdBy }) {
+  const amount = round2(wastage.totalCost);
+  if (amount <= 0) return null;
+
+  const wastageAccountId =
+    (await getAccountIdByCode('60210', tenantId)) ||
+    (await getAccountIdByCode('60208', tenantId)) ||
+    (await getAccountIdByCode('602', tenantId));
+  const inventoryAccountId =
+    (await getAccountIdByCode('30501', tenantId)) || (await getAccountIdByCode('305', tenantId));
+  if (!wastageAccountId || !inventoryAccountId) {
+    throw new Error('Wastage (60210/602) or inventory (30501/305) account not found');
+  }
+
+  const label = `Wastage: ${wastage.quantity} ${wastage.unit || ''} ${wastage.name} (${wastage.reason})`.replace(/\s+/g, ' ');
+  return createVoucher({
+    tenantId,
+    type: 'journal',
+    date: wastage.wastedAt || new Date(),
+    notes: `Auto-posted: ${label}${wastage.note ? ` – ${wastage.note}` : ''}`,
+    lines: [
+      { accountId: wastageAccountId, debit: amount, credit: 0, description: label },
+      { accountId: inventoryAccountId, debit: 0, credit: amount, description: `Inventory written off – ${wastage.name}` },
+    ],
+    autoPosted: true,
+    sourceId: wastage._id,
+    createdBy,
+  });
+}
+
+module.exports = { postWastageVoucher };
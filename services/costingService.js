@@ -0,0 +1,392 @@
+/**
+ * Inventory costing. settings.inventoryCostingMethod decides how costPrice (per bulk unit, see
+ * InventoryItem.costPrice) follows purchases, per branch stock row:
+ * - MANUAL (default): whatever is typed in; receipts leave it alone.
+ * - WEIGHTED_AVERAGE: each receipt (GRN, transfer in, production batch) blends its cost with the stock on hand.
+ * - FIFO: receipts open CostLayers, every outgoing movement consumes the oldest layers and
+ *   costPrice is the cost of the oldest layer still holding stock.
+ * Orders value ingredients at costPrice when they are placed, so ingredientCost, profit and
+ * the COGS journal follow purchase prices. Every costPrice change is kept as a CostRevaluation.
+ */
+
+const CostLayer = require('../models/CostLayer');
+const CostRevaluation = require('../models/CostRevaluation');
+const InventoryItem = require('../models/InventoryItem');
+const BranchInventory = require('../models/BranchInventory');
+const Restaurant = require('../models/Restaurant');
+const { stockValue } = require('./inventoryService');
+
+const COSTING_METHODS = Restaurant.schema.path('settings.inventoryCostingMethod').enumValues;
+const DEFAULT_COSTING_METHOD = 'MANUAL';
+// Receipts are costed by their callers (they know the purchase / transfer / batch price)
+const RECEIPT_MOVEMENT_TYPES = ['GRN_RECEIPT', 'TRANSFER_IN', 'PRODUCTION_IN'];
+const QTY_EPSILON = 1e-6;
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function round4(n) {
+  return Math.round((Number(n) || 0) * 10000) / 10000;
+}
+
+function roundQty(n) {
+  return Math.round((Number(n) || 0) * 1e6) / 1e6;
+}
+
+async function getCostingMethod(restaurantId) {
+  const restaurant = await Restaurant.findById(restaurantId).select('settings.inventoryCostingMethod').lean();
+  return restaurant?.settings?.inventoryCostingMethod || DEFAULT_COSTING_METHOD;
+}
+
+/** Cost per stock unit (what a GRN line carries) -> costPrice per bulk unit. */
+function costPriceFromUnitCost(unitCost, unit) {
+  return round4((Number(unitCost) || 0) / stockValue(1, unit, 1));
+}
+
+function costRow(restaurantId, branchId, inventoryItemId) {
+  return branchId
+    ? { Model: BranchInventory, filter: { branch: branchId, inventoryItem: inventoryItemId } }
+    : { Model: InventoryItem, filter: { _id: inventoryItemId, restaurant: restaurantId } };
+}
+
+/** costPrice of each row plus the item's name / unit, keyed by inventory item id. */
+async function loadCostRows(restaurantId, branchId, itemIds) {
+  const [defs, rows] = await Promise.all([
+    InventoryItem.find({ _id: { $in: itemIds }, restaurant: restaurantId }).select('_id name unit costPrice').lean(),
+    branchId
+      ? BranchInventory.find({ branch: branchId, inventoryItem: { $in: itemIds } }).select('inventoryItem costPrice').lean()
+      : [],
+  ]);
+  const branchCost = new Map(rows.map((r) => [r.inventoryItem.toString(), r.costPrice || 0]));
+  return new Map(
+    defs.map((d) => [
+      d._id.toString(),
+      { name: d.name, unit: d.unit, costPrice: branchId ? branchCost.get(d._id.toString()) || 0 : d.costPrice || 0 },
+    ])
+  );
+}
+
+/** Oldest-first layers holding stock for one row. */
+function openLayers(restaurantId, branchId, inventoryItemId) {
+  return CostLayer.find({
+    restaurant: restaurantId,
+    branch: branchId || null,
+    inventoryItem: inventoryItemId,
+    remainingQty: { $gt: 0 },
+  }).sort({ receivedAt: 1, _id: 1 });
+}
+
+async function consumeLayers(layers, qty) {
+  let left = qty;
+  for (const layer of layers) {
+    if (left <= QTY_EPSILON) break;
+    const take = Math.min(layer.remainingQty, left);
+    layer.remainingQty = roundQty(layer.remainingQty - take);
+    left = roundQty(left - take);
+    await layer.save();
+  }
+  return layers.filter((l) => l.remainingQty > QTY_EPSILON);
+}
+
+/**
+ * Make the row's open layers add up to `onHand`: stock from before FIFO was switched on gets
+ * an OPENING layer at the current costPrice; layers left over from untracked changes are used up.
+ */
+async function reconcileLayers(restaurantId, branchId, inventoryItemId, onHand, costPrice) {
+  let layers = await openLayers(restaurantId, branchId, inventoryItemId);
+  const total = layers.reduce((s, l) => s + l.remainingQty, 0);
+  const stock = Math.max(0, Number(onHand) || 0);
+  if (total < stock - QTY_EPSILON) {
+    const opening = await CostLayer.create({
+      restaurant: restaurantId,
+      branch: branchId || null,
+      inventoryItem: inventoryItemId,
+      sourceType: 'OPENING',
+      receivedAt: new Date(0),
+      originalQty: roundQty(stock - total),
+      remainingQty: roundQty(stock - total),
+      costPrice: costPrice || 0,
+    });
+    layers = [opening, ...layers];
+  } else if (total > stock + QTY_EPSILON) {
+    layers = await consumeLayers(layers, roundQty(total - stock));
+  }
+  return layers;
+}
+
+async function setCostPrice(restaurantId, branchId, inventoryItemId, costPrice) {
+  const { Model, filter } = costRow(restaurantId, branchId, inventoryItemId);
+  await Model.updateOne(filter, { $set: { costPrice } });
+}
+
+function revaluation({ restaurantId, branchId, itemId, def, method, reason, oldCostPrice, newCostPrice, stockQty, extra = {} }) {
+  return {
+    restaurant: restaurantId,
+    branch: branchId || null,
+    inventoryItem: itemId,
+    itemName: def?.name || '',
+    unit: def?.unit || '',
+    method,
+    reason,
+    oldCostPrice,
+    newCostPrice,
+    stockQty,
+    valuationImpact: round2(stockValue(stockQty, def?.unit, newCostPrice - oldCostPrice)),
+    ...extra,
+  };
+}
+
+/**
+ * Re-cost rows after stock was received (addStock movements).
+ * @param {Map<string, number>} costPrices - inventory item id -> receipt costPrice (per bulk unit)
+ * @param {'GRN_RECEIPT'|'TRANSFER_IN'|'PRODUCTION'} reason
+ * @param {{ type?, id?, number?, date? }} [reference]
+ * @returns {Promise<{ method: string, revaluations: Array<object> }>}
+ */
+async function applyReceiptCosts({ restaurantId, branchId = null, movements, costPrices, reason, reference = {}, createdBy = null }) {
+  const method = await getCostingMethod(restaurantId);
+  const incoming = (movements || []).filter((m) => m.quantity > 0 && costPrices.has(m.inventoryItem));
+  if (method === 'MANUAL' || incoming.length === 0) return { method, revaluations: [] };
+
+  const defs = await loadCostRows(restaurantId, branchId, incoming.map((m) => m.inventoryItem));
+  const docs = [];
+  for (const m of incoming) {
+    const def = defs.get(m.inventoryItem);
+    const oldCostPrice = def?.costPrice || 0;
+    const receiptCostPrice = round4(costPrices.get(m.inventoryItem));
+    const before = Math.max(0, m.before);
+    let newCostPrice;
+
+    if (method === 'FIFO') {
+      await reconcileLayers(restaurantId, branchId, m.inventoryItem, before, oldCostPrice);
+      await CostLayer.create({
+        restaurant: restaurantId,
+        branch: branchId || null,
+        inventoryItem: m.inventoryItem,
+        sourceType: reason,
+        sourceId: reference.id || null,
+        sourceNumber: reference.number || '',
+        receivedAt: reference.date || new Date(),
+        originalQty: m.quantity,
+        remainingQty: m.quantity,
+        costPrice: receiptCostPrice,
+      });
+      const [oldest] = await openLayers(restaurantId, branchId, m.inventoryItem).limit(1);
+      newCostPrice = oldest ? oldest.costPrice : receiptCostPrice;
+    } else {
+      // Stock on hand without a cost has nothing to blend with
+      newCostPrice =
+        before > 0 && oldCostPrice > 0
+          ? round4((before * oldCostPrice + m.quantity * receiptCostPrice) / (before + m.quantity))
+          : receiptCostPrice;
+    }
+
+    if (Math.abs(newCostPrice - oldCostPrice) < 0.00005) continue;
+    await setCostPrice(restaurantId, branchId, m.inventoryItem, newCostPrice);
+    docs.push(
+      revaluation({
+        restaurantId,
+        branchId,
+        itemId: m.inventoryItem,
+        def,
+        method,
+        reason,
+        oldCostPrice,
+        newCostPrice,
+        stockQty: m.after,
+        extra: {
+          receivedQty: m.quantity,
+          receiptCostPrice,
+          referenceType: reference.type || null,
+          referenceId: reference.id || null,
+          referenceNumber: reference.number || '',
+          createdBy,
+        },
+      })
+    );
+  }
+  const revaluations = docs.length ? await CostRevaluation.insertMany(docs) : [];
+  return { method, revaluations };
+}
+
+/**
+ * FIFO bookkeeping for a logged batch of stock movements (called from recordStockMovements).
+ * Outgoing stock consumes the oldest layers; non-purchase stock coming back (cancel / refund
+ * restock, count gains) opens a layer at the current cost. Never throws.
+ */
+async function applyMovementCosts(restaurantId, movements, log) {
+  try {
+    if (RECEIPT_MOVEMENT_TYPES.includes(log?.type)) return;
+    if ((await getCostingMethod(restaurantId)) !== 'FIFO') return;
+
+    const byBranch = new Map();
+    for (const m of movements) {
+      const key = m.branch ? String(m.branch) : '';
+      if (!byBranch.has(key)) byBranch.set(key, []);
+      byBranch.get(key).push(m);
+    }
+    const docs = [];
+    for (const [branchKey, rows] of byBranch) {
+      const branchId = branchKey || null;
+      const defs = await loadCostRows(restaurantId, branchId, rows.map((m) => m.inventoryItem));
+      for (const m of rows) {
+        const def = defs.get(String(m.inventoryItem));
+        const oldCostPrice = def?.costPrice || 0;
+        let layers = await reconcileLayers(restaurantId, branchId, m.inventoryItem, m.before, oldCostPrice);
+        if (m.quantity < 0) {
+          layers = await consumeLayers(layers, -m.quantity);
+        } else if (m.quantity > 0) {
+          await CostLayer.create({
+            restaurant: restaurantId,
+            branch: branchId,
+            inventoryItem: m.inventoryItem,
+            sourceType: log.type,
+            sourceId: log.referenceId || null,
+            sourceNumber: log.referenceNumber || '',
+            originalQty: m.quantity,
+            remainingQty: m.quantity,
+            costPrice: oldCostPrice,
+          });
+        }
+        const newCostPrice = layers[0] ? layers[0].costPrice : oldCostPrice;
+        if (Math.abs(newCostPrice - oldCostPrice) < 0.00005) continue;
+        await setCostPrice(restaurantId, branchId, m.inventoryItem, newCostPrice);
+        docs.push(
+          revaluation({
+            restaurantId,
+            branchId,
+            itemId: m.inventoryItem,
+            def,
+            method: 'FIFO',
+            reason: 'FIFO_LAYER',
+            oldCostPrice,
+            newCostPrice,
+            stockQty: m.after,
+            extra: {
+              referenceType: log.referenceType || null,
+              referenceId: log.referenceId || null,
+              referenceNumber: log.referenceNumber || '',
+              createdBy: log.createdBy || null,
+            },
+          })
+        );
+      }
+    }
+    if (docs.length) await CostRevaluation.insertMany(docs);
+  } catch (err) {
+    console.error('[Costing] FIFO layer update failed:', log?.type, log?.referenceNumber || '', err.message);
+  }
+}
+
+/** Keep a typed-in costPrice change in the revaluation history. */
+async function recordManualCostChange({ restaurantId, branchId = null, inventoryItemId, oldCostPrice, newCostPrice, stockQty, createdBy = null }) {
+  const oldCost = Number(oldCostPrice) || 0;
+  const newCost = Number(newCostPrice) || 0;
+  if (Math.abs(newCost - oldCost) < 0.00005) return null;
+  const def = await InventoryItem.findById(inventoryItemId).select('name unit').lean();
+  return CostRevaluation.create(
+    revaluation({
+      restaurantId,
+      branchId,
+      itemId: inventoryItemId,
+      def,
+      method: await getCostingMethod(restaurantId),
+      reason: 'MANUAL_EDIT',
+      oldCostPrice: oldCost,
+      newCostPrice: newCost,
+      stockQty: Number(stockQty) || 0,
+      extra: { createdBy },
+    })
+  );
+}
+
+/**
+ * Cost changes in a period (per change and per item) and stock on hand valued at current cost.
+ * @returns {Promise<object>}
+ */
+async function buildRevaluationReport({ restaurantId, branchId = null, inventoryItemId = null, from, to }) {
+  const filter = { restaurant: restaurantId, createdAt: { $gte: from, $lte: to } };
+  if (branchId) filter.branch = branchId;
+  if (inventoryItemId) filter.inventoryItem = inventoryItemId;
+
+  const itemQuery = { restaurant: restaurantId };
+  if (inventoryItemId) itemQuery._id = inventoryItemId;
+  const [entries, method, items, branchRows] = await Promise.all([
+    CostRevaluation.find(filter).sort({ createdAt: 1, _id: 1 }).lean(),
+    getCostingMethod(restaurantId),
+    InventoryItem.find(itemQuery).select('_id name unit currentStock costPrice').sort({ name: 1 }).lean(),
+    branchId ? BranchInventory.find({ branch: branchId }).select('inventoryItem currentStock costPrice').lean() : [],
+  ]);
+
+  const byItem = new Map();
+  let totalImpact = 0;
+  for (const e of entries) {
+    totalImpact += e.valuationImpact || 0;
+    const key = e.inventoryItem.toString();
+    const row = byItem.get(key) || {
+      inventoryItemId: key,
+      itemName: e.itemName,
+      unit: e.unit,
+      changes: 0,
+      openingCostPrice: e.oldCostPrice,
+      closingCostPrice: e.newCostPrice,
+      valuationImpact: 0,
+    };
+    row.changes += 1;
+    row.closingCostPrice = e.newCostPrice;
+    row.valuationImpact += e.valuationImpact || 0;
+    byItem.set(key, row);
+  }
+
+  const rowMap = new Map(branchRows.map((r) => [r.inventoryItem.toString(), r]));
+  let totalValue = 0;
+  const valuation = items.map((i) => {
+    const row = branchId ? rowMap.get(i._id.toString()) : i;
+    const qty = row?.currentStock || 0;
+    const costPrice = row?.costPrice || 0;
+    const value = round2(stockValue(qty, i.unit, costPrice));
+    totalValue += value;
+    return { inventoryItemId: i._id.toString(), itemName: i.name, unit: i.unit, currentStock: qty, costPrice, value };
+  });
+
+  return {
+    method,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    entries: entries.map((e) => ({
+      id: e._id.toString(),
+      createdAt: e.createdAt,
+      branchId: e.branch ? e.branch.toString() : null,
+      inventoryItemId: e.inventoryItem.toString(),
+      itemName: e.itemName,
+      unit: e.unit,
+      method: e.method,
+      reason: e.reason,
+      oldCostPrice: e.oldCostPrice,
+      newCostPrice: e.newCostPrice,
+      changePercent: e.oldCostPrice > 0 ? round2(((e.newCostPrice - e.oldCostPrice) / e.oldCostPrice) * 100) : null,
+      receivedQty: e.receivedQty,
+      receiptCostPrice: e.receiptCostPrice,
+      stockQty: e.stockQty,
+      valuationImpact: e.valuationImpact,
+      referenceType: e.referenceType,
+      referenceNumber: e.referenceNumber,
+    })),
+    byItem: [...byItem.values()]
+      .map((r) => ({ ...r, valuationImpact: round2(r.valuationImpact) }))
+      .sort((a, b) => Math.abs(b.valuationImpact) - Math.abs(a.valuationImpact)),
+    totalValuationImpact: round2(totalImpact),
+    currentValuation: { items: valuation, totalValue: round2(totalValue) },
+  };
+}
+
+module.exports = {
+  COSTING_METHODS,
+  getCostingMethod,
+  costPriceFromUnitCost,
+  applyReceiptCosts,
+  applyMovementCosts,
+  recordManualCostChange,
+  buildRevaluationReport,
+};
@@ -0,0 +1,410 @@
+/**
+ * Floor plans and the live floor view. A branch floor is a set of FloorPlan areas with tables
+ * placed on them; the live view adds, per table, what the POS needs to draw it: status, when
+ * the party sat down, what is on the bill, who is serving it (the assigned waiter, else the
+ * order taker) and the next reservation today.
+ * Joined tables (Table.joinedTo) carry the main table's seated time and server; their bill is
+ * shown on the main table only.
+ */
+
+const mongoose = require('mongoose');
+const FloorPlan = require('../models/FloorPlan');
+const Table = require('../models/Table');
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const Branch = require('../models/Branch');
+const Restaurant = require('../models/Restaurant');
+const { getOrderRooms } = require('../utils/socketRooms');
+const { isValidTimeZone, getLocalClock, parseClockTime } = require('../utils/menuSchedule');
+const { SEATED_STATUSES } = require('./tableOpsService');
+
+const FLOOR_SHAPES = ['rectangle', 'square', 'circle', 'oval'];
+// A late party keeps its reservation on the floor this long after the booked time
+const RESERVATION_GRACE_MINUTES = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function floorError(status, message, code, details) {
+  return { error: { status, message, code, details } };
+}
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function idOf(value) {
+  if (!value) return '';
+  return value._id ? value._id.toString() : value.toString();
+}
+
+function toNumber(value) {
+  if (value === null || value === '' || value === undefined) return NaN;
+  return Number(value);
+}
+
+/**
+ * Validate table placements from a request body: [{ tableId, x, y, width?, height?, shape?, rotation? }].
+ * @returns {{ tables: Array<object> } | { error }}
+ */
+function normalizeFloorTables(raw) {
+  if (!Array.isArray(raw)) return floorError(400, 'tables must be an array', 'INVALID_FLOOR_TABLES');
+  const seen = new Set();
+  const tables = [];
+  for (const entry of raw) {
+    const tableId = String(entry?.tableId || '');
+    if (!mongoose.Types.ObjectId.isValid(tableId)) return floorError(400, 'Each table requires a valid tableId', 'INVALID_TABLE');
+    if (seen.has(tableId)) return floorError(400, 'A table can only be placed once on a plan', 'DUPLICATE_TABLE', { tableId });
+    seen.add(tableId);
+    const x = toNumber(entry.x);
+    const y = toNumber(entry.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y) || x < 0 || y < 0) {
+      return floorError(400, 'x and y must be numbers of 0 or more', 'INVALID_POSITION', { tableId });
+    }
+    const width = entry.width === undefined ? 80 : toNumber(entry.width);
+    const height = entry.height === undefined ? width : toNumber(entry.height);
+    if (!Number.isFinite(width) || !Number.isFinite(height) || width <= 0 || height <= 0) {
+      return floorError(400, 'width and height must be positive numbers', 'INVALID_SIZE', { tableId });
+    }
+    const shape = entry.shape === undefined ? 'rectangle' : String(entry.shape);
+    if (!FLOOR_SHAPES.includes(shape)) {
+      return floorError(400, `shape must be one of ${FLOOR_SHAPES.join(', ')}`, 'INVALID_SHAPE', { tableId });
+    }
+    const rotation = entry.rotation === undefined ? 0 : toNumber(entry.rotation);
+    if (!Number.isFinite(rotation)) return floorError(400, 'rotation must be a number of degrees', 'INVALID_ROTATION', { tableId });
+    tables.push({ table: tableId, x, y, width, height, shape, rotation: ((Math.round(rotation) % 360) + 360) % 360 });
+  }
+  return { tables };
+}
+
+/**
+ * Apply create / update fields to a FloorPlan document (not saved). Placed tables must belong
+ * to the plan's branch, fit on the canvas and not be placed on another plan of the branch.
+ * @returns {Promise<null | { error }>}
+ */
+async function applyFloorPlanInput(plan, { name, width, height, sortOrder, isActive, tables }) {
+  if (name !== undefined) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return floorError(400, 'Floor plan name is required', 'NAME_REQUIRED');
+    plan.name = trimmed;
+  }
+  for (const [field, value] of [['width', width], ['height', height]]) {
+    if (value === undefined) continue;
+    const n = toNumber(value);
+    if (!Number.isFinite(n) || n <= 0) return floorError(400, `${field} must be a positive number`, 'INVALID_SIZE');
+    plan[field] = n;
+  }
+  if (sortOrder !== undefined) {
+    const n = toNumber(sortOrder);
+    if (!Number.isInteger(n)) return floorError(400, 'sortOrder must be a whole number', 'INVALID_SORT_ORDER');
+    plan.sortOrder = n;
+  }
+  if (typeof isActive === 'boolean') plan.isActive = isActive;
+
+  if (tables !== undefined) {
+    const result = normalizeFloorTables(tables);
+    if (result.error) return result;
+    const ids = result.tables.map((t) => t.table);
+    if (ids.length) {
+      const found = await Table.find({ _id: { $in: ids }, restaurant: plan.restaurant, branch: plan.branch || null })
+        .select('_id')
+        .lean();
+      if (found.length !== ids.length) {
+        return floorError(400, 'One or more tables were not found in this branch', 'TABLE_NOT_FOUND');
+      }
+      const other = await FloorPlan.findOne({
+        restaurant: plan.restaurant,
+        branch: plan.branch || null,
+        _id: { $ne: plan._id },
+        'tables.table': { $in: ids },
+      })
+        .select('name tables.table')
+        .lean();
+      if (other) {
+        const placed = new Set((other.tables || []).map((t) => idOf(t.table)));
+        return floorError(409, `Some tables are already placed on floor plan "${other.name}"`, 'TABLE_ON_OTHER_PLAN', {
+          floorPlanId: other._id.toString(),
+          tableIds: ids.filter((id) => placed.has(id)),
+        });
+      }
+    }
+    plan.tables = result.tables;
+  }
+
+  const outside = (plan.tables || []).find((t) => t.x + t.width > plan.width || t.y + t.height > plan.height);
+  if (outside) {
+    return floorError(400, 'A table does not fit on the plan; move it or enlarge the plan', 'TABLE_OUTSIDE_PLAN', {
+      tableId: idOf(outside.table),
+    });
+  }
+  return null;
+}
+
+function mapFloorPlan(plan) {
+  return {
+    id: plan._id.toString(),
+    name: plan.name,
+    branchId: plan.branch ? plan.branch.toString() : null,
+    width: plan.width,
+    height: plan.height,
+    sortOrder: plan.sortOrder || 0,
+    isActive: plan.isActive !== false,
+    tables: (plan.tables || []).map(mapPlacement),
+    createdAt: plan.createdAt?.toISOString?.(),
+    updatedAt: plan.updatedAt?.toISOString?.(),
+  };
+}
+
+function mapPlacement(p) {
+  return {
+    tableId: idOf(p.table),
+    x: p.x,
+    y: p.y,
+    width: p.width,
+    height: p.height,
+    shape: p.shape || 'rectangle',
+    rotation: p.rotation || 0,
+  };
+}
+
+async function loadFloorTimeZone(restaurantId, branchId) {
+  const [branch, restaurant] = await Promise.all([
+    branchId ? Branch.findOne({ _id: branchId, restaurant: restaurantId }).select('timezone').lean() : null,
+    Restaurant.findById(restaurantId).select('settings.timezone').lean(),
+  ]);
+  return [branch?.timezone, restaurant?.settings?.timezone].find(isValidTimeZone) || null;
+}
+
+// Reservation dates are stored as the booked day (YYYY-MM-DD parsed to UTC midnight);
+// anything else is read in the branch's time zone.
+function reservationDay(date, timeZone) {
+  const d = new Date(date);
+  if (Number.isNaN(d.getTime())) return '';
+  if (d.getUTCHours() === 0 && d.getUTCMinutes() === 0) return d.toISOString().slice(0, 10);
+  return getLocalClock(d, timeZone).date;
+}
+
+function mapLiveOrder(order, checks) {
+  const total = round2(order.total);
+  let balanceDue = order.paymentMethod === 'PENDING' ? total : 0;
+  if (order.status === 'SPLIT') {
+    balanceDue = round2(
+      checks
+        .filter((c) => c.status !== 'CANCELLED' && c.paymentMethod === 'PENDING')
+        .reduce((sum, c) => sum + (Number(c.total) || 0), 0)
+    );
+  }
+  return {
+    id: order._id.toString(),
+    orderNumber: order.orderNumber,
+    status: order.status,
+    isOpenTab: order.isOpenTab === true,
+    itemCount: (order.items || []).reduce((sum, i) => sum + (Number(i.quantity) || 0), 0),
+    total,
+    balanceDue,
+    checkCount: checks.length,
+    createdAt: order.createdAt?.toISOString?.(),
+  };
+}
+
+function mapUpcomingReservation(r, minutesUntil) {
+  return {
+    id: r._id.toString(),
+    customerName: r.customerName,
+    guestCount: r.guestCount,
+    time: r.time,
+    status: r.status,
+    minutesUntil,
+  };
+}
+
+/**
+ * Live state of a branch floor. With `tableIds`, only those tables (and tables joined to them)
+ * are returned in `tables`, e.g. for a socket update.
+ * @returns {Promise<{ branchId, timezone, localTime, generatedAt, areas, unplacedTables, tables }>}
+ */
+async function buildLiveFloor({ restaurantId, branchId = null, tableIds = null, now = new Date() }) {
+  const branch = branchId || null;
+  const tableFilter = { restaurant: restaurantId, branch };
+  if (tableIds) tableFilter.$or = [{ _id: { $in: tableIds } }, { joinedTo: { $in: tableIds } }];
+
+  const [tables, plans, timeZone] = await Promise.all([
+    Table.find(tableFilter).sort({ name: 1 }).lean(),
+    tableIds ? [] : FloorPlan.find({ restaurant: restaurantId, branch, isActive: true }).sort({ sortOrder: 1, name: 1 }).lean(),
+    loadFloorTimeZone(restaurantId, branch),
+  ]);
+  const clock = getLocalClock(now, timeZone);
+
+  // Joined tables take their seated time and server from the main table, so load it too
+  const mainIds = tables.filter((t) => t.joinedTo).map((t) => idOf(t.joinedTo));
+  const missingMain = mainIds.filter((id) => !tables.some((t) => idOf(t) === id));
+  const mainTables = missingMain.length ? await Table.find({ _id: { $in: missingMain }, restaurant: restaurantId }).lean() : [];
+  const allTables = [...tables, ...mainTables];
+
+  const byId = new Map(allTables.map((t) => [idOf(t), t]));
+  const byName = new Map(allTables.map((t) => [t.name, t]));
+  const tableOf = (id, name) => byId.get(idOf(id)) || byName.get(name) || null;
+
+  const dayStart = new Date(`${clock.date}T00:00:00.000Z`);
+  const [orders, reservations] = allTables.length
+    ? await Promise.all([
+        Order.find({
+          restaurant: restaurantId,
+          branch,
+          status: { $in: SEATED_STATUSES },
+          parentOrder: null,
+          $or: [{ table: { $in: allTables.map((t) => t._id) } }, { tableName: { $in: allTables.map((t) => t.name) } }],
+        })
+          .select('orderNumber status isOpenTab items.quantity total paymentMethod table tableName assignedWaiterId assignedWaiterName createdBy createdAt')
+          .populate('createdBy', 'name')
+          .sort({ createdAt: 1 })
+          .lean(),
+        Reservation.find({
+          restaurant: restaurantId,
+          branch,
+          status: { $in: ['pending', 'confirmed', 'seated'] },
+          date: { $gte: new Date(dayStart.getTime() - DAY_MS), $lt: new Date(dayStart.getTime() + 2 * DAY_MS) },
+        }).lean(),
+      ])
+    : [[], []];
+
+  const splitIds = orders.filter((o) => o.status === 'SPLIT').map((o) => o._id);
+  const checks = splitIds.length
+    ? await Order.find({ parentOrder: { $in: splitIds } }).select('parentOrder status paymentMethod total').lean()
+    : [];
+
+  const ordersByTable = new Map();
+  for (const order of orders) {
+    const table = tableOf(order.table, order.tableName);
+    if (!table) continue;
+    const key = idOf(table);
+    if (!ordersByTable.has(key)) ordersByTable.set(key, []);
+    ordersByTable.get(key).push(order);
+  }
+
+  const upcomingByTable = new Map();
+  const seatedByTable = new Map();
+  for (const r of reservations) {
+    if (reservationDay(r.date, timeZone) !== clock.date) continue;
+    const table = tableOf(r.table, (r.tableNumber || '').trim());
+    if (!table) continue;
+    const key = idOf(table);
+    if (r.status === 'seated') {
+      seatedByTable.set(key, r);
+      continue;
+    }
+    const at = parseClockTime(r.time);
+    if (at == null || at < clock.minutes - RESERVATION_GRACE_MINUTES) continue;
+    const current = upcomingByTable.get(key);
+    if (!current || at < current.at) upcomingByTable.set(key, { at, reservation: r });
+  }
+
+  const seatedInfo = (table) => {
+    const list = ordersByTable.get(idOf(table)) || [];
+    const first = list[0] || null;
+    // The assigned waiter, else whoever took the order
+    const served = list.find((o) => o.assignedWaiterId);
+    let waiter = null;
+    if (served) {
+      waiter = { id: idOf(served.assignedWaiterId), name: served.assignedWaiterName || '' };
+    } else if (first?.createdBy && typeof first.createdBy === 'object' && first.createdBy._id) {
+      waiter = { id: first.createdBy._id.toString(), name: first.createdBy.name || '' };
+    }
+    return { list, seatedAt: first ? new Date(first.createdAt) : null, waiter };
+  };
+
+  const liveTable = (table) => {
+    const key = idOf(table);
+    const main = table.joinedTo ? byId.get(idOf(table.joinedTo)) : null;
+    const own = seatedInfo(table);
+    const seated = main ? seatedInfo(main) : own;
+    const liveOrders = own.list.map((o) => mapLiveOrder(o, checks.filter((c) => idOf(c.parentOrder) === idOf(o))));
+    const stored = table.status || (table.isAvailable !== false ? 'available' : 'occupied');
+    const upcoming = upcomingByTable.get(key);
+    const party = seatedByTable.get(key) || (main ? seatedByTable.get(idOf(main)) : null);
+    return {
+      tableId: key,
+      name: table.name,
+      capacity: table.capacity ?? null,
+      section: table.section || null,
+      status: own.list.length || main ? 'occupied' : stored,
+      joinedToTableId: main ? idOf(main) : null,
+      seatedAt: seated.seatedAt ? seated.seatedAt.toISOString() : null,
+      seatedMinutes: seated.seatedAt ? Math.max(0, Math.floor((now - seated.seatedAt) / 60000)) : null,
+      guestCount: party ? party.guestCount : null,
+      waiter: seated.waiter,
+      orders: liveOrders,
+      orderTotal: round2(liveOrders.reduce((sum, o) => sum + o.total, 0)),
+      balanceDue: round2(liveOrders.reduce((sum, o) => sum + o.balanceDue, 0)),
+      upcomingReservation: upcoming ? mapUpcomingReservation(upcoming.reservation, upcoming.at - clock.minutes) : null,
+    };
+  };
+
+  const live = new Map(tables.map((t) => [idOf(t), liveTable(t)]));
+  const placed = new Set();
+  const areas = plans.map((plan) => ({
+    id: plan._id.toString(),
+    name: plan.name,
+    width: plan.width,
+    height: plan.height,
+    sortOrder: plan.sortOrder || 0,
+    tables: (plan.tables || [])
+      .filter((p) => live.has(idOf(p.table)))
+      .map((p) => {
+        placed.add(idOf(p.table));
+        return { ...live.get(idOf(p.table)), layout: mapPlacement(p) };
+      }),
+  }));
+
+  return {
+    branchId: branch ? branch.toString() : null,
+    timezone: timeZone,
+    localTime: clock.time,
+    generatedAt: now.toISOString(),
+    areas,
+    unplacedTables: tableIds ? [] : [...live.values()].filter((t) => !placed.has(t.tableId)),
+    tables: tableIds ? [...live.values()] : undefined,
+  };
+}
+
+/**
+ * Push fresh live state for some tables to POS terminals ('floor:updated'). Tables are given by
+ * id or name; fire-and-forget, errors are logged.
+ */
+function emitFloorUpdate(io, { restaurantId, branchId = null, tableIds = [], tableNames = [] }) {
+  if (!io || !restaurantId) return;
+  const names = tableNames.map((n) => String(n || '').trim()).filter(Boolean);
+  const ids = tableIds.filter(Boolean).map(idOf);
+  if (!names.length && !ids.length) return;
+  (async () => {
+    let targetIds = ids;
+    if (names.length) {
+      const named = await Table.find({ restaurant: restaurantId, branch: branchId || null, name: { $in: names } })
+        .select('_id')
+        .lean();
+      targetIds = [...new Set([...ids, ...named.map(idOf)])];
+    }
+    if (!targetIds.length) return;
+    const floor = await buildLiveFloor({ restaurantId, branchId, tableIds: targetIds });
+    const payload = { branchId: floor.branchId, generatedAt: floor.generatedAt, tables: floor.tables };
+    getOrderRooms(restaurantId, branchId).forEach((room) => io.to(room).emit('floor:updated', payload));
+  })().catch((err) => console.error('[Floor] live update failed', err.message));
+}
+
+/** emitFloorUpdate for the table an order sits at (and the tables merged into it). */
+function emitOrderFloorUpdate(io, order) {
+  if (!order || !(order.table || order.tableName)) return;
+  emitFloorUpdate(io, {
+    restaurantId: order.restaurant,
+    branchId: order.branch || null,
+    tableIds: [order.table, ...(order.mergedTables || []).map((m) => m.table)],
+    tableNames: [order.tableName],
+  });
+}
+
+module.exports = {
+  FLOOR_SHAPES,
+  applyFloorPlanInput,
+  mapFloorPlan,
+  buildLiveFloor,
+  emitFloorUpdate,
+  emitOrderFloorUpdate,
+};
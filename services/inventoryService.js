@@ -0,0 +1,567 @@
+/**
+ * Stock mutations for InventoryItem (restaurant-level stock) and BranchInventory (per branch).
+ *
+ * Every change is a single atomic update per stock row. Deductions are guarded: the `$inc`
+ * only matches while the row still holds enough stock, so two terminals selling the last
+ * portion cannot both succeed. A multi-ingredient deduction is all-or-nothing — rows already
+ * deducted are put back when a later row fails its guard — and callers release the deduction
+ * if anything after it (payment, coupon claim, Order.create) fails.
+ *
+ * Committed changes are written to the StockMovement ledger with the row's balance before and
+ * after the update. Callers pass `log` when the change is final as soon as it is applied;
+ * order creation logs its movements itself once the order is saved. Logged movements also
+ * drive FIFO cost layers (services/costingService).
+ */
+
+const MenuItem = require('../models/MenuItem');
+const InventoryItem = require('../models/InventoryItem');
+const BranchInventory = require('../models/BranchInventory');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const StockMovement = require('../models/StockMovement');
+const { getLineInventoryConsumptions } = require('../utils/menuModifiers');
+
+function normalizeUnit(unit) {
+  const u = String(unit || '').trim().toLowerCase();
+  if (u === 'g' || u === 'gram') return 'gram';
+  if (u === 'kg' || u === 'kilogram') return 'kilogram';
+  if (u === 'ml' || u === 'milliliter') return 'milliliter';
+  if (u === 'l' || u === 'liter') return 'liter';
+  if (u === 'pc' || u === 'pcs' || u === 'piece') return 'piece';
+  if (u === 'dozen') return 'dozen';
+  return u || 'piece';
+}
+
+/** Recipe quantity (recipe unit) -> quantity in the inventory item's stock unit. */
+function convertRecipeQtyToInventoryStockQty(recipeQty, recipeUnitRaw, inventoryUnitRaw) {
+  const recipeQtyNum = Number(recipeQty || 0);
+  if (!recipeQtyNum) return 0;
+  const recipeUnit = normalizeUnit(recipeUnitRaw);
+  const inventoryUnit = normalizeUnit(inventoryUnitRaw);
+
+  if (inventoryUnit === 'kilogram') {
+    if (recipeUnit === 'gram') return recipeQtyNum / 1000;
+    if (recipeUnit === 'kilogram') return recipeQtyNum;
+  }
+  if (inventoryUnit === 'gram') {
+    if (recipeUnit === 'gram') return recipeQtyNum;
+    if (recipeUnit === 'kilogram') return recipeQtyNum * 1000;
+  }
+  if (inventoryUnit === 'liter') {
+    if (recipeUnit === 'milliliter') return recipeQtyNum / 1000;
+    if (recipeUnit === 'liter') return recipeQtyNum;
+  }
+  if (inventoryUnit === 'milliliter') {
+    if (recipeUnit === 'milliliter') return recipeQtyNum;
+    if (recipeUnit === 'liter') return recipeQtyNum * 1000;
+  }
+  if (inventoryUnit === 'dozen') {
+    if (recipeUnit === 'piece') return recipeQtyNum / 12;
+    if (recipeUnit === 'dozen') return recipeQtyNum;
+  }
+  // piece-like units default to piece counts
+  if (
+    inventoryUnit === 'piece' ||
+    inventoryUnit === 'bottle' ||
+    inventoryUnit === 'can' ||
+    inventoryUnit === 'pack' ||
+    inventoryUnit === 'bag' ||
+    inventoryUnit === 'box'
+  ) {
+    if (recipeUnit === 'piece') return recipeQtyNum;
+    if (recipeUnit === 'dozen') return recipeQtyNum * 12;
+  }
+  return recipeQtyNum;
+}
+
+// Recipe conversions produce values like 0.30000000000000004; keep guards exact enough
+function roundQty(n) {
+  return Math.round((Number(n) || 0) * 1e6) / 1e6;
+}
+
+/**
+ * Value of a quantity in an item's stock unit. costPrice is per bulk unit
+ * (per 1000 g / 1000 ml, per 12 pieces, otherwise per unit; see InventoryItem.costPrice).
+ */
+function stockValue(qty, unit, costPrice) {
+  const cost = Number(costPrice) || 0;
+  const q = Number(qty) || 0;
+  const u = normalizeUnit(unit);
+  if (u === 'gram' || u === 'milliliter') return (q / 1000) * cost;
+  if (u === 'piece') return (q / 12) * cost;
+  return q * cost;
+}
+
+function toEntries(quantities) {
+  const source = quantities instanceof Map ? quantities.entries() : Object.entries(quantities || {});
+  const merged = new Map();
+  for (const [id, qty] of source) {
+    if (!id) continue;
+    merged.set(String(id), (merged.get(String(id)) || 0) + (Number(qty) || 0));
+  }
+  return Array.from(merged.entries())
+    .map(([id, qty]) => [id, roundQty(qty)])
+    .filter(([, qty]) => qty > 0);
+}
+
+function stockRow(restaurantId, branchId, inventoryItemId) {
+  return branchId
+    ? { Model: BranchInventory, filter: { branch: branchId, inventoryItem: inventoryItemId } }
+    : { Model: InventoryItem, filter: { _id: inventoryItemId, restaurant: restaurantId } };
+}
+
+function movement(inventoryItemId, branchId, before, after) {
+  return {
+    inventoryItem: String(inventoryItemId),
+    branch: branchId || null,
+    quantity: roundQty(after - before),
+    before,
+    after,
+  };
+}
+
+/**
+ * Inventory used by order lines (recipe + chosen modifiers), in each item's stock unit.
+ * Made-to-order prep items are replaced by their recipe ingredients (services/recipeService).
+ * @param {Array<{ menuItem, quantity, modifiers }>} lines
+ * @param {{ menuMap?: Map<string, object> }} [options] - menu items already loaded by the caller
+ * @returns {Promise<{ quantities: Map<string, number>, inventory: Map<string, { name: string, unit: string }> }>}
+ */
+async function computeStockConsumption(restaurantId, lines, { menuMap = null } = {}) {
+  const quantities = new Map();
+  const inventory = new Map();
+  const menuIds = Array.from(new Set((lines || []).map((l) => l.menuItem?.toString?.()).filter(Boolean)));
+  if (menuIds.length === 0) return { quantities, inventory };
+
+  let menus = menuMap;
+  if (!menus) {
+    const rows = await MenuItem.find({ _id: { $in: menuIds }, restaurant: restaurantId }).lean();
+    menus = new Map(rows.map((m) => [m._id.toString(), m]));
+  }
+
+  const lineConsumptions = (lines || []).map((line) => ({
+    line,
+    consumptions: getLineInventoryConsumptions(menus.get(line.menuItem?.toString?.()), line.modifiers),
+  }));
+  const invIds = Array.from(
+    new Set(
+      lineConsumptions.flatMap((x) => x.consumptions.map((c) => c.inventoryItem?.toString?.()).filter(Boolean))
+    )
+  );
+  if (invIds.length === 0) return { quantities, inventory };
+
+  const defs = await InventoryItem.find({ _id: { $in: invIds }, restaurant: restaurantId })
+    .select('_id name unit itemType consumeFrom')
+    .lean();
+  for (const d of defs) inventory.set(d._id.toString(), { name: d.name || 'Unknown', unit: d.unit || 'piece' });
+
+  for (const { line, consumptions } of lineConsumptions) {
+    for (const cons of consumptions) {
+      const key = cons.inventoryItem?.toString?.();
+      if (!key) continue;
+      const qty = convertRecipeQtyToInventoryStockQty(
+        (Number(cons.quantity) || 0) * (Number(line.quantity) || 0),
+        cons.unit,
+        inventory.get(key)?.unit
+      );
+      if (qty > 0) quantities.set(key, (quantities.get(key) || 0) + qty);
+    }
+  }
+
+  if (defs.some((d) => d.itemType === 'prep' && d.consumeFrom === 'recipe')) {
+    // Required here: recipeService needs this module's unit conversion
+    const { loadRecipeBook, resolveConsumption } = require('./recipeService');
+    const book = await loadRecipeBook(restaurantId);
+    const resolved = resolveConsumption(quantities, book);
+    for (const key of resolved.keys()) {
+      const d = book.get(key);
+      if (!inventory.has(key)) inventory.set(key, { name: d?.name || 'Unknown', unit: d?.unit || 'piece' });
+    }
+    return { quantities: resolved, inventory };
+  }
+  return { quantities, inventory };
+}
+
+/**
+ * Write committed movements to the ledger. Never throws: the stock has already changed, so a
+ * logging failure is reported instead of undoing the sale or receipt.
+ * @param {{ type: string, referenceType?: string, referenceId?, referenceNumber?: string, note?: string, createdBy? }} log
+ * @returns {Promise<Array<object>>} created StockMovement docs
+ */
+async function recordStockMovements(restaurantId, movements, log) {
+  const rows = (movements || []).filter((m) => m.quantity);
+  if (rows.length === 0 || !log?.type) return [];
+  try {
+    const defs = await InventoryItem.find({ _id: { $in: Array.from(new Set(rows.map((m) => m.inventoryItem))) } })
+      .select('_id name unit')
+      .lean();
+    const defMap = new Map(defs.map((d) => [d._id.toString(), d]));
+    const saved = await StockMovement.insertMany(
+      rows.map((m) => ({
+        restaurant: restaurantId,
+        branch: m.branch || null,
+        inventoryItem: m.inventoryItem,
+        itemName: defMap.get(m.inventoryItem)?.name || '',
+        unit: defMap.get(m.inventoryItem)?.unit || '',
+        type: log.type,
+        quantity: m.quantity,
+        balanceBefore: m.before,
+        balanceAfter: m.after,
+        referenceType: log.referenceType || null,
+        referenceId: log.referenceId || null,
+        referenceNumber: log.referenceNumber || '',
+        note: log.note || '',
+        createdBy: log.createdBy || null,
+      }))
+    );
+    // FIFO cost layers follow every logged movement (required here: costingService needs stockValue)
+    await require('./costingService').applyMovementCosts(restaurantId, rows, log);
+    return saved;
+  } catch (err) {
+    console.error('[Stock] movement log failed:', log.type, log.referenceNumber || '', err.message);
+    return [];
+  }
+}
+
+/** Put back what a set of movements took out (or take back what they added). */
+async function reverseStockMovements(restaurantId, movements) {
+  for (const m of [...(movements || [])].reverse()) {
+    if (!m.quantity) continue;
+    const { Model, filter } = stockRow(restaurantId, m.branch, m.inventoryItem);
+    await Model.updateOne(filter, { $inc: { currentStock: -m.quantity } });
+  }
+}
+
+/**
+ * Take stock out atomically. Without `allowOutOfStock` each row must hold the full quantity;
+ * with it (restaurant setting allowOrderWhenOutOfStock) stock is drawn down to zero at most.
+ * @param {Map<string, number>|Object<string, number>} quantities - inventory item id -> qty in stock unit
+ * @returns {Promise<{ movements: Array<object> } | { error: { status, message, code, details } }>}
+ */
+async function deductStock({ restaurantId, branchId = null, quantities, allowOutOfStock = false, log = null }) {
+  const movements = [];
+  const insufficient = [];
+
+  for (const [invId, qty] of toEntries(quantities)) {
+    const { Model, filter } = stockRow(restaurantId, branchId, invId);
+    if (allowOutOfStock) {
+      const before = await Model.findOneAndUpdate(
+        filter,
+        [{ $set: { currentStock: { $max: [0, { $subtract: ['$currentStock', qty] }] } } }],
+        { new: false }
+      ).lean();
+      // No stock row for this branch: nothing to draw down
+      if (!before) continue;
+      movements.push(movement(invId, branchId, before.currentStock, Math.max(0, roundQty(before.currentStock - qty))));
+      continue;
+    }
+
+    const before = await Model.findOneAndUpdate(
+      { ...filter, currentStock: { $gte: qty } },
+      { $inc: { currentStock: -qty } },
+      { new: false }
+    ).lean();
+    if (!before) {
+      const row = await Model.findOne(filter).select('currentStock').lean();
+      insufficient.push({ itemId: invId, required: qty, available: row ? row.currentStock : 0 });
+      continue;
+    }
+    movements.push(movement(invId, branchId, before.currentStock, roundQty(before.currentStock - qty)));
+  }
+
+  if (insufficient.length > 0) {
+    await reverseStockMovements(restaurantId, movements);
+    const names = await InventoryItem.find({ _id: { $in: insufficient.map((i) => i.itemId) } })
+      .select('_id name')
+      .lean();
+    const nameMap = new Map(names.map((n) => [n._id.toString(), n.name]));
+    return {
+      error: {
+        status: 400,
+        message: 'Insufficient stock for one or more items',
+        code: 'INSUFFICIENT_STOCK',
+        details: insufficient.map((i) => ({ ...i, name: nameMap.get(i.itemId) || 'Unknown' })),
+      },
+    };
+  }
+
+  if (log) await recordStockMovements(restaurantId, movements, log);
+  return { movements };
+}
+
+/**
+ * Put stock in (cancellations, refunds with restock, goods received).
+ * `createMissing` creates the BranchInventory row on first receipt at a branch.
+ * If a row update throws, rows already changed are reverted before the error propagates.
+ * @returns {Promise<Array<object>>} movements
+ */
+async function addStock({ restaurantId, branchId = null, quantities, createMissing = false, log = null }) {
+  const movements = [];
+  try {
+    for (const [invId, qty] of toEntries(quantities)) {
+      const { Model, filter } = stockRow(restaurantId, branchId, invId);
+      const update = { $inc: { currentStock: qty } };
+      const upsert = Boolean(createMissing && branchId);
+      if (upsert) update.$setOnInsert = { lowStockThreshold: 0, costPrice: 0 };
+      const before = await Model.findOneAndUpdate(filter, update, { new: false, upsert }).lean();
+      // Upserted rows come back as null (there was no "before")
+      if (!before && !upsert) continue;
+      const prev = before ? before.currentStock : 0;
+      movements.push(movement(invId, branchId, prev, roundQty(prev + qty)));
+    }
+  } catch (err) {
+    await reverseStockMovements(restaurantId, movements).catch(() => {});
+    throw err;
+  }
+  if (log) await recordStockMovements(restaurantId, movements, log);
+  return movements;
+}
+
+/**
+ * Manual stock correction by a signed amount (never below zero), logged as ADJUSTMENT.
+ * @returns {Promise<Array<object>>} movements
+ */
+async function adjustStockLevel({ restaurantId, branchId = null, inventoryItemId, delta, note = '', createdBy = null }) {
+  const qty = roundQty(delta);
+  if (!qty) return [];
+  const log = { type: 'ADJUSTMENT', note, createdBy };
+  const quantities = new Map([[String(inventoryItemId), Math.abs(qty)]]);
+  if (qty > 0) return addStock({ restaurantId, branchId, quantities, createMissing: true, log });
+  const { movements } = await deductStock({ restaurantId, branchId, quantities, allowOutOfStock: true, log });
+  return movements;
+}
+
+/**
+ * Whether creating this order took stock out. Orders from before `stockDeducted` existed:
+ * POS and integration orders deducted, website orders did not.
+ */
+function orderHasDeductedStock(order) {
+  if (order.stockDeducted === true || order.stockDeducted === false) return order.stockDeducted;
+  return order.source !== 'WEBSITE';
+}
+
+/**
+ * What an order still holds out of stock per branch, from its logged movements (sale, edits,
+ * voided lines) and its refunds' restocks, so a later recipe edit does not change it.
+ * @returns {Promise<Map<string, Map<string, number>>|null>} branch key -> item -> qty, or null
+ *   when the order has no logged movements (placed before the ledger)
+ */
+async function loadOrderStockHeld(restaurantId, order) {
+  const refundIds = await Refund.find({ restaurant: restaurantId, order: order._id }).distinct('_id');
+  const rows = await StockMovement.find({
+    restaurant: restaurantId,
+    $or: [
+      { referenceType: 'Order', referenceId: order._id },
+      { referenceType: 'Refund', referenceId: { $in: refundIds }, type: 'REFUND_RESTOCK' },
+    ],
+  })
+    .select('branch inventoryItem quantity referenceType')
+    .lean();
+  if (!rows.some((r) => r.referenceType === 'Order')) return null;
+
+  const byBranch = new Map();
+  for (const r of rows) {
+    const key = r.branch ? r.branch.toString() : '';
+    if (!byBranch.has(key)) byBranch.set(key, new Map());
+    const held = byBranch.get(key);
+    const invId = r.inventoryItem.toString();
+    held.set(invId, (held.get(invId) || 0) - r.quantity);
+  }
+  for (const held of byBranch.values()) {
+    for (const [invId, qty] of held) {
+      if (roundQty(qty) > 0) held.set(invId, roundQty(qty));
+      else held.delete(invId);
+    }
+  }
+  return byBranch;
+}
+
+/**
+ * Return an order's ingredients to stock once (cancel / void) by reversing its logged
+ * movements; orders placed before the ledger fall back to their recipes. The flag is claimed
+ * on the order document first so two concurrent cancels cannot both restock.
+ * @returns {Promise<Array<object>>} movements (empty when nothing was restocked)
+ */
+async function restoreOrderStock(order, { restaurantId = order.restaurant, createdBy = null } = {}) {
+  if (!orderHasDeductedStock(order)) return [];
+  const claimed = await Order.updateOne(
+    { _id: order._id, stockDeducted: { $ne: false } },
+    { $set: { stockDeducted: false } }
+  );
+  if (!claimed.modifiedCount) return [];
+  order.stockDeducted = false;
+
+  const log = {
+    type: 'CANCEL_RESTOCK',
+    referenceType: 'Order',
+    referenceId: order._id,
+    referenceNumber: order.orderNumber,
+    note: order.cancelReason || '',
+    createdBy,
+  };
+  let movements = [];
+  try {
+    let byBranch = await loadOrderStockHeld(restaurantId, order);
+    if (!byBranch) {
+      const { quantities } = await computeStockConsumption(restaurantId, order.items || []);
+      byBranch = new Map([[order.branch ? order.branch.toString() : '', quantities]]);
+    }
+    for (const [branchKey, quantities] of byBranch) {
+      if (quantities.size === 0) continue;
+      movements = movements.concat(await addStock({ restaurantId, branchId: branchKey || null, quantities }));
+    }
+  } catch (err) {
+    await reverseStockMovements(restaurantId, movements).catch(() => {});
+    await Order.updateOne({ _id: order._id }, { $set: { stockDeducted: true } }).catch(() => {});
+    order.stockDeducted = true;
+    throw err;
+  }
+  await recordStockMovements(restaurantId, movements, log);
+  return movements;
+}
+
+/**
+ * After an order's lines were edited: deduct what the new lines use on top of the old ones
+ * and return what they no longer use. Orders that never deducted stock are left alone.
+ * @param {Array<{ menuItem, quantity, modifiers }>} previousItems - lines before the edit (order.items holds the new ones)
+ * @returns {Promise<{ movements: Array<object> } | { error: object }>}
+ */
+async function adjustOrderStock(order, previousItems, { restaurantId = order.restaurant, allowOutOfStock = false } = {}) {
+  if (!orderHasDeductedStock(order)) return { movements: [] };
+  const [{ quantities: before }, { quantities: after }] = await Promise.all([
+    computeStockConsumption(restaurantId, previousItems || []),
+    computeStockConsumption(restaurantId, order.items || []),
+  ]);
+
+  const more = new Map();
+  const less = new Map();
+  for (const id of new Set([...before.keys(), ...after.keys()])) {
+    const diff = roundQty((after.get(id) || 0) - (before.get(id) || 0));
+    if (diff > 0) more.set(id, diff);
+    else if (diff < 0) less.set(id, -diff);
+  }
+
+  const branchId = order.branch || null;
+  const deducted = await deductStock({ restaurantId, branchId, quantities: more, allowOutOfStock });
+  if (deducted.error) return deducted;
+  try {
+    const added = await addStock({ restaurantId, branchId, quantities: less });
+    return { movements: [...deducted.movements, ...added] };
+  } catch (err) {
+    await reverseStockMovements(restaurantId, deducted.movements).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Stock card for one item at one branch (or restaurant-level stock when branchId is null):
+ * opening balance at `from`, every movement in [from, to] with its running balance, and the
+ * closing balance. Balances come from the ledger's before/after snapshots; with no movement
+ * before `from`, the opening is the first movement's balanceBefore (or today's stock when
+ * the item never moved since).
+ */
+async function buildStockCard({ restaurantId, branchId = null, inventoryItemId, from = null, to = null }) {
+  const base = { restaurant: restaurantId, branch: branchId || null, inventoryItem: inventoryItemId };
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  const inRange = Object.keys(range).length ? { ...base, createdAt: range } : base;
+
+  const [rows, previous, item, branchRow] = await Promise.all([
+    StockMovement.find(inRange).sort({ createdAt: 1, _id: 1 }).populate('createdBy', 'name').lean(),
+    from ? StockMovement.findOne({ ...base, createdAt: { $lt: from } }).sort({ createdAt: -1, _id: -1 }).lean() : null,
+    InventoryItem.findOne({ _id: inventoryItemId, restaurant: restaurantId }).select('_id name unit currentStock').lean(),
+    branchId ? BranchInventory.findOne({ branch: branchId, inventoryItem: inventoryItemId }).select('currentStock').lean() : null,
+  ]);
+  if (!item) return null;
+
+  const currentStock = branchId ? branchRow?.currentStock ?? 0 : item.currentStock;
+  let openingBalance;
+  if (previous) openingBalance = previous.balanceAfter;
+  else if (rows.length) openingBalance = rows[0].balanceBefore;
+  else {
+    // Nothing in range: walk back from today's stock over any later movements
+    const later = to ? await StockMovement.find({ ...base, createdAt: { $gt: to } }).select('quantity').lean() : [];
+    openingBalance = roundQty(currentStock - later.reduce((sum, m) => sum + m.quantity, 0));
+  }
+
+  let totalIn = 0;
+  let totalOut = 0;
+  const movements = rows.map((m) => {
+    if (m.quantity > 0) totalIn += m.quantity;
+    else totalOut += -m.quantity;
+    return {
+      id: m._id.toString(),
+      date: m.createdAt,
+      type: m.type,
+      in: m.quantity > 0 ? m.quantity : 0,
+      out: m.quantity < 0 ? -m.quantity : 0,
+      balanceBefore: m.balanceBefore,
+      balance: m.balanceAfter,
+      referenceType: m.referenceType || null,
+      referenceId: m.referenceId ? m.referenceId.toString() : null,
+      referenceNumber: m.referenceNumber || '',
+      note: m.note || '',
+      createdBy: m.createdBy ? { id: m.createdBy._id.toString(), name: m.createdBy.name || '' } : null,
+    };
+  });
+
+  return {
+    item: { id: item._id.toString(), name: item.name, unit: item.unit },
+    branchId: branchId ? String(branchId) : null,
+    from,
+    to,
+    openingBalance,
+    totalIn: roundQty(totalIn),
+    totalOut: roundQty(totalOut),
+    closingBalance: rows.length ? rows[rows.length - 1].balanceAfter : openingBalance,
+    currentStock,
+    movements,
+  };
+}
+
+/**
+ * Current stock per inventory item for availability checks (checkInventorySufficiency).
+ * With a branch, quantities come from BranchInventory (missing rows count as 0). Prep items
+ * carry their recipe so made-to-order ones can be checked through their ingredients.
+ * @returns {Promise<Map<string, { name: string, unit: string, currentStock: number }>>}
+ */
+async function loadStockLevels(restaurantId, branchId = null) {
+  const [items, branchRows] = await Promise.all([
+    InventoryItem.find({ restaurant: restaurantId })
+      .select('_id name unit currentStock itemType consumeFrom recipe recipeYield')
+      .lean(),
+    branchId ? BranchInventory.find({ branch: branchId }).select('inventoryItem currentStock').lean() : [],
+  ]);
+  const branchStock = new Map(branchRows.map((r) => [r.inventoryItem.toString(), r.currentStock]));
+  const map = new Map();
+  for (const inv of items) {
+    const id = inv._id.toString();
+    map.set(id, {
+      name: inv.name,
+      unit: inv.unit,
+      currentStock: branchId ? branchStock.get(id) ?? 0 : inv.currentStock,
+      itemType: inv.itemType,
+      consumeFrom: inv.consumeFrom,
+      recipe: inv.recipe,
+      recipeYield: inv.recipeYield,
+    });
+  }
+  return map;
+}
+
+module.exports = {
+  convertRecipeQtyToInventoryStockQty,
+  stockValue,
+  computeStockConsumption,
+  deductStock,
+  addStock,
+  reverseStockMovements,
+  orderHasDeductedStock,
+  restoreOrderStock,
+  adjustOrderStock,
+  adjustStockLevel,
+  recordStockMovements,
+  buildStockCard,
+  loadStockLevels,
+};
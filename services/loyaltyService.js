@@ -0,0 +1,576 @@
+/**
+ * Loyalty points ledger.
+ * Members are POS `Customer` records (per branch, matched by phone) and storefront accounts.
+ * Points are earned on the net food sales of completed, paid orders (rate x tier multiplier)
+ * and redeemed as part of an order's discount. Every balance change is a LoyaltyTransaction
+ * row; credited rows keep `remainingPoints` so redemptions and expiry use the oldest points first.
+ *
+ * Accounting: earned points accrue Dr Loyalty Rewards (60106) / Cr Loyalty Points Liability (20203).
+ * Redemptions settle the liability inside the order voucher (autoPost); reversals, adjustments
+ * and expiry post the opposite journal.
+ */
+
+const Customer = require('../models/Customer');
+const StorefrontCustomer = require('../models/StorefrontCustomer');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const Account = require('../models/accounting/Account');
+const Voucher = require('../models/accounting/Voucher');
+const { createVoucher } = require('./accounting/voucherService');
+
+const MEMBER_MODELS = { Customer, StorefrontCustomer };
+const MEMBER_TYPES = Object.keys(MEMBER_MODELS);
+
+const DEFAULT_LOYALTY_SETTINGS = {
+  enabled: false,
+  pointsPerCurrencyUnit: 0,
+  pointValue: 0,
+  minRedeemPoints: 0,
+  maxRedeemPercent: 100,
+  expiryDays: 0,
+  tiers: [],
+};
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function nonNegative(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(0, n) : null;
+}
+
+function plain(obj) {
+  if (!obj) return {};
+  return typeof obj.toObject === 'function' ? obj.toObject() : { ...obj };
+}
+
+/** Clean a loyalty settings payload from the dashboard (only keys present in `raw`). */
+function sanitizeLoyaltySettingsInput(raw) {
+  if (!raw || typeof raw !== 'object') return {};
+  const out = {};
+  if (raw.enabled !== undefined) out.enabled = Boolean(raw.enabled);
+  if (raw.pointsPerCurrencyUnit !== undefined) out.pointsPerCurrencyUnit = nonNegative(raw.pointsPerCurrencyUnit) ?? 0;
+  if (raw.pointValue !== undefined) out.pointValue = nonNegative(raw.pointValue) ?? 0;
+  if (raw.minRedeemPoints !== undefined) out.minRedeemPoints = Math.floor(nonNegative(raw.minRedeemPoints) ?? 0);
+  if (raw.maxRedeemPercent !== undefined) out.maxRedeemPercent = Math.min(100, nonNegative(raw.maxRedeemPercent) ?? 100);
+  if (raw.expiryDays !== undefined) out.expiryDays = Math.floor(nonNegative(raw.expiryDays) ?? 0);
+  if (raw.tiers !== undefined) {
+    out.tiers = (Array.isArray(raw.tiers) ? raw.tiers : [])
+      .map((t) => ({
+        name: String(t?.name || '').trim().slice(0, 40),
+        minLifetimePoints: Math.floor(nonNegative(t?.minLifetimePoints) ?? 0),
+        multiplier: nonNegative(t?.multiplier) ?? 1,
+      }))
+      .filter((t) => t.name)
+      .sort((a, b) => a.minLifetimePoints - b.minLifetimePoints);
+  }
+  return out;
+}
+
+function resolveLoyaltySettings(restaurant) {
+  return { ...DEFAULT_LOYALTY_SETTINGS, ...sanitizeLoyaltySettingsInput(plain(restaurant?.settings?.loyalty)) };
+}
+
+async function loadLoyaltySettings(restaurantId) {
+  const restaurant = await Restaurant.findById(restaurantId).select('settings.loyalty').lean();
+  return resolveLoyaltySettings(restaurant);
+}
+
+/** Highest tier reached by lifetime points; members below every tier earn at 1x. */
+function tierForLifetimePoints(settings, lifetimePoints) {
+  let tier = { name: '', multiplier: 1, minLifetimePoints: 0 };
+  for (const t of settings.tiers || []) {
+    if ((lifetimePoints || 0) >= t.minLifetimePoints) tier = t;
+  }
+  return tier;
+}
+
+function pointsToValue(settings, points) {
+  return round2((Number(points) || 0) * (settings.pointValue || 0));
+}
+
+/** Points earned for a net sales amount at a tier multiplier. */
+function computeEarnPoints(settings, netSales, multiplier = 1) {
+  if (!settings.enabled || !(settings.pointsPerCurrencyUnit > 0)) return 0;
+  return Math.max(0, Math.floor(round2(netSales) * settings.pointsPerCurrencyUnit * (multiplier || 0)));
+}
+
+function memberModel(memberType) {
+  return MEMBER_MODELS[memberType] || null;
+}
+
+/** Which member an order belongs to: the storefront account wins over the POS customer. */
+function memberRefForOrder(order) {
+  if (order?.storefrontCustomer) return { memberType: 'StorefrontCustomer', memberId: order.storefrontCustomer };
+  if (order?.customer) return { memberType: 'Customer', memberId: order.customer };
+  return null;
+}
+
+function mapMember(settings, member, memberType) {
+  const lifetime = member.loyaltyLifetimePoints || 0;
+  const tier = tierForLifetimePoints(settings, lifetime);
+  const next = (settings.tiers || []).find((t) => t.minLifetimePoints > lifetime) || null;
+  return {
+    memberType,
+    id: member._id.toString(),
+    name: member.name || [member.firstName, member.lastName].filter(Boolean).join(' '),
+    phone: member.phone || '',
+    email: member.email || '',
+    points: member.loyaltyPoints || 0,
+    value: pointsToValue(settings, member.loyaltyPoints || 0),
+    lifetimePoints: lifetime,
+    tier: tier.name || null,
+    multiplier: tier.multiplier,
+    nextTier: next ? { name: next.name, pointsNeeded: next.minLifetimePoints - lifetime } : null,
+  };
+}
+
+function mapLoyaltyTransaction(t) {
+  return {
+    id: t._id.toString(),
+    type: t.type,
+    points: t.points,
+    balanceAfter: t.balanceAfter,
+    value: t.value,
+    remainingPoints: t.remainingPoints || 0,
+    expiresAt: t.expiresAt || null,
+    orderId: t.order ? t.order.toString() : null,
+    orderNumber: t.orderNumber || '',
+    refundId: t.refund ? t.refund.toString() : null,
+    reason: t.reason || '',
+    voucherNumber: t.accountingVoucherNumber || null,
+    accountingError: t.accountingError || null,
+    createdBy: t.createdBy?.name ? { id: t.createdBy._id?.toString(), name: t.createdBy.name } : null,
+    createdAt: t.createdAt,
+  };
+}
+
+async function getAccountIdByCode(code, tenantId) {
+  const account = await Account.findOne({ code, tenantId, isActive: true }).lean();
+  return account?._id;
+}
+
+/**
+ * Journal for a ledger row: points credited to a member raise the liability
+ * (Dr 60106 / Cr 20203), points taken back release it. REDEEM rows are settled by the order voucher.
+ */
+async function postLoyaltyJournal(tx, createdBy) {
+  const amount = round2(Math.abs(tx.value));
+  if (tx.type === 'REDEEM' || amount <= 0) return null;
+
+  const liabilityId = (await getAccountIdByCode('20203', tx.restaurant)) || (await getAccountIdByCode('202', tx.restaurant));
+  const expenseId = (await getAccountIdByCode('60106', tx.restaurant)) || (await getAccountIdByCode('601', tx.restaurant));
+  if (!liabilityId || !expenseId) throw new Error('Loyalty accounts not found (20203/60106)');
+
+  const label = `Loyalty ${tx.type.toLowerCase().replace('_', ' ')}${tx.orderNumber ? ` – Order #${tx.orderNumber}` : ''}`;
+  const credited = tx.points > 0;
+  return createVoucher({
+    tenantId: tx.restaurant,
+    type: 'journal',
+    date: tx.createdAt || new Date(),
+    referenceNo: tx.orderNumber || '',
+    notes: `Auto-posted: ${label}${tx.reason ? ` (${tx.reason})` : ''}`,
+    autoPosted: true,
+    sourceId: tx._id,
+    createdBy: createdBy || null,
+    lines: credited
+      ? [
+          { accountId: expenseId, debit: amount, credit: 0, description: label },
+          { accountId: liabilityId, debit: 0, credit: amount, description: label },
+        ]
+      : [
+          { accountId: liabilityId, debit: amount, credit: 0, description: label },
+          { accountId: expenseId, debit: 0, credit: amount, description: label },
+        ],
+  });
+}
+
+/** Use up credited lots oldest first. */
+async function consumeLots(restaurantId, memberType, memberId, points) {
+  let left = points;
+  const lots = await LoyaltyTransaction.find({
+    restaurant: restaurantId,
+    memberType,
+    member: memberId,
+    remainingPoints: { $gt: 0 },
+  })
+    .sort({ createdAt: 1 })
+    .select('_id remainingPoints')
+    .lean();
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const take = Math.min(lot.remainingPoints, left);
+    const res = await LoyaltyTransaction.updateOne(
+      { _id: lot._id, remainingPoints: { $gte: take } },
+      { $inc: { remainingPoints: -take } }
+    );
+    if (res.modifiedCount > 0) left -= take;
+  }
+}
+
+/**
+ * Apply one signed balance movement and write its ledger row (plus journal unless
+ * `journal` is false). Debits are guarded so the balance never goes below zero.
+ * @returns {Promise<{ transaction?: object, member?: object, error?: { status: number, message: string, code: string } }>}
+ */
+async function applyMovement({
+  restaurantId,
+  branch = null,
+  memberType,
+  memberId,
+  type,
+  points,
+  settings,
+  order = null,
+  refund = null,
+  reason = '',
+  createdBy = null,
+  journal = true,
+}) {
+  const Model = memberModel(memberType);
+  const delta = Math.trunc(Number(points) || 0);
+  if (!Model) return { error: { status: 400, message: 'Invalid member type', code: 'LOYALTY_INVALID_MEMBER' } };
+  if (!delta) return { error: { status: 400, message: 'Points must be a non-zero whole number', code: 'LOYALTY_INVALID_POINTS' } };
+
+  const inc = { loyaltyPoints: delta };
+  if (type === 'EARN' || type === 'REVERSE_EARN') inc.loyaltyLifetimePoints = delta;
+  const filter = { _id: memberId, restaurant: restaurantId };
+  if (delta < 0) filter.loyaltyPoints = { $gte: -delta };
+
+  const member = await Model.findOneAndUpdate(filter, { $inc: inc }, { new: true });
+  if (!member) {
+    const exists = await Model.exists({ _id: memberId, restaurant: restaurantId });
+    return exists
+      ? { error: { status: 400, message: 'Not enough loyalty points', code: 'LOYALTY_INSUFFICIENT_POINTS' } }
+      : { error: { status: 404, message: 'Loyalty member not found', code: 'LOYALTY_MEMBER_NOT_FOUND' } };
+  }
+  if (delta < 0) await consumeLots(restaurantId, memberType, memberId, -delta);
+
+  const tier = tierForLifetimePoints(settings, member.loyaltyLifetimePoints);
+  if ((member.loyaltyTier || '') !== (tier.name || '')) {
+    member.loyaltyTier = tier.name || '';
+    await Model.updateOne({ _id: member._id }, { $set: { loyaltyTier: member.loyaltyTier } });
+  }
+
+  const now = new Date();
+  const tx = await LoyaltyTransaction.create({
+    restaurant: restaurantId,
+    branch: branch || order?.branch || null,
+    memberType,
+    member: member._id,
+    type,
+    points: delta,
+    balanceAfter: Math.max(0, member.loyaltyPoints),
+    value: pointsToValue(settings, delta),
+    remainingPoints: delta > 0 ? delta : 0,
+    expiresAt: delta > 0 && settings.expiryDays > 0 ? new Date(now.getTime() + settings.expiryDays * 86400000) : null,
+    order: order?._id || null,
+    orderNumber: order?.orderNumber || '',
+    refund: refund?._id || null,
+    reason: String(reason || '').trim(),
+    createdBy,
+  });
+
+  try {
+    const voucher = journal ? await postLoyaltyJournal(tx, createdBy) : null;
+    if (voucher) {
+      tx.accountingVoucherId = voucher._id;
+      tx.accountingVoucherNumber = voucher.voucherNumber || null;
+      await tx.save();
+    }
+  } catch (err) {
+    console.error('Loyalty journal failed:', err.message);
+    tx.accountingError = err.message;
+    await tx.save().catch(() => {});
+  }
+
+  return { transaction: tx, member };
+}
+
+/**
+ * Expire credited lots past their expiry date for one member (called lazily before reads
+ * and redemptions, and in bulk by the admin expire endpoint).
+ * @returns {Promise<number>} points expired
+ */
+async function expireMemberPoints(restaurantId, memberType, memberId, settings = null, now = new Date()) {
+  const lots = await LoyaltyTransaction.find({
+    restaurant: restaurantId,
+    memberType,
+    member: memberId,
+    remainingPoints: { $gt: 0 },
+    expiresAt: { $ne: null, $lte: now },
+  })
+    .select('_id remainingPoints')
+    .lean();
+  if (lots.length === 0) return 0;
+
+  let expired = 0;
+  for (const lot of lots) {
+    const res = await LoyaltyTransaction.updateOne(
+      { _id: lot._id, remainingPoints: lot.remainingPoints },
+      { $set: { remainingPoints: 0 } }
+    );
+    if (res.modifiedCount > 0) expired += lot.remainingPoints;
+  }
+  if (expired <= 0) return 0;
+
+  const Model = memberModel(memberType);
+  let member = await Model.findOneAndUpdate(
+    { _id: memberId, restaurant: restaurantId, loyaltyPoints: { $gte: expired } },
+    { $inc: { loyaltyPoints: -expired } },
+    { new: true }
+  );
+  if (!member) {
+    // Balance drifted below the open lots; clear what is left
+    const current = await Model.findOne({ _id: memberId, restaurant: restaurantId }).select('loyaltyPoints').lean();
+    if (!current) return 0;
+    expired = current.loyaltyPoints || 0;
+    member = await Model.findOneAndUpdate({ _id: memberId }, { $set: { loyaltyPoints: 0 } }, { new: true });
+    if (expired <= 0) return 0;
+  }
+
+  const resolved = settings || (await loadLoyaltySettings(restaurantId));
+  const tx = await LoyaltyTransaction.create({
+    restaurant: restaurantId,
+    memberType,
+    member: memberId,
+    type: 'EXPIRE',
+    points: -expired,
+    balanceAfter: Math.max(0, member.loyaltyPoints),
+    value: pointsToValue(resolved, -expired),
+    reason: 'Points expired',
+  });
+  try {
+    const voucher = await postLoyaltyJournal(tx, null);
+    if (voucher) {
+      tx.accountingVoucherId = voucher._id;
+      tx.accountingVoucherNumber = voucher.voucherNumber || null;
+      await tx.save();
+    }
+  } catch (err) {
+    console.error('Loyalty expiry journal failed:', err.message);
+    tx.accountingError = err.message;
+    await tx.save().catch(() => {});
+  }
+  return expired;
+}
+
+/** Expire every member of a restaurant with lapsed lots. */
+async function expireRestaurantPoints(restaurantId, now = new Date()) {
+  const settings = await loadLoyaltySettings(restaurantId);
+  const members = await LoyaltyTransaction.aggregate([
+    { $match: { restaurant: restaurantId, remainingPoints: { $gt: 0 }, expiresAt: { $ne: null, $lte: now } } },
+    { $group: { _id: { memberType: '$memberType', member: '$member' } } },
+  ]);
+  let points = 0;
+  for (const m of members) {
+    points += await expireMemberPoints(restaurantId, m._id.memberType, m._id.member, settings, now);
+  }
+  return { members: members.length, points };
+}
+
+/**
+ * Validate a redemption request against the member balance and the settings caps.
+ * Points are clamped to what `orderAmount` x maxRedeemPercent allows.
+ * @returns {{ points: number, value: number } | { error: { status: number, message: string, code: string } }}
+ */
+function planRedemption(settings, member, requestedPoints, orderAmount) {
+  if (!settings.enabled || !(settings.pointValue > 0)) {
+    return { error: { status: 400, message: 'Loyalty redemption is not enabled', code: 'LOYALTY_DISABLED' } };
+  }
+  let points = Math.floor(Number(requestedPoints) || 0);
+  if (points <= 0) {
+    return { error: { status: 400, message: 'Points to redeem must be a positive whole number', code: 'LOYALTY_INVALID_POINTS' } };
+  }
+  if (points > (member?.loyaltyPoints || 0)) {
+    return { error: { status: 400, message: 'Not enough loyalty points', code: 'LOYALTY_INSUFFICIENT_POINTS' } };
+  }
+  const cap = round2((Math.max(0, Number(orderAmount) || 0) * settings.maxRedeemPercent) / 100);
+  points = Math.min(points, Math.floor(round2(cap / settings.pointValue)));
+  if (points <= 0 || points < settings.minRedeemPoints) {
+    return {
+      error: {
+        status: 400,
+        message: `At least ${settings.minRedeemPoints} points are required to redeem`,
+        code: 'LOYALTY_MIN_REDEEM',
+      },
+    };
+  }
+  return { points, value: pointsToValue(settings, points) };
+}
+
+/**
+ * Debit redeemed points before the order is saved; link the row afterwards with
+ * attachRedemptionToOrder, or give the points back with releaseRedemption if the order fails.
+ */
+async function redeemPoints({ restaurantId, branch, memberType, memberId, points, settings, createdBy }) {
+  return applyMovement({
+    restaurantId,
+    branch,
+    memberType,
+    memberId,
+    type: 'REDEEM',
+    points: -Math.abs(points),
+    settings,
+    reason: 'Redeemed at checkout',
+    createdBy,
+  });
+}
+
+async function attachRedemptionToOrder(transaction, order) {
+  if (!transaction || !order) return;
+  await LoyaltyTransaction.updateOne(
+    { _id: transaction._id },
+    { $set: { order: order._id, orderNumber: order.orderNumber, branch: order.branch || transaction.branch || null } }
+  );
+}
+
+/** Give back a redemption whose order was never created (no journal: nothing was settled). */
+async function releaseRedemption(transaction, settings) {
+  if (!transaction) return;
+  await applyMovement({
+    restaurantId: transaction.restaurant,
+    branch: transaction.branch,
+    memberType: transaction.memberType,
+    memberId: transaction.member,
+    type: 'REVERSE_REDEEM',
+    points: Math.abs(transaction.points),
+    settings,
+    reason: 'Order was not placed',
+    journal: false,
+  });
+}
+
+/**
+ * Credit points for a completed, paid order. Idempotent: the order's loyaltyPointsEarned
+ * is claimed before the ledger row is written. Safe to call fire-and-forget.
+ */
+async function awardOrderPoints(orderId, { createdBy = null } = {}) {
+  const order = await Order.findById(orderId).lean();
+  if (!order) return { skipped: true, reason: 'order_not_found' };
+  if (order.status !== 'DELIVERED') return { skipped: true, reason: 'order_not_completed' };
+  if (!order.paymentMethod || order.paymentMethod === 'PENDING') return { skipped: true, reason: 'payment_pending' };
+  if ((order.loyaltyPointsEarned || 0) > 0) return { skipped: true, reason: 'already_awarded' };
+  const ref = memberRefForOrder(order);
+  if (!ref) return { skipped: true, reason: 'no_member' };
+
+  const settings = await loadLoyaltySettings(order.restaurant);
+  if (!settings.enabled) return { skipped: true, reason: 'loyalty_disabled' };
+
+  const member = await memberModel(ref.memberType)
+    .findOne({ _id: ref.memberId, restaurant: order.restaurant })
+    .select('loyaltyLifetimePoints')
+    .lean();
+  if (!member) return { skipped: true, reason: 'member_not_found' };
+
+  let netSales = Math.max(0, (order.subtotal || 0) - (order.discountAmount || 0));
+  const collected = order.grandTotal ?? order.total;
+  if ((order.refundedAmount || 0) > 0 && collected > 0) {
+    netSales *= Math.max(0, 1 - order.refundedAmount / collected);
+  }
+  const tier = tierForLifetimePoints(settings, member.loyaltyLifetimePoints);
+  const points = computeEarnPoints(settings, netSales, tier.multiplier);
+  if (points <= 0) return { skipped: true, reason: 'no_points' };
+
+  const claim = await Order.updateOne(
+    { _id: order._id, loyaltyPointsEarned: { $in: [0, null] } },
+    { $set: { loyaltyPointsEarned: points } }
+  );
+  if (claim.modifiedCount === 0) return { skipped: true, reason: 'already_awarded' };
+
+  const result = await applyMovement({
+    restaurantId: order.restaurant,
+    memberType: ref.memberType,
+    memberId: ref.memberId,
+    type: 'EARN',
+    points,
+    settings,
+    order,
+    reason: tier.name ? `${tier.name} x${tier.multiplier}` : '',
+    createdBy,
+  });
+  if (result.error) {
+    await Order.updateOne({ _id: order._id }, { $set: { loyaltyPointsEarned: 0 } });
+    return { skipped: true, reason: result.error.code };
+  }
+  return { success: true, points };
+}
+
+/**
+ * Undo loyalty on a cancelled order (share = 1) or the refunded share of an order:
+ * redeemed points go back to the member, then earned points are taken back (up to the
+ * member's balance, since they may already have been spent). A split check gives back its
+ * share of the redemption made on its original order, never more than that order has left.
+ * Restored points are journalled only when the order voucher already settled the redemption
+ * against the liability; before that the points move in the ledger only.
+ */
+async function reverseOrderLoyalty(order, { share = 1, refund = null, reason = '', createdBy = null } = {}) {
+  const rows = await LoyaltyTransaction.find({ restaurant: order.restaurant, order: order._id }).lean();
+  const sumOf = (list, types) => list.filter((r) => types.includes(r.type)).reduce((s, r) => s + r.points, 0);
+
+  let redeemRows = rows;
+  let checkRedeemLeft = Infinity;
+  if (order.parentOrder) {
+    const orderIds = [order.parentOrder, ...(await Order.find({ parentOrder: order.parentOrder }).distinct('_id'))];
+    redeemRows = await LoyaltyTransaction.find({
+      restaurant: order.restaurant,
+      order: { $in: orderIds },
+      type: { $in: ['REDEEM', 'REVERSE_REDEEM'] },
+    }).lean();
+    checkRedeemLeft = Math.max(0, (order.loyaltyPointsRedeemed || 0) - sumOf(rows, ['REVERSE_REDEEM']));
+  }
+  const memberRow = rows[0] || redeemRows[0];
+  if (!memberRow) return { skipped: true, reason: 'no_loyalty' };
+
+  const { memberType, member: memberId } = memberRow;
+  const netEarned = Math.max(0, sumOf(rows, ['EARN', 'REVERSE_EARN']));
+  const netRedeemed = Math.min(checkRedeemLeft, Math.max(0, -sumOf(redeemRows, ['REDEEM', 'REVERSE_REDEEM'])));
+  const full = share >= 1;
+  const restorePoints = full ? netRedeemed : Math.min(netRedeemed, Math.round((order.loyaltyPointsRedeemed || 0) * share));
+  let reversePoints = full ? netEarned : Math.min(netEarned, Math.round((order.loyaltyPointsEarned || 0) * share));
+
+  const settings = await loadLoyaltySettings(order.restaurant);
+  const common = { restaurantId: order.restaurant, memberType, memberId, settings, order, refund, reason, createdBy };
+  const result = { restoredPoints: 0, reversedPoints: 0 };
+
+  if (restorePoints > 0) {
+    const settled = await Voucher.exists({ tenantId: order.restaurant, sourceId: order._id });
+    const r = await applyMovement({ ...common, type: 'REVERSE_REDEEM', points: restorePoints, journal: !!settled });
+    if (!r.error) result.restoredPoints = restorePoints;
+  }
+  if (reversePoints > 0) {
+    const member = await memberModel(memberType).findById(memberId).select('loyaltyPoints').lean();
+    reversePoints = Math.min(reversePoints, member?.loyaltyPoints || 0);
+    if (reversePoints > 0) {
+      const r = await applyMovement({ ...common, type: 'REVERSE_EARN', points: -reversePoints });
+      if (!r.error) result.reversedPoints = reversePoints;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  MEMBER_TYPES,
+  DEFAULT_LOYALTY_SETTINGS,
+  sanitizeLoyaltySettingsInput,
+  resolveLoyaltySettings,
+  loadLoyaltySettings,
+  tierForLifetimePoints,
+  pointsToValue,
+  computeEarnPoints,
+  memberModel,
+  memberRefForOrder,
+  mapMember,
+  mapLoyaltyTransaction,
+  applyMovement,
+  expireMemberPoints,
+  expireRestaurantPoints,
+  planRedemption,
+  redeemPoints,
+  attachRedemptionToOrder,
+  releaseRedemption,
+  awardOrderPoints,
+  reverseOrderLoyalty,
+};
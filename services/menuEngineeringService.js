@@ -0,0 +1,194 @@
+/**
+ * Menu engineering (Kasavana & Smith). For each menu item sold in a period:
+ * - popularity: its share of units sold against 70% of an even share (1 / item count);
+ * - contribution margin: average selling price minus the current recipe cost, against the
+ *   sales-weighted average margin of the menu.
+ * High/high = STAR, popular/low margin = PLOWHORSE, unpopular/high margin = PUZZLE, low/low = DOG.
+ * Recipe cost is today's cost (prep items resolved through their recipes), so food cost % shows
+ * where ingredient prices have overtaken menu prices; items above the target food cost are
+ * flagged with the price that would bring them back to it.
+ */
+
+const Order = require('../models/Order');
+const MenuItem = require('../models/MenuItem');
+const Category = require('../models/Category');
+const Restaurant = require('../models/Restaurant');
+const { getLineInventoryConsumptions } = require('../utils/menuModifiers');
+const { loadRecipeBook, consumptionCost } = require('./recipeService');
+
+const DEFAULT_TARGET_FOOD_COST_PERCENT = 30;
+const POPULARITY_FACTOR = 0.7;
+const CLASS_ADVICE = {
+  STAR: 'Keep quality and visibility; price is holding up',
+  PLOWHORSE: 'Popular but low margin: raise the price gradually or reduce portion / recipe cost',
+  PUZZLE: 'Profitable but slow: promote it, rename or move it to a better menu position',
+  DOG: 'Low sales and margin: re-engineer the recipe or remove it from the menu',
+};
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function percent(part, whole) {
+  return whole > 0 ? round2((part / whole) * 100) : null;
+}
+
+/** Price that puts `cost` at the target food cost, rounded up to `step`. */
+function suggestPrice(cost, targetPercent, step) {
+  if (!(cost > 0) || !(targetPercent > 0)) return null;
+  const raw = cost / (targetPercent / 100);
+  return step > 0 ? Math.ceil(raw / step) * step : round2(raw);
+}
+
+/**
+ * @param {{ restaurantId, branchId?, from: Date, to: Date, targetFoodCostPercent?: number, priceStep?: number,
+ *   includeOrder?: (order: object) => boolean }} params  includeOrder narrows closed orders (e.g. paid only, as the sales report does)
+ * @returns {Promise<object>}
+ */
+async function buildMenuEngineeringReport({
+  restaurantId,
+  branchId = null,
+  from,
+  to,
+  targetFoodCostPercent,
+  priceStep = 1,
+  includeOrder = null,
+}) {
+  const restaurant = await Restaurant.findById(restaurantId).select('settings.targetFoodCostPercent').lean();
+  const target =
+    Number(targetFoodCostPercent) > 0
+      ? Number(targetFoodCostPercent)
+      : restaurant?.settings?.targetFoodCostPercent ?? DEFAULT_TARGET_FOOD_COST_PERCENT;
+
+  const orderFilter = {
+    restaurant: restaurantId,
+    status: { $in: ['DELIVERED', 'COMPLETED'] },
+    createdAt: { $gte: from, $lte: to },
+  };
+  if (branchId) orderFilter.$or = [{ branch: branchId }, { branch: null }];
+  const closedOrders = await Order.find(orderFilter).lean();
+  const orders = includeOrder ? closedOrders.filter(includeOrder) : closedOrders;
+
+  // Units and revenue per menu item (net of refunded units); modifiers are costed per line
+  const sold = new Map();
+  for (const order of orders) {
+    for (const line of order.items || []) {
+      if (!line.menuItem) continue;
+      const qty = (line.quantity || 0) - (line.refundedQuantity || 0);
+      if (qty <= 0) continue;
+      const key = line.menuItem.toString();
+      const row = sold.get(key) || { name: line.name, quantity: 0, revenue: 0, lines: [] };
+      row.quantity += qty;
+      row.revenue += (line.unitPrice || 0) * qty;
+      row.lines.push({ quantity: qty, modifiers: line.modifiers });
+      sold.set(key, row);
+    }
+  }
+
+  const [menuItems, book] = await Promise.all([
+    MenuItem.find({ _id: { $in: [...sold.keys()] }, restaurant: restaurantId }).lean(),
+    loadRecipeBook(restaurantId, branchId),
+  ]);
+  const menuMap = new Map(menuItems.map((m) => [m._id.toString(), m]));
+  const categories = await Category.find({ _id: { $in: [...new Set(menuItems.filter((m) => m.category).map((m) => String(m.category)))] } })
+    .select('_id name')
+    .lean();
+  const categoryNames = new Map(categories.map((c) => [c._id.toString(), c.name]));
+
+  const items = [];
+  for (const [key, row] of sold) {
+    const menu = menuMap.get(key);
+    let cost = 0;
+    for (const l of row.lines) cost += consumptionCost(getLineInventoryConsumptions(menu, l.modifiers), book) * l.quantity;
+    const unitCost = row.quantity ? cost / row.quantity : 0;
+    const avgPrice = row.quantity ? row.revenue / row.quantity : 0;
+    const menuPrice = menu?.price ?? null;
+    const currentCost = menu ? consumptionCost(menu.inventoryConsumptions, book) : unitCost;
+    items.push({
+      menuItemId: key,
+      name: menu?.name || row.name,
+      categoryId: menu?.category ? String(menu.category) : null,
+      categoryName: menu?.category ? categoryNames.get(String(menu.category)) || '' : '',
+      hasRecipe: Boolean(menu?.inventoryConsumptions?.length),
+      quantitySold: row.quantity,
+      revenue: round2(row.revenue),
+      averagePrice: round2(avgPrice),
+      unitCost: round2(unitCost),
+      totalCost: round2(cost),
+      contributionMargin: round2(avgPrice - unitCost),
+      totalContribution: round2(row.revenue - cost),
+      foodCostPercent: percent(unitCost, avgPrice),
+      menuPrice,
+      currentRecipeCost: round2(currentCost),
+      currentFoodCostPercent: menuPrice ? percent(currentCost, menuPrice) : null,
+    });
+  }
+
+  const totalQty = items.reduce((s, i) => s + i.quantitySold, 0);
+  const totalRevenue = items.reduce((s, i) => s + i.revenue, 0);
+  const totalCost = items.reduce((s, i) => s + i.totalCost, 0);
+  const averageMargin = totalQty ? (totalRevenue - totalCost) / totalQty : 0;
+  const popularityThreshold = items.length ? (POPULARITY_FACTOR / items.length) * 100 : 0;
+
+  const summary = { STAR: 0, PLOWHORSE: 0, PUZZLE: 0, DOG: 0 };
+  for (const item of items) {
+    item.menuMixPercent = percent(item.quantitySold, totalQty);
+    const popular = item.menuMixPercent >= popularityThreshold;
+    const profitable = item.contributionMargin >= averageMargin;
+    item.classification = popular ? (profitable ? 'STAR' : 'PLOWHORSE') : profitable ? 'PUZZLE' : 'DOG';
+    item.advice = CLASS_ADVICE[item.classification];
+    summary[item.classification] += 1;
+
+    item.aboveTargetFoodCost = item.currentFoodCostPercent != null && item.currentFoodCostPercent > target;
+    // Plowhorses and items over target get a price point that restores the target food cost
+    const suggested = suggestPrice(item.currentRecipeCost, target, priceStep);
+    item.suggestedPrice =
+      suggested && item.menuPrice != null && suggested > item.menuPrice && (item.aboveTargetFoodCost || item.classification === 'PLOWHORSE')
+        ? suggested
+        : null;
+  }
+  items.sort((a, b) => b.totalContribution - a.totalContribution);
+
+  const byCategory = new Map();
+  for (const item of items) {
+    const key = item.categoryId || 'none';
+    const row = byCategory.get(key) || { categoryId: item.categoryId, categoryName: item.categoryName || 'Uncategorized', quantitySold: 0, revenue: 0, totalCost: 0 };
+    row.quantitySold += item.quantitySold;
+    row.revenue += item.revenue;
+    row.totalCost += item.totalCost;
+    byCategory.set(key, row);
+  }
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    targetFoodCostPercent: target,
+    popularityThresholdPercent: round2(popularityThreshold),
+    averageContributionMargin: round2(averageMargin),
+    totals: {
+      itemsSold: items.length,
+      quantitySold: totalQty,
+      revenue: round2(totalRevenue),
+      cost: round2(totalCost),
+      contribution: round2(totalRevenue - totalCost),
+      foodCostPercent: percent(totalCost, totalRevenue),
+    },
+    summary,
+    flagged: items.filter((i) => i.aboveTargetFoodCost).length,
+    items,
+    categories: [...byCategory.values()]
+      .map((c) => ({
+        ...c,
+        revenue: round2(c.revenue),
+        totalCost: round2(c.totalCost),
+        contribution: round2(c.revenue - c.totalCost),
+        foodCostPercent: percent(c.totalCost, c.revenue),
+      }))
+      .sort((a, b) => b.revenue - a.revenue),
+  };
+}
+
+module.exports = {
+  DEFAULT_TARGET_FOOD_COST_PERCENT,
+  buildMenuEngineeringReport,
+};
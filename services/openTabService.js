@@ -0,0 +1,449 @@
+/**
+ * Open tabs. A dine-in order opened with `openTab: true` (POST /api/pos/orders) stays on its
+ * table while guests order in rounds: each round appends lines, takes their stock, adds their
+ * food cost and fires only those lines to the kitchen. Totals are re-priced on the whole order
+ * after every change and the tab is settled through the normal payment endpoint.
+ * Taking units off the tab is a void: lines already sent to the kitchen need a reason and the
+ * manager PIN, and either go back to stock (RESTOCK, food cost journal reversed) or stay used
+ * (WASTE).
+ */
+
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const MenuItem = require('../models/MenuItem');
+const Branch = require('../models/Branch');
+const { resolveLineModifiers, getLineInventoryConsumptions } = require('../utils/menuModifiers');
+const { resolveTaxSettings, computeOrderTax, taxFieldsForOrder } = require('../utils/taxEngine');
+const { assignKitchenStations, syncOrderStatusFromLines } = require('../utils/kitchenRouting');
+const { loadMenuScheduleState, scheduleUnavailableMessage } = require('../utils/menuSchedule');
+const {
+  computeStockConsumption,
+  deductStock,
+  addStock,
+  reverseStockMovements,
+  orderHasDeductedStock,
+  recordStockMovements,
+} = require('./inventoryService');
+const { loadRecipeBook, consumptionCost } = require('./recipeService');
+
+const OPEN_STATUSES = ['NEW_ORDER', 'PROCESSING', 'READY'];
+const VOID_STOCK_ACTIONS = ['RESTOCK', 'WASTE'];
+
+function tabError(status, message, code, details) {
+  return { error: { status, message, code, details } };
+}
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function toPlain(doc) {
+  return doc && typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+}
+
+/** The open tab on a table, if any (matched by table id or name within the branch). */
+async function findOpenTab({ restaurantId, branchId = null, tableId = null, tableName = '' }) {
+  const byTable = [];
+  if (tableId && mongoose.Types.ObjectId.isValid(String(tableId))) byTable.push({ table: tableId });
+  if (String(tableName || '').trim()) byTable.push({ tableName: String(tableName).trim() });
+  if (byTable.length === 0) return null;
+  return Order.findOne({
+    restaurant: restaurantId,
+    branch: branchId || null,
+    isOpenTab: true,
+    paymentMethod: 'PENDING',
+    status: { $in: OPEN_STATUSES },
+    $or: byTable,
+  }).lean();
+}
+
+/** Load a tab that can still change; `error` explains why not. */
+async function loadOpenTab(restaurantId, orderId) {
+  if (!mongoose.Types.ObjectId.isValid(String(orderId))) return tabError(404, 'Order not found', 'ORDER_NOT_FOUND');
+  const order = await Order.findOne({ _id: orderId, restaurant: restaurantId });
+  if (!order) return tabError(404, 'Order not found', 'ORDER_NOT_FOUND');
+  if (!OPEN_STATUSES.includes(order.status)) {
+    return tabError(409, `Order is ${order.status} and can no longer be changed`, 'ORDER_NOT_OPEN');
+  }
+  if (order.paymentMethod !== 'PENDING') return tabError(409, 'Order is already paid', 'ORDER_ALREADY_PAID');
+  if ((order.refundedAmount || 0) > 0) {
+    return tabError(409, 'Order has refunds and cannot be changed', 'ORDER_HAS_REFUNDS');
+  }
+  return { order };
+}
+
+/**
+ * Re-price an order from its lines: subtotal, tax / service charge (branch rules win), total
+ * and profit. The monetary discount is kept, capped at the new subtotal. Mutates `order`.
+ */
+async function repriceOrder(order, restaurant, categoryByMenuItem = new Map()) {
+  const missing = [...new Set((order.items || []).map((i) => i.menuItem && i.menuItem.toString()).filter(Boolean))].filter(
+    (id) => !categoryByMenuItem.has(id)
+  );
+  const [menus, branch] = await Promise.all([
+    missing.length ? MenuItem.find({ _id: { $in: missing }, restaurant: order.restaurant }).select('category').lean() : [],
+    order.branch ? Branch.findById(order.branch).select('taxOverrides').lean() : null,
+  ]);
+  for (const m of menus) categoryByMenuItem.set(m._id.toString(), m.category);
+
+  const subtotal = round2((order.items || []).reduce((s, i) => s + (i.lineTotal || 0), 0));
+  const discount = Math.min(subtotal, Number(order.discountAmount) || 0);
+  const taxResult = computeOrderTax(resolveTaxSettings(restaurant, branch), {
+    orderType: order.orderType,
+    lines: (order.items || []).map((i) => ({
+      lineTotal: i.lineTotal,
+      category: i.menuItem ? categoryByMenuItem.get(i.menuItem.toString()) : null,
+    })),
+    discountAmount: discount,
+  });
+  const foodTotal = Math.max(0, subtotal - discount);
+  Object.assign(order, taxFieldsForOrder(taxResult));
+  order.subtotal = subtotal;
+  order.discountAmount = discount;
+  order.total = round2(foodTotal + taxResult.totalAdjustment);
+  order.grandTotal = round2(order.total + (order.orderType === 'DELIVERY' ? order.deliveryCharges || 0 : 0));
+  const inclusiveTax = taxResult.taxAmount - taxResult.exclusiveTaxAmount;
+  order.profit = round2(foodTotal - inclusiveTax - (order.ingredientCost || 0));
+  return order;
+}
+
+/**
+ * Save the changed lines and totals, unless someone else changed the order since it was read.
+ * @returns {Promise<object|null>} the updated order, or null on conflict
+ */
+function saveTabChanges(order, loadedAt, extra = {}) {
+  const fields = [
+    'items',
+    'status',
+    'statusHistory',
+    'subtotal',
+    'discountAmount',
+    'taxInclusive',
+    'taxLines',
+    'taxAmount',
+    'serviceChargeRate',
+    'serviceChargeAmount',
+    'total',
+    'grandTotal',
+    'ingredientCost',
+    'profit',
+  ];
+  const $set = {};
+  for (const f of fields) {
+    const value = order[f];
+    $set[f] = Array.isArray(value) ? value.map((v) => (v && typeof v === 'object' ? toPlain(v) : v)) : value;
+  }
+  return Order.findOneAndUpdate(
+    { _id: order._id, updatedAt: loadedAt, paymentMethod: 'PENDING', status: { $in: OPEN_STATUSES } },
+    { $set, ...extra },
+    { new: true }
+  );
+}
+
+/**
+ * Add a round to an open tab.
+ * @param {Array<{ menuItemId, quantity, modifiers?, note?, seat? }>} items
+ * @returns {Promise<{ order, round: number, lineIndexes: number[], statusChanged: boolean, roundCost: number } | { error }>}
+ */
+async function addRound({ restaurant, orderId, items, user = null }) {
+  const restaurantId = restaurant._id;
+  if (!Array.isArray(items) || items.length === 0) return tabError(400, 'Round items are required', 'ROUND_ITEMS_REQUIRED');
+  if (items.some((i) => i?.dealId || String(i?.menuItemId || '').startsWith('deal-'))) {
+    return tabError(400, 'Combo deals can only be ordered when the tab is opened', 'ROUND_DEAL_NOT_SUPPORTED');
+  }
+
+  const loaded = await loadOpenTab(restaurantId, orderId);
+  if (loaded.error) return loaded;
+  const { order } = loaded;
+  if (!order.isOpenTab) return tabError(409, 'Order is not an open tab', 'ORDER_NOT_TAB');
+  const loadedAt = order.updatedAt;
+
+  const menuIds = items.map((i) => String(i.menuItemId || ''));
+  if (menuIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return tabError(400, 'One or more items are invalid or unavailable', 'INVALID_ITEMS');
+  }
+  const menus = await MenuItem.find({ _id: { $in: menuIds }, restaurant: restaurantId, available: true }).lean();
+  const menuMap = new Map(menus.map((m) => [m._id.toString(), m]));
+  if (menuMap.size !== new Set(menuIds).size) {
+    return tabError(400, 'One or more items are invalid or unavailable', 'INVALID_ITEMS');
+  }
+
+  const scheduleState = await loadMenuScheduleState(restaurantId, order.branch || null);
+  for (const menu of menuMap.values()) {
+    if (!scheduleState.isItemAvailableNow(menu)) {
+      return tabError(400, scheduleUnavailableMessage(menu.name, scheduleState.closedSchedulesFor(menu)), 'ITEM_OUTSIDE_SCHEDULE');
+    }
+  }
+
+  const roundNumber = Math.max(1, ...(order.rounds || []).map((r) => r.number)) + 1;
+  const newLines = [];
+  for (const i of items) {
+    const menu = menuMap.get(String(i.menuItemId));
+    const quantity = Number(i.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return tabError(400, `Quantity for ${menu.name} must be a whole number of at least 1`, 'INVALID_QUANTITY');
+    }
+    const resolved = resolveLineModifiers(menu, i.modifiers);
+    if (resolved.error) return tabError(400, resolved.error, 'INVALID_MODIFIERS');
+    const unitPrice = Math.max(0, menu.price + resolved.priceDelta);
+    const seat = Number(i.seat);
+    newLines.push({
+      menuItem: menu._id,
+      name: menu.name,
+      quantity,
+      unitPrice,
+      lineTotal: unitPrice * quantity,
+      note: (i.note || '').trim() || undefined,
+      seat: Number.isInteger(seat) && seat > 0 ? seat : undefined,
+      round: roundNumber,
+      modifiers: resolved.modifiers.length ? resolved.modifiers : undefined,
+    });
+  }
+
+  const categoryByMenuItem = new Map(menus.map((m) => [m._id.toString(), m.category]));
+  await assignKitchenStations(restaurantId, order.branch || null, newLines, categoryByMenuItem);
+
+  // Food cost of the round at current (branch) costs, prep items through their recipes
+  const book = await loadRecipeBook(restaurantId, order.branch || null);
+  const roundCost = round2(
+    newLines.reduce(
+      (s, l) => s + consumptionCost(getLineInventoryConsumptions(menuMap.get(l.menuItem.toString()), l.modifiers), book) * l.quantity,
+      0
+    )
+  );
+
+  let stockDeduction = { movements: [] };
+  if (orderHasDeductedStock(order)) {
+    const { quantities } = await computeStockConsumption(restaurantId, newLines, { menuMap });
+    stockDeduction = await deductStock({
+      restaurantId,
+      branchId: order.branch || null,
+      quantities,
+      allowOutOfStock: Boolean(restaurant.settings?.allowOrderWhenOutOfStock),
+    });
+    if (stockDeduction.error) return stockDeduction;
+  }
+  const releaseStock = () =>
+    reverseStockMovements(restaurantId, stockDeduction.movements).catch((err) =>
+      console.error('Stock release failed:', err.message)
+    );
+
+  const firstNewIndex = order.items.length;
+  order.items.push(...newLines);
+  order.ingredientCost = round2((order.ingredientCost || 0) + roundCost);
+  // New lines are queued, so a READY order goes back to PROCESSING
+  const statusChanged = Boolean(syncOrderStatusFromLines(order));
+  await repriceOrder(order, restaurant, categoryByMenuItem);
+
+  const roundEntry = { number: roundNumber, lineCount: newLines.length, createdBy: user?._id || user?.id || null, at: new Date() };
+  let updated;
+  try {
+    updated = await saveTabChanges(order, loadedAt, { $push: { rounds: roundEntry } });
+  } catch (err) {
+    await releaseStock();
+    throw err;
+  }
+  if (!updated) {
+    await releaseStock();
+    return tabError(409, 'The tab was changed by someone else, please reload and try again', 'TAB_CONFLICT');
+  }
+
+  await recordStockMovements(restaurantId, stockDeduction.movements, {
+    type: 'SALE',
+    referenceType: 'Order',
+    referenceId: updated._id,
+    referenceNumber: updated.orderNumber,
+    note: `Round ${roundNumber}`,
+    createdBy: user?._id || user?.id || null,
+  });
+
+  return {
+    order: updated,
+    round: roundNumber,
+    lineIndexes: newLines.map((_, k) => firstNewIndex + k),
+    statusChanged,
+    roundCost,
+  };
+}
+
+/**
+ * Void units of an unpaid order's lines.
+ * @param {Array<{ index: number, quantity: number, stockAction?: 'RESTOCK'|'WASTE' }>} lines
+ *   stockAction defaults to RESTOCK for lines the kitchen has not started, WASTE otherwise.
+ * @returns {Promise<{ order, voids: Array<object>, voidedIndexes: number[], statusChanged: boolean } | { error }>}
+ */
+async function voidLines({ restaurant, orderId, lines, reason = '', managerPin = '', stockAction = null, user = null }) {
+  const restaurantId = restaurant._id;
+  if (!Array.isArray(lines) || lines.length === 0) return tabError(400, 'lines are required', 'VOID_LINES_REQUIRED');
+
+  const loaded = await loadOpenTab(restaurantId, orderId);
+  if (loaded.error) return loaded;
+  const { order } = loaded;
+  if (order.parentOrder) return tabError(409, 'Void lines on the original order before splitting', 'ORDER_IS_CHECK');
+  const loadedAt = order.updatedAt;
+
+  const requested = new Map();
+  for (const l of lines) {
+    const index = Number(l?.index);
+    const quantity = Number(l?.quantity);
+    if (!Number.isInteger(index) || index < 0 || index >= order.items.length) {
+      return tabError(400, `Invalid order line index: ${l?.index}`, 'VOID_INVALID_LINE');
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return tabError(400, 'Void quantity must be a whole number of at least 1', 'VOID_INVALID_QUANTITY');
+    }
+    const action = String(l.stockAction || stockAction || '').toUpperCase() || null;
+    if (action && !VOID_STOCK_ACTIONS.includes(action)) {
+      return tabError(400, 'stockAction must be RESTOCK or WASTE', 'VOID_INVALID_STOCK_ACTION');
+    }
+    const prev = requested.get(index);
+    requested.set(index, { quantity: (prev?.quantity || 0) + quantity, stockAction: action || prev?.stockAction || null });
+  }
+  for (const [index, { quantity }] of requested) {
+    if (quantity > order.items[index].quantity) {
+      return tabError(400, `Only ${order.items[index].quantity} of "${order.items[index].name}" can be voided`, 'VOID_INVALID_QUANTITY');
+    }
+  }
+  if (order.items.every((item, i) => (requested.get(i)?.quantity || 0) >= item.quantity)) {
+    return tabError(400, 'Voiding every line would leave an empty order; cancel it instead', 'VOID_EMPTIES_ORDER');
+  }
+
+  // Lines the kitchen already has need a reason and the manager PIN
+  const trimmedReason = String(reason || '').trim();
+  const anyFired = [...requested.keys()].some((i) => Boolean(order.items[i].firedAt));
+  if (anyFired) {
+    if (!trimmedReason) return tabError(400, 'A reason is required to void items sent to the kitchen', 'VOID_REASON_REQUIRED');
+    const hash = restaurant.settings?.posManagerDiscountPinHash;
+    if (!hash) {
+      return tabError(403, 'Manager PIN is not configured in restaurant settings', 'MANAGER_PIN_NOT_CONFIGURED');
+    }
+    const pin = String(managerPin || '');
+    if (!pin || !(await bcrypt.compare(pin, hash))) {
+      return tabError(403, 'Valid manager PIN is required to void items sent to the kitchen', 'MANAGER_PIN_REQUIRED');
+    }
+  }
+
+  const now = new Date();
+  const userId = user?._id || user?.id || null;
+  const voids = [];
+  const restockLines = [];
+  for (const [index, { quantity, stockAction: action }] of requested) {
+    const line = order.items[index];
+    const kitchenStatus = line.kitchenStatus || 'QUEUED';
+    const lineStockAction = action || (kitchenStatus === 'QUEUED' ? 'RESTOCK' : 'WASTE');
+    voids.push({
+      menuItem: line.menuItem || null,
+      name: line.name,
+      quantity,
+      unitPrice: line.unitPrice,
+      amount: round2(line.unitPrice * quantity),
+      round: line.round ?? null,
+      station: line.station || null,
+      fired: Boolean(line.firedAt),
+      kitchenStatus: line.firedAt ? kitchenStatus : null,
+      stockAction: lineStockAction,
+      restockCost: 0,
+      reason: trimmedReason,
+      managerApproved: anyFired,
+      voidedBy: userId,
+      at: now,
+    });
+    if (lineStockAction === 'RESTOCK' && line.menuItem) {
+      restockLines.push({ voidIndex: voids.length - 1, menuItem: line.menuItem, modifiers: line.modifiers, quantity });
+    }
+  }
+
+  // Ingredients of restocked units come off the order's food cost
+  let restockCost = 0;
+  if (restockLines.length) {
+    const menus = await MenuItem.find({ _id: { $in: restockLines.map((l) => l.menuItem) }, restaurant: restaurantId }).lean();
+    const menuMap = new Map(menus.map((m) => [m._id.toString(), m]));
+    const book = await loadRecipeBook(restaurantId, order.branch || null);
+    for (const l of restockLines) {
+      const cost = round2(consumptionCost(getLineInventoryConsumptions(menuMap.get(l.menuItem.toString()), l.modifiers), book) * l.quantity);
+      voids[l.voidIndex].restockCost = cost;
+      restockCost += cost;
+    }
+  }
+
+  const voidedIndexes = [...requested.keys()];
+  order.items = order.items
+    .map((line, i) => {
+      const voided = requested.get(i)?.quantity || 0;
+      if (!voided) return line;
+      const plain = toPlain(line);
+      return { ...plain, quantity: plain.quantity - voided, lineTotal: plain.unitPrice * (plain.quantity - voided) };
+    })
+    .filter((line) => line.quantity > 0);
+  order.ingredientCost = Math.max(0, round2((order.ingredientCost || 0) - restockCost));
+  // Voiding the last unfinished line can leave everything done
+  const statusChanged = Boolean(syncOrderStatusFromLines(order));
+  await repriceOrder(order, restaurant);
+
+  const updated = await saveTabChanges(order, loadedAt, { $push: { voids: { $each: voids } } });
+  if (!updated) {
+    return tabError(409, 'The order was changed by someone else, please reload and try again', 'TAB_CONFLICT');
+  }
+
+  if (restockLines.length && orderHasDeductedStock(updated)) {
+    const { quantities } = await computeStockConsumption(restaurantId, restockLines);
+    await addStock({
+      restaurantId,
+      branchId: updated.branch || null,
+      quantities,
+      log: {
+        type: 'CANCEL_RESTOCK',
+        referenceType: 'Order',
+        referenceId: updated._id,
+        referenceNumber: updated.orderNumber,
+        note: `Void${trimmedReason ? `: ${trimmedReason}` : ''}`,
+        createdBy: userId,
+      },
+    }).catch((err) => console.error('Void restock failed:', err.message));
+  }
+
+  return { order: updated, voids, voidedIndexes, statusChanged };
+}
+
+function mapTab(order) {
+  const items = order.items || [];
+  const rounds = order.rounds || [];
+  return {
+    id: order._id.toString(),
+    orderNumber: order.orderNumber,
+    tokenNumber: order.tokenNumber ?? null,
+    status: order.status,
+    tableId: order.table ? order.table.toString() : null,
+    tableName: order.tableName || '',
+    customerName: order.customerName || '',
+    rounds: rounds.map((r) => ({
+      number: r.number,
+      lineCount: r.lineCount,
+      at: r.at,
+      items: items
+        .map((i, index) => ({ index, name: i.name, qty: i.quantity, seat: i.seat ?? null, kitchenStatus: i.kitchenStatus || 'QUEUED', round: i.round }))
+        .filter((i) => (i.round || 1) === r.number)
+        .map(({ round, ...rest }) => rest),
+    })),
+    itemCount: items.reduce((s, i) => s + (i.quantity || 0), 0),
+    voidCount: (order.voids || []).reduce((s, v) => s + (v.quantity || 0), 0),
+    subtotal: order.subtotal,
+    discountAmount: order.discountAmount || 0,
+    taxAmount: order.taxAmount || 0,
+    serviceChargeAmount: order.serviceChargeAmount || 0,
+    total: order.total,
+    grandTotal: order.grandTotal ?? order.total,
+    openedAt: order.createdAt,
+    lastRoundAt: rounds.length ? rounds[rounds.length - 1].at : order.createdAt,
+  };
+}
+
+module.exports = {
+  VOID_STOCK_ACTIONS,
+  repriceOrder,
+  findOpenTab,
+  addRound,
+  voidLines,
+  mapTab,
+};
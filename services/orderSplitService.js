@@ -0,0 +1,333 @@
+/**
+ * Split bills. An open, unpaid POS order is split into child orders ("checks") that are paid
+ * independently through the normal payment endpoint, so each check is posted to accounting,
+ * earns loyalty and appears in reports on its own. Lines go to checks:
+ * - ITEMS: by selected lines / quantities; whatever is left over becomes one more check;
+ * - SEATS: by the seat each line was ordered for; lines without a seat are shared equally;
+ * - EQUAL: N equal shares of every line (fractional quantities).
+ * Order-level amounts (discount, deals, tax, service charge, delivery, ingredient cost) follow each
+ * check's share of the subtotal. The original order becomes SPLIT: it keeps the table, the
+ * kitchen ticket and the stock ledger / COGS entry made when it was placed, but is no longer a
+ * sale itself. Its checks hold the stock from then on (cancelling a check restocks its lines).
+ * Coupon uses and loyalty redemptions stay recorded on the original order: a cancelled or
+ * refunded check gives back its share of the points, and the coupon use once all checks are
+ * cancelled (see reverseOrderLoyalty / releaseOrderDealCodes).
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+
+const SPLIT_MODES = ['ITEMS', 'SEATS', 'EQUAL'];
+const SPLITTABLE_STATUSES = ['NEW_ORDER', 'PROCESSING', 'READY'];
+const MAX_CHECKS = 20;
+
+function splitError(status, message, code) {
+  return { error: { status, message, code } };
+}
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function round4(n) {
+  return Math.round((Number(n) || 0) * 10000) / 10000;
+}
+
+/**
+ * Spread `amount` over `weights` (same order); the last share takes the rounding remainder so
+ * the shares always add up to `amount`.
+ */
+function allocate(amount, weights, round = round2) {
+  const total = weights.reduce((s, w) => s + w, 0);
+  const shares = [];
+  let given = 0;
+  weights.forEach((w, i) => {
+    if (i === weights.length - 1) {
+      shares.push(round(amount - given));
+    } else {
+      const share = round(total > 0 ? (amount * w) / total : amount / weights.length);
+      shares.push(share);
+      given += share;
+    }
+  });
+  return shares;
+}
+
+/**
+ * Checks as lists of { index, quantity } of the order's lines.
+ * @returns {{ checks: Array<Array<{ index: number, quantity: number }>>, seats?: Map<number, number> } | { error: object }}
+ */
+function planChecks(order, { mode, checks, shares, seats }) {
+  const lines = order.items || [];
+  if (mode === 'EQUAL') {
+    const n = Number(shares);
+    if (!Number.isInteger(n) || n < 2 || n > MAX_CHECKS) {
+      return splitError(400, `shares must be a whole number from 2 to ${MAX_CHECKS}`, 'SPLIT_INVALID_SHARES');
+    }
+    return { checks: Array.from({ length: n }, () => lines.map((l, index) => ({ index, quantity: l.quantity / n }))) };
+  }
+
+  if (mode === 'SEATS') {
+    const seatOf = new Map(lines.map((l, index) => [index, l.seat || null]));
+    for (const s of Array.isArray(seats) ? seats : []) {
+      const index = Number(s?.index);
+      const seat = s?.seat == null || s.seat === '' ? null : Number(s.seat);
+      if (!Number.isInteger(index) || index < 0 || index >= lines.length) {
+        return splitError(400, 'Invalid line index in seats', 'SPLIT_INVALID_LINE');
+      }
+      if (seat !== null && (!Number.isInteger(seat) || seat < 1)) {
+        return splitError(400, 'Seat numbers must be whole numbers from 1', 'SPLIT_INVALID_SEAT');
+      }
+      seatOf.set(index, seat);
+    }
+    const seatNumbers = [...new Set([...seatOf.values()].filter((s) => s != null))].sort((a, b) => a - b);
+    if (seatNumbers.length < 2) return splitError(400, 'At least two seats are needed to split by seat', 'SPLIT_TOO_FEW_SEATS');
+    if (seatNumbers.length > MAX_CHECKS) return splitError(400, `At most ${MAX_CHECKS} checks`, 'SPLIT_TOO_MANY_CHECKS');
+    const shared = lines.map((l, index) => index).filter((index) => seatOf.get(index) == null);
+    const planned = seatNumbers.map((seat) => [
+      ...lines.map((l, index) => index).filter((index) => seatOf.get(index) === seat).map((index) => ({ index, quantity: lines[index].quantity })),
+      ...shared.map((index) => ({ index, quantity: lines[index].quantity / seatNumbers.length })),
+    ]);
+    return { checks: planned, seats: seatOf };
+  }
+
+  if (mode === 'ITEMS') {
+    if (!Array.isArray(checks) || checks.length === 0) {
+      return splitError(400, 'checks must list the lines of each check', 'SPLIT_INVALID_CHECKS');
+    }
+    const remaining = lines.map((l) => l.quantity);
+    const planned = [];
+    for (const check of checks) {
+      const picked = new Map();
+      for (const pick of Array.isArray(check) ? check : []) {
+        const index = Number(pick?.index);
+        const line = lines[index];
+        if (!Number.isInteger(index) || !line) return splitError(400, 'Invalid line index', 'SPLIT_INVALID_LINE');
+        const quantity = pick.quantity === undefined ? remaining[index] : Number(pick.quantity);
+        if (!(quantity > 0) || quantity > remaining[index] + 1e-9) {
+          return splitError(400, `Invalid quantity for ${line.name}`, 'SPLIT_INVALID_QUANTITY');
+        }
+        remaining[index] -= quantity;
+        picked.set(index, (picked.get(index) || 0) + quantity);
+      }
+      if (picked.size === 0) return splitError(400, 'A check cannot be empty', 'SPLIT_EMPTY_CHECK');
+      planned.push([...picked].map(([index, quantity]) => ({ index, quantity })));
+    }
+    // Whatever was not picked stays together on one more check
+    const leftover = remaining.map((quantity, index) => ({ index, quantity })).filter((l) => l.quantity > 1e-9);
+    if (leftover.length) planned.push(leftover);
+    if (planned.length < 2) return splitError(400, 'A split needs at least two checks', 'SPLIT_TOO_FEW_CHECKS');
+    if (planned.length > MAX_CHECKS) return splitError(400, `At most ${MAX_CHECKS} checks`, 'SPLIT_TOO_MANY_CHECKS');
+    return { checks: planned };
+  }
+
+  return splitError(400, `mode must be one of ${SPLIT_MODES.join(', ')}`, 'SPLIT_INVALID_MODE');
+}
+
+/**
+ * Line copies per check, with each parent line's quantity and lineTotal spread over the checks
+ * that share it so they add back up exactly.
+ */
+function buildCheckLines(order, planned) {
+  const out = planned.map(() => []);
+  (order.items || []).forEach((line, index) => {
+    const parts = [];
+    planned.forEach((check, k) => {
+      for (const p of check) if (p.index === index) parts.push({ k, quantity: p.quantity });
+    });
+    if (parts.length === 0) return;
+    const weights = parts.map((p) => p.quantity);
+    const quantities = allocate(weights.reduce((s, w) => s + w, 0), weights, round4);
+    const totals = allocate(line.lineTotal * (weights.reduce((s, w) => s + w, 0) / line.quantity), weights);
+    const base = typeof line.toObject === 'function' ? line.toObject() : { ...line };
+    parts.forEach((p, i) => {
+      out[p.k].push({ ...base, quantity: quantities[i], lineTotal: totals[i], refundedQuantity: 0 });
+    });
+  });
+  return out;
+}
+
+/** Order-level amounts of each check, by its share of the subtotal. */
+function buildCheckAmounts(order, checkLines) {
+  const subtotals = checkLines.map((lines) => round2(lines.reduce((s, l) => s + l.lineTotal, 0)));
+  const weights = subtotals.every((s) => s === 0) ? subtotals.map(() => 1) : subtotals;
+  const share = (amount, round) => allocate(Number(amount) || 0, weights, round);
+
+  const discounts = share(order.discountAmount);
+  const serviceCharges = share(order.serviceChargeAmount);
+  const deliveryCharges = share(order.deliveryCharges);
+  const ingredientCosts = share(order.ingredientCost);
+  const loyaltyValues = share(order.loyaltyRedeemValue);
+  const loyaltyPoints = share(order.loyaltyPointsRedeemed, Math.round);
+  const taxLineShares = (order.taxLines || []).map((t) => ({
+    amounts: share(t.amount),
+    taxable: share(t.taxableAmount),
+  }));
+  const dealShares = (order.appliedDeals || []).map((d) => share(d.discountAmount));
+
+  return checkLines.map((lines, k) => {
+    const taxLines = (order.taxLines || []).map((t, i) => {
+      const base = typeof t.toObject === 'function' ? t.toObject() : { ...t };
+      return { ...base, amount: taxLineShares[i].amounts[k], taxableAmount: taxLineShares[i].taxable[k] };
+    });
+    const taxAmount = round2(taxLines.reduce((s, t) => s + t.amount, 0));
+    const exclusiveTax = round2(taxLines.filter((t) => !t.inclusive).reduce((s, t) => s + t.amount, 0));
+    const foodTotal = Math.max(0, round2(subtotals[k] - discounts[k]));
+    const total = round2(foodTotal + serviceCharges[k] + exclusiveTax);
+    return {
+      subtotal: subtotals[k],
+      discountAmount: discounts[k],
+      appliedDeals: (order.appliedDeals || []).map((d, i) => {
+        const base = typeof d.toObject === 'function' ? d.toObject() : { ...d };
+        return { ...base, discountAmount: dealShares[i][k] };
+      }),
+      loyaltyRedeemValue: loyaltyValues[k],
+      loyaltyPointsRedeemed: loyaltyPoints[k],
+      taxLines,
+      taxAmount,
+      serviceChargeAmount: serviceCharges[k],
+      deliveryCharges: deliveryCharges[k],
+      total,
+      grandTotal: round2(total + deliveryCharges[k]),
+      ingredientCost: ingredientCosts[k],
+      profit: round2(foodTotal - (taxAmount - exclusiveTax) - ingredientCosts[k]),
+    };
+  });
+}
+
+/**
+ * Split an open order into checks.
+ * @param {{ mode: string, checks?: Array, shares?: number, seats?: Array<{ index, seat }> }} input
+ * @returns {Promise<{ parent: object, checks: Array<object> } | { error: object }>}
+ */
+async function splitOrder({ restaurantId, orderId, input = {}, user = null }) {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) return splitError(404, 'Order not found', 'ORDER_NOT_FOUND');
+  const order = await Order.findOne({ _id: orderId, restaurant: restaurantId }).lean();
+  if (!order) return splitError(404, 'Order not found', 'ORDER_NOT_FOUND');
+  if (order.parentOrder) return splitError(409, 'This is already a split check', 'ORDER_IS_CHECK');
+  if (order.status === 'SPLIT') return splitError(409, 'Order is already split', 'ORDER_ALREADY_SPLIT');
+  if (!SPLITTABLE_STATUSES.includes(order.status) || (order.source || 'POS') !== 'POS') {
+    return splitError(409, `Only open POS orders can be split (order is ${order.status})`, 'ORDER_NOT_SPLITTABLE');
+  }
+  if (order.paymentMethod !== 'PENDING' || (order.refundedAmount || 0) > 0) {
+    return splitError(409, 'Paid orders cannot be split', 'ORDER_ALREADY_PAID');
+  }
+  if (!(order.items || []).length) return splitError(400, 'Order has no items', 'ORDER_EMPTY');
+
+  const mode = String(input.mode || '').toUpperCase();
+  const plan = planChecks(order, { ...input, mode });
+  if (plan.error) return plan;
+  if (plan.seats) {
+    // Seat assignments sent with the split are kept on the original lines
+    order.items = order.items.map((l, index) => ({ ...l, seat: plan.seats.get(index) ?? null }));
+  }
+
+  const checkLines = buildCheckLines(order, plan.checks);
+  const amounts = buildCheckAmounts(order, checkLines);
+
+  // Claim the order so it cannot be paid, edited or split twice while checks are created
+  const now = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status, paymentMethod: 'PENDING', parentOrder: null },
+    { $set: { status: 'SPLIT', splitMode: mode }, $push: { statusHistory: { status: 'SPLIT', at: now } } },
+    { new: true }
+  );
+  if (!claimed) return splitError(409, 'Order changed while splitting; try again', 'ORDER_SPLIT_CONFLICT');
+
+  const docs = checkLines.map((lines, k) => {
+    const {
+      _id,
+      __v,
+      orderNumber,
+      status,
+      statusHistory,
+      splitChecks,
+      items,
+      updatedAt,
+      loyaltyPointsEarned,
+      ...shared
+    } = order;
+    return {
+      ...shared,
+      ...amounts[k],
+      items: lines,
+      orderNumber: `${order.orderNumber}-${k + 1}`,
+      status: order.status,
+      statusHistory: [{ status: order.status, at: now }],
+      parentOrder: order._id,
+      checkNumber: k + 1,
+      splitMode: mode,
+      splitChecks: [],
+      // The tab closes into its checks; its rounds and voids stay on the original order
+      isOpenTab: false,
+      rounds: [],
+      voids: [],
+      loyaltyPointsEarned: 0,
+      createdBy: user?._id || order.createdBy || null,
+      // Reported on the day the meal was ordered
+      createdAt: order.createdAt,
+    };
+  });
+
+  let checks;
+  try {
+    checks = await Order.insertMany(docs);
+  } catch (err) {
+    await Order.deleteMany({ parentOrder: order._id, paymentMethod: 'PENDING' }).catch(() => {});
+    await Order.updateOne(
+      { _id: order._id, status: 'SPLIT' },
+      { $set: { status: order.status, splitMode: null }, $pull: { statusHistory: { status: 'SPLIT', at: now } } }
+    ).catch(() => {});
+    throw err;
+  }
+
+  const parentUpdate = {
+    splitChecks: checks.map((c) => c._id),
+    // Stock taken for the order is now held (and restocked on cancel) by its checks
+    stockDeducted: false,
+  };
+  if (plan.seats) parentUpdate.items = order.items;
+  const parent = await Order.findByIdAndUpdate(order._id, { $set: parentUpdate }, { new: true });
+
+  return { parent, checks };
+}
+
+/** Whether every check of a split order is settled (paid or cancelled), so the table can be freed. */
+async function areAllChecksClosed(parentOrderId) {
+  if (!parentOrderId) return true;
+  const open = await Order.countDocuments({ parentOrder: parentOrderId, status: { $nin: ['DELIVERED', 'COMPLETED', 'CANCELLED'] } });
+  return open === 0;
+}
+
+function mapCheck(c) {
+  return {
+    id: c._id.toString(),
+    orderNumber: c.orderNumber,
+    checkNumber: c.checkNumber,
+    status: c.status,
+    paymentMethod: c.paymentMethod,
+    items: (c.items || []).map((i) => ({
+      menuItemId: i.menuItem ? i.menuItem.toString() : null,
+      name: i.name,
+      qty: i.quantity,
+      seat: i.seat ?? null,
+      unitPrice: i.unitPrice,
+      lineTotal: i.lineTotal,
+    })),
+    subtotal: c.subtotal,
+    discountAmount: c.discountAmount || 0,
+    serviceChargeAmount: c.serviceChargeAmount || 0,
+    taxAmount: c.taxAmount || 0,
+    deliveryCharges: c.deliveryCharges || 0,
+    total: c.total,
+    grandTotal: c.grandTotal ?? c.total,
+  };
+}
+
+module.exports = {
+  SPLIT_MODES,
+  planChecks,
+  splitOrder,
+  areAllChecksClosed,
+  mapCheck,
+};
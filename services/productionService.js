@@ -0,0 +1,214 @@
+/**
+ * Production batches for prep items made in batches (itemType 'prep', consumeFrom 'stock').
+ * A batch of producedQty takes its recipe's ingredients out of the branch's stock (strictly —
+ * you cannot cook with what is not there) as PRODUCTION_OUT, then puts the prep item in as
+ * PRODUCTION_IN. Made-to-order prep ingredients are resolved to their own ingredients. The
+ * batch cost (ingredients at costPrice) re-costs the prep item like a purchase receipt.
+ */
+
+const mongoose = require('mongoose');
+const ProductionBatch = require('../models/ProductionBatch');
+const { stockValue, deductStock, addStock, reverseStockMovements } = require('./inventoryService');
+const { loadRecipeBook, addRecipeIngredients, isMadeToOrder } = require('./recipeService');
+const { applyReceiptCosts, costPriceFromUnitCost } = require('./costingService');
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function round4(n) {
+  return Math.round((Number(n) || 0) * 10000) / 10000;
+}
+
+function productionError(status, message, code, details) {
+  return { error: { status, message, code, details } };
+}
+
+/**
+ * Ingredients needed for `producedQty` of a prep item, valued at costPrice.
+ * @returns {{ ingredients: Array<object>, totalCost: number }}
+ */
+function planBatch(prepItemId, producedQty, book) {
+  const quantities = addRecipeIngredients(prepItemId, producedQty, book, new Map(), isMadeToOrder);
+  const ingredients = [...quantities.entries()].map(([invId, qty]) => {
+    const def = book.get(invId);
+    return {
+      inventoryItem: invId,
+      itemName: def?.name || '',
+      unit: def?.unit || '',
+      quantity: Math.round(qty * 1e6) / 1e6,
+      cost: round2(stockValue(qty, def?.unit, def?.costPrice)),
+    };
+  });
+  return { ingredients, totalCost: round2(ingredients.reduce((s, i) => s + i.cost, 0)) };
+}
+
+function loadPrepItem(book, prepItemId) {
+  const def = mongoose.Types.ObjectId.isValid(prepItemId) ? book.get(String(prepItemId)) : null;
+  if (!def) return productionError(404, 'Prep item not found', 'PRODUCTION_ITEM_NOT_FOUND');
+  if (def.itemType !== 'prep') return productionError(400, `${def.name} is not a prep item`, 'PRODUCTION_NOT_PREP');
+  if (def.consumeFrom !== 'stock') {
+    return productionError(400, `${def.name} is made to order and is not produced in batches`, 'PRODUCTION_MADE_TO_ORDER');
+  }
+  if (!def.recipe?.length || !(def.recipeYield > 0)) {
+    return productionError(400, `${def.name} has no recipe / yield`, 'PRODUCTION_NO_RECIPE');
+  }
+  return { def };
+}
+
+/** producedQty from the input: an explicit quantity, or a number of recipe batches. */
+function resolveProducedQty(def, input) {
+  if (input.producedQty !== undefined) return Number(input.producedQty);
+  if (input.batches !== undefined) return Number(input.batches) * def.recipeYield;
+  return def.recipeYield;
+}
+
+/**
+ * What a batch would use and cost, without touching stock.
+ * @param {{ prepItemId, producedQty?, batches? }} input
+ */
+async function previewProduction({ restaurantId, branchId = null, input = {} }) {
+  const book = await loadRecipeBook(restaurantId, branchId);
+  const { def, error } = loadPrepItem(book, input.prepItemId);
+  if (error) return { error };
+  const producedQty = resolveProducedQty(def, input);
+  if (!(producedQty > 0)) return productionError(400, 'producedQty must be greater than 0', 'PRODUCTION_INVALID_QTY');
+  let plan;
+  try {
+    plan = planBatch(def._id.toString(), producedQty, book);
+  } catch (err) {
+    return productionError(400, err.message, 'PRODUCTION_RECIPE_INVALID');
+  }
+  return {
+    preview: {
+      prepItemId: def._id.toString(),
+      itemName: def.name,
+      unit: def.unit,
+      producedQty,
+      ...plan,
+      unitCost: round4(plan.totalCost / producedQty),
+    },
+  };
+}
+
+/**
+ * Produce a batch of a prep item in a branch.
+ * @param {{ prepItemId, producedQty?, batches?, producedAt?, notes? }} input
+ * @returns {Promise<{ batch: object, revaluations: Array<object> } | { error: object }>}
+ */
+async function producePrepBatch({ restaurantId, branchId = null, input = {}, user = null }) {
+  const book = await loadRecipeBook(restaurantId, branchId);
+  const { def, error } = loadPrepItem(book, input.prepItemId);
+  if (error) return { error };
+  const producedQty = resolveProducedQty(def, input);
+  if (!(producedQty > 0)) return productionError(400, 'producedQty must be greater than 0', 'PRODUCTION_INVALID_QTY');
+  const producedAt = input.producedAt ? new Date(input.producedAt) : new Date();
+  if (Number.isNaN(producedAt.getTime()) || producedAt > new Date()) {
+    return productionError(400, 'Invalid producedAt', 'PRODUCTION_INVALID_DATE');
+  }
+
+  let plan;
+  try {
+    plan = planBatch(def._id.toString(), producedQty, book);
+  } catch (err) {
+    return productionError(400, err.message, 'PRODUCTION_RECIPE_INVALID');
+  }
+  if (plan.ingredients.length === 0) return productionError(400, `${def.name} has no usable ingredients`, 'PRODUCTION_NO_RECIPE');
+
+  const batch = new ProductionBatch({
+    restaurant: restaurantId,
+    branch: branchId || null,
+    prepItem: def._id,
+    itemName: def.name,
+    unit: def.unit,
+    producedQty,
+    ingredients: plan.ingredients,
+    totalCost: plan.totalCost,
+    unitCost: round4(plan.totalCost / producedQty),
+    producedAt,
+    notes: String(input.notes || ''),
+    createdBy: user?._id || null,
+  });
+  // Saved first so the stock ledger can reference its number; removed again if stock is short
+  await batch.save();
+
+  const log = {
+    referenceType: 'ProductionBatch',
+    referenceId: batch._id,
+    referenceNumber: batch.batchNumber,
+    createdBy: user?._id || null,
+  };
+  const deduction = await deductStock({
+    restaurantId,
+    branchId: branchId || null,
+    quantities: new Map(plan.ingredients.map((i) => [i.inventoryItem, i.quantity])),
+    log: { ...log, type: 'PRODUCTION_OUT', note: `Used for ${producedQty} ${def.unit} ${def.name}` },
+  });
+  if (deduction.error) {
+    await ProductionBatch.deleteOne({ _id: batch._id }).catch(() => {});
+    return { error: deduction.error };
+  }
+
+  let movements;
+  try {
+    movements = await addStock({
+      restaurantId,
+      branchId: branchId || null,
+      quantities: new Map([[def._id.toString(), producedQty]]),
+      createMissing: true,
+      log: { ...log, type: 'PRODUCTION_IN', note: `Produced from ${plan.ingredients.length} ingredient(s)` },
+    });
+  } catch (err) {
+    await reverseStockMovements(restaurantId, deduction.movements).catch(() => {});
+    await ProductionBatch.deleteOne({ _id: batch._id }).catch(() => {});
+    throw err;
+  }
+
+  // The batch re-costs the prep item like a purchase (must not block production)
+  let revaluations = [];
+  try {
+    ({ revaluations } = await applyReceiptCosts({
+      restaurantId,
+      branchId: branchId || null,
+      movements,
+      costPrices: new Map([[def._id.toString(), costPriceFromUnitCost(batch.unitCost, def.unit)]]),
+      reason: 'PRODUCTION',
+      reference: { type: 'ProductionBatch', id: batch._id, number: batch.batchNumber, date: producedAt },
+      createdBy: user?._id || null,
+    }));
+  } catch (err) {
+    console.error('[Costing] production re-cost failed:', batch.batchNumber, err.message);
+  }
+
+  return { batch, revaluations };
+}
+
+function mapProductionBatch(b) {
+  return {
+    id: b._id.toString(),
+    batchNumber: b.batchNumber,
+    branchId: b.branch ? b.branch.toString() : null,
+    prepItemId: b.prepItem.toString(),
+    itemName: b.itemName,
+    unit: b.unit,
+    producedQty: b.producedQty,
+    ingredients: (b.ingredients || []).map((i) => ({
+      inventoryItemId: i.inventoryItem.toString(),
+      itemName: i.itemName,
+      unit: i.unit,
+      quantity: i.quantity,
+      cost: i.cost,
+    })),
+    totalCost: b.totalCost,
+    unitCost: b.unitCost,
+    producedAt: b.producedAt,
+    notes: b.notes || '',
+    createdAt: b.createdAt,
+  };
+}
+
+module.exports = {
+  previewProduction,
+  producePrepBatch,
+  mapProductionBatch,
+};
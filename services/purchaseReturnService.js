@@ -0,0 +1,319 @@
+/**
+ * Supplier returns (debit notes) against posted GRNs. The goods leave the GRN's branch
+ * (PURCHASE_RETURN), the linked PO's received quantities go back down so replacements can be
+ * received against it, and the value is credited to inventory against the supplier's payable
+ * or a cash / bank refund. A GRN line can be returned up to the quantity it received; the
+ * returned quantity is claimed on the GRN line itself so concurrent returns cannot overdraw it.
+ * A payable return on an already billed GRN is credited against that bill's balance.
+ */
+
+const mongoose = require('mongoose');
+const PurchaseReturn = require('../models/PurchaseReturn');
+const GoodsReceivedNote = require('../models/GoodsReceivedNote');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const SupplierBill = require('../models/SupplierBill');
+const { deductStock } = require('./inventoryService');
+const { postPurchaseReturnVoucher } = require('./accounting/purchaseReturnPost');
+
+const SETTLEMENTS = PurchaseReturn.schema.path('settlement').enumValues;
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function roundQty(n) {
+  return Math.round((Number(n) || 0) * 1e6) / 1e6;
+}
+
+function returnError(status, message, code, details) {
+  return { error: { status, message, code, details } };
+}
+
+/**
+ * Per GRN item: received quantity, average unit cost, already returned and still returnable.
+ * @returns {Promise<Map<string, object>>}
+ */
+async function loadReturnableLines(grn) {
+  const lines = new Map();
+  for (const l of grn.lines || []) {
+    const key = String(l.inventoryItem);
+    const row = lines.get(key) || { inventoryItem: key, itemName: l.itemName, unit: l.unit, receivedQty: 0, cost: 0, returnedQty: 0 };
+    row.receivedQty = roundQty(row.receivedQty + l.receivedQty);
+    row.cost += l.receivedQty * l.unitCost;
+    lines.set(key, row);
+  }
+  const previous = await PurchaseReturn.find({ grn: grn._id }).select('lines.inventoryItem lines.returnedQty').lean();
+  for (const r of previous) {
+    for (const l of r.lines || []) {
+      const row = lines.get(String(l.inventoryItem));
+      if (row) row.returnedQty = roundQty(row.returnedQty + l.returnedQty);
+    }
+  }
+  for (const row of lines.values()) {
+    row.unitCost = row.receivedQty > 0 ? Math.round((row.cost / row.receivedQty) * 10000) / 10000 : 0;
+    row.returnableQty = Math.max(0, roundQty(row.receivedQty - row.returnedQty));
+    delete row.cost;
+  }
+  return lines;
+}
+
+/**
+ * GRNs returned against before lines tracked returnedQty: seed it from their returns, filling
+ * each item's GRN lines in order. Only lines that still lack the field are written.
+ */
+async function seedGrnReturnedQty(grn) {
+  if ((grn.lines || []).every((l) => l.returnedQty != null)) return false;
+  const returnedByItem = new Map();
+  const previous = await PurchaseReturn.find({ grn: grn._id }).select('lines.inventoryItem lines.returnedQty').lean();
+  for (const r of previous) {
+    for (const l of r.lines || []) {
+      const key = String(l.inventoryItem);
+      returnedByItem.set(key, roundQty((returnedByItem.get(key) || 0) + l.returnedQty));
+    }
+  }
+  const $set = {};
+  const filter = { _id: grn._id };
+  grn.lines.forEach((l, i) => {
+    const key = String(l.inventoryItem);
+    const left = returnedByItem.get(key) || 0;
+    const taken = Math.min(left, l.returnedQty ?? l.receivedQty);
+    returnedByItem.set(key, roundQty(left - taken));
+    if (l.returnedQty == null) {
+      $set[`lines.${i}.returnedQty`] = roundQty(taken);
+      filter[`lines.${i}.returnedQty`] = { $exists: false };
+    }
+  });
+  await GoodsReceivedNote.updateOne(filter, { $set });
+  return true;
+}
+
+/**
+ * Claim the returned quantities on the GRN lines: one conditional $inc that only applies while
+ * every touched line still holds the returnedQty it was read with, so two returns racing for
+ * the same line cannot both pass the returnable check. Retried on a fresh read.
+ * @returns {Promise<{ claims: Array<{ index: number, qty: number }> } | { error: object }>}
+ */
+async function claimGrnReturnQty(grnId, returnLines) {
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    let grn = await GoodsReceivedNote.findById(grnId).select('lines').lean();
+    if (await seedGrnReturnedQty(grn)) grn = await GoodsReceivedNote.findById(grnId).select('lines').lean();
+
+    const claims = [];
+    const over = [];
+    for (const rl of returnLines) {
+      let need = rl.returnedQty;
+      grn.lines.forEach((l, index) => {
+        if (need <= 1e-6 || String(l.inventoryItem) !== String(rl.inventoryItem)) return;
+        const qty = roundQty(Math.min(need, Math.max(0, l.receivedQty - (l.returnedQty || 0))));
+        if (qty <= 0) return;
+        claims.push({ index, qty, expected: l.returnedQty || 0 });
+        need = roundQty(need - qty);
+      });
+      if (need > 1e-6) {
+        over.push({ itemId: String(rl.inventoryItem), name: rl.itemName, requested: rl.returnedQty, returnable: roundQty(rl.returnedQty - need) });
+      }
+    }
+    if (over.length) return returnError(400, 'Return quantity exceeds what is left on the GRN', 'RETURN_QTY_EXCEEDS_GRN', over);
+
+    const filter = { _id: grnId };
+    const $inc = {};
+    for (const c of claims) {
+      filter[`lines.${c.index}.returnedQty`] = c.expected;
+      $inc[`lines.${c.index}.returnedQty`] = c.qty;
+    }
+    const claimed = await GoodsReceivedNote.updateOne(filter, { $inc });
+    if (claimed.modifiedCount > 0) return { claims: claims.map(({ index, qty }) => ({ index, qty })) };
+  }
+  return returnError(409, 'Another return was posted against this GRN, please reload and try again', 'RETURN_GRN_CONFLICT');
+}
+
+/** Hand claimed GRN quantities back (the return was not posted). */
+async function releaseGrnReturnQty(grnId, claims) {
+  const $inc = {};
+  for (const c of claims) $inc[`lines.${c.index}.returnedQty`] = -c.qty;
+  await GoodsReceivedNote.updateOne({ _id: grnId }, { $inc }).catch((err) =>
+    console.error('GRN return release failed:', err.message)
+  );
+}
+
+/** Take the returned quantities back off the PO's received quantities and re-derive its status. */
+async function reducePoReceived(restaurantId, purchaseOrderId, returnLines) {
+  const po = await PurchaseOrder.findOne({ _id: purchaseOrderId, restaurant: restaurantId }).select('status lines').lean();
+  if (!po || po.status === 'cancelled') return null;
+  // $inc per line so a concurrent return or receipt on the same PO is not overwritten
+  const $inc = {};
+  for (const rl of returnLines) {
+    const index = po.lines.findIndex((l) => String(l.inventoryItem) === String(rl.inventoryItem));
+    if (index >= 0) $inc[`lines.${index}.receivedQty`] = -Math.min(rl.returnedQty, po.lines[index].receivedQty || 0);
+  }
+  if (Object.keys($inc).length === 0) return po;
+  const updated = await PurchaseOrder.findOneAndUpdate({ _id: purchaseOrderId }, { $inc }, { new: true });
+  if (!updated) return null;
+  if (updated.lines.every((l) => (l.receivedQty || 0) >= l.orderedQty)) updated.status = 'received';
+  else if (updated.lines.some((l) => (l.receivedQty || 0) > 0)) updated.status = 'partially_received';
+  else updated.status = 'sent';
+  await updated.save();
+  return updated;
+}
+
+/**
+ * A payable return on a GRN that is already billed: take its value off the bill's balance so
+ * a payment run does not pay for goods that went back (the debit note voucher has already
+ * lowered the payable). Capped at the balance still due; conditional on the balance read.
+ * @returns {Promise<number>} amount credited
+ */
+async function creditSupplierBill(billId, purchaseReturn) {
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const bill = await SupplierBill.findById(billId).select('status balanceDue').lean();
+    if (!bill || !['open', 'partially_paid'].includes(bill.status)) return 0;
+    const amount = round2(Math.min(purchaseReturn.totalCost, bill.balanceDue));
+    if (amount <= 0) return 0;
+    const balanceDue = round2(bill.balanceDue - amount);
+    const credited = await SupplierBill.updateOne(
+      { _id: billId, status: bill.status, balanceDue: bill.balanceDue },
+      {
+        $set: { balanceDue, ...(balanceDue <= 0.005 ? { status: 'paid' } : {}) },
+        $inc: { creditedAmount: amount },
+        $push: { credits: { purchaseReturn: purchaseReturn._id, returnNumber: purchaseReturn.returnNumber, amount } },
+      }
+    );
+    if (credited.modifiedCount > 0) return amount;
+  }
+  throw new Error('Supplier bill balance kept changing; credit not applied');
+}
+
+/**
+ * Post a supplier return.
+ * @param {{ lines: Array<{ inventoryItem, returnedQty, reason? }>, settlement?, refundAccountId?, returnDate?, notes? }} input
+ * @returns {Promise<{ purchaseReturn: object } | { error: object }>}
+ */
+async function createPurchaseReturn({ restaurantId, grnId, input = {}, user = null }) {
+  if (!grnId || !mongoose.Types.ObjectId.isValid(grnId)) return returnError(400, 'grnId is required', 'RETURN_GRN_REQUIRED');
+  const grn = await GoodsReceivedNote.findOne({ _id: grnId, restaurant: restaurantId }).lean();
+  if (!grn) return returnError(404, 'GRN not found', 'RETURN_GRN_NOT_FOUND');
+  if (grn.status !== 'posted') return returnError(400, 'Only posted GRNs can be returned against', 'RETURN_GRN_NOT_POSTED');
+
+  const settlement = input.settlement || (grn.paymentType === 'cash' ? 'cash_refund' : 'payable');
+  if (!SETTLEMENTS.includes(settlement)) {
+    return returnError(400, `settlement must be one of ${SETTLEMENTS.join(', ')}`, 'RETURN_INVALID_SETTLEMENT');
+  }
+  const refundAccountId = input.refundAccountId && mongoose.Types.ObjectId.isValid(input.refundAccountId) ? input.refundAccountId : null;
+  if (settlement === 'bank_refund' && !refundAccountId) {
+    return returnError(400, 'refundAccountId is required for a bank refund', 'RETURN_REFUND_ACCOUNT_REQUIRED');
+  }
+  const returnDate = input.returnDate ? new Date(input.returnDate) : new Date();
+  if (Number.isNaN(returnDate.getTime())) return returnError(400, 'Invalid returnDate', 'RETURN_INVALID_DATE');
+
+  const requested = Array.isArray(input.lines) ? input.lines.filter((l) => Number(l?.returnedQty) > 0) : [];
+  if (requested.length === 0) return returnError(400, 'lines (min 1) with returnedQty > 0 are required', 'RETURN_LINES_REQUIRED');
+
+  const returnable = await loadReturnableLines(grn);
+  const merged = new Map();
+  for (const l of requested) {
+    const key = String(l.inventoryItem);
+    const row = merged.get(key) || { qty: 0, reasons: [] };
+    row.qty = roundQty(row.qty + Number(l.returnedQty));
+    if (l.reason) row.reasons.push(String(l.reason).trim());
+    merged.set(key, row);
+  }
+  const lines = [];
+  const over = [];
+  for (const [key, r] of merged) {
+    const grnLine = returnable.get(key);
+    if (!grnLine) return returnError(400, 'Item is not on this GRN', 'RETURN_ITEM_NOT_ON_GRN', [{ itemId: key }]);
+    if (r.qty > grnLine.returnableQty + 1e-6) {
+      over.push({ itemId: key, name: grnLine.itemName, requested: r.qty, returnable: grnLine.returnableQty });
+      continue;
+    }
+    lines.push({
+      inventoryItem: key,
+      itemName: grnLine.itemName,
+      unit: grnLine.unit,
+      returnedQty: r.qty,
+      unitCost: grnLine.unitCost,
+      totalCost: round2(r.qty * grnLine.unitCost),
+      reason: r.reasons.join('; '),
+    });
+  }
+  if (over.length) return returnError(400, 'Return quantity exceeds what is left on the GRN', 'RETURN_QTY_EXCEEDS_GRN', over);
+
+  const purchaseReturn = new PurchaseReturn({
+    restaurant: restaurantId,
+    branch: grn.branch,
+    grn: grn._id,
+    grnNumber: grn.grnNumber,
+    purchaseOrder: grn.purchaseOrder || null,
+    poNumber: grn.poNumber || null,
+    supplierId: grn.supplierId || null,
+    supplierName: grn.supplierName,
+    returnDate,
+    settlement,
+    refundAccountId: settlement === 'payable' ? null : refundAccountId,
+    lines,
+    totalCost: round2(lines.reduce((s, l) => s + l.totalCost, 0)),
+    notes: String(input.notes || ''),
+    createdBy: user?._id || null,
+  });
+  const claim = await claimGrnReturnQty(grn._id, lines);
+  if (claim.error) return claim;
+
+  // Saved first so the stock ledger can reference its number; removed again if stock is short
+  try {
+    await purchaseReturn.save();
+  } catch (err) {
+    await releaseGrnReturnQty(grn._id, claim.claims);
+    throw err;
+  }
+
+  // Goods that are no longer on hand cannot be sent back
+  const deduction = await deductStock({
+    restaurantId,
+    branchId: grn.branch,
+    quantities: new Map(lines.map((l) => [l.inventoryItem, l.returnedQty])),
+    log: {
+      type: 'PURCHASE_RETURN',
+      referenceType: 'PurchaseReturn',
+      referenceId: purchaseReturn._id,
+      referenceNumber: purchaseReturn.returnNumber,
+      note: `Returned to ${grn.supplierName} (GRN ${grn.grnNumber})`,
+      createdBy: user?._id || null,
+    },
+  });
+  if (deduction.error) {
+    await PurchaseReturn.deleteOne({ _id: purchaseReturn._id }).catch(() => {});
+    await releaseGrnReturnQty(grn._id, claim.claims);
+    return { error: deduction.error };
+  }
+
+  if (grn.purchaseOrder) await reducePoReceived(restaurantId, grn.purchaseOrder, lines);
+
+  if (grn.supplierBill && settlement === 'payable') {
+    purchaseReturn.supplierBill = grn.supplierBill;
+    try {
+      purchaseReturn.billCreditAmount = await creditSupplierBill(grn.supplierBill, purchaseReturn);
+    } catch (err) {
+      console.error('Supplier bill credit failed:', err.message);
+    }
+  }
+
+  // Accounting (must not block the return)
+  try {
+    const voucher = await postPurchaseReturnVoucher({ tenantId: restaurantId, purchaseReturn, createdBy: user?._id || null });
+    if (voucher) {
+      purchaseReturn.accountingVoucherId = voucher._id;
+      purchaseReturn.accountingVoucherNumber = voucher.voucherNumber;
+    }
+  } catch (err) {
+    purchaseReturn.accountingError = err.message;
+    console.error('Purchase return accounting post failed:', err.message);
+  }
+
+  await purchaseReturn.save();
+  return { purchaseReturn };
+}
+
+module.exports = {
+  SETTLEMENTS,
+  loadReturnableLines,
+  createPurchaseReturn,
+};
@@ -0,0 +1,198 @@
+/**
+ * Prep items (sub-recipes). An InventoryItem with itemType 'prep' has a recipe of other
+ * inventory items (raw or prep) for one batch of recipeYield in its own stock unit.
+ * - consumeFrom 'stock': made in production batches (services/productionService); sales and
+ *   counts use the prep item's own stock like any raw item.
+ * - consumeFrom 'recipe': not stocked; wherever it is consumed, its recipe is used instead,
+ *   resolved through nested recipes down to stocked items.
+ * Costs resolve the same way: a prep item is worth its costPrice once batches have costed it,
+ * otherwise its recipe cost per unit of yield.
+ */
+
+const mongoose = require('mongoose');
+const InventoryItem = require('../models/InventoryItem');
+const BranchInventory = require('../models/BranchInventory');
+const { convertRecipeQtyToInventoryStockQty, stockValue } = require('./inventoryService');
+
+// Recipes nested deeper than this are treated as a cycle
+const MAX_RECIPE_DEPTH = 6;
+const BOOK_FIELDS = '_id name unit costPrice itemType recipe recipeYield consumeFrom';
+
+function recipeError(status, message, code, details) {
+  return { error: { status, message, code, details } };
+}
+
+function isPrep(def) {
+  return def?.itemType === 'prep';
+}
+
+function isMadeToOrder(def) {
+  return isPrep(def) && def.consumeFrom === 'recipe';
+}
+
+/**
+ * Inventory definitions with recipes, keyed by id; branch costPrice overrides the item's own.
+ * @returns {Promise<Map<string, object>>}
+ */
+async function loadRecipeBook(restaurantId, branchId = null) {
+  const [defs, rows] = await Promise.all([
+    InventoryItem.find({ restaurant: restaurantId }).select(BOOK_FIELDS).lean(),
+    branchId ? BranchInventory.find({ branch: branchId }).select('inventoryItem costPrice').lean() : [],
+  ]);
+  const book = new Map(defs.map((d) => [d._id.toString(), d]));
+  for (const r of rows) {
+    const def = book.get(r.inventoryItem.toString());
+    if (def && r.costPrice) book.set(r.inventoryItem.toString(), { ...def, costPrice: r.costPrice });
+  }
+  return book;
+}
+
+/**
+ * Ingredients (in each ingredient's stock unit) for `qty` of a prep item in its stock unit.
+ * `expand(def)` decides which prep ingredients are resolved further instead of being used as is.
+ */
+function addRecipeIngredients(itemId, qty, book, out, expand = isMadeToOrder, depth = 0) {
+  const def = book.get(String(itemId));
+  if (depth > MAX_RECIPE_DEPTH) throw new Error(`Recipe for ${def?.name || itemId} is nested too deeply (cycle?)`);
+  if (!def?.recipeYield || !def.recipe?.length) return out;
+  const factor = qty / def.recipeYield;
+  for (const line of def.recipe) {
+    const key = line.inventoryItem.toString();
+    const ingredient = book.get(key);
+    if (!ingredient) continue;
+    const lineQty = convertRecipeQtyToInventoryStockQty((Number(line.quantity) || 0) * factor, line.unit, ingredient.unit);
+    if (!(lineQty > 0)) continue;
+    if (expand(ingredient)) addRecipeIngredients(key, lineQty, book, out, expand, depth + 1);
+    else out.set(key, (out.get(key) || 0) + lineQty);
+  }
+  return out;
+}
+
+/**
+ * Replace made-to-order prep items in a quantities map (item id -> qty in stock unit) with
+ * their recipe ingredients, resolved down to stocked items. Returns a new map.
+ */
+function resolveConsumption(quantities, book) {
+  const out = new Map();
+  for (const [key, qty] of quantities) {
+    if (isMadeToOrder(book.get(String(key)))) addRecipeIngredients(key, qty, book, out);
+    else out.set(String(key), (out.get(String(key)) || 0) + qty);
+  }
+  return out;
+}
+
+/** Cost of one stock unit of an item, resolving prep items without a batch cost through their recipe. */
+function unitCost(itemId, book, depth = 0) {
+  const def = book.get(String(itemId));
+  if (!def) return 0;
+  if (!isPrep(def) || (def.consumeFrom === 'stock' && def.costPrice > 0)) return stockValue(1, def.unit, def.costPrice);
+  if (depth > MAX_RECIPE_DEPTH) throw new Error(`Recipe for ${def.name} is nested too deeply (cycle?)`);
+  if (!def.recipeYield || !def.recipe?.length) return stockValue(1, def.unit, def.costPrice);
+  let cost = 0;
+  for (const line of def.recipe) {
+    const ingredient = book.get(line.inventoryItem.toString());
+    if (!ingredient) continue;
+    const qty = convertRecipeQtyToInventoryStockQty(Number(line.quantity) || 0, line.unit, ingredient.unit);
+    cost += qty * unitCost(line.inventoryItem, book, depth + 1);
+  }
+  return cost / def.recipeYield;
+}
+
+/** Recipe-resolved costPrice (per bulk unit, like InventoryItem.costPrice) of an item. */
+function recipeCostPrice(itemId, book) {
+  const def = book.get(String(itemId));
+  const perBulk = stockValue(1, def?.unit, 1);
+  return perBulk ? Math.round((unitCost(itemId, book) / perBulk) * 10000) / 10000 : 0;
+}
+
+/**
+ * Cost of recipe lines ({ inventoryItem, quantity, unit }, e.g. a menu item's inventoryConsumptions)
+ * at current costs, prep items resolved through their recipes.
+ */
+function consumptionCost(consumptions, book) {
+  let cost = 0;
+  for (const c of consumptions || []) {
+    const key = c.inventoryItem?.toString?.();
+    const def = key ? book.get(key) : null;
+    if (!def) continue;
+    const qty = convertRecipeQtyToInventoryStockQty(Number(c.quantity) || 0, c.unit, def.unit);
+    cost += qty * unitCost(key, book);
+  }
+  return cost;
+}
+
+/**
+ * Fill in costPrice for prep items in a cost lookup (id -> { unit, costPrice, ... }) as used by
+ * menu costing, so recipes that use prep items are costed through them. Mutates and returns it.
+ */
+async function applyRecipeCosts(restaurantId, costMap, { branchId = null } = {}) {
+  const prepIds = [];
+  const ids = [...costMap.keys()];
+  if (ids.length === 0) return costMap;
+  const prepDefs = await InventoryItem.find({ _id: { $in: ids }, restaurant: restaurantId, itemType: 'prep' }).select('_id').lean();
+  for (const d of prepDefs) prepIds.push(d._id.toString());
+  if (prepIds.length === 0) return costMap;
+
+  const book = await loadRecipeBook(restaurantId, branchId);
+  for (const id of prepIds) {
+    const entry = costMap.get(id);
+    try {
+      const costPrice = recipeCostPrice(id, book);
+      costMap.set(id, typeof entry?.toObject === 'function' ? { ...entry.toObject(), costPrice } : { ...entry, costPrice });
+    } catch (err) {
+      console.error('[Recipe] cost resolution failed:', id, err.message);
+    }
+  }
+  return costMap;
+}
+
+/**
+ * Validate and normalize a prep item's recipe. Ingredients must exist in the restaurant and
+ * may not lead back to the item itself.
+ * @returns {Promise<{ recipe: Array<object> } | { error: object }>}
+ */
+async function normalizeRecipe(restaurantId, itemId, rawRecipe) {
+  const lines = [];
+  for (const line of Array.isArray(rawRecipe) ? rawRecipe : []) {
+    const invId = line?.inventoryItem || line?.inventoryItemId;
+    const quantity = Number(line?.quantity);
+    if (!invId || !mongoose.Types.ObjectId.isValid(invId) || !(quantity > 0)) {
+      return recipeError(400, 'Each recipe line requires inventoryItem and quantity > 0', 'RECIPE_LINE_INVALID');
+    }
+    lines.push({ inventoryItem: String(invId), quantity, unit: String(line.unit || '').trim() || undefined });
+  }
+  if (lines.length === 0) return { recipe: [] };
+
+  const book = await loadRecipeBook(restaurantId);
+  const missing = lines.filter((l) => !book.get(l.inventoryItem));
+  if (missing.length) return recipeError(400, 'Recipe ingredient not found', 'RECIPE_ITEM_NOT_FOUND', missing.map((l) => ({ itemId: l.inventoryItem })));
+
+  // Walk the ingredients' own recipes; reaching this item again is a cycle
+  const self = itemId ? String(itemId) : null;
+  const seen = new Set();
+  const stack = lines.map((l) => ({ id: l.inventoryItem, depth: 0 }));
+  while (stack.length) {
+    const { id, depth } = stack.pop();
+    if (id === self) return recipeError(400, 'A prep item cannot use itself in its recipe', 'RECIPE_CYCLE');
+    if (depth > MAX_RECIPE_DEPTH) return recipeError(400, 'Recipes are nested too deeply', 'RECIPE_TOO_DEEP');
+    if (seen.has(`${id}:${depth}`)) continue;
+    seen.add(`${id}:${depth}`);
+    for (const l of book.get(id)?.recipe || []) stack.push({ id: l.inventoryItem.toString(), depth: depth + 1 });
+  }
+
+  return {
+    recipe: lines.map((l) => ({ ...l, unit: l.unit || book.get(l.inventoryItem).unit })),
+  };
+}
+
+module.exports = {
+  MAX_RECIPE_DEPTH,
+  isMadeToOrder,
+  loadRecipeBook,
+  addRecipeIngredients,
+  resolveConsumption,
+  recipeCostPrice,
+  consumptionCost,
+  applyRecipeCosts,
+  normalizeRecipe,
+};
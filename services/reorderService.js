@@ -0,0 +1,252 @@
+/**
+ * Reorder engine. For each inventory item at a branch it compares stock plus what is already
+ * on order (open purchase orders) with a reorder point — the low stock threshold, or the usage
+ * expected over the supplier lead time if that is higher — and proposes enough to reach the par
+ * level. Usage is the recipe consumption of the branch's orders over a look-back window; prep
+ * items are not bought, so their usage counts towards their recipes' ingredients.
+ * Suggestions are grouped by the item's preferred supplier so each group can become a draft PO.
+ */
+
+const InventoryItem = require('../models/InventoryItem');
+const BranchInventory = require('../models/BranchInventory');
+const Order = require('../models/Order');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const SupplierPrice = require('../models/SupplierPrice');
+const { Party } = require('../models/accounting');
+const { stockValue, computeStockConsumption } = require('./inventoryService');
+const { loadRecipeBook, addRecipeIngredients } = require('./recipeService');
+
+const DEFAULT_REORDER_OPTIONS = { lookbackDays: 14, leadTimeDays: 2, coverDays: 7 };
+const OPEN_PO_STATUSES = ['draft', 'sent', 'partially_received'];
+const COUNTABLE_UNITS = ['piece', 'dozen', 'box', 'pack', 'bag', 'bottle', 'can'];
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function roundQty(n) {
+  return Math.round((Number(n) || 0) * 1000) / 1000;
+}
+
+/** Order quantities people can actually buy: whole units, whole grams / ml, 0.1 kg / l. */
+function roundOrderQty(qty, unit) {
+  if (COUNTABLE_UNITS.includes(unit) || unit === 'gram' || unit === 'milliliter') return Math.ceil(qty - 1e-9);
+  return Math.ceil(qty * 10 - 1e-9) / 10;
+}
+
+function clampOptions(raw = {}) {
+  const pick = (key, min, max) => {
+    const n = Math.floor(Number(raw[key]));
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : DEFAULT_REORDER_OPTIONS[key];
+  };
+  return { lookbackDays: pick('lookbackDays', 1, 90), leadTimeDays: pick('leadTimeDays', 0, 60), coverDays: pick('coverDays', 1, 90) };
+}
+
+/** Ingredient usage per inventory item from the branch's orders since `since`. */
+async function loadConsumption(restaurantId, branchId, since) {
+  const orders = await Order.find({
+    restaurant: restaurantId,
+    branch: branchId,
+    createdAt: { $gte: since },
+    // A split order's usage is counted on its checks
+    status: { $nin: ['CANCELLED', 'SPLIT'] },
+  })
+    .select('items.menuItem items.quantity items.modifiers')
+    .lean();
+
+  // Collapse identical lines first; recipes are looked up once per menu item + modifier set
+  const lines = new Map();
+  for (const order of orders) {
+    for (const item of order.items || []) {
+      if (!item.menuItem) continue;
+      const key = `${item.menuItem}|${(item.modifiers || []).map((m) => m.optionId || m.name).join(',')}`;
+      const line = lines.get(key) || { menuItem: item.menuItem, modifiers: item.modifiers, quantity: 0 };
+      line.quantity += item.quantity || 0;
+      lines.set(key, line);
+    }
+  }
+  const { quantities } = await computeStockConsumption(restaurantId, [...lines.values()]);
+
+  // Prep items are made, not bought: their usage is demand for their ingredients
+  const book = await loadRecipeBook(restaurantId, branchId);
+  const usage = new Map();
+  for (const [key, qty] of quantities) {
+    if (book.get(key)?.itemType === 'prep') addRecipeIngredients(key, qty, book, usage, (def) => def.itemType === 'prep');
+    else usage.set(key, (usage.get(key) || 0) + qty);
+  }
+  return usage;
+}
+
+/** Quantity still to arrive per inventory item on open purchase orders for the branch. */
+async function loadOnOrder(restaurantId, branchId) {
+  const pos = await PurchaseOrder.find({ restaurant: restaurantId, branch: branchId, status: { $in: OPEN_PO_STATUSES } })
+    .select('lines.inventoryItem lines.orderedQty lines.receivedQty')
+    .lean();
+  const onOrder = new Map();
+  for (const po of pos) {
+    for (const l of po.lines || []) {
+      const key = String(l.inventoryItem);
+      const open = Math.max(0, (Number(l.orderedQty) || 0) - (Number(l.receivedQty) || 0));
+      if (open > 0) onOrder.set(key, (onOrder.get(key) || 0) + open);
+    }
+  }
+  return onOrder;
+}
+
+/**
+ * Reorder suggestions for a branch, grouped by preferred supplier.
+ * @param {{ lookbackDays?: number, leadTimeDays?: number, coverDays?: number }} [options]
+ * @returns {Promise<object>}
+ */
+async function buildReorderSuggestions({ restaurantId, branchId, options = {}, now = new Date() }) {
+  const opts = clampOptions(options);
+  const since = new Date(now.getTime() - opts.lookbackDays * 86400000);
+
+  const [items, branchRows, consumption, onOrder] = await Promise.all([
+    InventoryItem.find({ restaurant: restaurantId, branch: { $in: [null, branchId] }, itemType: { $ne: 'prep' } })
+      .select('_id name unit costPrice lowStockThreshold parLevel preferredSupplierId preferredSupplierName')
+      .lean(),
+    BranchInventory.find({ branch: branchId }).select('inventoryItem currentStock lowStockThreshold costPrice parLevel').lean(),
+    loadConsumption(restaurantId, branchId, since),
+    loadOnOrder(restaurantId, branchId),
+  ]);
+  const rowMap = new Map(branchRows.map((r) => [r.inventoryItem.toString(), r]));
+  // Preferred supplier's list price beats the stock cost price as the PO estimate
+  const listPrices = await SupplierPrice.find({
+    restaurant: restaurantId,
+    supplier: { $in: [...new Set(items.filter((i) => i.preferredSupplierId).map((i) => i.preferredSupplierId.toString()))] },
+    isActive: true,
+  })
+    .select('supplier inventoryItem unitPrice')
+    .lean();
+  const listPriceMap = new Map(listPrices.map((p) => [`${p.supplier}:${p.inventoryItem}`, p.unitPrice]));
+
+  const groups = new Map();
+  let lineCount = 0;
+  for (const item of items) {
+    const key = item._id.toString();
+    const row = rowMap.get(key);
+    const stock = row?.currentStock || 0;
+    const threshold = row?.lowStockThreshold || 0;
+    const par = row?.parLevel || item.parLevel || 0;
+    const costPrice = row?.costPrice || item.costPrice || 0;
+    const avgDaily = (consumption.get(key) || 0) / opts.lookbackDays;
+    const incoming = onOrder.get(key) || 0;
+
+    const reorderPoint = Math.max(threshold, avgDaily * opts.leadTimeDays);
+    if (reorderPoint <= 0 || stock + incoming > reorderPoint) continue;
+    const target = par > 0 ? par : Math.max(reorderPoint + avgDaily * opts.coverDays, threshold * 2);
+    const suggestedQty = roundOrderQty(target - stock - incoming, item.unit);
+    if (suggestedQty <= 0) continue;
+
+    const supplierKey = item.preferredSupplierId ? item.preferredSupplierId.toString() : 'unassigned';
+    const group = groups.get(supplierKey) || {
+      supplierId: item.preferredSupplierId ? supplierKey : null,
+      supplierName: item.preferredSupplierName || '',
+      lines: [],
+      estimatedTotal: 0,
+    };
+    const estimatedUnitCost =
+      listPriceMap.get(`${supplierKey}:${key}`) ?? Math.round(stockValue(1, item.unit, costPrice) * 10000) / 10000;
+    group.lines.push({
+      inventoryItem: key,
+      itemName: item.name,
+      unit: item.unit,
+      currentStock: roundQty(stock),
+      lowStockThreshold: threshold,
+      parLevel: par,
+      onOrder: roundQty(incoming),
+      avgDailyUsage: roundQty(avgDaily),
+      daysOfCover: avgDaily > 0 ? round2(stock / avgDaily) : null,
+      reorderPoint: roundQty(reorderPoint),
+      suggestedQty,
+      estimatedUnitCost,
+      estimatedCost: round2(suggestedQty * estimatedUnitCost),
+    });
+    group.estimatedTotal = round2(group.estimatedTotal + suggestedQty * estimatedUnitCost);
+    groups.set(supplierKey, group);
+    lineCount += 1;
+  }
+
+  // Current supplier names (the item only keeps a snapshot)
+  const supplierIds = [...groups.values()].map((g) => g.supplierId).filter(Boolean);
+  if (supplierIds.length) {
+    const parties = await Party.find({ _id: { $in: supplierIds }, tenantId: restaurantId }).select('_id name').lean();
+    for (const p of parties) groups.get(p._id.toString()).supplierName = p.name;
+  }
+  for (const g of groups.values()) {
+    if (!g.supplierId) g.supplierName = 'No preferred supplier';
+    g.lines.sort((a, b) => a.itemName.localeCompare(b.itemName));
+  }
+
+  return {
+    branchId: String(branchId),
+    ...opts,
+    generatedAt: now,
+    itemCount: lineCount,
+    suppliers: [...groups.values()].sort((a, b) => (a.supplierId ? 0 : 1) - (b.supplierId ? 0 : 1) || a.supplierName.localeCompare(b.supplierName)),
+  };
+}
+
+/**
+ * One draft purchase order per supplier from the current suggestions.
+ * Items without a preferred supplier are returned as `unassigned` instead of ordered.
+ * @param {Array<string>} [supplierIds] - only these suppliers (default all)
+ * @param {Array<string>} [excludeItemIds] - leave these items out
+ * @returns {Promise<{ orders: Array<object>, unassigned: Array<object>, suggestions: object }>}
+ */
+async function createReorderPurchaseOrders({
+  restaurantId,
+  branchId,
+  supplierIds = null,
+  excludeItemIds = [],
+  options = {},
+  expectedDeliveryDate = null,
+  createdBy = null,
+}) {
+  const suggestions = await buildReorderSuggestions({ restaurantId, branchId, options });
+  const wanted = Array.isArray(supplierIds) && supplierIds.length ? new Set(supplierIds.map(String)) : null;
+  const excluded = new Set((excludeItemIds || []).map(String));
+
+  const orders = [];
+  let unassigned = [];
+  for (const group of suggestions.suppliers) {
+    const lines = group.lines.filter((l) => !excluded.has(l.inventoryItem));
+    if (lines.length === 0) continue;
+    if (!group.supplierId) {
+      unassigned = lines;
+      continue;
+    }
+    if (wanted && !wanted.has(group.supplierId)) continue;
+
+    const poLines = lines.map((l) => ({
+      inventoryItem: l.inventoryItem,
+      itemName: l.itemName,
+      unit: l.unit,
+      orderedQty: l.suggestedQty,
+      receivedQty: 0,
+      estimatedUnitCost: l.estimatedUnitCost,
+      notes: `Auto reorder: stock ${l.currentStock}, on order ${l.onOrder}, avg ${l.avgDailyUsage}/day`,
+    }));
+    orders.push(
+      await PurchaseOrder.create({
+        restaurant: restaurantId,
+        branch: branchId,
+        supplierId: group.supplierId,
+        supplierName: group.supplierName,
+        expectedDeliveryDate: expectedDeliveryDate || null,
+        notes: `Generated from reorder suggestions (${suggestions.lookbackDays}-day usage)`,
+        lines: poLines,
+        totalEstimatedCost: round2(poLines.reduce((s, l) => s + l.orderedQty * l.estimatedUnitCost, 0)),
+        createdBy,
+      })
+    );
+  }
+  return { orders, unassigned, suggestions };
+}
+
+module.exports = {
+  DEFAULT_REORDER_OPTIONS,
+  buildReorderSuggestions,
+  createReorderPurchaseOrders,
+};
@@ -0,0 +1,313 @@
+/**
+ * Physical stock counts (stocktakes).
+ * Starting a count freezes the system quantity and cost of every item at the branch. Staff
+ * enter what they find (several people / locations add up), a variance report compares the
+ * count with the snapshot, and a manager's approval posts the difference: stock is adjusted by
+ * the variance (so sales made while counting are kept) and the value goes to the books as
+ * Dr Stock Loss / Cr Inventory for shortages and the reverse for surpluses.
+ */
+
+const mongoose = require('mongoose');
+const StockCount = require('../models/StockCount');
+const InventoryItem = require('../models/InventoryItem');
+const BranchInventory = require('../models/BranchInventory');
+const { stockValue, addStock, deductStock, reverseStockMovements } = require('./inventoryService');
+const { postStockCountVoucher } = require('./accounting/stockCountPost');
+
+const OPEN_STATUSES = ['IN_PROGRESS', 'SUBMITTED'];
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function roundQty(n) {
+  return Math.round((Number(n) || 0) * 1e6) / 1e6;
+}
+
+function countError(status, message, code) {
+  return { error: { status, message, code } };
+}
+
+/**
+ * Freeze current quantities for a new count. Only one open count per branch.
+ * @param {Array<string>} [inventoryItemIds] - count a subset (cycle count); default all items
+ * @returns {Promise<{ count: object } | { error: object }>}
+ */
+async function startStockCount({ restaurantId, branchId = null, inventoryItemIds = null, notes = '', createdBy = null }) {
+  const open = await StockCount.findOne({
+    restaurant: restaurantId,
+    branch: branchId || null,
+    status: { $in: OPEN_STATUSES },
+  })
+    .select('countNumber')
+    .lean();
+  if (open) {
+    return countError(409, `Stock count ${open.countNumber} is still open for this branch`, 'STOCK_COUNT_OPEN');
+  }
+
+  const itemQuery = { restaurant: restaurantId };
+  if (branchId) itemQuery.branch = { $in: [null, branchId] };
+  if (Array.isArray(inventoryItemIds) && inventoryItemIds.length > 0) {
+    const ids = inventoryItemIds.filter((id) => mongoose.Types.ObjectId.isValid(id));
+    if (ids.length === 0) return countError(400, 'No valid inventory items selected', 'STOCK_COUNT_NO_ITEMS');
+    itemQuery._id = { $in: ids };
+  }
+  const items = await InventoryItem.find(itemQuery).select('_id name unit currentStock costPrice').sort({ name: 1 }).lean();
+  if (items.length === 0) return countError(400, 'No inventory items to count', 'STOCK_COUNT_NO_ITEMS');
+
+  let branchRows = new Map();
+  if (branchId) {
+    const rows = await BranchInventory.find({ branch: branchId, inventoryItem: { $in: items.map((i) => i._id) } })
+      .select('inventoryItem currentStock costPrice')
+      .lean();
+    branchRows = new Map(rows.map((r) => [r.inventoryItem.toString(), r]));
+  }
+
+  const count = await StockCount.create({
+    restaurant: restaurantId,
+    branch: branchId || null,
+    notes: String(notes || '').trim(),
+    snapshotAt: new Date(),
+    createdBy,
+    lines: items.map((item) => {
+      const row = branchId ? branchRows.get(item._id.toString()) : null;
+      return {
+        inventoryItem: item._id,
+        itemName: item.name,
+        unit: item.unit,
+        systemQty: branchId ? row?.currentStock || 0 : item.currentStock || 0,
+        costPrice: (row && row.costPrice) || item.costPrice || 0,
+      };
+    }),
+  });
+  return { count };
+}
+
+/**
+ * Add or replace count entries. Each (counter, location) pair has one entry per item;
+ * the line's countedQty is the sum of its entries.
+ * @param {Array<{ inventoryItemId, quantity, location? }>} entries
+ * @returns {Promise<{ count: object } | { error: object }>}
+ */
+async function recordCountEntries({ restaurantId, countId, entries, user }) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return countError(400, 'entries are required', 'STOCK_COUNT_ENTRIES_REQUIRED');
+  }
+  for (const e of entries) {
+    const qty = Number(e?.quantity);
+    if (!e?.inventoryItemId || !Number.isFinite(qty) || qty < 0) {
+      return countError(400, 'Each entry needs an inventoryItemId and a quantity of 0 or more', 'STOCK_COUNT_INVALID_ENTRY');
+    }
+  }
+
+  // Several people count at once: retry on a concurrent save instead of losing their entries
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const count = await StockCount.findOne({ _id: countId, restaurant: restaurantId });
+    if (!count) return countError(404, 'Stock count not found', 'STOCK_COUNT_NOT_FOUND');
+    if (count.status !== 'IN_PROGRESS') {
+      return countError(400, `Stock count is ${count.status.toLowerCase().replace('_', ' ')}`, 'STOCK_COUNT_NOT_OPEN');
+    }
+
+    const lineByItem = new Map(count.lines.map((l) => [l.inventoryItem.toString(), l]));
+    const unknown = entries.find((e) => !lineByItem.has(String(e.inventoryItemId)));
+    if (unknown) {
+      return countError(400, 'Item is not part of this stock count', 'STOCK_COUNT_UNKNOWN_ITEM');
+    }
+
+    const userId = user?._id ? user._id.toString() : '';
+    for (const e of entries) {
+      const line = lineByItem.get(String(e.inventoryItemId));
+      const location = String(e.location || '').trim();
+      const kept = line.entries.filter(
+        (x) => !((x.countedBy ? x.countedBy.toString() : '') === userId && (x.location || '') === location)
+      );
+      kept.push({
+        countedBy: user?._id || null,
+        countedByName: user?.name || '',
+        location,
+        quantity: roundQty(e.quantity),
+        countedAt: new Date(),
+      });
+      line.entries = kept;
+      line.countedQty = roundQty(kept.reduce((s, x) => s + x.quantity, 0));
+    }
+
+    try {
+      await count.save();
+      return { count };
+    } catch (err) {
+      if (err.name !== 'VersionError') throw err;
+    }
+  }
+  return countError(409, 'Stock count is being updated by someone else, please retry', 'STOCK_COUNT_BUSY');
+}
+
+/**
+ * Variance per line (counted - snapshot) in quantity and value. Uncounted lines have no variance
+ * and are left unchanged on approval.
+ */
+function buildVarianceReport(count) {
+  const totals = { items: 0, counted: 0, uncounted: 0, withVariance: 0, shortageValue: 0, surplusValue: 0, netValue: 0 };
+  const lines = (count.lines || []).map((l) => {
+    const counted = l.countedQty != null;
+    const varianceQty = counted ? roundQty(l.countedQty - l.systemQty) : 0;
+    const varianceValue = round2(stockValue(varianceQty, l.unit, l.costPrice));
+    totals.items += 1;
+    if (counted) totals.counted += 1;
+    else totals.uncounted += 1;
+    if (varianceQty !== 0) totals.withVariance += 1;
+    if (varianceValue < 0) totals.shortageValue += -varianceValue;
+    if (varianceValue > 0) totals.surplusValue += varianceValue;
+    return {
+      inventoryItemId: l.inventoryItem.toString(),
+      itemName: l.itemName,
+      unit: l.unit,
+      costPrice: l.costPrice,
+      systemQty: l.systemQty,
+      systemValue: round2(stockValue(l.systemQty, l.unit, l.costPrice)),
+      countedQty: counted ? l.countedQty : null,
+      varianceQty,
+      varianceValue,
+      entries: (l.entries || []).map((e) => ({
+        countedBy: e.countedBy ? e.countedBy.toString() : null,
+        countedByName: e.countedByName || '',
+        location: e.location || '',
+        quantity: e.quantity,
+        countedAt: e.countedAt,
+      })),
+    };
+  });
+  totals.shortageValue = round2(totals.shortageValue);
+  totals.surplusValue = round2(totals.surplusValue);
+  totals.netValue = round2(totals.surplusValue - totals.shortageValue);
+  return { lines, totals };
+}
+
+/** Move a count between states with a guarded update (no double submit / approve). */
+async function transitionStockCount({ restaurantId, countId, from, to, set = {} }) {
+  const count = await StockCount.findOneAndUpdate(
+    { _id: countId, restaurant: restaurantId, status: { $in: from } },
+    { $set: { status: to, ...set } },
+    { new: true }
+  );
+  if (count) return { count };
+  const existing = await StockCount.findOne({ _id: countId, restaurant: restaurantId }).select('status').lean();
+  if (!existing) return countError(404, 'Stock count not found', 'STOCK_COUNT_NOT_FOUND');
+  return countError(400, `Stock count is ${existing.status.toLowerCase().replace('_', ' ')}`, 'STOCK_COUNT_INVALID_STATUS');
+}
+
+/**
+ * Manager approval: adjust stock by each line's variance, then post the journal.
+ * Stock changes are all-or-nothing; an accounting failure is recorded on the count
+ * (accountingError) and does not undo the adjustment.
+ * @returns {Promise<{ count: object, movements: Array<object> } | { error: object }>}
+ */
+async function approveStockCount({ restaurantId, countId, approvedBy = null }) {
+  const claimed = await transitionStockCount({
+    restaurantId,
+    countId,
+    from: ['SUBMITTED'],
+    to: 'APPROVED',
+    set: { approvedBy, approvedAt: new Date() },
+  });
+  if (claimed.error) return claimed;
+  const { count } = claimed;
+
+  const gains = new Map();
+  const losses = new Map();
+  for (const line of count.lines) {
+    if (line.countedQty == null) continue;
+    const variance = roundQty(line.countedQty - line.systemQty);
+    if (variance > 0) gains.set(line.inventoryItem.toString(), variance);
+    if (variance < 0) losses.set(line.inventoryItem.toString(), -variance);
+  }
+
+  const log = {
+    type: 'STOCK_COUNT',
+    referenceType: 'StockCount',
+    referenceId: count._id,
+    referenceNumber: count.countNumber,
+    note: count.notes || '',
+    createdBy: approvedBy,
+  };
+  let movements = [];
+  try {
+    // Never below zero: stock sold since the snapshot may already have used part of the shortage
+    const deducted = await deductStock({ restaurantId, branchId: count.branch, quantities: losses, allowOutOfStock: true, log });
+    movements = deducted.movements;
+    movements = movements.concat(
+      await addStock({ restaurantId, branchId: count.branch, quantities: gains, createMissing: true, log })
+    );
+  } catch (err) {
+    await reverseStockMovements(restaurantId, movements).catch(() => {});
+    await StockCount.updateOne(
+      { _id: count._id, status: 'APPROVED' },
+      { $set: { status: 'SUBMITTED', approvedBy: null, approvedAt: null } }
+    );
+    throw err;
+  }
+
+  // Value what was actually posted to stock so the journal ties to the ledger
+  const lineByItem = new Map(count.lines.map((l) => [l.inventoryItem.toString(), l]));
+  let shortageValue = 0;
+  let surplusValue = 0;
+  for (const m of movements) {
+    const line = lineByItem.get(m.inventoryItem);
+    const value = stockValue(Math.abs(m.quantity), line?.unit, line?.costPrice);
+    if (m.quantity < 0) shortageValue += value;
+    else surplusValue += value;
+  }
+  count.varianceValue = round2(surplusValue - shortageValue);
+
+  try {
+    const voucher = await postStockCountVoucher({
+      tenantId: restaurantId,
+      count,
+      shortageValue,
+      surplusValue,
+      createdBy: approvedBy,
+    });
+    if (voucher) {
+      count.accountingVoucherId = voucher._id;
+      count.accountingVoucherNumber = voucher.voucherNumber;
+    }
+  } catch (err) {
+    count.accountingError = err.message;
+    console.error('Stock count accounting post failed:', err.message);
+  }
+  await count.save();
+
+  return { count, movements };
+}
+
+function mapStockCount(c, { includeLines = false } = {}) {
+  const report = buildVarianceReport(c);
+  return {
+    id: c._id.toString(),
+    countNumber: c.countNumber,
+    branchId: c.branch ? c.branch.toString() : null,
+    status: c.status,
+    notes: c.notes || '',
+    snapshotAt: c.snapshotAt,
+    createdBy: c.createdBy || null,
+    submittedAt: c.submittedAt || null,
+    approvedBy: c.approvedBy || null,
+    approvedAt: c.approvedAt || null,
+    cancelledAt: c.cancelledAt || null,
+    totals: report.totals,
+    varianceValue: c.status === 'APPROVED' ? c.varianceValue : report.totals.netValue,
+    accountingVoucherNumber: c.accountingVoucherNumber || null,
+    accountingError: c.accountingError || null,
+    lines: includeLines ? report.lines : undefined,
+    createdAt: c.createdAt,
+  };
+}
+
+module.exports = {
+  startStockCount,
+  recordCountEntries,
+  buildVarianceReport,
+  transitionStockCount,
+  approveStockCount,
+  mapStockCount,
+};
@@ -0,0 +1,359 @@
+/**
+ * Inter-branch stock transfers (central kitchen / warehouse -> outlets).
+ * Dispatch takes the stock out of the source branch (TRANSFER_OUT); until the destination
+ * confirms receipt it is in transit and counted at neither branch. Receipt adds what actually
+ * arrived (TRANSFER_IN); the difference is recorded per line as a shortfall with a reason.
+ * With settings.postTransferJournals the value moves through Stock in Transit (30504), or
+ * straight between branches' inventory when no dispatch voucher was posted; the destination
+ * is re-costed per settings.inventoryCostingMethod.
+ */
+
+const mongoose = require('mongoose');
+const StockTransfer = require('../models/StockTransfer');
+const InventoryItem = require('../models/InventoryItem');
+const BranchInventory = require('../models/BranchInventory');
+const Branch = require('../models/Branch');
+const Restaurant = require('../models/Restaurant');
+const { stockValue, addStock, deductStock } = require('./inventoryService');
+const { applyReceiptCosts } = require('./costingService');
+const { postTransferDispatchVoucher, postTransferReceiptVoucher } = require('./accounting/stockTransferPost');
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function roundQty(n) {
+  return Math.round((Number(n) || 0) * 1e6) / 1e6;
+}
+
+function transferError(status, message, code, details) {
+  return { error: { status, message, code, details } };
+}
+
+/** Quantities keyed by inventory item id from a request body's lines. */
+function qtyByItem(lines, key) {
+  const map = new Map();
+  for (const l of Array.isArray(lines) ? lines : []) {
+    if (!l?.inventoryItem) continue;
+    map.set(String(l.inventoryItem), { qty: Number(l[key]), reason: String(l.discrepancyReason || '').trim() });
+  }
+  return map;
+}
+
+async function loadBranchNames(restaurantId, ids) {
+  const branches = await Branch.find({ _id: { $in: ids }, restaurant: restaurantId }).select('_id name').lean();
+  return new Map(branches.map((b) => [b._id.toString(), b.name]));
+}
+
+async function transferJournalsEnabled(restaurantId) {
+  const restaurant = await Restaurant.findById(restaurantId).select('settings.postTransferJournals').lean();
+  return Boolean(restaurant?.settings?.postTransferJournals);
+}
+
+/**
+ * New transfer request. Lines: [{ inventoryItem, requestedQty }].
+ * @returns {Promise<{ transfer: object } | { error: object }>}
+ */
+async function createTransfer({ restaurantId, fromBranchId, toBranchId, lines, notes = '', requestedBy = null }) {
+  if (!fromBranchId || !toBranchId) return transferError(400, 'fromBranchId and toBranchId are required');
+  if (String(fromBranchId) === String(toBranchId)) {
+    return transferError(400, 'Source and destination branch must be different');
+  }
+  const names = await loadBranchNames(restaurantId, [fromBranchId, toBranchId].filter((id) => mongoose.Types.ObjectId.isValid(id)));
+  if (!names.has(String(fromBranchId)) || !names.has(String(toBranchId))) {
+    return transferError(400, 'Invalid branch for this restaurant');
+  }
+  if (!Array.isArray(lines) || lines.length === 0) return transferError(400, 'lines (min 1) are required');
+
+  const requested = qtyByItem(lines, 'requestedQty');
+  if (requested.size !== lines.length || [...requested.values()].some((r) => !(r.qty > 0))) {
+    return transferError(400, 'Each line requires inventoryItem and requestedQty > 0 (one line per item)');
+  }
+  const ids = [...requested.keys()].filter((id) => mongoose.Types.ObjectId.isValid(id));
+  const items = await InventoryItem.find({
+    _id: { $in: ids },
+    restaurant: restaurantId,
+    branch: { $in: [null, fromBranchId, toBranchId] },
+  })
+    .select('_id name unit')
+    .lean();
+  if (items.length !== requested.size) return transferError(400, 'One or more inventory items were not found');
+
+  const transfer = await StockTransfer.create({
+    restaurant: restaurantId,
+    fromBranch: fromBranchId,
+    toBranch: toBranchId,
+    notes: String(notes || ''),
+    requestedBy,
+    lines: items.map((item) => ({
+      inventoryItem: item._id,
+      itemName: item.name,
+      unit: item.unit,
+      requestedQty: roundQty(requested.get(item._id.toString()).qty),
+    })),
+  });
+  return { transfer };
+}
+
+/**
+ * Send the stock. Lines may lower (or zero) the requested quantities; without lines the
+ * requested quantities are sent. The source must hold the full quantity of every line.
+ * @returns {Promise<{ transfer: object } | { error: object }>}
+ */
+async function dispatchTransfer({ restaurantId, transferId, lines = null, dispatchedBy = null }) {
+  const transfer = await StockTransfer.findOneAndUpdate(
+    { _id: transferId, restaurant: restaurantId, status: 'requested' },
+    { $set: { status: 'dispatched', dispatchedBy, dispatchedAt: new Date() } },
+    { new: true }
+  );
+  if (!transfer) {
+    const existing = await StockTransfer.findOne({ _id: transferId, restaurant: restaurantId }).select('status').lean();
+    if (!existing) return transferError(404, 'Transfer not found');
+    return transferError(400, `Transfer is already ${existing.status}`);
+  }
+  const revert = () =>
+    StockTransfer.updateOne(
+      { _id: transfer._id, status: 'dispatched' },
+      { $set: { status: 'requested', dispatchedBy: null, dispatchedAt: null } }
+    );
+
+  const sent = lines ? qtyByItem(lines, 'dispatchedQty') : null;
+  const quantities = new Map();
+  for (const line of transfer.lines) {
+    const key = line.inventoryItem.toString();
+    const qty = sent && sent.has(key) ? sent.get(key).qty : line.requestedQty;
+    if (!Number.isFinite(qty) || qty < 0) {
+      await revert();
+      return transferError(400, `Invalid dispatchedQty for ${line.itemName}`);
+    }
+    line.dispatchedQty = roundQty(qty);
+    if (line.dispatchedQty > 0) quantities.set(key, line.dispatchedQty);
+  }
+  if (quantities.size === 0) {
+    await revert();
+    return transferError(400, 'Nothing to dispatch');
+  }
+
+  const [itemDefs, sourceRows] = await Promise.all([
+    InventoryItem.find({ _id: { $in: [...quantities.keys()] } }).select('_id costPrice').lean(),
+    BranchInventory.find({ branch: transfer.fromBranch, inventoryItem: { $in: [...quantities.keys()] } })
+      .select('inventoryItem costPrice')
+      .lean(),
+  ]);
+  const itemCost = new Map(itemDefs.map((d) => [d._id.toString(), d.costPrice || 0]));
+  const branchCost = new Map(sourceRows.map((r) => [r.inventoryItem.toString(), r.costPrice || 0]));
+
+  let deduction;
+  try {
+    deduction = await deductStock({
+      restaurantId,
+      branchId: transfer.fromBranch,
+      quantities,
+      log: {
+        type: 'TRANSFER_OUT',
+        referenceType: 'StockTransfer',
+        referenceId: transfer._id,
+        referenceNumber: transfer.transferNumber,
+        createdBy: dispatchedBy,
+      },
+    });
+  } catch (err) {
+    await revert();
+    throw err;
+  }
+  if (deduction.error) {
+    await revert();
+    return { error: deduction.error };
+  }
+
+  let value = 0;
+  for (const line of transfer.lines) {
+    const key = line.inventoryItem.toString();
+    line.costPrice = branchCost.get(key) || itemCost.get(key) || 0;
+    value += stockValue(line.dispatchedQty, line.unit, line.costPrice);
+  }
+  transfer.dispatchedValue = round2(value);
+
+  if (await transferJournalsEnabled(restaurantId)) {
+    try {
+      const names = await loadBranchNames(restaurantId, [transfer.fromBranch, transfer.toBranch]);
+      const voucher = await postTransferDispatchVoucher({
+        tenantId: restaurantId,
+        transfer,
+        fromName: names.get(transfer.fromBranch.toString()) || 'Source',
+        toName: names.get(transfer.toBranch.toString()) || 'Destination',
+        createdBy: dispatchedBy,
+      });
+      if (voucher) transfer.dispatchVoucherNumber = voucher.voucherNumber;
+    } catch (err) {
+      transfer.accountingError = err.message;
+      console.error('Transfer dispatch accounting post failed:', err.message);
+    }
+  }
+
+  await transfer.save();
+  return { transfer };
+}
+
+/**
+ * Confirm what arrived. Lines: [{ inventoryItem, receivedQty, discrepancyReason }]; lines not
+ * sent are taken as fully received. Received can't exceed dispatched; a shortfall needs a reason.
+ * @returns {Promise<{ transfer: object } | { error: object }>}
+ */
+async function receiveTransfer({ restaurantId, transferId, lines = null, receiptNotes = '', receivedBy = null }) {
+  const current = await StockTransfer.findOne({ _id: transferId, restaurant: restaurantId });
+  if (!current) return transferError(404, 'Transfer not found');
+  if (current.status !== 'dispatched') return transferError(400, `Only dispatched transfers can be received (status: ${current.status})`);
+
+  const got = lines ? qtyByItem(lines, 'receivedQty') : null;
+  const receipt = [];
+  for (const line of current.lines) {
+    const key = line.inventoryItem.toString();
+    const entry = got && got.has(key) ? got.get(key) : { qty: line.dispatchedQty, reason: '' };
+    if (!Number.isFinite(entry.qty) || entry.qty < 0 || roundQty(entry.qty) > line.dispatchedQty) {
+      return transferError(400, `receivedQty for ${line.itemName} must be between 0 and ${line.dispatchedQty}`);
+    }
+    const receivedQty = roundQty(entry.qty);
+    const shortQty = roundQty(line.dispatchedQty - receivedQty);
+    if (shortQty > 0 && !entry.reason) {
+      return transferError(400, `Give a discrepancyReason for the ${shortQty} ${line.unit} of ${line.itemName} not received`);
+    }
+    receipt.push({ key, receivedQty, shortQty, reason: shortQty > 0 ? entry.reason : '' });
+  }
+
+  // Claim the receipt so two devices can't both add the stock
+  const transfer = await StockTransfer.findOneAndUpdate(
+    { _id: current._id, status: 'dispatched' },
+    { $set: { status: 'received', receivedBy, receivedAt: new Date() } },
+    { new: true }
+  );
+  if (!transfer) return transferError(409, 'Transfer was received by someone else');
+
+  const quantities = new Map();
+  const byKey = new Map(receipt.map((r) => [r.key, r]));
+  let value = 0;
+  for (const line of transfer.lines) {
+    const r = byKey.get(line.inventoryItem.toString());
+    line.receivedQty = r.receivedQty;
+    line.shortQty = r.shortQty;
+    line.discrepancyReason = r.reason;
+    if (r.receivedQty > 0) quantities.set(r.key, r.receivedQty);
+    value += stockValue(r.receivedQty, line.unit, line.costPrice);
+  }
+  transfer.receivedValue = round2(value);
+  transfer.receiptNotes = String(receiptNotes || '');
+
+  let movements;
+  try {
+    movements = await addStock({
+      restaurantId,
+      branchId: transfer.toBranch,
+      quantities,
+      createMissing: true,
+      log: {
+        type: 'TRANSFER_IN',
+        referenceType: 'StockTransfer',
+        referenceId: transfer._id,
+        referenceNumber: transfer.transferNumber,
+        createdBy: receivedBy,
+      },
+    });
+  } catch (err) {
+    await StockTransfer.updateOne(
+      { _id: transfer._id, status: 'received' },
+      { $set: { status: 'dispatched', receivedBy: null, receivedAt: null } }
+    );
+    throw err;
+  }
+
+  // Destination cost follows the transferred cost (settings.inventoryCostingMethod)
+  let costingMethod = 'MANUAL';
+  try {
+    ({ method: costingMethod } = await applyReceiptCosts({
+      restaurantId,
+      branchId: transfer.toBranch,
+      movements,
+      costPrices: new Map(
+        transfer.lines.filter((l) => l.receivedQty > 0 && l.costPrice).map((l) => [l.inventoryItem.toString(), l.costPrice])
+      ),
+      reason: 'TRANSFER_IN',
+      reference: { type: 'StockTransfer', id: transfer._id, number: transfer.transferNumber },
+      createdBy: receivedBy,
+    }));
+  } catch (err) {
+    console.error('Transfer receipt costing failed:', err.message);
+  }
+  // With manual costing, rows created on first receipt start without a cost; carry the source's over
+  if (costingMethod === 'MANUAL') {
+    for (const line of transfer.lines) {
+      if (!line.receivedQty || !line.costPrice) continue;
+      await BranchInventory.updateOne(
+        { branch: transfer.toBranch, inventoryItem: line.inventoryItem, costPrice: { $in: [0, null] } },
+        { $set: { costPrice: line.costPrice } }
+      );
+    }
+  }
+
+  if (await transferJournalsEnabled(restaurantId)) {
+    try {
+      const names = await loadBranchNames(restaurantId, [transfer.fromBranch, transfer.toBranch]);
+      const voucher = await postTransferReceiptVoucher({
+        tenantId: restaurantId,
+        transfer,
+        fromName: names.get(transfer.fromBranch.toString()) || 'Source',
+        toName: names.get(transfer.toBranch.toString()) || 'Destination',
+        createdBy: receivedBy,
+      });
+      if (voucher) transfer.receiptVoucherNumber = voucher.voucherNumber;
+    } catch (err) {
+      transfer.accountingError = err.message;
+      console.error('Transfer receipt accounting post failed:', err.message);
+    }
+  }
+
+  await transfer.save();
+  return { transfer };
+}
+
+/**
+ * Stock dispatched but not yet received, per item (optionally for one destination / source).
+ * @returns {Promise<{ transfers: number, totalValue: number, items: Array<object> }>}
+ */
+async function loadInTransit(restaurantId, { toBranchId = null, fromBranchId = null } = {}) {
+  const query = { restaurant: restaurantId, status: 'dispatched' };
+  if (toBranchId) query.toBranch = toBranchId;
+  if (fromBranchId) query.fromBranch = fromBranchId;
+  const transfers = await StockTransfer.find(query).select('transferNumber fromBranch toBranch dispatchedAt lines').lean();
+
+  const items = new Map();
+  let totalValue = 0;
+  for (const t of transfers) {
+    for (const line of t.lines) {
+      if (!line.dispatchedQty) continue;
+      const key = `${line.inventoryItem}:${t.toBranch}`;
+      const row = items.get(key) || {
+        inventoryItemId: line.inventoryItem.toString(),
+        itemName: line.itemName,
+        unit: line.unit,
+        toBranchId: t.toBranch.toString(),
+        quantity: 0,
+        value: 0,
+        transfers: [],
+      };
+      const value = stockValue(line.dispatchedQty, line.unit, line.costPrice);
+      row.quantity = roundQty(row.quantity + line.dispatchedQty);
+      row.value = round2(row.value + value);
+      row.transfers.push(t.transferNumber);
+      items.set(key, row);
+      totalValue += value;
+    }
+  }
+  return { transfers: transfers.length, totalValue: round2(totalValue), items: [...items.values()] };
+}
+
+module.exports = {
+  createTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  loadInTransit,
+};
@@ -0,0 +1,477 @@
+/**
+ * Supplier bills and payment runs. A bill covers one or more posted credit GRNs from the same
+ * supplier and is three-way matched on creation: each line against the quantity received (net
+ * of purchase returns) at the GRN cost, and against the PO's ordered quantity and estimated
+ * cost. Price variances use settings.purchasePriceAlertPercent as tolerance. Bills with
+ * variances need approval before they are payable. Returns posted after billing are credited
+ * against the bill's balance (purchaseReturnService). Payment runs settle payable bills oldest due
+ * first with one cash / bank payment voucher per supplier; partial payments are allowed.
+ */
+
+const mongoose = require('mongoose');
+const SupplierBill = require('../models/SupplierBill');
+const SupplierPaymentRun = require('../models/SupplierPaymentRun');
+const GoodsReceivedNote = require('../models/GoodsReceivedNote');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Restaurant = require('../models/Restaurant');
+const { Party } = require('../models/accounting');
+const { loadReturnableLines } = require('./purchaseReturnService');
+const { DEFAULT_PRICE_ALERT_PERCENT } = require('./supplierPriceService');
+const { postBillAdjustmentVoucher, postSupplierPaymentVoucher } = require('./accounting/supplierBillPost');
+
+const PAYMENT_TERM_DAYS = { immediate: 0, '7days': 7, '15days': 15, '30days': 30, '60days': 60 };
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Not due' },
+  { key: 'days1to30', label: '1-30 days' },
+  { key: 'days31to60', label: '31-60 days' },
+  { key: 'days61to90', label: '61-90 days' },
+  { key: 'over90', label: '90+ days' },
+];
+const PAYABLE_MATCH = ['matched', 'variance_approved'];
+const QTY_EPSILON = 1e-6;
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function round4(n) {
+  return Math.round((Number(n) || 0) * 10000) / 10000;
+}
+
+function billError(status, message, code, details) {
+  return { error: { status, message, code, details } };
+}
+
+function priceOff(price, expected, tolerancePercent) {
+  return expected > 0 && (Math.abs(price - expected) / expected) * 100 > tolerancePercent;
+}
+
+function daysOverdue(dueDate, asOf) {
+  return Math.max(0, Math.floor((asOf.getTime() - new Date(dueDate).getTime()) / 86400000));
+}
+
+function agingBucket(days) {
+  if (days <= 0) return 'current';
+  if (days <= 30) return 'days1to30';
+  if (days <= 60) return 'days31to60';
+  if (days <= 90) return 'days61to90';
+  return 'over90';
+}
+
+/** Received (net of returns) per item across the GRNs, with the average GRN unit cost. */
+async function loadReceived(grns) {
+  const received = new Map();
+  for (const grn of grns) {
+    for (const [key, l] of await loadReturnableLines(grn)) {
+      const row = received.get(key) || { itemName: l.itemName, unit: l.unit, qty: 0, value: 0 };
+      row.qty += l.returnableQty;
+      row.value += l.returnableQty * l.unitCost;
+      received.set(key, row);
+    }
+  }
+  return received;
+}
+
+/** Ordered quantity and average estimated cost per item across the POs. */
+function loadOrdered(pos) {
+  const ordered = new Map();
+  for (const po of pos) {
+    for (const l of po.lines || []) {
+      const key = String(l.inventoryItem);
+      const row = ordered.get(key) || { qty: 0, value: 0 };
+      row.qty += l.orderedQty || 0;
+      row.value += (l.orderedQty || 0) * (l.estimatedUnitCost || 0);
+      ordered.set(key, row);
+    }
+  }
+  return ordered;
+}
+
+/**
+ * Create a bill for posted credit GRNs of one supplier.
+ * Lines default to what was received at GRN cost (a matched bill).
+ * @param {{ grnIds: Array<string>, supplierInvoiceNumber?, billDate?, dueDate?, lines?: Array<{ inventoryItem, billedQty, unitPrice }>, notes? }} input
+ * @returns {Promise<{ bill: object } | { error: object }>}
+ */
+async function createSupplierBill({ restaurantId, input = {}, user = null }) {
+  const grnIds = (Array.isArray(input.grnIds) ? input.grnIds : []).filter((id) => mongoose.Types.ObjectId.isValid(id));
+  if (grnIds.length === 0) return billError(400, 'grnIds (min 1) are required', 'BILL_GRNS_REQUIRED');
+
+  const grns = await GoodsReceivedNote.find({ _id: { $in: grnIds }, restaurant: restaurantId }).lean();
+  if (grns.length !== new Set(grnIds.map(String)).size) return billError(404, 'GRN not found', 'BILL_GRN_NOT_FOUND');
+  for (const grn of grns) {
+    if (grn.status !== 'posted') return billError(400, `GRN ${grn.grnNumber} is not posted`, 'BILL_GRN_NOT_POSTED');
+    if (grn.paymentType !== 'credit') return billError(400, `GRN ${grn.grnNumber} was paid in cash`, 'BILL_GRN_NOT_CREDIT');
+    if (grn.supplierBill) return billError(409, `GRN ${grn.grnNumber} is already billed`, 'BILL_GRN_ALREADY_BILLED');
+    if (!grn.supplierId) return billError(400, `GRN ${grn.grnNumber} has no supplier account`, 'BILL_SUPPLIER_REQUIRED');
+  }
+  const supplierIds = new Set(grns.map((g) => String(g.supplierId)));
+  if (supplierIds.size > 1) return billError(400, 'All GRNs on a bill must be from the same supplier', 'BILL_MIXED_SUPPLIERS');
+  const supplier = await Party.findOne({ _id: grns[0].supplierId, tenantId: restaurantId }).lean();
+  if (!supplier) return billError(404, 'Supplier not found', 'BILL_SUPPLIER_NOT_FOUND');
+
+  const billDate = input.billDate ? new Date(input.billDate) : new Date();
+  if (Number.isNaN(billDate.getTime())) return billError(400, 'Invalid billDate', 'BILL_INVALID_DATE');
+  const dueDate = input.dueDate
+    ? new Date(input.dueDate)
+    : new Date(billDate.getTime() + (PAYMENT_TERM_DAYS[supplier.paymentTerms] || 0) * 86400000);
+  if (Number.isNaN(dueDate.getTime())) return billError(400, 'Invalid dueDate', 'BILL_INVALID_DATE');
+
+  const poIds = [...new Set(grns.filter((g) => g.purchaseOrder).map((g) => String(g.purchaseOrder)))];
+  const [received, pos, restaurant] = await Promise.all([
+    loadReceived(grns),
+    poIds.length ? PurchaseOrder.find({ _id: { $in: poIds }, restaurant: restaurantId }).lean() : [],
+    Restaurant.findById(restaurantId).select('settings.purchasePriceAlertPercent').lean(),
+  ]);
+  const ordered = loadOrdered(pos);
+  const tolerance = restaurant?.settings?.purchasePriceAlertPercent ?? DEFAULT_PRICE_ALERT_PERCENT;
+
+  let requested;
+  if (Array.isArray(input.lines) && input.lines.length) {
+    requested = input.lines.map((l) => ({
+      key: String(l.inventoryItem || ''),
+      qty: Number(l.billedQty),
+      price: Number(l.unitPrice),
+    }));
+    if (requested.some((l) => !mongoose.Types.ObjectId.isValid(l.key) || !(l.qty >= 0) || !(l.price >= 0))) {
+      return billError(400, 'Each line requires inventoryItem, billedQty >= 0, unitPrice >= 0', 'BILL_LINE_INVALID');
+    }
+  } else {
+    requested = [...received.entries()]
+      .filter(([, r]) => r.qty > QTY_EPSILON)
+      .map(([key, r]) => ({ key, qty: r.qty, price: r.value / r.qty }));
+  }
+
+  const lines = requested.map((l) => {
+    const rec = received.get(l.key);
+    const ord = ordered.get(l.key);
+    const receivedUnitCost = rec && rec.qty > 0 ? round4(rec.value / rec.qty) : null;
+    const orderedUnitCost = ord && ord.qty > 0 && ord.value > 0 ? round4(ord.value / ord.qty) : null;
+    const flags = [];
+    if (!rec || rec.qty <= QTY_EPSILON) flags.push('NOT_RECEIVED');
+    else if (l.qty > rec.qty + QTY_EPSILON) flags.push('QTY_OVER_RECEIVED');
+    else if (l.qty < rec.qty - QTY_EPSILON) flags.push('QTY_UNDER_RECEIVED');
+    if (ord && l.qty > ord.qty + QTY_EPSILON) flags.push('QTY_OVER_ORDERED');
+    if (priceOff(l.price, orderedUnitCost, tolerance)) flags.push('PRICE_VS_PO');
+    if (priceOff(l.price, receivedUnitCost, tolerance)) flags.push('PRICE_VS_GRN');
+    return {
+      inventoryItem: l.key,
+      itemName: rec?.itemName || '',
+      unit: rec?.unit || '',
+      billedQty: round4(l.qty),
+      unitPrice: round4(l.price),
+      amount: round2(l.qty * l.price),
+      receivedQty: rec ? round4(rec.qty) : 0,
+      receivedUnitCost,
+      orderedQty: ord ? round4(ord.qty) : null,
+      orderedUnitCost,
+      flags,
+    };
+  });
+  if (lines.some((l) => !l.itemName)) {
+    return billError(400, 'Bill lines must be items received on these GRNs', 'BILL_ITEM_NOT_RECEIVED');
+  }
+  // Received but not billed at all is a quantity variance too
+  for (const [key, rec] of received) {
+    if (rec.qty > QTY_EPSILON && !lines.some((l) => l.inventoryItem === key)) {
+      lines.push({
+        inventoryItem: key,
+        itemName: rec.itemName,
+        unit: rec.unit,
+        billedQty: 0,
+        unitPrice: 0,
+        amount: 0,
+        receivedQty: round4(rec.qty),
+        receivedUnitCost: round4(rec.value / rec.qty),
+        orderedQty: ordered.get(key) ? round4(ordered.get(key).qty) : null,
+        orderedUnitCost: null,
+        flags: ['QTY_UNDER_RECEIVED'],
+      });
+    }
+  }
+
+  const totalAmount = round2(lines.reduce((s, l) => s + l.amount, 0));
+  const bill = new SupplierBill({
+    restaurant: restaurantId,
+    branch: new Set(grns.map((g) => String(g.branch))).size === 1 ? grns[0].branch : null,
+    supplierInvoiceNumber: String(input.supplierInvoiceNumber || '').trim(),
+    supplierId: supplier._id,
+    supplierName: supplier.name,
+    billDate,
+    dueDate,
+    grns: grns.map((g) => g._id),
+    grnNumbers: grns.map((g) => g.grnNumber),
+    purchaseOrders: pos.map((p) => p._id),
+    poNumbers: pos.map((p) => p.poNumber),
+    lines,
+    totalAmount,
+    receivedValue: round2([...received.values()].reduce((s, r) => s + r.value, 0)),
+    matchStatus: lines.some((l) => l.flags.length) ? 'variance' : 'matched',
+    balanceDue: totalAmount,
+    notes: String(input.notes || ''),
+    createdBy: user?._id || null,
+  });
+  await bill.save();
+
+  // Claim the GRNs; another bill may have taken one in the meantime
+  const claimed = await GoodsReceivedNote.updateMany(
+    { _id: { $in: bill.grns }, supplierBill: null },
+    { $set: { supplierBill: bill._id } }
+  );
+  if (claimed.modifiedCount !== bill.grns.length) {
+    await GoodsReceivedNote.updateMany({ supplierBill: bill._id }, { $set: { supplierBill: null } });
+    await SupplierBill.deleteOne({ _id: bill._id });
+    return billError(409, 'One of the GRNs was billed by someone else', 'BILL_GRN_ALREADY_BILLED');
+  }
+
+  if (bill.matchStatus === 'matched') await postAdjustment(bill, user);
+  await bill.save();
+  return { bill };
+}
+
+/** Book the bill vs GRN difference against the payable (must not block the bill). */
+async function postAdjustment(bill, user) {
+  try {
+    const voucher = await postBillAdjustmentVoucher({ tenantId: bill.restaurant, bill, createdBy: user?._id || null });
+    if (voucher) {
+      bill.adjustmentVoucherId = voucher._id;
+      bill.adjustmentVoucherNumber = voucher.voucherNumber;
+    }
+  } catch (err) {
+    bill.accountingError = err.message;
+    console.error('Supplier bill accounting post failed:', err.message);
+  }
+}
+
+/** Accept a bill's variances so it can be paid. */
+async function approveBillVariance({ restaurantId, billId, user = null }) {
+  const bill = await SupplierBill.findOneAndUpdate(
+    { _id: billId, restaurant: restaurantId, matchStatus: 'variance', status: 'open' },
+    { $set: { matchStatus: 'variance_approved', varianceApprovedBy: user?._id || null, varianceApprovedAt: new Date() } },
+    { new: true }
+  );
+  if (!bill) {
+    const exists = await SupplierBill.exists({ _id: billId, restaurant: restaurantId });
+    return exists
+      ? billError(400, 'Only open bills with variances can be approved', 'BILL_NOT_IN_VARIANCE')
+      : billError(404, 'Bill not found', 'BILL_NOT_FOUND');
+  }
+  await postAdjustment(bill, user);
+  await bill.save();
+  return { bill };
+}
+
+/** Cancel an unpaid bill whose difference has not been journalled; its GRNs can be billed again. */
+async function cancelSupplierBill({ restaurantId, billId }) {
+  const bill = await SupplierBill.findOneAndUpdate(
+    { _id: billId, restaurant: restaurantId, status: 'open', amountPaid: 0, adjustmentVoucherId: null },
+    { $set: { status: 'cancelled', balanceDue: 0 } },
+    { new: true }
+  );
+  if (!bill) {
+    const exists = await SupplierBill.exists({ _id: billId, restaurant: restaurantId });
+    return exists
+      ? billError(400, 'Only unpaid bills without a posted variance can be cancelled', 'BILL_NOT_CANCELLABLE')
+      : billError(404, 'Bill not found', 'BILL_NOT_FOUND');
+  }
+  await GoodsReceivedNote.updateMany({ supplierBill: bill._id }, { $set: { supplierBill: null } });
+  return { bill };
+}
+
+/**
+ * Open bills by supplier in aging buckets (days past due as of `asOf`).
+ * @returns {Promise<object>}
+ */
+async function buildPayablesAging({ restaurantId, asOf = new Date(), supplierId = null }) {
+  const filter = { restaurant: restaurantId, status: { $in: ['open', 'partially_paid'] }, billDate: { $lte: asOf } };
+  if (supplierId) filter.supplierId = supplierId;
+  const bills = await SupplierBill.find(filter).sort({ dueDate: 1 }).lean();
+
+  const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0]));
+  const suppliers = new Map();
+  const totals = { ...emptyBuckets(), balanceDue: 0 };
+  for (const b of bills) {
+    const overdue = daysOverdue(b.dueDate, asOf);
+    const bucket = agingBucket(overdue);
+    const key = b.supplierId.toString();
+    const row = suppliers.get(key) || { supplierId: key, supplierName: b.supplierName, ...emptyBuckets(), balanceDue: 0, bills: [] };
+    row[bucket] = round2(row[bucket] + b.balanceDue);
+    row.balanceDue = round2(row.balanceDue + b.balanceDue);
+    row.bills.push({
+      id: b._id.toString(),
+      billNumber: b.billNumber,
+      supplierInvoiceNumber: b.supplierInvoiceNumber,
+      billDate: b.billDate,
+      dueDate: b.dueDate,
+      daysOverdue: overdue,
+      bucket,
+      totalAmount: b.totalAmount,
+      amountPaid: b.amountPaid,
+      balanceDue: b.balanceDue,
+      status: b.status,
+      matchStatus: b.matchStatus,
+      payable: PAYABLE_MATCH.includes(b.matchStatus),
+    });
+    suppliers.set(key, row);
+    totals[bucket] = round2(totals[bucket] + b.balanceDue);
+    totals.balanceDue = round2(totals.balanceDue + b.balanceDue);
+  }
+
+  return {
+    asOf: asOf.toISOString(),
+    buckets: AGING_BUCKETS,
+    suppliers: [...suppliers.values()].sort((a, b) => b.balanceDue - a.balanceDue),
+    totals,
+  };
+}
+
+/**
+ * Pay supplier bills. Either name the bills ({ billId, amount? } — amount defaults to the
+ * balance) or let the run pick every payable bill due by `dueBy`, oldest due first, optionally
+ * limited to `supplierIds` and capped at `maxTotal`. One voucher per supplier; a supplier whose
+ * voucher fails keeps its bills unpaid and is reported in the run.
+ * @returns {Promise<{ run: object } | { error: object }>}
+ */
+async function runSupplierPayments({ restaurantId, input = {}, user = null }) {
+  const method = input.method;
+  if (!['cash', 'bank'].includes(method)) return billError(400, 'method must be cash or bank', 'PAYMENT_INVALID_METHOD');
+  const paymentAccountId =
+    input.paymentAccountId && mongoose.Types.ObjectId.isValid(input.paymentAccountId) ? input.paymentAccountId : null;
+  if (method === 'bank' && !paymentAccountId) {
+    return billError(400, 'paymentAccountId is required for bank payments', 'PAYMENT_ACCOUNT_REQUIRED');
+  }
+  const paymentDate = input.paymentDate ? new Date(input.paymentDate) : new Date();
+  if (Number.isNaN(paymentDate.getTime())) return billError(400, 'Invalid paymentDate', 'PAYMENT_INVALID_DATE');
+
+  const payable = { restaurant: restaurantId, status: { $in: ['open', 'partially_paid'] }, matchStatus: { $in: PAYABLE_MATCH } };
+  let selections;
+  if (Array.isArray(input.payments) && input.payments.length) {
+    const ids = input.payments.map((p) => p?.billId).filter((id) => mongoose.Types.ObjectId.isValid(id));
+    const bills = await SupplierBill.find({ ...payable, _id: { $in: ids } }).lean();
+    const billMap = new Map(bills.map((b) => [b._id.toString(), b]));
+    selections = [];
+    for (const p of input.payments) {
+      const bill = billMap.get(String(p?.billId));
+      if (!bill) return billError(400, 'Bill not found or not payable (open, matched or approved)', 'PAYMENT_BILL_NOT_PAYABLE', [{ billId: p?.billId }]);
+      const amount = p.amount === undefined ? bill.balanceDue : round2(p.amount);
+      if (!(amount > 0) || amount > bill.balanceDue + 0.005) {
+        return billError(400, `Amount for ${bill.billNumber} must be between 0 and ${bill.balanceDue}`, 'PAYMENT_INVALID_AMOUNT');
+      }
+      selections.push({ bill, amount });
+    }
+  } else {
+    const dueBy = input.dueBy ? new Date(input.dueBy) : paymentDate;
+    if (Number.isNaN(dueBy.getTime())) return billError(400, 'Invalid dueBy', 'PAYMENT_INVALID_DATE');
+    const filter = { ...payable, dueDate: { $lte: dueBy } };
+    if (Array.isArray(input.supplierIds) && input.supplierIds.length) filter.supplierId = { $in: input.supplierIds };
+    const bills = await SupplierBill.find(filter).sort({ dueDate: 1, billDate: 1 }).lean();
+    let budget = Number(input.maxTotal) > 0 ? round2(input.maxTotal) : Infinity;
+    selections = [];
+    for (const bill of bills) {
+      if (budget <= 0) break;
+      const amount = round2(Math.min(bill.balanceDue, budget));
+      selections.push({ bill, amount });
+      budget = round2(budget - amount);
+    }
+  }
+  if (selections.length === 0) return billError(400, 'No payable bills selected', 'PAYMENT_NOTHING_TO_PAY');
+
+  const run = new SupplierPaymentRun({
+    restaurant: restaurantId,
+    method,
+    paymentAccountId,
+    paymentDate,
+    notes: String(input.notes || ''),
+    createdBy: user?._id || null,
+  });
+  await run.save();
+
+  const bySupplier = new Map();
+  for (const s of selections) {
+    const key = s.bill.supplierId.toString();
+    if (!bySupplier.has(key)) bySupplier.set(key, []);
+    bySupplier.get(key).push(s);
+  }
+
+  for (const group of bySupplier.values()) {
+    const { supplierId, supplierName } = group[0].bill;
+    // Reserve the amounts on the bills first so two runs cannot pay the same balance
+    const reserved = [];
+    for (const s of group) {
+      const updated = await SupplierBill.findOneAndUpdate(
+        { _id: s.bill._id, status: { $in: ['open', 'partially_paid'] }, balanceDue: { $gte: s.amount - 0.005 } },
+        {
+          $inc: { amountPaid: s.amount, balanceDue: -s.amount },
+          $push: { payments: { amount: s.amount, method, paidAt: paymentDate, paymentRun: run._id } },
+        },
+        { new: true }
+      );
+      if (updated) reserved.push({ ...s, bill: updated });
+      else run.payments.push({ bill: s.bill._id, billNumber: s.bill.billNumber, supplierId, supplierName, amount: s.amount, error: 'Balance changed; not paid' });
+    }
+    if (reserved.length === 0) continue;
+
+    let voucher = null;
+    let error = null;
+    try {
+      voucher = await postSupplierPaymentVoucher({
+        tenantId: restaurantId,
+        method,
+        paymentAccountId,
+        paymentDate,
+        supplierId,
+        supplierName,
+        allocations: reserved.map((s) => ({ billNumber: s.bill.billNumber, amount: s.amount })),
+        runNumber: run.runNumber,
+        createdBy: user?._id || null,
+      });
+    } catch (err) {
+      error = err.message;
+      console.error('Supplier payment voucher failed:', err.message);
+    }
+
+    for (const s of reserved) {
+      if (voucher) {
+        const paid = s.bill.balanceDue <= 0.005;
+        await SupplierBill.updateOne(
+          { _id: s.bill._id, 'payments.paymentRun': run._id },
+          {
+            $set: {
+              status: paid ? 'paid' : 'partially_paid',
+              ...(paid ? { balanceDue: 0 } : {}),
+              'payments.$.voucherId': voucher._id,
+              'payments.$.voucherNumber': voucher.voucherNumber,
+            },
+          }
+        );
+      } else {
+        await SupplierBill.updateOne(
+          { _id: s.bill._id },
+          { $inc: { amountPaid: -s.amount, balanceDue: s.amount }, $pull: { payments: { paymentRun: run._id } } }
+        );
+      }
+      run.payments.push({
+        bill: s.bill._id,
+        billNumber: s.bill.billNumber,
+        supplierId,
+        supplierName,
+        amount: s.amount,
+        voucherNumber: voucher?.voucherNumber || null,
+        error,
+      });
+    }
+  }
+
+  run.totalPaid = round2(run.payments.filter((p) => !p.error).reduce((s, p) => s + p.amount, 0));
+  await run.save();
+  return { run };
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  createSupplierBill,
+  approveBillVariance,
+  cancelSupplierBill,
+  buildPayablesAging,
+  runSupplierPayments,
+};
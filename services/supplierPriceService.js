@@ -0,0 +1,373 @@
+/**
+ * Supplier price lists. Each supplier (accounting Party) can list a unit price per inventory
+ * item; draft POs fill missing line costs from it. Posted GRNs keep the list current, record
+ * price changes in SupplierPriceHistory and flag unit costs that drift from the PO or the last
+ * price by more than settings.purchasePriceAlertPercent.
+ */
+
+const mongoose = require('mongoose');
+const SupplierPrice = require('../models/SupplierPrice');
+const SupplierPriceHistory = require('../models/SupplierPriceHistory');
+const GoodsReceivedNote = require('../models/GoodsReceivedNote');
+const InventoryItem = require('../models/InventoryItem');
+const { Party } = require('../models/accounting');
+
+const DEFAULT_PRICE_ALERT_PERCENT = 10;
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function round4(n) {
+  return Math.round((Number(n) || 0) * 10000) / 10000;
+}
+
+function priceError(status, message, code) {
+  return { error: { status, message, code } };
+}
+
+/** % change from `from` to `to`; null when there is nothing to compare with. */
+function percentChange(from, to) {
+  if (from == null || !(from > 0)) return null;
+  return round2(((to - from) / from) * 100);
+}
+
+async function findSupplier(restaurantId, supplierId) {
+  if (!supplierId || !mongoose.Types.ObjectId.isValid(supplierId)) return null;
+  return Party.findOne({ _id: supplierId, tenantId: restaurantId, type: 'supplier' }).select('_id name').lean();
+}
+
+function mapSupplierPrice(p) {
+  return {
+    id: p._id.toString(),
+    supplierId: p.supplier.toString(),
+    supplierName: p.supplierName,
+    inventoryItemId: p.inventoryItem.toString(),
+    itemName: p.itemName,
+    unit: p.unit,
+    unitPrice: p.unitPrice,
+    supplierSku: p.supplierSku || '',
+    minOrderQty: p.minOrderQty || 0,
+    lastPurchasePrice: p.lastPurchasePrice,
+    lastPurchasedAt: p.lastPurchasedAt,
+    priceUpdatedAt: p.priceUpdatedAt,
+    isActive: p.isActive,
+  };
+}
+
+async function listSupplierPrices(restaurantId, supplierId, { includeInactive = false } = {}) {
+  const filter = { restaurant: restaurantId, supplier: supplierId };
+  if (!includeInactive) filter.isActive = true;
+  const prices = await SupplierPrice.find(filter).sort({ itemName: 1 }).lean();
+  return prices.map(mapSupplierPrice);
+}
+
+/**
+ * Add or update price list entries for one supplier. A changed unit price is written to history.
+ * @param {Array<{ inventoryItem, unitPrice, supplierSku?, minOrderQty?, isActive? }>} lines
+ * @returns {Promise<{ prices: Array<object> } | { error: object }>}
+ */
+async function upsertSupplierPrices({ restaurantId, supplierId, lines, user = null }) {
+  const supplier = await findSupplier(restaurantId, supplierId);
+  if (!supplier) return priceError(404, 'Supplier not found', 'SUPPLIER_NOT_FOUND');
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return priceError(400, 'lines (min 1) are required', 'PRICE_LINES_REQUIRED');
+  }
+  for (const line of lines) {
+    if (!line?.inventoryItem || !mongoose.Types.ObjectId.isValid(line.inventoryItem)) {
+      return priceError(400, 'Each line requires a valid inventoryItem', 'PRICE_LINE_INVALID');
+    }
+    if (!(Number(line.unitPrice) >= 0)) {
+      return priceError(400, 'unitPrice must be 0 or more', 'PRICE_LINE_INVALID');
+    }
+  }
+
+  const itemIds = [...new Set(lines.map((l) => String(l.inventoryItem)))];
+  const items = await InventoryItem.find({ _id: { $in: itemIds }, restaurant: restaurantId }).select('_id name unit').lean();
+  if (items.length !== itemIds.length) return priceError(404, 'Inventory item not found', 'PRICE_ITEM_NOT_FOUND');
+  const itemMap = new Map(items.map((i) => [i._id.toString(), i]));
+
+  const existing = await SupplierPrice.find({ restaurant: restaurantId, supplier: supplier._id, inventoryItem: { $in: itemIds } }).lean();
+  const existingMap = new Map(existing.map((p) => [p.inventoryItem.toString(), p]));
+
+  const now = new Date();
+  const history = [];
+  for (const line of lines) {
+    const key = String(line.inventoryItem);
+    const item = itemMap.get(key);
+    const prev = existingMap.get(key);
+    const unitPrice = round4(line.unitPrice);
+    const set = {
+      supplierName: supplier.name,
+      itemName: item.name,
+      unit: item.unit,
+      unitPrice,
+    };
+    if (line.supplierSku !== undefined) set.supplierSku = String(line.supplierSku || '').trim();
+    if (line.minOrderQty !== undefined) set.minOrderQty = Math.max(0, Number(line.minOrderQty) || 0);
+    if (typeof line.isActive === 'boolean') set.isActive = line.isActive;
+
+    const changed = !prev || Math.abs(prev.unitPrice - unitPrice) > 0.00001;
+    if (changed) {
+      set.priceUpdatedAt = now;
+      history.push({
+        restaurant: restaurantId,
+        supplier: supplier._id,
+        supplierName: supplier.name,
+        inventoryItem: item._id,
+        itemName: item.name,
+        unit: item.unit,
+        previousPrice: prev ? prev.unitPrice : null,
+        unitPrice,
+        changePercent: percentChange(prev?.unitPrice, unitPrice),
+        source: 'PRICE_LIST',
+        effectiveAt: now,
+        createdBy: user?._id || null,
+      });
+    }
+    await SupplierPrice.updateOne(
+      { restaurant: restaurantId, supplier: supplier._id, inventoryItem: item._id },
+      { $set: set },
+      { upsert: true }
+    );
+  }
+  if (history.length) await SupplierPriceHistory.insertMany(history);
+
+  const prices = await SupplierPrice.find({ restaurant: restaurantId, supplier: supplier._id, inventoryItem: { $in: itemIds } })
+    .sort({ itemName: 1 })
+    .lean();
+  return { prices: prices.map(mapSupplierPrice) };
+}
+
+/** Active list price per inventory item id for one supplier. */
+async function getSupplierPriceMap(restaurantId, supplierId, itemIds) {
+  if (!supplierId) return new Map();
+  const prices = await SupplierPrice.find({
+    restaurant: restaurantId,
+    supplier: supplierId,
+    inventoryItem: { $in: itemIds },
+    isActive: true,
+  })
+    .select('inventoryItem unitPrice')
+    .lean();
+  return new Map(prices.map((p) => [p.inventoryItem.toString(), p.unitPrice]));
+}
+
+/**
+ * PO lines with estimatedUnitCost filled from the supplier's price list where it was left at 0.
+ * @param {Array<object>} lines - sanitized PO lines
+ */
+async function fillOrderLinePrices(restaurantId, supplierId, lines) {
+  const missing = lines.filter((l) => !(l.estimatedUnitCost > 0)).map((l) => String(l.inventoryItem));
+  if (!supplierId || missing.length === 0) return lines;
+  const priceMap = await getSupplierPriceMap(restaurantId, supplierId, missing);
+  return lines.map((l) =>
+    !(l.estimatedUnitCost > 0) && priceMap.has(String(l.inventoryItem))
+      ? { ...l, estimatedUnitCost: priceMap.get(String(l.inventoryItem)) }
+      : l
+  );
+}
+
+/**
+ * After a GRN is posted: compare unit costs with the PO and the supplier's last price, then
+ * update the price list and its history. Without a supplierId only the PO check runs.
+ * @returns {Promise<Array<object>>} price alerts for grn.priceAlerts
+ */
+async function recordGrnPrices({ restaurantId, grn, po = null, alertPercent = DEFAULT_PRICE_ALERT_PERCENT, user = null }) {
+  const threshold = Number.isFinite(Number(alertPercent)) ? Number(alertPercent) : DEFAULT_PRICE_ALERT_PERCENT;
+  // Last line wins when an item appears twice on the GRN
+  const costs = new Map();
+  for (const line of grn.lines) costs.set(String(line.inventoryItem), line);
+
+  const itemIds = [...costs.keys()];
+  const listed = grn.supplierId
+    ? await SupplierPrice.find({ restaurant: restaurantId, supplier: grn.supplierId, inventoryItem: { $in: itemIds } }).lean()
+    : [];
+  const listedMap = new Map(listed.map((p) => [p.inventoryItem.toString(), p]));
+  const poCosts = new Map(
+    (po?.lines || []).filter((l) => l.estimatedUnitCost > 0).map((l) => [String(l.inventoryItem), l.estimatedUnitCost])
+  );
+
+  const alerts = [];
+  const history = [];
+  const when = grn.receivedDate || new Date();
+  for (const [key, line] of costs) {
+    const unitCost = line.unitCost;
+    const checks = [
+      ['PO', poCosts.get(key)],
+      ['LAST_PRICE', listedMap.get(key)?.lastPurchasePrice ?? listedMap.get(key)?.unitPrice],
+    ];
+    for (const [basis, expected] of checks) {
+      const deviation = percentChange(expected, unitCost);
+      if (deviation != null && Math.abs(deviation) > threshold) {
+        alerts.push({
+          inventoryItem: line.inventoryItem,
+          itemName: line.itemName,
+          unitCost,
+          basis,
+          expectedUnitCost: expected,
+          deviationPercent: deviation,
+        });
+      }
+    }
+
+    if (!grn.supplierId) continue;
+    const prev = listedMap.get(key);
+    const previousPrice = prev ? prev.lastPurchasePrice ?? prev.unitPrice : null;
+    if (previousPrice == null || Math.abs(previousPrice - unitCost) > 0.00001) {
+      history.push({
+        restaurant: restaurantId,
+        supplier: grn.supplierId,
+        supplierName: grn.supplierName,
+        inventoryItem: line.inventoryItem,
+        itemName: line.itemName,
+        unit: line.unit,
+        previousPrice,
+        unitPrice: unitCost,
+        changePercent: percentChange(previousPrice, unitCost),
+        source: 'GRN',
+        grn: grn._id,
+        grnNumber: grn.grnNumber,
+        effectiveAt: when,
+        createdBy: user?._id || null,
+      });
+    }
+    await SupplierPrice.updateOne(
+      { restaurant: restaurantId, supplier: grn.supplierId, inventoryItem: line.inventoryItem },
+      {
+        $set: {
+          supplierName: grn.supplierName,
+          itemName: line.itemName,
+          unit: line.unit,
+          unitPrice: unitCost,
+          lastPurchasePrice: unitCost,
+          lastPurchasedAt: when,
+          priceUpdatedAt: when,
+        },
+      },
+      { upsert: true }
+    );
+  }
+  if (history.length) await SupplierPriceHistory.insertMany(history);
+  return alerts;
+}
+
+async function getPriceHistory({ restaurantId, inventoryItemId = null, supplierId = null, from = null, to = null, limit = 100 }) {
+  const filter = { restaurant: restaurantId };
+  if (inventoryItemId) filter.inventoryItem = inventoryItemId;
+  if (supplierId) filter.supplier = supplierId;
+  if (from || to) {
+    filter.effectiveAt = {};
+    if (from) filter.effectiveAt.$gte = from;
+    if (to) filter.effectiveAt.$lte = to;
+  }
+  return SupplierPriceHistory.find(filter)
+    .sort({ effectiveAt: -1, _id: -1 })
+    .limit(Math.min(500, Math.max(1, Number(limit) || 100)))
+    .lean();
+}
+
+/**
+ * Suppliers side by side per inventory item: list price, last purchase price and what was
+ * actually bought (posted GRNs) in the period. Cheapest supplier is by list price.
+ * @returns {Promise<{ from, to, items: Array<object> }>}
+ */
+async function buildSupplierComparison({ restaurantId, inventoryItemId = null, from, to }) {
+  const priceFilter = { restaurant: restaurantId, isActive: true };
+  if (inventoryItemId) priceFilter.inventoryItem = new mongoose.Types.ObjectId(inventoryItemId);
+  const grnMatch = { restaurant: restaurantId, status: 'posted', supplierId: { $ne: null }, receivedDate: { $gte: from, $lte: to } };
+  const lineMatch = inventoryItemId ? { 'lines.inventoryItem': priceFilter.inventoryItem } : {};
+
+  const [prices, purchases] = await Promise.all([
+    SupplierPrice.find(priceFilter).lean(),
+    GoodsReceivedNote.aggregate([
+      { $match: grnMatch },
+      { $unwind: '$lines' },
+      { $match: lineMatch },
+      {
+        $group: {
+          _id: { item: '$lines.inventoryItem', supplier: '$supplierId' },
+          supplierName: { $last: '$supplierName' },
+          itemName: { $last: '$lines.itemName' },
+          unit: { $last: '$lines.unit' },
+          quantity: { $sum: '$lines.receivedQty' },
+          spend: { $sum: '$lines.totalCost' },
+          minUnitCost: { $min: '$lines.unitCost' },
+          maxUnitCost: { $max: '$lines.unitCost' },
+          grnCount: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  const items = new Map();
+  const entry = (itemId, itemName, unit) => {
+    const key = itemId.toString();
+    if (!items.has(key)) items.set(key, { inventoryItemId: key, itemName, unit, suppliers: new Map() });
+    return items.get(key);
+  };
+  const supplierRow = (item, supplierId, supplierName) => {
+    const key = supplierId.toString();
+    if (!item.suppliers.has(key)) {
+      item.suppliers.set(key, {
+        supplierId: key,
+        supplierName,
+        listPrice: null,
+        lastPurchasePrice: null,
+        lastPurchasedAt: null,
+        quantity: 0,
+        spend: 0,
+        avgUnitCost: null,
+        minUnitCost: null,
+        maxUnitCost: null,
+        grnCount: 0,
+      });
+    }
+    return item.suppliers.get(key);
+  };
+
+  for (const p of prices) {
+    const row = supplierRow(entry(p.inventoryItem, p.itemName, p.unit), p.supplier, p.supplierName);
+    row.listPrice = p.unitPrice;
+    row.lastPurchasePrice = p.lastPurchasePrice;
+    row.lastPurchasedAt = p.lastPurchasedAt;
+  }
+  for (const g of purchases) {
+    const row = supplierRow(entry(g._id.item, g.itemName, g.unit), g._id.supplier, g.supplierName);
+    row.quantity = round4(g.quantity);
+    row.spend = round2(g.spend);
+    row.avgUnitCost = g.quantity > 0 ? round4(g.spend / g.quantity) : null;
+    row.minUnitCost = g.minUnitCost;
+    row.maxUnitCost = g.maxUnitCost;
+    row.grnCount = g.grnCount;
+  }
+
+  const result = [...items.values()].map((item) => {
+    const suppliers = [...item.suppliers.values()].sort(
+      (a, b) => (a.listPrice ?? a.avgUnitCost ?? Infinity) - (b.listPrice ?? b.avgUnitCost ?? Infinity)
+    );
+    const listed = suppliers.filter((s) => s.listPrice != null).map((s) => s.listPrice);
+    const cheapest = suppliers.find((s) => s.listPrice != null) || null;
+    return {
+      ...item,
+      suppliers: suppliers.map((s) => ({ ...s, isCheapest: cheapest ? s.supplierId === cheapest.supplierId : false })),
+      cheapestSupplierId: cheapest?.supplierId || null,
+      priceSpreadPercent: listed.length > 1 ? percentChange(Math.min(...listed), Math.max(...listed)) : null,
+    };
+  });
+  result.sort((a, b) => a.itemName.localeCompare(b.itemName));
+
+  return { from: from.toISOString(), to: to.toISOString(), items: result };
+}
+
+module.exports = {
+  DEFAULT_PRICE_ALERT_PERCENT,
+  findSupplier,
+  listSupplierPrices,
+  upsertSupplierPrices,
+  getSupplierPriceMap,
+  fillOrderLinePrices,
+  recordGrnPrices,
+  getPriceHistory,
+  buildSupplierComparison,
+};
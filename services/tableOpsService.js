@@ -0,0 +1,408 @@
+/**
+ * Table operations for dine-in service:
+ * - transfer: move a party's open order(s) to a free table;
+ * - merge: join tables into one bill — unpaid orders on the joined tables are folded into the
+ *   bill (lines, deals, discount and food cost move; the old order becomes MERGED);
+ * - unmerge: take a joined table off the bill again, giving back the lines its order brought.
+ * Table status, seated reservations and Table.joinedTo follow each operation. Callers emit the
+ * socket updates from the returned tables and orders.
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Table = require('../models/Table');
+const Reservation = require('../models/Reservation');
+const { syncOrderStatusFromLines } = require('../utils/kitchenRouting');
+const { repriceOrder } = require('./openTabService');
+
+// Orders still at the table (paid-at-counter orders stay there until delivered)
+const SEATED_STATUSES = ['NEW_ORDER', 'PROCESSING', 'READY', 'SPLIT'];
+const MERGEABLE_STATUSES = ['NEW_ORDER', 'PROCESSING', 'READY'];
+
+function tableError(status, message, code, details) {
+  return { error: { status, message, code, details } };
+}
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function idOf(value) {
+  if (!value) return '';
+  return value._id ? value._id.toString() : value.toString();
+}
+
+function toPlain(doc) {
+  return doc && typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+}
+
+/** Orders seated at a table (split checks are reached through their parent). */
+function seatedOrdersFilter(table) {
+  return {
+    restaurant: table.restaurant,
+    branch: table.branch || null,
+    status: { $in: SEATED_STATUSES },
+    parentOrder: null,
+    $or: [{ table: table._id }, { tableName: table.name }],
+  };
+}
+
+/**
+ * Save the bill's lines, merge entries and totals, unless it was paid or changed by someone
+ * else since it was read (same check as open tab rounds and voids).
+ * @returns {Promise<object|null>} the updated order, or null on conflict
+ */
+function saveBillChanges(order, loadedAt) {
+  const plain = order.toObject({ depopulate: true });
+  const fields = [
+    'items',
+    'appliedDeals',
+    'mergedTables',
+    'status',
+    'statusHistory',
+    'subtotal',
+    'discountAmount',
+    'taxInclusive',
+    'taxLines',
+    'taxAmount',
+    'serviceChargeRate',
+    'serviceChargeAmount',
+    'total',
+    'grandTotal',
+    'ingredientCost',
+    'profit',
+  ];
+  const $set = {};
+  for (const f of fields) $set[f] = plain[f];
+  return Order.findOneAndUpdate(
+    { _id: order._id, updatedAt: loadedAt, paymentMethod: 'PENDING', status: { $in: MERGEABLE_STATUSES } },
+    { $set },
+    { new: true }
+  );
+}
+
+async function loadTables(restaurantId, ids) {
+  const unique = [...new Set(ids.map(String))];
+  if (unique.some((id) => !mongoose.Types.ObjectId.isValid(id))) return tableError(400, 'Invalid table id', 'INVALID_TABLE');
+  const tables = await Table.find({ _id: { $in: unique }, restaurant: restaurantId });
+  if (tables.length !== unique.length) return tableError(404, 'Table not found', 'TABLE_NOT_FOUND');
+  const branches = new Set(tables.map((t) => idOf(t.branch)));
+  if (branches.size > 1) return tableError(400, 'Tables must be in the same branch', 'TABLES_DIFFERENT_BRANCH');
+  return { tables: new Map(tables.map((t) => [t._id.toString(), t])) };
+}
+
+function setTableState(table, occupied, joinedTo = null) {
+  table.status = occupied ? 'occupied' : 'available';
+  table.isAvailable = !occupied;
+  table.joinedTo = joinedTo;
+  return table.save();
+}
+
+/**
+ * Move the open orders on `fromTableId` (or just `orderId`) to a free table.
+ * @returns {Promise<{ orders: Array<object>, tables: Array<object> } | { error }>}
+ */
+async function transferTable({ restaurantId, fromTableId, toTableId, orderId = null }) {
+  if (String(fromTableId) === String(toTableId)) return tableError(400, 'Choose a different table', 'SAME_TABLE');
+  const loaded = await loadTables(restaurantId, [fromTableId, toTableId]);
+  if (loaded.error) return loaded;
+  const from = loaded.tables.get(String(fromTableId));
+  const to = loaded.tables.get(String(toTableId));
+  if (from.joinedTo) {
+    return tableError(409, 'Table is joined to another table; unmerge it first', 'TABLE_JOINED');
+  }
+  if (to.joinedTo || (to.status && to.status !== 'available') || to.isAvailable === false) {
+    return tableError(409, `Table ${to.name} is not free; merge the tables instead`, 'TABLE_NOT_AVAILABLE');
+  }
+
+  const seated = await Order.find(seatedOrdersFilter(from));
+  if (orderId && !seated.some((o) => o._id.toString() === String(orderId))) {
+    return tableError(404, 'Order is not open on this table', 'ORDER_NOT_ON_TABLE');
+  }
+  const moving = orderId ? seated.filter((o) => o._id.toString() === String(orderId)) : seated;
+  if (moving.length === 0) return tableError(404, 'No open order on this table', 'TABLE_HAS_NO_ORDER');
+  const movingAll = moving.length === seated.length;
+
+  const ids = moving.map((o) => o._id);
+  const set = { table: to._id, tableName: to.name };
+  await Order.updateMany({ _id: { $in: ids } }, { $set: set });
+  // Split checks carry the table too; the number shown on tickets follows when it was the table name
+  await Order.updateMany({ parentOrder: { $in: ids } }, { $set: set });
+  await Order.updateMany({ $or: [{ _id: { $in: ids } }, { parentOrder: { $in: ids } }], tableNumber: from.name }, { $set: { tableNumber: to.name } });
+
+  const tables = [await setTableState(to, true)];
+  if (movingAll) {
+    // The party moved: its reservation and any tables joined to it follow
+    await Reservation.findOneAndUpdate(
+      { restaurant: restaurantId, branch: from.branch || null, tableNumber: from.name, status: 'seated' },
+      { $set: { tableNumber: to.name, table: to._id } }
+    );
+    const joined = await Table.find({ restaurant: restaurantId, joinedTo: from._id });
+    for (const t of joined) tables.push(await setTableState(t, true, to._id));
+    tables.push(await setTableState(from, false));
+  }
+
+  const orders = await Order.find({ _id: { $in: ids } });
+  return { orders, tables };
+}
+
+/**
+ * Join `tableIds` to the bill on `intoTableId`. Unpaid orders on the joined tables are folded
+ * into it; orders that were paid, split, refunded or redeemed points / coupons cannot be merged.
+ * @returns {Promise<{ order: object, mergedOrders: Array<object>, tables: Array<object> } | { error }>}
+ */
+async function mergeTables({ restaurant, intoTableId, tableIds, orderId = null }) {
+  const restaurantId = restaurant._id;
+  const others = [...new Set((Array.isArray(tableIds) ? tableIds : []).map(String))].filter((id) => id !== String(intoTableId));
+  if (others.length === 0) return tableError(400, 'tableIds must list the tables to join', 'MERGE_TABLES_REQUIRED');
+  const loaded = await loadTables(restaurantId, [intoTableId, ...others]);
+  if (loaded.error) return loaded;
+  const into = loaded.tables.get(String(intoTableId));
+  if (into.joinedTo) return tableError(409, `Table ${into.name} is joined to another table`, 'TABLE_JOINED');
+
+  const targets = (await Order.find(seatedOrdersFilter(into))).filter(
+    (o) => !orderId || o._id.toString() === String(orderId)
+  );
+  if (targets.length === 0) return tableError(404, `No open order on table ${into.name}`, 'TABLE_HAS_NO_ORDER');
+  if (targets.length > 1) {
+    return tableError(409, `Table ${into.name} has several open orders; choose one with orderId`, 'TABLE_HAS_SEVERAL_ORDERS', {
+      orderIds: targets.map((o) => o._id.toString()),
+    });
+  }
+  const target = targets[0];
+  if (!MERGEABLE_STATUSES.includes(target.status) || target.paymentMethod !== 'PENDING' || (target.refundedAmount || 0) > 0) {
+    return tableError(409, 'Only an unpaid open order can take other tables', 'ORDER_NOT_MERGEABLE');
+  }
+  const loadedAt = target.updatedAt;
+
+  // Check every joining table before changing anything
+  const plan = [];
+  for (const id of others) {
+    const table = loaded.tables.get(id);
+    if (table.joinedTo && idOf(table.joinedTo) !== into._id.toString()) {
+      return tableError(409, `Table ${table.name} is joined to another table`, 'TABLE_JOINED');
+    }
+    if (table.joinedTo) continue;
+    const orders = await Order.find(seatedOrdersFilter(table));
+    for (const o of orders) {
+      const blocked =
+        !MERGEABLE_STATUSES.includes(o.status) ||
+        o.paymentMethod !== 'PENDING' ||
+        (o.refundedAmount || 0) > 0 ||
+        (o.loyaltyPointsRedeemed || 0) > 0 ||
+        (o.mergedTables || []).length > 0 ||
+        (o.appliedDeals || []).some((d) => d.code);
+      if (blocked) {
+        return tableError(
+          409,
+          `Order ${o.orderNumber} on table ${table.name} is paid, split, already merged or has redemptions and cannot be merged`,
+          'ORDER_NOT_MERGEABLE'
+        );
+      }
+    }
+    plan.push({ table, orders });
+  }
+
+  const now = new Date();
+  const merged = [];
+  let bill = null;
+  const revert = async () => {
+    for (const m of merged) {
+      await Order.updateOne({ _id: m.source._id }, { $set: m.restore }).catch(() => {});
+    }
+  };
+
+  try {
+    for (const { table, orders } of plan) {
+      if (orders.length === 0) {
+        target.mergedTables.push({ table: table._id, tableName: table.name, at: now });
+        continue;
+      }
+      for (const source of orders) {
+        const restore = {};
+        for (const f of ['status', 'statusHistory', 'items', 'appliedDeals', 'subtotal', 'discountAmount', 'taxLines', 'taxAmount', 'serviceChargeAmount', 'total', 'grandTotal', 'ingredientCost', 'profit', 'stockDeducted', 'mergedInto']) {
+          const v = source.get(f);
+          restore[f] = Array.isArray(v) ? v.map(toPlain) : v;
+        }
+        // Claim the order so it cannot be paid or changed while it moves
+        const claimed = await Order.findOneAndUpdate(
+          { _id: source._id, status: source.status, paymentMethod: 'PENDING', updatedAt: source.updatedAt },
+          {
+            $set: {
+              status: 'MERGED',
+              mergedInto: target._id,
+              items: [],
+              appliedDeals: [],
+              subtotal: 0,
+              discountAmount: 0,
+              taxLines: [],
+              taxAmount: 0,
+              serviceChargeAmount: 0,
+              total: 0,
+              grandTotal: 0,
+              ingredientCost: 0,
+              profit: 0,
+              // The bill now holds (and on cancel restocks) these lines
+              stockDeducted: false,
+            },
+            $push: { statusHistory: { status: 'MERGED', at: now } },
+          }
+        );
+        if (!claimed) {
+          await revert();
+          return tableError(409, `Order ${source.orderNumber} changed while merging; try again`, 'MERGE_CONFLICT');
+        }
+        merged.push({ source, restore });
+
+        for (const line of source.items) target.items.push({ ...toPlain(line), mergedFrom: source._id });
+        for (const deal of source.appliedDeals || []) target.appliedDeals.push({ ...toPlain(deal), mergedFrom: source._id });
+        target.discountAmount = round2((target.discountAmount || 0) + (source.discountAmount || 0));
+        target.ingredientCost = round2((target.ingredientCost || 0) + (source.ingredientCost || 0));
+        target.mergedTables.push({
+          table: table._id,
+          tableName: table.name,
+          order: source._id,
+          orderNumber: source.orderNumber,
+          previousStatus: source.status,
+          discountAmount: source.discountAmount || 0,
+          ingredientCost: source.ingredientCost || 0,
+          at: now,
+        });
+      }
+    }
+
+    syncOrderStatusFromLines(target);
+    await repriceOrder(target, restaurant);
+    bill = await saveBillChanges(target, loadedAt);
+  } catch (err) {
+    await revert();
+    throw err;
+  }
+  if (!bill) {
+    await revert();
+    return tableError(409, `Order ${target.orderNumber} was paid or changed while merging; try again`, 'MERGE_CONFLICT');
+  }
+
+  const tables = [];
+  for (const { table } of plan) tables.push(await setTableState(table, true, into._id));
+  tables.push(await setTableState(into, true));
+
+  const mergedOrders = await Order.find({ _id: { $in: merged.map((m) => m.source._id) } });
+  return { order: bill, mergedOrders, tables };
+}
+
+/**
+ * Take a joined table off its bill (or, for the main table, every joined table). Orders that
+ * were merged from it get their lines, deals, discount and food cost back and return to the kitchen
+ * state of those lines; a table with no order of its own is freed.
+ * @returns {Promise<{ order: object, restoredOrders: Array<object>, tables: Array<object> } | { error }>}
+ */
+async function unmergeTable({ restaurant, tableId }) {
+  const restaurantId = restaurant._id;
+  if (!mongoose.Types.ObjectId.isValid(String(tableId))) return tableError(400, 'Invalid table id', 'INVALID_TABLE');
+  const table = await Table.findOne({ _id: tableId, restaurant: restaurantId });
+  if (!table) return tableError(404, 'Table not found', 'TABLE_NOT_FOUND');
+
+  const main = table.joinedTo ? await Table.findOne({ _id: table.joinedTo, restaurant: restaurantId }) : table;
+  if (!main) return tableError(404, 'Joined table not found', 'TABLE_NOT_FOUND');
+  const joined = table.joinedTo ? [table] : await Table.find({ restaurant: restaurantId, joinedTo: main._id });
+  if (joined.length === 0) return tableError(400, 'Table is not merged with another table', 'TABLE_NOT_MERGED');
+
+  const target = await Order.findOne({
+    ...seatedOrdersFilter(main),
+    'mergedTables.table': { $in: joined.map((t) => t._id) },
+  });
+  const tables = [];
+  if (!target) {
+    // Bill already settled or moved: just release the tables
+    for (const t of joined) tables.push(await setTableState(t, false));
+    return { order: null, restoredOrders: [], tables };
+  }
+  if (!MERGEABLE_STATUSES.includes(target.status) || target.paymentMethod !== 'PENDING') {
+    return tableError(409, 'The bill is paid or split; merged tables can no longer be separated', 'ORDER_NOT_MERGEABLE');
+  }
+  const loadedAt = target.updatedAt;
+
+  const joinedIds = new Set(joined.map((t) => t._id.toString()));
+  const entries = target.mergedTables.filter((m) => joinedIds.has(idOf(m.table)));
+  const restored = [];
+  for (const entry of entries.filter((m) => m.order)) {
+    const source = await Order.findOne({ _id: entry.order, restaurant: restaurantId, status: 'MERGED' });
+    if (!source) continue;
+    const lines = target.items.filter((l) => idOf(l.mergedFrom) === source._id.toString());
+    target.items = target.items.filter((l) => idOf(l.mergedFrom) !== source._id.toString());
+    const deals = target.appliedDeals.filter((d) => idOf(d.mergedFrom) === source._id.toString());
+    target.appliedDeals = target.appliedDeals.filter((d) => idOf(d.mergedFrom) !== source._id.toString());
+    target.discountAmount = Math.max(0, round2((target.discountAmount || 0) - (entry.discountAmount || 0)));
+    target.ingredientCost = Math.max(0, round2((target.ingredientCost || 0) - (entry.ingredientCost || 0)));
+
+    source.items = lines.map((l) => ({ ...toPlain(l), mergedFrom: undefined }));
+    source.appliedDeals = deals.map((d) => ({ ...toPlain(d), mergedFrom: undefined }));
+    source.discountAmount = entry.discountAmount || 0;
+    source.ingredientCost = entry.ingredientCost || 0;
+    source.mergedInto = null;
+    const now = new Date();
+    if (source.items.length === 0) {
+      // Everything it brought was voided on the bill
+      source.status = 'CANCELLED';
+      source.cancelReason = 'Merged lines were voided';
+      source.cancelledAt = now;
+      source.stockDeducted = false;
+    } else {
+      source.status = MERGEABLE_STATUSES.includes(entry.previousStatus) ? entry.previousStatus : 'NEW_ORDER';
+      source.stockDeducted = true;
+      syncOrderStatusFromLines(source);
+      await repriceOrder(source, restaurant);
+    }
+    source.statusHistory.push({ status: source.status, at: now });
+    restored.push(source);
+  }
+  target.mergedTables = target.mergedTables.filter((m) => !joinedIds.has(idOf(m.table)));
+  if (target.items.length === 0) {
+    return tableError(409, 'The bill would be left empty; unmerge from the other table instead', 'MERGE_EMPTIES_BILL');
+  }
+
+  syncOrderStatusFromLines(target);
+  await repriceOrder(target, restaurant);
+  const bill = await saveBillChanges(target, loadedAt);
+  if (!bill) {
+    return tableError(409, 'The bill was paid or changed while unmerging; try again', 'MERGE_CONFLICT');
+  }
+  for (const source of restored) await source.save();
+
+  for (const t of joined) {
+    const hasOrder = restored.some(
+      (o) => o.status !== 'CANCELLED' && (idOf(o.table) === t._id.toString() || o.tableName === t.name)
+    );
+    tables.push(await setTableState(t, hasOrder));
+  }
+  return { order: bill, restoredOrders: restored, tables };
+}
+
+/**
+ * Free the tables joined to a bill once it is settled or cancelled; their seated reservations
+ * become `reservationStatus` (completed / confirmed).
+ */
+async function releaseMergedTables(order, reservationStatus = 'completed') {
+  const entries = order?.mergedTables || [];
+  if (entries.length === 0) return;
+  const names = [...new Set(entries.map((m) => m.tableName).filter(Boolean))];
+  await Table.updateMany(
+    { restaurant: order.restaurant, _id: { $in: entries.map((m) => m.table).filter(Boolean) } },
+    { $set: { isAvailable: true, status: 'available', joinedTo: null } }
+  );
+  if (names.length) {
+    await Reservation.updateMany(
+      { restaurant: order.restaurant, branch: order.branch || null, tableNumber: { $in: names }, status: 'seated' },
+      { $set: { status: reservationStatus } }
+    );
+  }
+}
+
+module.exports = {
+  SEATED_STATUSES,
+  transferTable,
+  mergeTables,
+  unmergeTable,
+  releaseMergedTables,
+};
@@ -0,0 +1,405 @@
+/**
+ * Servers (waiters) and tips.
+ * - Orders carry the server looking after them (assignedWaiterId / assignedWaiterName); POS
+ *   orders taken by an order taker default to that order taker.
+ * - Tips are captured with the payment (cash, card or online; an amount or a percentage of the
+ *   bill) and kept out of the bill total. The order voucher (accounting/autoPost) posts them
+ *   Dr cash / bank / Cr Tips Payable (20204).
+ * - Tip rules are Restaurant.settings.tips, overridden key by key by Branch.tipOverrides. Card
+ *   and online tips lose cardFeePercent first; then each server keeps their tips less
+ *   poolPercent (individual) or everything goes to the pool (pooled). Tips on orders without a
+ *   server always go to the pool. The pool is shared by poolRoles weights (equally between the
+ *   servers in the period when no roles are set).
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const UserBranch = require('../models/UserBranch');
+
+const TIP_METHODS = ['CASH', 'CARD', 'ONLINE'];
+const TIP_DISTRIBUTIONS = ['individual', 'pooled'];
+// Roles that never look after tables
+const NON_SERVING_ROLES = ['super_admin', 'kitchen_staff', 'delivery_rider'];
+// Roles that work in every branch without a UserBranch link
+const ALL_BRANCH_ROLES = ['restaurant_admin', 'admin'];
+
+const DEFAULT_TIP_SETTINGS = {
+  enabled: true,
+  suggestedPercents: [],
+  maxPercent: 0,
+  distribution: 'individual',
+  poolPercent: 0,
+  poolRoles: [],
+  cardFeePercent: 0,
+};
+
+function tipError(status, message, code, details) {
+  return { error: { status, message, code, details } };
+}
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function nonNegative(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(0, n) : null;
+}
+
+function percent(v) {
+  const n = nonNegative(v);
+  return n == null ? null : Math.min(100, n);
+}
+
+function plain(obj) {
+  if (!obj) return {};
+  return typeof obj.toObject === 'function' ? obj.toObject() : { ...obj };
+}
+
+function idOf(value) {
+  if (!value) return '';
+  return value._id ? value._id.toString() : value.toString();
+}
+
+function isBlank(v) {
+  return v === undefined || v === null || v === '';
+}
+
+/** Clean a tip settings payload from the dashboard (only keys present in `raw`). */
+function sanitizeTipSettingsInput(raw) {
+  if (!raw || typeof raw !== 'object') return {};
+  const out = {};
+  if (raw.enabled !== undefined) out.enabled = Boolean(raw.enabled);
+  if (raw.suggestedPercents !== undefined) {
+    const list = (Array.isArray(raw.suggestedPercents) ? raw.suggestedPercents : [])
+      .map(Number)
+      .filter((p) => Number.isFinite(p) && p > 0 && p <= 100);
+    out.suggestedPercents = [...new Set(list)].sort((a, b) => a - b).slice(0, 6);
+  }
+  if (raw.maxPercent !== undefined) out.maxPercent = nonNegative(raw.maxPercent) ?? 0;
+  if (raw.distribution !== undefined && TIP_DISTRIBUTIONS.includes(raw.distribution)) out.distribution = raw.distribution;
+  if (raw.poolPercent !== undefined) out.poolPercent = percent(raw.poolPercent) ?? 0;
+  if (raw.poolRoles !== undefined) {
+    const seen = new Set();
+    out.poolRoles = (Array.isArray(raw.poolRoles) ? raw.poolRoles : [])
+      .map((r) => ({ role: String(r?.role || '').trim(), weight: nonNegative(r?.weight) ?? 1 }))
+      .filter((r) => r.role && !seen.has(r.role) && seen.add(r.role));
+  }
+  if (raw.cardFeePercent !== undefined) out.cardFeePercent = percent(raw.cardFeePercent) ?? 0;
+  return out;
+}
+
+/** Effective tip rules for a restaurant + optional branch (branch overrides win key by key). */
+function resolveTipSettings(restaurant, branch) {
+  return {
+    ...DEFAULT_TIP_SETTINGS,
+    ...sanitizeTipSettingsInput(plain(restaurant?.settings?.tips)),
+    ...sanitizeTipSettingsInput(plain(branch?.tipOverrides)),
+  };
+}
+
+/**
+ * Check that `waiterId` can serve at the branch: an active, serving user of the restaurant,
+ * linked to the branch (admins work everywhere).
+ * @returns {Promise<{ waiter: object } | { error }>}
+ */
+async function resolveWaiter({ restaurantId, branchId = null, waiterId }) {
+  if (!mongoose.Types.ObjectId.isValid(String(waiterId || ''))) {
+    return tipError(400, 'Invalid waiterId', 'INVALID_WAITER');
+  }
+  const waiter = await User.findOne({ _id: waiterId, restaurant: restaurantId }).select('name role isActive').lean();
+  if (!waiter) return tipError(404, 'Waiter not found in this restaurant', 'WAITER_NOT_FOUND');
+  if (waiter.isActive === false) return tipError(400, 'This staff account is disabled', 'WAITER_INACTIVE');
+  if (NON_SERVING_ROLES.includes(waiter.role)) {
+    return tipError(400, 'This staff member cannot be assigned as a waiter', 'NOT_A_WAITER');
+  }
+  if (branchId && !ALL_BRANCH_ROLES.includes(waiter.role)) {
+    const link = await UserBranch.findOne({ user: waiter._id, branch: branchId }).select('role').lean();
+    if (!link || NON_SERVING_ROLES.includes(link.role)) {
+      return tipError(400, 'This waiter is not assigned to the branch this order belongs to', 'WAITER_NOT_IN_BRANCH');
+    }
+  }
+  return { waiter };
+}
+
+/** Set (or clear, with null) the order's server. */
+function applyWaiter(order, waiter) {
+  order.assignedWaiterId = waiter ? waiter._id : null;
+  order.assignedWaiterName = waiter ? waiter.name || '' : '';
+}
+
+/** Staff who can be picked as the waiter at a branch (POS dropdown). */
+async function listWaiters({ restaurantId, branchId = null }) {
+  const filter = { restaurant: restaurantId, isActive: { $ne: false }, role: { $nin: NON_SERVING_ROLES } };
+  if (branchId) {
+    const links = await UserBranch.find({ branch: branchId, role: { $nin: NON_SERVING_ROLES } }).select('user').lean();
+    filter.$or = [{ _id: { $in: links.map((l) => l.user) } }, { role: { $in: ALL_BRANCH_ROLES } }];
+  }
+  const users = await User.find(filter).select('name role').sort({ name: 1 }).lean();
+  return users.map((u) => ({ id: u._id.toString(), name: u.name, role: u.role }));
+}
+
+/**
+ * Read a tip from a payment body: { tipAmount } or { tipPercent } (of billTotal), with
+ * tipMethod (defaults to the payment method; required for SPLIT payments).
+ * @returns {{ tip: { amount, percent, method } | null } | { error }} null when no tip was sent
+ */
+function computeTip({ tipAmount, tipPercent, tipMethod, paymentMethod, billTotal, settings }) {
+  const hasAmount = !isBlank(tipAmount);
+  const hasPercent = !isBlank(tipPercent);
+  if (!hasAmount && !hasPercent) return { tip: null };
+  if (hasAmount && hasPercent) return tipError(400, 'Send tipAmount or tipPercent, not both', 'INVALID_TIP');
+
+  let amount;
+  let pct = null;
+  if (hasPercent) {
+    pct = Number(tipPercent);
+    if (!Number.isFinite(pct) || pct < 0 || pct > 100) {
+      return tipError(400, 'tipPercent must be between 0 and 100', 'INVALID_TIP');
+    }
+    amount = round2(((Number(billTotal) || 0) * pct) / 100);
+  } else {
+    amount = Number(tipAmount);
+    if (!Number.isFinite(amount) || amount < 0) return tipError(400, 'tipAmount must be 0 or more', 'INVALID_TIP');
+    amount = round2(amount);
+  }
+  if (amount === 0) return { tip: { amount: 0, percent: null, method: null } };
+
+  if (settings && settings.enabled === false) return tipError(400, 'Tips are turned off for this branch', 'TIPS_DISABLED');
+  if (settings?.maxPercent > 0 && billTotal > 0 && amount > round2((billTotal * settings.maxPercent) / 100)) {
+    return tipError(400, `Tip cannot be more than ${settings.maxPercent}% of the bill`, 'TIP_TOO_HIGH', {
+      maxPercent: settings.maxPercent,
+    });
+  }
+
+  let method = isBlank(tipMethod) ? null : String(tipMethod).toUpperCase();
+  if (method && !TIP_METHODS.includes(method)) {
+    return tipError(400, 'Invalid tipMethod; use CASH, CARD, or ONLINE', 'INVALID_TIP_METHOD');
+  }
+  if (!method) {
+    if (!TIP_METHODS.includes(paymentMethod)) {
+      return tipError(400, 'tipMethod is required for split payments', 'TIP_METHOD_REQUIRED');
+    }
+    method = paymentMethod;
+  }
+  return { tip: { amount, percent: pct, method } };
+}
+
+/** Store a computed tip on the order. */
+function applyTip(order, tip) {
+  order.tipAmount = tip.amount;
+  order.tipPercent = tip.percent;
+  order.tipMethod = tip.method;
+}
+
+function emptyWaiterRow(waiterId, name) {
+  return {
+    waiterId,
+    name,
+    orders: 0,
+    sales: 0,
+    refunds: 0,
+    netSales: 0,
+    averageCheck: 0,
+    tipOrders: 0,
+    tips: { cash: 0, card: 0, online: 0, total: 0 },
+    tipPercentOfSales: 0,
+  };
+}
+
+/**
+ * Pool members and their weights: `participantIds` when given (who worked the period), else
+ * the staff linked to the branch whose role has a pool weight. Without pool roles every
+ * server in the period gets an equal share.
+ */
+async function loadPoolParticipants({ restaurantId, branchId, settings, participantIds, waiterIds }) {
+  const weights = new Map(settings.poolRoles.map((r) => [r.role, r.weight]));
+  const byRole = weights.size > 0;
+
+  let userFilter;
+  if (participantIds) {
+    userFilter = { _id: { $in: participantIds } };
+  } else if (!byRole) {
+    userFilter = { _id: { $in: waiterIds } };
+  } else if (branchId) {
+    const links = await UserBranch.find({ branch: branchId }).select('user').lean();
+    userFilter = { $or: [{ _id: { $in: links.map((l) => l.user) } }, { role: { $in: ALL_BRANCH_ROLES } }] };
+  } else {
+    userFilter = {};
+  }
+  const [users, links] = await Promise.all([
+    User.find({ ...userFilter, restaurant: restaurantId, isActive: { $ne: false } }).select('name role').lean(),
+    branchId ? UserBranch.find({ branch: branchId }).select('user role').lean() : [],
+  ]);
+  const branchRole = new Map(links.map((l) => [idOf(l.user), l.role]));
+
+  return users
+    .map((u) => {
+      const role = branchRole.get(idOf(u)) || u.role;
+      return { userId: idOf(u), name: u.name || '', role, weight: byRole ? weights.get(role) || 0 : 1 };
+    })
+    .filter((p) => p.weight > 0)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Sales and tips per waiter for closed orders created between `from` and `to`, and, with
+ * `settings`, how the tips are distributed under the branch rules.
+ * @param {Function} [includeOrder] — filter for counted orders (e.g. paid only)
+ * @param {string[]|null} [participantIds] — pool members; default: see loadPoolParticipants
+ */
+async function buildWaiterReport({ restaurantId, branchId = null, from, to, settings = null, includeOrder = null, participantIds = null }) {
+  const match = {
+    restaurant: restaurantId,
+    status: { $in: ['DELIVERED', 'COMPLETED'] },
+    createdAt: { $gte: from, $lte: to },
+  };
+  if (branchId) match.$or = [{ branch: branchId }, { branch: null }];
+
+  const orders = (
+    await Order.find(match)
+      .select(
+        'orderType total grandTotal deliveryCharges refundedAmount paymentMethod paymentAmountReceived paymentAmountReturned ' +
+          'source deliveryPaymentCollected tipAmount tipMethod assignedWaiterId assignedWaiterName'
+      )
+      .lean()
+  ).filter((o) => !includeOrder || includeOrder(o));
+
+  const rows = new Map();
+  const unassigned = emptyWaiterRow(null, 'Unassigned');
+  const tipRows = [];
+  for (const o of orders) {
+    const waiterId = o.assignedWaiterId ? idOf(o.assignedWaiterId) : null;
+    if (waiterId && !rows.has(waiterId)) rows.set(waiterId, emptyWaiterRow(waiterId, o.assignedWaiterName || ''));
+    const row = waiterId ? rows.get(waiterId) : unassigned;
+    if (waiterId && !row.name && o.assignedWaiterName) row.name = o.assignedWaiterName;
+
+    row.orders += 1;
+    row.sales += Number(o.total) || 0;
+    row.refunds += Number(o.refundedAmount) || 0;
+    const tip = round2(o.tipAmount);
+    if (tip > 0) {
+      const method = o.tipMethod || o.paymentMethod;
+      const key = method === 'CARD' ? 'card' : method === 'ONLINE' ? 'online' : 'cash';
+      row.tipOrders += 1;
+      row.tips[key] += tip;
+      row.tips.total += tip;
+      tipRows.push({ waiterId, tip, method });
+    }
+  }
+
+  // Names for waiters whose orders predate the name snapshot
+  const unnamed = [...rows.values()].filter((r) => !r.name).map((r) => r.waiterId);
+  if (unnamed.length) {
+    const users = await User.find({ _id: { $in: unnamed } }).select('name').lean();
+    for (const u of users) rows.get(idOf(u)).name = u.name || '';
+  }
+
+  const finish = (row) => {
+    const netSales = round2(row.sales - row.refunds);
+    return {
+      ...row,
+      sales: round2(row.sales),
+      refunds: round2(row.refunds),
+      netSales,
+      averageCheck: row.orders ? round2(row.sales / row.orders) : 0,
+      tips: {
+        cash: round2(row.tips.cash),
+        card: round2(row.tips.card),
+        online: round2(row.tips.online),
+        total: round2(row.tips.total),
+      },
+      tipPercentOfSales: netSales > 0 ? round2((row.tips.total / netSales) * 100) : 0,
+    };
+  };
+  const waiters = [...rows.values()].map(finish).sort((a, b) => b.netSales - a.netSales);
+  const unassignedRow = unassigned.orders ? finish(unassigned) : null;
+  const all = [...waiters, ...(unassignedRow ? [unassignedRow] : [])];
+
+  const report = {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    orderCount: orders.length,
+    totals: {
+      netSales: round2(all.reduce((s, r) => s + r.netSales, 0)),
+      tips: round2(all.reduce((s, r) => s + r.tips.total, 0)),
+    },
+    waiters,
+    unassigned: unassignedRow,
+    distribution: null,
+  };
+  if (!settings) return report;
+
+  // Distribution: card fees first, then direct tips / tip-out, then the pool by weight
+  const direct = new Map();
+  let cardFees = 0;
+  let pool = 0;
+  for (const { waiterId, tip, method } of tipRows) {
+    const fee = method === 'CARD' || method === 'ONLINE' ? (tip * settings.cardFeePercent) / 100 : 0;
+    const net = tip - fee;
+    cardFees += fee;
+    if (!waiterId || settings.distribution === 'pooled') {
+      pool += net;
+      continue;
+    }
+    const tipOut = (net * settings.poolPercent) / 100;
+    pool += tipOut;
+    direct.set(waiterId, (direct.get(waiterId) || 0) + net - tipOut);
+  }
+  pool = round2(pool);
+
+  const participants = await loadPoolParticipants({
+    restaurantId,
+    branchId,
+    settings,
+    participantIds,
+    waiterIds: waiters.map((w) => w.waiterId),
+  });
+  const totalWeight = participants.reduce((s, p) => s + p.weight, 0);
+  let allocated = 0;
+  for (const p of participants) {
+    p.share = totalWeight > 0 ? round2((pool * p.weight) / totalWeight) : 0;
+    allocated += p.share;
+  }
+  // Rounding cents go to the first member so the pool is paid out exactly
+  if (participants.length && totalWeight > 0) participants[0].share = round2(participants[0].share + pool - allocated);
+
+  const payouts = new Map();
+  const payoutFor = (userId, name) => {
+    if (!payouts.has(userId)) payouts.set(userId, { userId, name, directTips: 0, poolShare: 0, total: 0 });
+    return payouts.get(userId);
+  };
+  for (const [waiterId, amount] of direct) {
+    payoutFor(waiterId, rows.get(waiterId)?.name || '').directTips = round2(amount);
+  }
+  for (const p of participants) {
+    const row = payoutFor(p.userId, p.name);
+    row.name = row.name || p.name;
+    row.poolShare = p.share;
+  }
+  for (const row of payouts.values()) row.total = round2(row.directTips + row.poolShare);
+
+  report.distribution = {
+    settings,
+    cardFees: round2(cardFees),
+    pool,
+    unallocatedPool: totalWeight > 0 ? 0 : pool,
+    participants,
+    payouts: [...payouts.values()].filter((p) => p.total > 0).sort((a, b) => b.total - a.total),
+  };
+  return report;
+}
+
+module.exports = {
+  TIP_METHODS,
+  DEFAULT_TIP_SETTINGS,
+  sanitizeTipSettingsInput,
+  resolveTipSettings,
+  resolveWaiter,
+  applyWaiter,
+  listWaiters,
+  computeTip,
+  applyTip,
+  buildWaiterReport,
+};
@@ -0,0 +1,237 @@
+/**
+ * Wastage log. An entry is either a raw inventory item or a prepared menu item; for menu
+ * items the recipe (plus chosen modifiers) is deducted. Stock is drawn down to zero at most
+ * — the food is already gone — and logged as WASTAGE; the cost posts Dr Wastage / Cr Inventory.
+ */
+
+const mongoose = require('mongoose');
+const Wastage = require('../models/Wastage');
+const InventoryItem = require('../models/InventoryItem');
+const BranchInventory = require('../models/BranchInventory');
+const MenuItem = require('../models/MenuItem');
+const { stockValue, computeStockConsumption, deductStock } = require('./inventoryService');
+const { loadRecipeBook, resolveConsumption, isMadeToOrder } = require('./recipeService');
+const { postWastageVoucher } = require('./accounting/wastagePost');
+
+const WASTAGE_REASONS = Wastage.schema.path('reason').enumValues;
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function wastageError(status, message, code) {
+  return { error: { status, message, code } };
+}
+
+/** costPrice per inventory item, branch rows overriding the item's own. */
+async function loadCostPrices(restaurantId, branchId, invIds) {
+  const defs = await InventoryItem.find({ _id: { $in: invIds }, restaurant: restaurantId })
+    .select('_id name unit costPrice')
+    .lean();
+  const map = new Map(defs.map((d) => [d._id.toString(), d]));
+  if (branchId) {
+    const rows = await BranchInventory.find({ branch: branchId, inventoryItem: { $in: invIds } })
+      .select('inventoryItem costPrice')
+      .lean();
+    for (const r of rows) {
+      const def = map.get(r.inventoryItem.toString());
+      if (def && r.costPrice) map.set(r.inventoryItem.toString(), { ...def, costPrice: r.costPrice });
+    }
+  }
+  return map;
+}
+
+/**
+ * Record one wastage entry.
+ * @param {{ inventoryItemId?, menuItemId?, quantity, reason, note?, modifiers?, wastedAt? }} input
+ * @returns {Promise<{ wastage: object } | { error: object }>}
+ */
+async function recordWastage({ restaurantId, branchId = null, input, user = null }) {
+  const { inventoryItemId, menuItemId, reason, note = '', modifiers, wastedAt } = input || {};
+  const quantity = Number(input?.quantity);
+  if (!inventoryItemId === !menuItemId) {
+    return wastageError(400, 'Provide either inventoryItemId or menuItemId', 'WASTAGE_ITEM_REQUIRED');
+  }
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    return wastageError(400, 'quantity must be greater than 0', 'WASTAGE_INVALID_QTY');
+  }
+  if (!WASTAGE_REASONS.includes(reason)) {
+    return wastageError(400, `reason must be one of ${WASTAGE_REASONS.join(', ')}`, 'WASTAGE_INVALID_REASON');
+  }
+  const when = wastedAt ? new Date(wastedAt) : new Date();
+  if (Number.isNaN(when.getTime()) || when > new Date()) {
+    return wastageError(400, 'Invalid wastedAt', 'WASTAGE_INVALID_DATE');
+  }
+  const itemId = inventoryItemId || menuItemId;
+  if (!mongoose.Types.ObjectId.isValid(itemId)) return wastageError(400, 'Invalid item id', 'WASTAGE_ITEM_REQUIRED');
+
+  let doc;
+  let quantities;
+  if (inventoryItemId) {
+    const item = await InventoryItem.findOne({ _id: inventoryItemId, restaurant: restaurantId })
+      .select('_id name unit itemType consumeFrom')
+      .lean();
+    if (!item) return wastageError(404, 'Inventory item not found', 'WASTAGE_ITEM_NOT_FOUND');
+    quantities = new Map([[item._id.toString(), quantity]]);
+    // A made-to-order prep item has no stock of its own: its ingredients were used
+    if (isMadeToOrder(item)) quantities = resolveConsumption(quantities, await loadRecipeBook(restaurantId));
+    doc = { kind: 'INVENTORY', inventoryItem: item._id, name: item.name, unit: item.unit };
+  } else {
+    const menuItem = await MenuItem.findOne({ _id: menuItemId, restaurant: restaurantId });
+    if (!menuItem) return wastageError(404, 'Menu item not found', 'WASTAGE_ITEM_NOT_FOUND');
+    const line = { menuItem: menuItem._id, quantity, modifiers: Array.isArray(modifiers) ? modifiers : undefined };
+    ({ quantities } = await computeStockConsumption(restaurantId, [line], {
+      menuMap: new Map([[menuItem._id.toString(), menuItem]]),
+    }));
+    doc = { kind: 'MENU_ITEM', menuItem: menuItem._id, name: menuItem.name, unit: 'portion' };
+  }
+
+  const wastage = new Wastage({
+    restaurant: restaurantId,
+    branch: branchId || null,
+    ...doc,
+    quantity,
+    reason,
+    note: String(note || ''),
+    wastedAt: when,
+    recordedBy: user?._id || null,
+    recordedByName: user?.name || '',
+  });
+
+  // Already thrown away: never refuse for low stock, just draw it down to zero
+  const { movements } = await deductStock({
+    restaurantId,
+    branchId: branchId || null,
+    quantities,
+    allowOutOfStock: true,
+    log: {
+      type: 'WASTAGE',
+      referenceType: 'Wastage',
+      referenceId: wastage._id,
+      note: `${reason}: ${quantity} ${doc.unit} ${doc.name}${wastage.note ? ` – ${wastage.note}` : ''}`,
+      createdBy: user?._id || null,
+    },
+  });
+
+  // Value what was actually taken off stock so the record and journal tie to the ledger
+  const costs = await loadCostPrices(restaurantId, branchId, [...quantities.keys()]);
+  wastage.stockLines = movements
+    .filter((m) => m.quantity < 0)
+    .map((m) => {
+      const def = costs.get(m.inventoryItem);
+      const qty = -m.quantity;
+      return {
+        inventoryItem: m.inventoryItem,
+        itemName: def?.name || '',
+        unit: def?.unit || '',
+        quantity: qty,
+        cost: round2(stockValue(qty, def?.unit, def?.costPrice)),
+      };
+    });
+  wastage.totalCost = round2(wastage.stockLines.reduce((s, l) => s + l.cost, 0));
+
+  try {
+    const voucher = await postWastageVoucher({ tenantId: restaurantId, wastage, createdBy: user?._id || null });
+    if (voucher) {
+      wastage.accountingVoucherId = voucher._id;
+      wastage.accountingVoucherNumber = voucher.voucherNumber;
+    }
+  } catch (err) {
+    wastage.accountingError = err.message;
+    console.error('Wastage accounting post failed:', err.message);
+  }
+
+  await wastage.save();
+  return { wastage };
+}
+
+/**
+ * Wastage totals for a period by reason, item, branch, staff and day.
+ * @returns {Promise<object>}
+ */
+async function buildWastageReport({ restaurantId, branchId = null, from, to }) {
+  const match = { restaurant: restaurantId, wastedAt: { $gte: from, $lte: to } };
+  if (branchId) match.branch = branchId;
+  const rows = await Wastage.find(match)
+    .select('branch kind name unit quantity reason totalCost wastedAt recordedBy recordedByName')
+    .lean();
+
+  const bump = (map, key, init, row) => {
+    const entry = map.get(key) || { ...init, count: 0, totalCost: 0 };
+    entry.count += 1;
+    entry.totalCost += row.totalCost || 0;
+    map.set(key, entry);
+    return entry;
+  };
+  const byReason = new Map();
+  const byItem = new Map();
+  const byBranch = new Map();
+  const byStaff = new Map();
+  const byDay = new Map();
+  let totalCost = 0;
+
+  for (const r of rows) {
+    totalCost += r.totalCost || 0;
+    bump(byReason, r.reason, { reason: r.reason }, r);
+    const item = bump(byItem, `${r.kind}:${r.name}`, { kind: r.kind, name: r.name, unit: r.unit, quantity: 0 }, r);
+    item.quantity += r.quantity;
+    const branchKey = r.branch ? r.branch.toString() : 'none';
+    bump(byBranch, branchKey, { branchId: r.branch ? branchKey : null }, r);
+    const staffKey = r.recordedBy ? r.recordedBy.toString() : 'unknown';
+    bump(byStaff, staffKey, { staffId: r.recordedBy ? staffKey : null, name: r.recordedByName || 'Unknown' }, r);
+    const day = new Date(r.wastedAt).toISOString().slice(0, 10);
+    bump(byDay, day, { day }, r);
+  }
+
+  const finish = (map) =>
+    [...map.values()]
+      .map((e) => ({ ...e, totalCost: round2(e.totalCost), ...(e.quantity != null ? { quantity: round2(e.quantity) } : {}) }))
+      .sort((a, b) => b.totalCost - a.totalCost);
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    count: rows.length,
+    totalCost: round2(totalCost),
+    byReason: finish(byReason),
+    byItem: finish(byItem),
+    byBranch: finish(byBranch),
+    byStaff: finish(byStaff),
+    byDay: finish(byDay).sort((a, b) => a.day.localeCompare(b.day)),
+  };
+}
+
+function mapWastage(w) {
+  return {
+    id: w._id.toString(),
+    branchId: w.branch ? w.branch.toString() : null,
+    kind: w.kind,
+    inventoryItemId: w.inventoryItem ? w.inventoryItem.toString() : null,
+    menuItemId: w.menuItem ? w.menuItem.toString() : null,
+    name: w.name,
+    unit: w.unit,
+    quantity: w.quantity,
+    reason: w.reason,
+    note: w.note || '',
+    stockLines: (w.stockLines || []).map((l) => ({
+      inventoryItemId: l.inventoryItem.toString(),
+      itemName: l.itemName,
+      unit: l.unit,
+      quantity: l.quantity,
+      cost: l.cost,
+    })),
+    totalCost: w.totalCost,
+    wastedAt: w.wastedAt,
+    recordedBy: w.recordedBy ? { id: w.recordedBy.toString(), name: w.recordedByName || '' } : null,
+    accountingVoucherNumber: w.accountingVoucherNumber || null,
+    accountingError: w.accountingError || null,
+    createdAt: w.createdAt,
+  };
+}
+
+module.exports = {
+  WASTAGE_REASONS,
+  recordWastage,
+  buildWastageReport,
+  mapWastage,
+};
@@ -3,31 +3,23 @@ const BranchMenuItem = require('../models/BranchMenuItem');
 const Category = require('../models/Category');
 const BranchInventory = require('../models/BranchInventory');
 const InventoryItem = require('../models/InventoryItem');
+const { checkInventorySufficiency } = require('./checkInventorySufficiency');
+const { loadMenuScheduleState } = require('./menuSchedule');
 
-function normalizeUnit(unit) {
-  const u = String(unit || '').trim().toLowerCase();
-  if (u === 'g' || u === 'gram') return 'gram';
-  if (u === 'kg' || u === 'kilogram') return 'kilogram';
-  if (u === 'ml' || u === 'milliliter') return 'milliliter';
-  if (u === 'l' || u === 'liter') return 'liter';
-  if (u === 'pc' || u === 'pcs' || u === 'piece') return 'piece';
-  if (u === 'dozen') return 'dozen';
-  return u;
-}
-
-function convertToInventoryUnit(recipeQty, recipeUnitRaw, inventoryUnitRaw) {
-  const recipeQtyNum = Number(recipeQty || 0);
-  if (!recipeQtyNum) return 0;
-  const recipeUnit = normalizeUnit(recipeUnitRaw);
-  const inventoryUnit = normalizeUnit(inventoryUnitRaw);
-
-  if (recipeUnit === 'gram' && inventoryUnit === 'kilogram') return recipeQtyNum / 1000;
-  if (recipeUnit === 'kilogram' && inventoryUnit === 'gram') return recipeQtyNum * 1000;
-  if (recipeUnit === 'milliliter' && inventoryUnit === 'liter') return recipeQtyNum / 1000;
-  if (recipeUnit === 'liter' && inventoryUnit === 'milliliter') return recipeQtyNum * 1000;
-  if (recipeUnit === 'piece' && inventoryUnit === 'dozen') return recipeQtyNum / 12;
-  if (recipeUnit === 'dozen' && inventoryUnit === 'piece') return recipeQtyNum * 12;
-  return recipeQtyNum;
+/**
+ * Branch stock per inventory item for sufficiency checks (missing rows count as 0). Prep items
+ * carry their recipe so made-to-order ones are checked through their ingredients.
+ * @returns {Promise<Map<string, object>>}
+ */
+async function loadBranchStockMap(restaurantId, branchId) {
+  const [branchInventory, inventoryDefs] = await Promise.all([
+    BranchInventory.find({ branch: branchId }).select('inventoryItem currentStock').lean(),
+    InventoryItem.find({ restaurant: restaurantId }).select('_id name unit itemType consumeFrom recipe recipeYield').lean(),
+  ]);
+  const branchStock = new Map(branchInventory.map((r) => [r.inventoryItem.toString(), r.currentStock]));
+  return new Map(
+    inventoryDefs.map((d) => [d._id.toString(), { ...d, currentStock: branchStock.get(d._id.toString()) ?? 0 }])
+  );
 }
 
 /**
@@ -57,19 +49,24 @@ async function getBranchMenu(restaurantId, branchId = null, filters = {}) {
     menuQuery.category = filters.categoryId;
   }
 
-  // Get all base menu items
-  const baseMenuItems = await MenuItem.find(menuQuery)
-    .populate('category')
-    .lean();
+  // Get all base menu items, and which time-based menus (breakfast, lunch ...) are open now
+  const [baseMenuItems, scheduleState] = await Promise.all([
+    MenuItem.find(menuQuery).populate('category').lean(),
+    loadMenuScheduleState(restaurantId, branchId),
+  ]);
 
-  // If no branch specified, return base items as-is
+  // If no branch specified, return base items as-is (outside their serving times they are unavailable)
   if (!branchId) {
-    return baseMenuItems.map(item => ({
-      ...item,
-      finalPrice: item.price,
-      finalAvailable: item.available,
-      hasBranchOverride: false,
-    }));
+    return baseMenuItems.map(item => {
+      const scheduledNow = scheduleState.isItemAvailableNow(item);
+      return {
+        ...item,
+        finalPrice: item.price,
+        finalAvailable: item.available && scheduledNow,
+        scheduledNow,
+        hasBranchOverride: false,
+      };
+    });
   }
 
   // Get all branch overrides for this branch
@@ -82,18 +79,7 @@ async function getBranchMenu(restaurantId, branchId = null, filters = {}) {
   });
 
   // Get branch inventory for stock checks
-  const branchInventory = await BranchInventory.find({ branch: branchId }).lean();
-  const inventoryMap = new Map();
-  branchInventory.forEach(inv => {
-    inventoryMap.set(inv.inventoryItem.toString(), inv);
-  });
-  const inventoryDefs = await InventoryItem.find({
-    _id: { $in: branchInventory.map((i) => i.inventoryItem) },
-    restaurant: restaurantId,
-  })
-    .select('_id unit')
-    .lean();
-  const inventoryUnitMap = new Map(inventoryDefs.map((d) => [d._id.toString(), d.unit]));
+  const inventoryMap = await loadBranchStockMap(restaurantId, branchId);
 
   // Merge base items with branch overrides
   const mergedItems = baseMenuItems
@@ -120,16 +106,23 @@ async function getBranchMenu(restaurantId, branchId = null, filters = {}) {
       
       // Check branch inventory if item has consumptions
       if (item.inventoryConsumptions && item.inventoryConsumptions.length > 0) {
-        const hasStock = checkBranchInventory(item.inventoryConsumptions, inventoryMap, inventoryUnitMap);
+        const hasStock = checkBranchInventory(item.inventoryConsumptions, inventoryMap);
         if (!hasStock) {
           finalAvailable = false;
         }
       }
 
+      // Outside its menu schedule's serving times (branch local time)
+      const scheduledNow = scheduleState.isItemAvailableNow(item);
+      if (!scheduledNow) {
+        finalAvailable = false;
+      }
+
       return {
         ...item,
         finalPrice,
         finalAvailable,
+        scheduledNow,
         hasBranchOverride: !!override,
         branchOverride: override ? {
           priceOverride: override.priceOverride,
@@ -184,9 +177,11 @@ async function getBranchMenuByCategory(restaurantId, branchId = null, filters =
 
   // Group items by category
   const categoryMap = new Map();
+  const scheduleState = await loadMenuScheduleState(restaurantId, branchId);
   categories.forEach(cat => {
     categoryMap.set(cat._id.toString(), {
       ...cat,
+      availableNow: scheduleState.isCategoryAvailableNow(cat),
       items: [],
     });
   });
@@ -229,11 +224,15 @@ async function getBranchMenuItem(menuItemId, branchId = null) {
     return null;
   }
 
+  const scheduleState = await loadMenuScheduleState(baseItem.restaurant, branchId);
+  const scheduledNow = scheduleState.isItemAvailableNow(baseItem);
+
   if (!branchId) {
     return {
       ...baseItem,
       finalPrice: baseItem.price,
-      finalAvailable: baseItem.available,
+      finalAvailable: baseItem.available && scheduledNow,
+      scheduledNow,
       hasBranchOverride: false,
     };
   }
@@ -245,18 +244,7 @@ async function getBranchMenuItem(menuItemId, branchId = null) {
   }).lean();
 
   // Get branch inventory
-  const branchInventory = await BranchInventory.find({ branch: branchId }).lean();
-  const inventoryMap = new Map();
-  branchInventory.forEach(inv => {
-    inventoryMap.set(inv.inventoryItem.toString(), inv);
-  });
-  const inventoryDefs = await InventoryItem.find({
-    _id: { $in: branchInventory.map((i) => i.inventoryItem) },
-    restaurant: baseItem.restaurant,
-  })
-    .select('_id unit')
-    .lean();
-  const inventoryUnitMap = new Map(inventoryDefs.map((d) => [d._id.toString(), d.unit]));
+  const inventoryMap = await loadBranchStockMap(baseItem.restaurant, branchId);
 
   // If item is NOT available at all branches and there's no override enabling it
   // return null (item doesn't exist at this branch)
@@ -282,16 +270,21 @@ async function getBranchMenuItem(menuItemId, branchId = null) {
 
   // Check inventory
   if (baseItem.inventoryConsumptions && baseItem.inventoryConsumptions.length > 0) {
-    const hasStock = checkBranchInventory(baseItem.inventoryConsumptions, inventoryMap, inventoryUnitMap);
+    const hasStock = checkBranchInventory(baseItem.inventoryConsumptions, inventoryMap);
     if (!hasStock) {
       finalAvailable = false;
     }
   }
 
+  if (!scheduledNow) {
+    finalAvailable = false;
+  }
+
   return {
     ...baseItem,
     finalPrice,
     finalAvailable,
+    scheduledNow,
     hasBranchOverride: !!override,
     branchOverride: override ? {
       priceOverride: override.priceOverride,
@@ -306,24 +299,8 @@ async function getBranchMenuItem(menuItemId, branchId = null) {
  * @param {Map} inventoryMap - Map of inventory items
  * @returns {Boolean} True if enough stock
  */
-function checkBranchInventory(consumptions, inventoryMap, inventoryUnitMap = new Map()) {
-  for (const consumption of consumptions) {
-    const invId = consumption.inventoryItem?.toString();
-    if (!invId) continue;
-    
-    const inv = inventoryMap.get(invId);
-    if (!inv) return false; // No branch inventory record = no stock
-    
-    const needed = convertToInventoryUnit(
-      consumption.quantity || 0,
-      consumption.unit,
-      inventoryUnitMap.get(invId)
-    );
-    if (needed > 0 && inv.currentStock < needed) {
-      return false;
-    }
-  }
-  return true;
+function checkBranchInventory(consumptions, inventoryMap) {
+  return checkInventorySufficiency({ inventoryConsumptions: consumptions }, inventoryMap).sufficient;
 }
 
 /**
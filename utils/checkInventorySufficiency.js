@@ -33,22 +33,60 @@ function convertToInventoryUnit(recipeQty, recipeUnitRaw, inventoryUnitRaw) {
   return recipeQtyNum;
 }
 
+// Made-to-order prep items nested deeper than this are treated as a cycle
+const MAX_RECIPE_DEPTH = 6;
+
+/**
+ * Add the stocked inventory needed for `qty` (stock unit) of an item to `needs`, resolving
+ * made-to-order prep items (itemType 'prep', consumeFrom 'recipe') through their recipes.
+ * Returns false when an ingredient is unknown.
+ */
+function addNeed(invId, qty, inventoryMap, needs, depth = 0) {
+  const inv = inventoryMap.get(invId);
+  if (!inv) return false;
+  if (inv.itemType !== 'prep' || inv.consumeFrom !== 'recipe') {
+    needs.set(invId, (needs.get(invId) || 0) + qty);
+    return true;
+  }
+  if (depth > MAX_RECIPE_DEPTH || !inv.recipeYield || !inv.recipe?.length) {
+    // Nothing to make it from
+    needs.set(invId, (needs.get(invId) || 0) + qty);
+    return true;
+  }
+  let known = true;
+  for (const line of inv.recipe) {
+    const lineId = inventoryItemId(line.inventoryItem);
+    const ingredient = inventoryMap.get(lineId);
+    if (!ingredient) {
+      known = false;
+      continue;
+    }
+    const lineQty = convertToInventoryUnit((Number(line.quantity) || 0) * (qty / inv.recipeYield), line.unit, ingredient.unit);
+    if (lineQty > 0 && !addNeed(lineId, lineQty, inventoryMap, needs, depth + 1)) known = false;
+  }
+  return known;
+}
+
 /**
  * Whether a menu item has enough stock for at least one sale (same logic as POS / admin menu).
+ * Made-to-order prep items are checked through their (nested) recipes; batch-made prep items
+ * need their own stock.
  * @param {object} menuItem — Mongoose doc or lean object with inventoryConsumptions
- * @param {Map<string, { name?: string, currentStock: number }>} inventoryMap
+ * @param {Map<string, { name?: string, unit?: string, currentStock: number, itemType?, consumeFrom?, recipe?, recipeYield? }>} inventoryMap
+ * @param {{ ignoreUnknown?: boolean }} [options] — skip ingredients missing from the map instead of failing
  */
-function checkInventorySufficiency(menuItem, inventoryMap) {
+function checkInventorySufficiency(menuItem, inventoryMap, { ignoreUnknown = false } = {}) {
   const insufficientItems = [];
   if (!menuItem.inventoryConsumptions || menuItem.inventoryConsumptions.length === 0) {
     return { sufficient: true, insufficientItems };
   }
+  const needs = new Map();
   for (const consumption of menuItem.inventoryConsumptions) {
     const invId = inventoryItemId(consumption.inventoryItem);
     if (!invId) continue;
     const inv = inventoryMap.get(invId);
     if (!inv) {
-      insufficientItems.push('Unknown ingredient');
+      if (!ignoreUnknown) insufficientItems.push('Unknown ingredient');
       continue;
     }
     const needed = convertToInventoryUnit(
@@ -56,6 +94,12 @@ function checkInventorySufficiency(menuItem, inventoryMap) {
       consumption.unit,
       inv.unit
     );
+    if (needed > 0 && !addNeed(invId, needed, inventoryMap, needs) && !ignoreUnknown) {
+      insufficientItems.push('Unknown ingredient');
+    }
+  }
+  for (const [invId, needed] of needs) {
+    const inv = inventoryMap.get(invId);
     const stock = Number(inv.currentStock);
     const currentStock = Number.isFinite(stock) ? stock : 0;
     if (needed > 0 && currentStock < needed) {
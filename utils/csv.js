@@ -0,0 +1,29 @@
+/**
+ * Minimal CSV writer for report / export endpoints (RFC 4180 quoting).
+ */
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * @param {Array<Object>} rows
+ * @param {Array<{ key: string, label: string }>} columns
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const header = columns.map((c) => csvCell(c.label)).join(',');
+  const body = rows.map((row) => columns.map((c) => csvCell(row[c.key])).join(','));
+  return [header, ...body].join('\r\n') + '\r\n';
+}
+
+/** Send CSV as a download. */
+function sendCsv(res, filename, rows, columns) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCsv(rows, columns));
+}
+
+module.exports = { csvCell, toCsv, sendCsv };
@@ -0,0 +1,266 @@
+/**
+ * Coupon codes (DealCode) linked to deals.
+ * A code is validated against its own limits (active, expiry, total uses, uses per customer)
+ * and the deal's rules (date/time window, branch, per-customer limit), then priced with
+ * dealCalculator. Redemption claims a use atomically before the order is saved and is
+ * recorded in DealUsage once the order exists; cancelling the order gives the use back.
+ */
+
+const crypto = require('crypto');
+const Deal = require('../models/Deal');
+const DealCode = require('../models/DealCode');
+const DealUsage = require('../models/DealUsage');
+const Order = require('../models/Order');
+const { calculateDealDiscount, normalizeOrderItemsForDeals } = require('./dealCalculator');
+
+// No 0/O/1/I so printed and SMS codes are easy to read back
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_BULK_CODES = 5000;
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function normalizeCode(raw) {
+  return String(raw || '').trim().toUpperCase().replace(/\s+/g, '');
+}
+
+function isValidCodeFormat(code) {
+  return /^[A-Z0-9_-]{3,32}$/.test(code);
+}
+
+function randomCode(length) {
+  const bytes = crypto.randomBytes(length);
+  let out = '';
+  for (let i = 0; i < length; i += 1) out += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  return out;
+}
+
+function codeError(status, message, code) {
+  return { error: { status, message, code } };
+}
+
+/**
+ * Create `count` unique random codes for a deal (bulk campaigns).
+ * Collisions with existing codes are retried a few times.
+ * @returns {Promise<Array<object>>} created DealCode docs
+ */
+async function generateDealCodes({
+  restaurantId,
+  dealId,
+  count,
+  prefix = '',
+  length = 8,
+  batch = '',
+  maxUses = 1,
+  maxUsesPerCustomer = 0,
+  expiresAt = null,
+  createdBy = null,
+}) {
+  const total = Math.min(MAX_BULK_CODES, Math.max(1, Math.floor(Number(count) || 0)));
+  const cleanPrefix = normalizeCode(prefix).replace(/[^A-Z0-9_-]/g, '').slice(0, 12);
+  const size = Math.min(16, Math.max(4, Math.floor(Number(length) || 8)));
+
+  const created = [];
+  for (let attempt = 0; attempt < 5 && created.length < total; attempt += 1) {
+    const wanted = new Set();
+    while (wanted.size < total - created.length) wanted.add(`${cleanPrefix}${randomCode(size)}`);
+
+    const taken = await DealCode.find({ restaurant: restaurantId, code: { $in: [...wanted] } }).select('code').lean();
+    for (const t of taken) wanted.delete(t.code);
+
+    const docs = [...wanted].map((code) => ({
+      restaurant: restaurantId,
+      deal: dealId,
+      code,
+      batch,
+      maxUses,
+      maxUsesPerCustomer,
+      expiresAt,
+      createdBy,
+    }));
+    try {
+      created.push(...(await DealCode.insertMany(docs, { ordered: false })));
+    } catch (err) {
+      // Duplicate keys from a concurrent run: keep what was inserted and retry the rest
+      if (err.code !== 11000 && !err.writeErrors) throw err;
+      created.push(
+        ...(await DealCode.find({ restaurant: restaurantId, deal: dealId, code: { $in: docs.map((d) => d.code) } }))
+      );
+    }
+  }
+  return created;
+}
+
+/** Uses of a code (or of the deal) by one customer. */
+async function countCustomerUses(filter) {
+  const rows = await DealUsage.find(filter).select('usageCount').lean();
+  return rows.reduce((s, r) => s + (r.usageCount || 1), 0);
+}
+
+/**
+ * Check a typed code for a cart.
+ * `orderItems` are { menuItem, quantity, price, category } (see normalizeOrderItemsForDeals).
+ * @returns {Promise<{ dealCode: object, deal: object, discountAmount: number } | { error: object }>}
+ */
+async function validateDealCode({
+  restaurantId,
+  branchId = null,
+  code,
+  orderItems,
+  subtotal,
+  customerId = null,
+  storefrontCustomerId = null,
+  newCustomer = false,
+  now = new Date(),
+}) {
+  const normalized = normalizeCode(code);
+  if (!normalized) return codeError(400, 'Coupon code is required', 'COUPON_REQUIRED');
+
+  const dealCode = await DealCode.findOne({ restaurant: restaurantId, code: normalized });
+  if (!dealCode || !dealCode.isActive) return codeError(404, 'Coupon code not found', 'COUPON_NOT_FOUND');
+  if (dealCode.expiresAt && dealCode.expiresAt < now) return codeError(400, 'Coupon code has expired', 'COUPON_EXPIRED');
+  if (dealCode.maxUses > 0 && dealCode.usedCount >= dealCode.maxUses) {
+    return codeError(400, 'Coupon code has already been used', 'COUPON_USED_UP');
+  }
+
+  const deal = await Deal.findOne({ _id: dealCode.deal, restaurant: restaurantId });
+  if (!deal || !deal.isCurrentlyValid) {
+    return codeError(400, 'This offer is not currently available', 'COUPON_DEAL_INACTIVE');
+  }
+  if (deal.branches?.length && !deal.branches.some((b) => String(b) === String(branchId || ''))) {
+    return codeError(400, 'Coupon code is not valid at this branch', 'COUPON_NOT_FOR_BRANCH');
+  }
+
+  const perCode = dealCode.maxUsesPerCustomer || 0;
+  const perDeal = deal.maxUsagePerCustomer || 0;
+  if (perCode > 0 || perDeal > 0) {
+    const who = customerId ? { customer: customerId } : storefrontCustomerId ? { storefrontCustomer: storefrontCustomerId } : null;
+    // A phone number we have never seen has no previous uses
+    if (!who && !newCustomer) {
+      return codeError(400, 'Customer details are required for this coupon', 'COUPON_CUSTOMER_REQUIRED');
+    }
+    if (who && perCode > 0 && (await countCustomerUses({ dealCode: dealCode._id, ...who })) >= perCode) {
+      return codeError(400, `Coupon limit reached (${perCode} per customer)`, 'COUPON_CUSTOMER_LIMIT');
+    }
+    if (who && perDeal > 0 && (await countCustomerUses({ deal: deal._id, ...who })) >= perDeal) {
+      return codeError(400, `Offer limit reached (${perDeal} per customer)`, 'COUPON_CUSTOMER_LIMIT');
+    }
+  }
+
+  const calc = calculateDealDiscount(deal, normalizeOrderItemsForDeals(orderItems), Number(subtotal) || 0);
+  const discountAmount = round2(Math.min(calc.discountAmount || 0, Number(subtotal) || 0));
+  if (!calc.dealApplied || discountAmount <= 0) {
+    return codeError(400, calc.reason || 'Coupon does not apply to this order', 'COUPON_NOT_APPLICABLE');
+  }
+
+  return { dealCode, deal, discountAmount };
+}
+
+/**
+ * Reserve one use of the code and of its deal (guards the code's maxUses and the deal's
+ * maxTotalUsage against concurrent checkouts).
+ * @returns {Promise<{ dealCode: object } | { error: object }>}
+ */
+async function claimDealCode(dealCode, deal) {
+  const claimed = await DealCode.findOneAndUpdate(
+    {
+      _id: dealCode._id,
+      isActive: true,
+      $expr: { $or: [{ $lte: ['$maxUses', 0] }, { $lt: ['$usedCount', '$maxUses'] }] },
+    },
+    { $inc: { usedCount: 1 }, $set: { lastUsedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return codeError(409, 'Coupon code has already been used', 'COUPON_USED_UP');
+  const dealClaimed = await Deal.updateOne(
+    {
+      _id: deal._id,
+      $expr: {
+        $or: [
+          { $lte: [{ $ifNull: ['$maxTotalUsage', 0] }, 0] },
+          { $lt: [{ $ifNull: ['$currentUsageCount', 0] }, '$maxTotalUsage'] },
+        ],
+      },
+    },
+    { $inc: { currentUsageCount: 1 } }
+  );
+  if (dealClaimed.modifiedCount === 0) {
+    await DealCode.updateOne({ _id: claimed._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    return codeError(409, 'This offer has reached its usage limit', 'COUPON_DEAL_USED_UP');
+  }
+  return { dealCode: claimed };
+}
+
+/** Give back a claimed use (order was not saved, or was cancelled). */
+async function releaseDealCodeClaim(dealCodeId, dealId) {
+  await DealCode.updateOne({ _id: dealCodeId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  await Deal.updateOne({ _id: dealId, currentUsageCount: { $gt: 0 } }, { $inc: { currentUsageCount: -1 } });
+}
+
+async function recordDealCodeUsage({ dealCode, deal, order, discountAmount, customerId = null, storefrontCustomerId = null }) {
+  return DealUsage.create({
+    deal: deal._id,
+    customer: customerId || null,
+    storefrontCustomer: storefrontCustomerId || null,
+    dealCode: dealCode._id,
+    code: dealCode.code,
+    source: order.source || 'POS',
+    order: order._id,
+    discountApplied: discountAmount,
+  });
+}
+
+/**
+ * On order cancel: return coupon uses and drop their usage rows. Split checks share the use
+ * recorded on their original order; it is given back once every check is cancelled.
+ */
+async function releaseOrderDealCodes(order) {
+  let orderId = order._id;
+  if (order.parentOrder) {
+    const openCheck = await Order.exists({ parentOrder: order.parentOrder, status: { $ne: 'CANCELLED' } });
+    if (openCheck) return 0;
+    orderId = order.parentOrder;
+  }
+  const usages = await DealUsage.find({ order: orderId, dealCode: { $ne: null } }).lean();
+  let released = 0;
+  for (const u of usages) {
+    // Deleting the row claims it, so two checks cancelled together release the use once
+    const removed = await DealUsage.deleteOne({ _id: u._id });
+    if (removed.deletedCount === 0) continue;
+    await releaseDealCodeClaim(u.dealCode, u.deal);
+    released += 1;
+  }
+  return released;
+}
+
+function mapDealCode(c) {
+  return {
+    id: c._id.toString(),
+    dealId: c.deal?._id ? c.deal._id.toString() : c.deal?.toString(),
+    dealName: c.deal?.name || undefined,
+    code: c.code,
+    batch: c.batch || '',
+    maxUses: c.maxUses,
+    maxUsesPerCustomer: c.maxUsesPerCustomer,
+    usedCount: c.usedCount,
+    remainingUses: c.maxUses > 0 ? Math.max(0, c.maxUses - c.usedCount) : null,
+    expiresAt: c.expiresAt || null,
+    lastUsedAt: c.lastUsedAt || null,
+    isActive: c.isActive,
+    createdAt: c.createdAt,
+  };
+}
+
+module.exports = {
+  MAX_BULK_CODES,
+  normalizeCode,
+  isValidCodeFormat,
+  generateDealCodes,
+  validateDealCode,
+  claimDealCode,
+  releaseDealCodeClaim,
+  recordDealCodeUsage,
+  releaseOrderDealCodes,
+  mapDealCode,
+};
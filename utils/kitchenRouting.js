@@ -0,0 +1,189 @@
+/**
+ * Kitchen station routing and per-line KDS status.
+ * Order lines are stamped with a station when the order is created (menu item mapping
+ * wins over category mapping, then the branch default station). Line progress drives the
+ * order status: the first line started moves the order to PROCESSING and the order goes
+ * READY once every line is DONE.
+ */
+
+const KitchenStation = require('../models/KitchenStation');
+const MenuItem = require('../models/MenuItem');
+const { getOrderRooms, getStationRoom } = require('./socketRooms');
+const { formatModifiersLabel, mapLineModifiers } = require('./menuModifiers');
+
+const LINE_STATUSES = ['QUEUED', 'COOKING', 'DONE'];
+
+function toIdString(ref) {
+  if (ref == null) return '';
+  if (typeof ref === 'object' && ref._id != null) return String(ref._id);
+  return String(ref);
+}
+
+/**
+ * Build a resolver (menuItemId, categoryId) -> station for a branch.
+ * Returns null when the branch has no active stations.
+ */
+async function loadStationResolver(restaurantId, branchId) {
+  if (!branchId) return null;
+  const stations = await KitchenStation.find({ restaurant: restaurantId, branch: branchId, isActive: true })
+    .sort({ sortOrder: 1, name: 1 })
+    .lean();
+  if (stations.length === 0) return null;
+
+  const byItem = new Map();
+  const byCategory = new Map();
+  for (const st of stations) {
+    for (const id of st.menuItems || []) if (!byItem.has(String(id))) byItem.set(String(id), st);
+    for (const id of st.categories || []) if (!byCategory.has(String(id))) byCategory.set(String(id), st);
+  }
+  const fallback = stations.find((s) => s.isDefault) || null;
+
+  return (menuItemId, categoryId) =>
+    byItem.get(toIdString(menuItemId)) || byCategory.get(toIdString(categoryId)) || fallback;
+}
+
+/**
+ * Stamp station, stationName, kitchenStatus and firedAt on order lines before they are saved.
+ * `items` are plain order line objects (mutated in place and returned).
+ * Pass `categoryByMenuItem` (Map of menuItemId -> categoryId) when the caller already loaded menu items.
+ */
+async function assignKitchenStations(restaurantId, branchId, items, categoryByMenuItem = null) {
+  const now = new Date();
+  const resolve = await loadStationResolver(restaurantId, branchId);
+
+  let categories = categoryByMenuItem;
+  if (resolve && !categories) {
+    const ids = [...new Set(items.map((i) => toIdString(i.menuItem)).filter(Boolean))];
+    const menuItems = ids.length ? await MenuItem.find({ _id: { $in: ids }, restaurant: restaurantId }).select('_id category').lean() : [];
+    categories = new Map(menuItems.map((m) => [m._id.toString(), m.category]));
+  }
+
+  for (const item of items) {
+    const station = resolve ? resolve(item.menuItem, categories?.get(toIdString(item.menuItem))) : null;
+    item.station = station ? station._id : null;
+    item.stationName = station ? station.name : '';
+    item.kitchenStatus = item.kitchenStatus || 'QUEUED';
+    item.firedAt = item.firedAt || now;
+  }
+  return items;
+}
+
+/**
+ * Move one line to QUEUED / COOKING / DONE, keeping prep-time timestamps consistent.
+ * @returns {boolean} whether the line changed
+ */
+function setLineKitchenStatus(line, status, now = new Date()) {
+  const current = line.kitchenStatus || 'QUEUED';
+  if (current === status) return false;
+  if (status === 'QUEUED') {
+    line.startedAt = null;
+    line.doneAt = null;
+  } else if (status === 'COOKING') {
+    if (current === 'DONE') line.recallCount = (line.recallCount || 0) + 1;
+    line.startedAt = line.startedAt || now;
+    line.doneAt = null;
+  } else if (status === 'DONE') {
+    line.startedAt = line.startedAt || now;
+    line.doneAt = now;
+  }
+  line.kitchenStatus = status;
+  return true;
+}
+
+/**
+ * Derive order status from its lines (only while the order is in the kitchen).
+ * @returns {string|null} the new status when it changed
+ */
+function syncOrderStatusFromLines(order) {
+  if (!['NEW_ORDER', 'PROCESSING', 'READY'].includes(order.status)) return null;
+  const lines = order.items || [];
+  if (lines.length === 0) return null;
+
+  const statuses = lines.map((l) => l.kitchenStatus || 'QUEUED');
+  let next = order.status;
+  if (statuses.every((s) => s === 'DONE')) next = 'READY';
+  else if (statuses.some((s) => s !== 'QUEUED')) next = 'PROCESSING';
+  else if (order.status === 'READY') next = 'PROCESSING';
+
+  if (next === order.status) return null;
+  order.status = next;
+  if (!order.statusHistory) order.statusHistory = [];
+  order.statusHistory.push({ status: next, at: new Date() });
+  return next;
+}
+
+/** Seconds from fire (or order creation) to done; null while the line is still open. */
+function linePrepSeconds(line, order) {
+  if (!line.doneAt) return null;
+  const start = line.firedAt || order?.createdAt;
+  if (!start) return null;
+  return Math.max(0, Math.round((new Date(line.doneAt) - new Date(start)) / 1000));
+}
+
+/** KDS line shape; `index` is the position in order.items used by the line endpoints. */
+function mapKitchenLine(line, index, order) {
+  return {
+    index,
+    name: line.name,
+    quantity: line.quantity,
+    note: line.note || '',
+    modifiers: mapLineModifiers(line.modifiers),
+    modifiersLabel: formatModifiersLabel(line.modifiers),
+    stationId: line.station ? toIdString(line.station) : null,
+    stationName: line.stationName || '',
+    kitchenStatus: line.kitchenStatus || 'QUEUED',
+    firedAt: line.firedAt || order?.createdAt || null,
+    startedAt: line.startedAt || null,
+    doneAt: line.doneAt || null,
+    prepSeconds: linePrepSeconds(line, order),
+    recallCount: line.recallCount || 0,
+  };
+}
+
+/**
+ * Emit `kitchen:ticket` (new lines) or `kitchen:updated` to each station room touched by
+ * `lineIndexes`, plus `order:updated` to the order rooms when the order status changed.
+ */
+function emitKitchenUpdate(io, order, { event = 'kitchen:updated', lineIndexes = null, statusChanged = false } = {}) {
+  if (!io || !order) return;
+  const indexes = lineIndexes || (order.items || []).map((_, i) => i);
+  const byStation = new Map();
+  for (const i of indexes) {
+    const line = order.items[i];
+    if (!line?.station) continue;
+    const sid = toIdString(line.station);
+    if (!byStation.has(sid)) byStation.set(sid, []);
+    byStation.get(sid).push(mapKitchenLine(line, i, order));
+  }
+
+  if (order.branch) {
+    for (const [sid, lines] of byStation) {
+      io.to(getStationRoom(order.restaurant, order.branch, sid)).emit(event, {
+        id: order._id.toString(),
+        orderNumber: order.orderNumber,
+        tokenNumber: order.tokenNumber ?? null,
+        status: order.status,
+        orderType: order.orderType,
+        tableName: order.tableName || '',
+        stationId: sid,
+        lines,
+      });
+    }
+  }
+
+  if (statusChanged) {
+    const payload = { id: order._id.toString(), orderNumber: order.orderNumber, status: order.status };
+    getOrderRooms(order.restaurant, order.branch).forEach((room) => io.to(room).emit('order:updated', payload));
+  }
+}
+
+module.exports = {
+  LINE_STATUSES,
+  loadStationResolver,
+  assignKitchenStations,
+  setLineKitchenStatus,
+  syncOrderStatusFromLines,
+  linePrepSeconds,
+  mapKitchenLine,
+  emitKitchenUpdate,
+};
@@ -0,0 +1,226 @@
+/**
+ * Menu item modifier groups (size, crust, add-ons ...).
+ * Shared by POS, storefront and admin order editing so prices, validation and
+ * stock consumption are resolved the same way everywhere.
+ */
+
+const mongoose = require('mongoose');
+
+function toIdString(ref) {
+  if (ref == null) return '';
+  if (typeof ref === 'object' && ref._id != null) return String(ref._id);
+  return String(ref);
+}
+
+function roundMoney(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+/**
+ * Sanitize modifier groups from the dashboard (plain JSON). Preserves valid _id / id so
+ * existing carts and order snapshots keep pointing at the same options.
+ * Option inventoryConsumptions are passed through untouched — callers normalize them
+ * against the tenant's inventory.
+ */
+function sanitizeModifierGroupsInput(raw) {
+  if (!Array.isArray(raw)) return [];
+  const keepId = (x) => {
+    const idRaw = x?._id ?? x?.id;
+    return idRaw != null && mongoose.Types.ObjectId.isValid(String(idRaw))
+      ? new mongoose.Types.ObjectId(String(idRaw))
+      : new mongoose.Types.ObjectId();
+  };
+
+  return raw
+    .map((g, gi) => {
+      const options = (Array.isArray(g?.options) ? g.options : [])
+        .map((o, oi) => ({
+          _id: keepId(o),
+          name: String(o?.name ?? '').trim().slice(0, 120),
+          priceDelta: roundMoney(Math.max(-1e7, Math.min(1e7, Number(o?.priceDelta) || 0))),
+          available: o?.available !== false,
+          isDefault: Boolean(o?.isDefault),
+          sortOrder: Number.isFinite(Number(o?.sortOrder)) ? Number(o.sortOrder) : oi,
+          inventoryConsumptions: Array.isArray(o?.inventoryConsumptions) ? o.inventoryConsumptions : [],
+        }))
+        .filter((o) => o.name.length > 0)
+        .sort((a, b) => a.sortOrder - b.sortOrder)
+        .map((o, idx) => ({ ...o, sortOrder: idx }));
+
+      const minSelect = Math.max(0, Math.floor(Number(g?.minSelect) || (g?.required ? 1 : 0)));
+      let maxSelect = g?.maxSelect === undefined ? 1 : Math.max(0, Math.floor(Number(g.maxSelect) || 0));
+      if (maxSelect > 0 && maxSelect < minSelect) maxSelect = minSelect;
+
+      return {
+        _id: keepId(g),
+        name: String(g?.name ?? '').trim().slice(0, 120),
+        minSelect,
+        maxSelect,
+        sortOrder: Number.isFinite(Number(g?.sortOrder)) ? Number(g.sortOrder) : gi,
+        options,
+      };
+    })
+    .filter((g) => g.name.length > 0 && g.options.length > 0)
+    .sort((a, b) => a.sortOrder - b.sortOrder)
+    .map((g, idx) => ({ ...g, sortOrder: idx }));
+}
+
+/**
+ * Public shape for menus. `includeRecipe` adds option inventoryConsumptions (admin only).
+ */
+function mapModifierGroups(groups, { includeRecipe = false, onlyAvailable = false } = {}) {
+  return (groups || []).map((g) => ({
+    id: toIdString(g._id),
+    name: g.name,
+    minSelect: g.minSelect || 0,
+    maxSelect: g.maxSelect ?? 1,
+    required: (g.minSelect || 0) > 0,
+    options: (g.options || [])
+      .filter((o) => !onlyAvailable || o.available !== false)
+      .map((o) => ({
+        id: toIdString(o._id),
+        name: o.name,
+        priceDelta: o.priceDelta || 0,
+        available: o.available !== false,
+        isDefault: o.isDefault || false,
+        ...(includeRecipe
+          ? {
+              inventoryConsumptions: (o.inventoryConsumptions || []).map((c) => ({
+                inventoryItem: toIdString(c.inventoryItem),
+                quantity: c.quantity,
+                unit: c.unit || 'gram',
+              })),
+            }
+          : {}),
+      })),
+  }));
+}
+
+/**
+ * Validate a cart line's modifier selections against the menu item's groups.
+ * Selections may be option ids or `{ groupId, optionId }` objects.
+ * Required groups with no selection fall back to their default options.
+ * @returns {{ modifiers: Array, priceDelta: number, error?: string }}
+ */
+function resolveLineModifiers(menuItem, selections) {
+  const groups = menuItem?.modifierGroups || [];
+  const raw = Array.isArray(selections) ? selections : [];
+
+  if (groups.length === 0) {
+    if (raw.length > 0) {
+      return { modifiers: [], priceDelta: 0, error: `"${menuItem?.name || 'Item'}" has no modifiers` };
+    }
+    return { modifiers: [], priceDelta: 0 };
+  }
+
+  const optionIndex = new Map();
+  for (const g of groups) {
+    for (const o of g.options || []) optionIndex.set(toIdString(o._id), { group: g, option: o });
+  }
+
+  const chosenByGroup = new Map();
+  for (const sel of raw) {
+    const isRef = sel && typeof sel === 'object' && !(sel instanceof mongoose.Types.ObjectId);
+    const optionId = toIdString(isRef ? sel.optionId ?? sel.id : sel);
+    const hit = optionIndex.get(optionId);
+    if (!hit) {
+      return { modifiers: [], priceDelta: 0, error: `Invalid modifier option for "${menuItem.name}"` };
+    }
+    const groupIdRaw = isRef ? sel.groupId : null;
+    if (groupIdRaw && toIdString(groupIdRaw) !== toIdString(hit.group._id)) {
+      return { modifiers: [], priceDelta: 0, error: `Invalid modifier option for "${menuItem.name}"` };
+    }
+    if (hit.option.available === false) {
+      return { modifiers: [], priceDelta: 0, error: `"${hit.option.name}" is currently unavailable` };
+    }
+    const key = toIdString(hit.group._id);
+    if (!chosenByGroup.has(key)) chosenByGroup.set(key, new Map());
+    chosenByGroup.get(key).set(optionId, hit.option);
+  }
+
+  const modifiers = [];
+  let priceDelta = 0;
+  for (const g of groups) {
+    const key = toIdString(g._id);
+    let chosen = Array.from(chosenByGroup.get(key)?.values() || []);
+    const minSelect = g.minSelect || 0;
+    const maxSelect = g.maxSelect ?? 1;
+
+    if (chosen.length === 0 && minSelect > 0) {
+      chosen = (g.options || []).filter((o) => o.isDefault && o.available !== false);
+    }
+    if (chosen.length < minSelect) {
+      return {
+        modifiers: [],
+        priceDelta: 0,
+        error: `Select at least ${minSelect} option(s) for "${g.name}" on "${menuItem.name}"`,
+      };
+    }
+    if (maxSelect > 0 && chosen.length > maxSelect) {
+      return {
+        modifiers: [],
+        priceDelta: 0,
+        error: `Select at most ${maxSelect} option(s) for "${g.name}" on "${menuItem.name}"`,
+      };
+    }
+
+    for (const o of chosen) {
+      priceDelta += Number(o.priceDelta) || 0;
+      modifiers.push({
+        groupId: g._id,
+        groupName: g.name,
+        optionId: o._id,
+        name: o.name,
+        priceDelta: Number(o.priceDelta) || 0,
+      });
+    }
+  }
+
+  return { modifiers, priceDelta: roundMoney(priceDelta) };
+}
+
+/**
+ * Recipe rows consumed by one unit of a line: the item's own recipe plus the recipes
+ * of the chosen modifier options (looked up on the current menu item by option id).
+ */
+function getLineInventoryConsumptions(menuItem, modifiers) {
+  const base = menuItem?.inventoryConsumptions || [];
+  if (!Array.isArray(modifiers) || modifiers.length === 0) return base;
+
+  const optionMap = new Map();
+  for (const g of menuItem?.modifierGroups || []) {
+    for (const o of g.options || []) optionMap.set(toIdString(o._id), o);
+  }
+  const extra = [];
+  for (const m of modifiers) {
+    const option = optionMap.get(toIdString(m.optionId));
+    if (option?.inventoryConsumptions?.length) extra.push(...option.inventoryConsumptions);
+  }
+  return extra.length ? [...base, ...extra] : base;
+}
+
+/** "Large, Extra cheese" — for kitchen tickets and receipts. */
+function formatModifiersLabel(modifiers) {
+  return (modifiers || []).map((m) => m.name).filter(Boolean).join(', ');
+}
+
+/** Lean modifier snapshot for API responses. */
+function mapLineModifiers(modifiers) {
+  if (!Array.isArray(modifiers) || modifiers.length === 0) return [];
+  return modifiers.map((m) => ({
+    groupId: m.groupId ? toIdString(m.groupId) : null,
+    groupName: m.groupName || '',
+    optionId: m.optionId ? toIdString(m.optionId) : null,
+    name: m.name,
+    priceDelta: m.priceDelta || 0,
+  }));
+}
+
+module.exports = {
+  sanitizeModifierGroupsInput,
+  mapModifierGroups,
+  resolveLineModifiers,
+  getLineInventoryConsumptions,
+  formatModifiersLabel,
+  mapLineModifiers,
+};
@@ -0,0 +1,240 @@
+/**
+ * Time-based menu availability (see models/MenuSchedule). Windows are read in the branch's
+ * local time: branch.timezone, else restaurant settings.timezone, else the server's clock.
+ * Opening hours come from branch.openingHours, keyed by day name, with values such as
+ * "9:00 AM - 10:00 PM", "07:00-23:30", "Closed" or { open, close, closed }; days that cannot
+ * be read do not restrict anything.
+ */
+
+const MenuSchedule = require('../models/MenuSchedule');
+const Branch = require('../models/Branch');
+const Restaurant = require('../models/Restaurant');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SHORT_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HH_MM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Day of week (0 = Sunday), calendar date and minutes since midnight of `date` in `timeZone`.
+ * @returns {{ day: number, date: string, minutes: number, time: string }}
+ */
+function getLocalClock(date = new Date(), timeZone = null) {
+  let day = date.getDay();
+  let ymd = [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+  let hours = date.getHours();
+  let minutes = date.getMinutes();
+  if (isValidTimeZone(timeZone)) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date);
+    const get = (type) => parts.find((p) => p.type === type)?.value;
+    day = SHORT_DAYS.indexOf(get('weekday'));
+    ymd = [get('year'), get('month'), get('day')].map(Number);
+    hours = Number(get('hour')) % 24;
+    minutes = Number(get('minute'));
+  }
+  return {
+    day,
+    date: `${ymd[0]}-${String(ymd[1]).padStart(2, '0')}-${String(ymd[2]).padStart(2, '0')}`,
+    minutes: hours * 60 + minutes,
+    time: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`,
+  };
+}
+
+function toMinutes(hhmm) {
+  const m = HH_MM.exec(String(hhmm || ''));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+// "9", "9:30", "9:30 PM", "21:30" -> minutes since midnight
+function parseClockTime(text) {
+  const m = /^\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*$/i.exec(String(text || ''));
+  if (!m) return null;
+  let hours = Number(m[1]);
+  const minutes = Number(m[2] || 0);
+  const meridiem = (m[3] || '').toLowerCase();
+  if (minutes > 59 || hours > 24 || (meridiem && (hours < 1 || hours > 12))) return null;
+  if (meridiem === 'pm' && hours !== 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  return (hours % 24) * 60 + minutes;
+}
+
+/**
+ * One day's opening hours as { start, end } minutes, 'closed', or null when it cannot be read.
+ */
+function parseOpeningRange(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'object') {
+    if (value.closed === true || value.isClosed === true || value.isOpen === false) return 'closed';
+    const start = parseClockTime(value.open ?? value.openTime ?? value.start);
+    const end = parseClockTime(value.close ?? value.closeTime ?? value.end);
+    return start != null && end != null ? { start, end } : null;
+  }
+  const text = String(value).trim();
+  if (/^closed$/i.test(text)) return 'closed';
+  if (/24\s*h|open\s*24/i.test(text)) return { start: 0, end: 24 * 60 };
+  const [from, to, extra] = text.split(/\s*(?:-|–|—|\bto\b)\s*/i);
+  if (extra !== undefined) return null;
+  const start = parseClockTime(from);
+  const end = parseClockTime(to);
+  return start != null && end != null ? { start, end } : null;
+}
+
+/** Whether a window { daysOfWeek, startTime, endTime } is open at a local clock. End time is inclusive. */
+function isWindowOpen(window, clock) {
+  const start = toMinutes(window?.startTime);
+  const end = toMinutes(window?.endTime);
+  if (start == null || end == null) return false;
+  const days = Array.isArray(window.daysOfWeek) && window.daysOfWeek.length ? window.daysOfWeek : null;
+  const onDay = (d) => !days || days.includes(d);
+  if (start === end) return onDay(clock.day);
+  if (start < end) return onDay(clock.day) && clock.minutes >= start && clock.minutes <= end;
+  // Overnight: belongs to the day it starts on
+  return (onDay(clock.day) && clock.minutes >= start) || (onDay((clock.day + 6) % 7) && clock.minutes <= end);
+}
+
+/** Whether the branch is open at a local clock; true when its hours for today cannot be read. */
+function isWithinOpeningHours(openingHours, clock) {
+  if (!openingHours || typeof openingHours !== 'object') return true;
+  const today = parseOpeningRange(openingHours[DAY_NAMES[clock.day]]);
+  if (today === null) return true;
+  const yesterday = parseOpeningRange(openingHours[DAY_NAMES[(clock.day + 6) % 7]]);
+  // Tail of yesterday's overnight hours
+  if (yesterday && yesterday !== 'closed' && yesterday.start > yesterday.end && clock.minutes <= yesterday.end) return true;
+  if (today === 'closed') return false;
+  if (today.start === today.end || today.end === 24 * 60) return clock.minutes >= today.start;
+  if (today.start < today.end) return clock.minutes >= today.start && clock.minutes <= today.end;
+  return clock.minutes >= today.start;
+}
+
+/** "Mon-Fri 07:00–11:30" style description of windows, for messages. */
+function describeWindows(windows) {
+  return (windows || [])
+    .map((w) => {
+      const days = Array.isArray(w.daysOfWeek) && w.daysOfWeek.length ? [...w.daysOfWeek].sort() : null;
+      const dayText = days ? `${days.map((d) => SHORT_DAYS[d]).join(',')} ` : '';
+      return `${dayText}${w.startTime}–${w.endTime}`;
+    })
+    .join('; ');
+}
+
+/**
+ * Validate and normalize schedule windows from a request body.
+ * @returns {{ windows: Array<object> } | { error: string }}
+ */
+function normalizeScheduleWindows(raw) {
+  if (!Array.isArray(raw)) return { error: 'windows must be an array' };
+  const windows = [];
+  for (const w of raw) {
+    const startTime = String(w?.startTime || '').trim();
+    const endTime = String(w?.endTime || '').trim();
+    if (!HH_MM.test(startTime) || !HH_MM.test(endTime)) {
+      return { error: 'Each window requires startTime and endTime in HH:mm format' };
+    }
+    const daysOfWeek = Array.isArray(w.daysOfWeek) ? [...new Set(w.daysOfWeek.map(Number))] : [];
+    if (daysOfWeek.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { error: 'daysOfWeek must contain numbers between 0 (Sunday) and 6 (Saturday)' };
+    }
+    windows.push({ daysOfWeek: daysOfWeek.sort(), startTime, endTime });
+  }
+  return { windows };
+}
+
+function idOf(value) {
+  if (!value) return null;
+  return value._id ? value._id.toString() : value.toString();
+}
+
+/**
+ * Which schedules are open right now for a restaurant (branch). Items listed directly in a
+ * schedule follow only their own schedules; otherwise their category's schedules apply.
+ * Inactive schedules are ignored.
+ * @returns {Promise<{ clock, schedules: Array<object>, isItemAvailableNow: Function,
+ *   isCategoryAvailableNow: Function, closedSchedulesFor: Function }>}
+ */
+async function loadMenuScheduleState(restaurantId, branchId = null, now = new Date()) {
+  const scheduleFilter = { restaurant: restaurantId, isActive: true };
+  scheduleFilter.branch = branchId ? { $in: [branchId, null] } : null;
+  const [docs, branch, restaurant] = await Promise.all([
+    MenuSchedule.find(scheduleFilter).lean(),
+    branchId ? Branch.findOne({ _id: branchId, restaurant: restaurantId }).select('timezone openingHours').lean() : null,
+    Restaurant.findById(restaurantId).select('settings.timezone').lean(),
+  ]);
+
+  const timeZone = [branch?.timezone, restaurant?.settings?.timezone].find(isValidTimeZone) || null;
+  const clock = getLocalClock(now, timeZone);
+  const branchOpen = isWithinOpeningHours(branch?.openingHours, clock);
+
+  const byItem = new Map();
+  const byCategory = new Map();
+  const schedules = docs.map((doc) => {
+    const override = branchId ? (doc.branchWindows || []).find((b) => idOf(b.branch) === String(branchId)) : null;
+    const windows = override ? override.windows || [] : doc.windows || [];
+    const inWindow = windows.length === 0 || windows.some((w) => isWindowOpen(w, clock));
+    const schedule = {
+      id: doc._id.toString(),
+      name: doc.name,
+      windows,
+      openNow: inWindow && (!doc.withinOpeningHours || branchOpen),
+    };
+    for (const id of doc.menuItems || []) byItem.set(idOf(id), [...(byItem.get(idOf(id)) || []), schedule]);
+    for (const id of doc.categories || []) byCategory.set(idOf(id), [...(byCategory.get(idOf(id)) || []), schedule]);
+    return schedule;
+  });
+
+  const schedulesForItem = (item) => byItem.get(idOf(item)) || byCategory.get(idOf(item?.category)) || [];
+  const schedulesForCategory = (category) => byCategory.get(idOf(category)) || [];
+
+  return {
+    timeZone,
+    clock,
+    schedules,
+    isItemAvailableNow: (item) => {
+      const list = schedulesForItem(item);
+      return list.length === 0 || list.some((s) => s.openNow);
+    },
+    isCategoryAvailableNow: (category) => {
+      const list = schedulesForCategory(category);
+      return list.length === 0 || list.some((s) => s.openNow);
+    },
+    closedSchedulesFor: (item) => schedulesForItem(item).filter((s) => !s.openNow),
+  };
+}
+
+/** Error message for an item outside its serving times. */
+function scheduleUnavailableMessage(itemName, closedSchedules) {
+  const when = closedSchedules
+    .map((s) => (s.windows.length ? `${s.name}: ${describeWindows(s.windows)}` : s.name))
+    .join(' / ');
+  return `"${itemName}" is not available at this time${when ? ` (${when})` : ''}`;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getLocalClock,
+  parseClockTime,
+  parseOpeningRange,
+  isWindowOpen,
+  isWithinOpeningHours,
+  describeWindows,
+  normalizeScheduleWindows,
+  loadMenuScheduleState,
+  scheduleUnavailableMessage,
+};
@@ -1,5 +1,97 @@
 const Order = require('../models/Order');
 const Branch = require('../models/Branch');
+const Restaurant = require('../models/Restaurant');
+const OrderSequence = require('../models/OrderSequence');
+const escapeRegex = require('./escapeRegex');
+
+/**
+ * Order numbers and daily call-out tokens from atomic counters (OrderSequence), the same
+ * way vouchers use VoucherSequence. Counters are kept per restaurant + branch and, when the
+ * template resets daily, per business day: the business day starts at the branch's
+ * businessDayCutoffHour (orders at 02:00 still belong to the previous day).
+ */
+
+const DATE_FORMATS = ['YYYYMMDD', 'YYMMDD', 'DDMMYY', 'DDMM', 'YYYY-MM-DD'];
+const DEFAULT_CUTOFF_HOUR = 4;
+
+const DEFAULT_ORDER_NUMBERING = {
+  template: '{prefix}-{date}-{branch}-{seq}',
+  dateFormat: 'YYYYMMDD',
+  seqPadding: 4,
+  resetDaily: true,
+  branchToken: 'INDEX',
+  tokenEnabled: true,
+  tokenMax: 999,
+};
+
+function plain(obj) {
+  if (!obj) return {};
+  return typeof obj.toObject === 'function' ? obj.toObject() : { ...obj };
+}
+
+/** @returns {string|null} error message when the template cannot produce unique numbers */
+function validateOrderNumberTemplate(template, resetDaily = false) {
+  const t = String(template || '');
+  if (!t.includes('{seq}')) return 'Template must include {seq}';
+  // A sequence that restarts every day needs the date to keep numbers apart
+  if (resetDaily && !t.includes('{date}')) return 'Template must include {date} when the sequence resets daily';
+  if (t.length > 60) return 'Template is too long (max 60 characters)';
+  const literal = t.replace(/\{(prefix|date|branch|seq)\}/g, '');
+  if (/[{}]/.test(literal)) return 'Unknown placeholder; use {prefix}, {date}, {branch} and {seq}';
+  if (!/^[A-Za-z0-9 _\-/#.]*$/.test(literal)) return 'Template may only contain letters, digits, spaces and - _ / # .';
+  return null;
+}
+
+/** Clean an orderNumbering payload (only keys present in `raw`; invalid values are dropped). */
+function sanitizeOrderNumberingInput(raw) {
+  if (!raw || typeof raw !== 'object') return {};
+  const out = {};
+  if (raw.template !== undefined && !validateOrderNumberTemplate(raw.template)) out.template = String(raw.template).trim();
+  if (DATE_FORMATS.includes(raw.dateFormat)) out.dateFormat = raw.dateFormat;
+  if (raw.seqPadding !== undefined) {
+    const n = Math.floor(Number(raw.seqPadding));
+    if (Number.isFinite(n)) out.seqPadding = Math.min(8, Math.max(1, n));
+  }
+  if (raw.resetDaily !== undefined) out.resetDaily = Boolean(raw.resetDaily);
+  if (raw.branchToken === 'INDEX' || raw.branchToken === 'CODE') out.branchToken = raw.branchToken;
+  if (raw.tokenEnabled !== undefined) out.tokenEnabled = Boolean(raw.tokenEnabled);
+  if (raw.tokenMax !== undefined) {
+    const n = Math.floor(Number(raw.tokenMax));
+    if (Number.isFinite(n)) out.tokenMax = Math.min(9999, Math.max(9, n));
+  }
+  return out;
+}
+
+function resolveOrderNumbering(restaurant) {
+  const settings = { ...DEFAULT_ORDER_NUMBERING, ...sanitizeOrderNumberingInput(plain(restaurant?.settings?.orderNumbering)) };
+  // Saved before daily resets required {date}: keep one running sequence instead of repeating numbers
+  if (settings.resetDaily && !settings.template.includes('{date}')) settings.resetDaily = false;
+  return settings;
+}
+
+/** Start of the business day containing `now` (server local time). */
+function getBusinessDayStart(now, cutoffHour) {
+  const shifted = new Date(now.getTime() - cutoffHour * 60 * 60 * 1000);
+  return new Date(shifted.getFullYear(), shifted.getMonth(), shifted.getDate(), cutoffHour, 0, 0, 0);
+}
+
+function formatBusinessDate(dayStart, format) {
+  const yyyy = String(dayStart.getFullYear());
+  const mm = String(dayStart.getMonth() + 1).padStart(2, '0');
+  const dd = String(dayStart.getDate()).padStart(2, '0');
+  switch (format) {
+    case 'YYMMDD':
+      return `${yyyy.slice(2)}${mm}${dd}`;
+    case 'DDMMYY':
+      return `${dd}${mm}${yyyy.slice(2)}`;
+    case 'DDMM':
+      return `${dd}${mm}`;
+    case 'YYYY-MM-DD':
+      return `${yyyy}-${mm}-${dd}`;
+    default:
+      return `${yyyy}${mm}${dd}`;
+  }
+}
 
 /**
  * Get 1-based branch index for a restaurant (by sortOrder, then createdAt).
@@ -15,36 +107,178 @@ async function getBranchIndex(restaurantId, branchId) {
   return idx >= 0 ? idx + 1 : 1;
 }
 
+async function getBranchToken(restaurantId, branch, mode) {
+  if (mode === 'CODE' && branch?.code) return String(branch.code).trim().toUpperCase();
+  return String(await getBranchIndex(restaurantId, branch ? branch._id : null));
+}
+
+function renderOrderNumber(settings, { prefix, date, branch, seq }) {
+  return settings.template
+    .replace(/\{prefix\}/g, prefix)
+    .replace(/\{date\}/g, date)
+    .replace(/\{branch\}/g, branch)
+    .replace(/\{seq\}/g, String(seq).padStart(settings.seqPadding, '0'));
+}
+
+/** Matches numbers rendered for this prefix / date / branch and captures their {seq}. */
+function orderNumberPattern(settings, { prefix, date, branch }) {
+  const parts = settings.template.split('{seq}').map((part) =>
+    escapeRegex(part.replace(/\{prefix\}/g, prefix).replace(/\{date\}/g, date).replace(/\{branch\}/g, branch))
+  );
+  return new RegExp(`^${parts.join('(\\d+)')}$`);
+}
+
+async function nextSequence(restaurantId, branchId, kind, period) {
+  const seq = await OrderSequence.findOneAndUpdate(
+    { restaurant: restaurantId, branch: branchId || null, kind, period },
+    { $inc: { lastNumber: 1 } },
+    { upsert: true, new: true }
+  );
+  return seq.lastNumber;
+}
+
+/**
+ * Highest number already used in `field` by documents matching `filter`. `pattern` must match
+ * the whole value and capture the number in its first group. Values of equal length differ
+ * only in their zero-padded digits, so the greatest value per length is enough to compare.
+ */
+async function findHighestUsedNumber(Model, filter, field, pattern) {
+  const rows = await Model.aggregate([
+    { $match: { ...filter, [field]: pattern } },
+    { $group: { _id: { $strLenCP: `$${field}` }, value: { $max: `$${field}` } } },
+  ]);
+  return rows.reduce((max, r) => {
+    const m = pattern.exec(r.value);
+    return m ? Math.max(max, Number(m[1]) || 0) : max;
+  }, 0);
+}
+
+/**
+ * Next number of a restaurant-wide running counter (e.g. RF-0001 for refunds). The first
+ * allocation seeds the counter past the numbers documents already carry.
+ */
+async function allocateRunningNumber({ restaurantId, kind, Model, field, prefix, padding = 4 }) {
+  const counter = { restaurant: restaurantId, branch: null, kind, period: 'ALL' };
+  if (!(await OrderSequence.exists(counter))) {
+    const highest = await findHighestUsedNumber(
+      Model,
+      { restaurant: restaurantId },
+      field,
+      new RegExp(`^${escapeRegex(prefix)}(\\d+)$`)
+    );
+    await OrderSequence.updateOne(counter, { $max: { lastNumber: highest } }, { upsert: true });
+  }
+  const seq = await nextSequence(restaurantId, null, kind, 'ALL');
+  return `${prefix}${String(seq).padStart(padding, '0')}`;
+}
+
+/** Numbering context shared by allocate and preview. */
+async function loadNumberingContext(restaurantId, branchId, now) {
+  const [restaurant, branch] = await Promise.all([
+    Restaurant.findById(restaurantId).select('settings.orderNumbering').lean(),
+    branchId ? Branch.findOne({ _id: branchId, restaurant: restaurantId }).select('_id code businessDayCutoffHour').lean() : null,
+  ]);
+  const settings = resolveOrderNumbering(restaurant);
+  const cutoffHour = branch?.businessDayCutoffHour ?? DEFAULT_CUTOFF_HOUR;
+  const dayStart = getBusinessDayStart(now, cutoffHour);
+  const businessDate = formatBusinessDate(dayStart, 'YYYYMMDD');
+  return {
+    settings,
+    businessDate,
+    period: settings.resetDaily ? businessDate : 'ALL',
+    date: formatBusinessDate(dayStart, settings.dateFormat),
+    branchToken: await getBranchToken(restaurantId, branch, settings.branchToken),
+  };
+}
+
 /**
- * Generate order number unique per branch: {prefix}-YYYYMMDD-{branchIndex}-{seq}.
- * e.g. ORD-20260222-1-0001, ORD-20260222-2-0001 (branch 2's first of the day).
+ * Allocate the next order number (and call-out token) for a restaurant/branch.
  * @param {Object} restaurantId - Restaurant ObjectId
  * @param {Object|null} branchId - Branch ObjectId or null
  * @param {string} prefix - 'ORD' or 'WEB'
+ * @returns {Promise<{ orderNumber: string, tokenNumber: number|null, businessDate: string }>}
  */
-async function generateOrderNumber(restaurantId, branchId, prefix = 'ORD') {
-  const now = new Date();
-  const dateStr = `${now.getFullYear()}${(now.getMonth() + 1).toString().padStart(2, '0')}${now.getDate().toString().padStart(2, '0')}`;
-  const branchIndex = await getBranchIndex(restaurantId, branchId);
-  const basePrefix = `${prefix}-${dateStr}-${branchIndex}-`;
-
-  const lastOrder = await Order.findOne({
-    restaurant: restaurantId,
-    branch: branchId || null,
-    orderNumber: { $regex: `^${basePrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` },
-  })
-    .sort({ orderNumber: -1 })
-    .select('orderNumber')
-    .lean();
+async function allocateOrderNumber(restaurantId, branchId, prefix = 'ORD', { now = new Date() } = {}) {
+  const ctx = await loadNumberingContext(restaurantId, branchId, now);
+  const { settings } = ctx;
 
-  let nextSeq = 1;
-  if (lastOrder && lastOrder.orderNumber) {
-    const parts = lastOrder.orderNumber.split('-');
-    const lastSeq = parseInt(parts[parts.length - 1], 10);
-    if (!isNaN(lastSeq)) nextSeq = lastSeq + 1;
+  let orderNumber = null;
+  for (let attempt = 0; attempt < 10; attempt += 1) {
+    const seq = await nextSequence(restaurantId, branchId, 'ORDER', ctx.period);
+    const candidate = renderOrderNumber(settings, { prefix, date: ctx.date, branch: ctx.branchToken, seq });
+    const taken = await Order.exists({ restaurant: restaurantId, branch: branchId || null, orderNumber: candidate });
+    if (!taken) {
+      orderNumber = candidate;
+      break;
+    }
+
+    // Numbers from the old scan-based generator (or an earlier template) already use this
+    // range: move the counter past the highest one rendered the same way.
+    const highest = await findHighestUsedNumber(
+      Order,
+      { restaurant: restaurantId, branch: branchId || null },
+      'orderNumber',
+      orderNumberPattern(settings, { prefix, date: ctx.date, branch: ctx.branchToken })
+    );
+    await OrderSequence.updateOne(
+      { restaurant: restaurantId, branch: branchId || null, kind: 'ORDER', period: ctx.period },
+      { $max: { lastNumber: highest } }
+    );
+  }
+  if (!orderNumber) {
+    throw new Error('Could not allocate a free order number, please try again');
   }
 
-  return `${basePrefix}${nextSeq.toString().padStart(4, '0')}`;
+  let tokenNumber = null;
+  if (settings.tokenEnabled) {
+    const t = await nextSequence(restaurantId, branchId, 'TOKEN', ctx.businessDate);
+    tokenNumber = ((t - 1) % settings.tokenMax) + 1;
+  }
+
+  return { orderNumber, tokenNumber, businessDate: ctx.businessDate };
+}
+
+/**
+ * Generate an order number only (kept for callers that do not use tokens).
+ * e.g. ORD-20260222-1-0001, ORD-20260222-2-0001 (branch 2's first of the day) with the default template.
+ */
+async function generateOrderNumber(restaurantId, branchId, prefix = 'ORD') {
+  const { orderNumber } = await allocateOrderNumber(restaurantId, branchId, prefix);
+  return orderNumber;
+}
+
+/** Next number / token without consuming them (settings preview). */
+async function peekOrderNumber(restaurantId, branchId, prefix = 'ORD', { now = new Date() } = {}) {
+  const ctx = await loadNumberingContext(restaurantId, branchId, now);
+  const [orderSeq, tokenSeq] = await Promise.all([
+    OrderSequence.findOne({ restaurant: restaurantId, branch: branchId || null, kind: 'ORDER', period: ctx.period }).lean(),
+    OrderSequence.findOne({ restaurant: restaurantId, branch: branchId || null, kind: 'TOKEN', period: ctx.businessDate }).lean(),
+  ]);
+  return {
+    orderNumber: renderOrderNumber(ctx.settings, {
+      prefix,
+      date: ctx.date,
+      branch: ctx.branchToken,
+      seq: (orderSeq?.lastNumber || 0) + 1,
+    }),
+    tokenNumber: ctx.settings.tokenEnabled ? ((tokenSeq?.lastNumber || 0) % ctx.settings.tokenMax) + 1 : null,
+    businessDate: ctx.businessDate,
+    settings: ctx.settings,
+  };
 }
 
-module.exports = { generateOrderNumber, getBranchIndex };
+module.exports = {
+  DATE_FORMATS,
+  DEFAULT_ORDER_NUMBERING,
+  validateOrderNumberTemplate,
+  sanitizeOrderNumberingInput,
+  resolveOrderNumbering,
+  getBusinessDayStart,
+  formatBusinessDate,
+  renderOrderNumber,
+  allocateOrderNumber,
+  allocateRunningNumber,
+  generateOrderNumber,
+  peekOrderNumber,
+  getBranchIndex,
+};
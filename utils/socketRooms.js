@@ -14,4 +14,13 @@ function getOrderRooms(restaurantId, branchId) {
   return rooms;
 }
 
-module.exports = { getOrderRooms };
+/**
+ * Room for a single kitchen station screen: restaurant:rid:branch:bid:station:sid.
+ * KDS clients join it by passing stationId in the socket handshake.
+ */
+function getStationRoom(restaurantId, branchId, stationId) {
+  const [, branchRoom] = getOrderRooms(restaurantId, branchId);
+  return `${branchRoom}:station:${String(stationId)}`;
+}
+
+module.exports = { getOrderRooms, getStationRoom };
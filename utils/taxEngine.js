@@ -0,0 +1,202 @@
+/**
+ * Sales tax / GST and service charge for orders.
+ * Restaurant settings (`settings.tax`) are the baseline; a branch can override any
+ * key through `branch.taxOverrides`. POS, storefront and the Foodpanda webhook all
+ * call computeOrderTax so the stored tax lines match what accounting posts.
+ */
+
+const ORDER_TYPES = ['DINE_IN', 'TAKEAWAY', 'DELIVERY'];
+
+const DEFAULT_TAX_SETTINGS = {
+  enabled: false,
+  label: 'GST',
+  pricesIncludeTax: false,
+  defaultRate: 0,
+  orderTypeRates: {},
+  categoryRates: [],
+  serviceChargeRate: 0,
+  serviceChargeTaxable: false,
+};
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function clampRate(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return null;
+  return Math.min(100, Math.max(0, n));
+}
+
+function plain(obj) {
+  if (!obj) return {};
+  return typeof obj.toObject === 'function' ? obj.toObject() : { ...obj };
+}
+
+/**
+ * Clean a tax settings payload from the dashboard. Only keys present in `raw` are
+ * returned so the same function works for restaurant settings and branch overrides.
+ */
+function sanitizeTaxSettingsInput(raw) {
+  if (!raw || typeof raw !== 'object') return {};
+  const out = {};
+  if (raw.enabled !== undefined) out.enabled = Boolean(raw.enabled);
+  if (raw.label !== undefined) out.label = String(raw.label || '').trim().slice(0, 40) || 'Tax';
+  if (raw.pricesIncludeTax !== undefined) out.pricesIncludeTax = Boolean(raw.pricesIncludeTax);
+  if (raw.defaultRate !== undefined) out.defaultRate = clampRate(raw.defaultRate) ?? 0;
+  if (raw.orderTypeRates !== undefined) {
+    out.orderTypeRates = {};
+    for (const type of ORDER_TYPES) {
+      const v = raw.orderTypeRates?.[type];
+      if (v === undefined || v === null || v === '') continue;
+      const rate = clampRate(v);
+      if (rate != null) out.orderTypeRates[type] = rate;
+    }
+  }
+  if (raw.categoryRates !== undefined) {
+    out.categoryRates = (Array.isArray(raw.categoryRates) ? raw.categoryRates : [])
+      .map((r) => ({
+        category: String(r?.category ?? r?.categoryId ?? '').trim(),
+        rate: clampRate(r?.rate),
+      }))
+      .filter((r) => /^[a-f0-9]{24}$/i.test(r.category) && r.rate != null);
+  }
+  if (raw.serviceChargeRate !== undefined) out.serviceChargeRate = clampRate(raw.serviceChargeRate) ?? 0;
+  if (raw.serviceChargeTaxable !== undefined) out.serviceChargeTaxable = Boolean(raw.serviceChargeTaxable);
+  return out;
+}
+
+/**
+ * Effective tax settings for a restaurant + optional branch (branch overrides win key by key).
+ */
+function resolveTaxSettings(restaurant, branch) {
+  const base = plain(restaurant?.settings?.tax);
+  const overrides = plain(branch?.taxOverrides);
+  const merged = { ...DEFAULT_TAX_SETTINGS, ...sanitizeTaxSettingsInput(base), ...sanitizeTaxSettingsInput(overrides) };
+  return merged;
+}
+
+function rateForLine(settings, orderType, categoryId) {
+  const cat = categoryId ? String(categoryId) : '';
+  if (cat) {
+    const hit = (settings.categoryRates || []).find((r) => String(r.category) === cat);
+    if (hit) return hit.rate;
+  }
+  const byType = settings.orderTypeRates?.[orderType];
+  if (byType != null) return byType;
+  return settings.defaultRate || 0;
+}
+
+/**
+ * Compute tax lines and service charge for an order.
+ * @param {object} settings — from resolveTaxSettings
+ * @param {object} params
+ * @param {string} params.orderType
+ * @param {Array<{ lineTotal: number, category?: any }>} params.lines — priced order lines
+ * @param {number} [params.discountAmount] — order-level discount, spread pro rata over lines
+ * @returns {{
+ *   taxInclusive: boolean, taxLines: Array, taxAmount: number, exclusiveTaxAmount: number,
+ *   serviceChargeRate: number, serviceChargeAmount: number, totalAdjustment: number
+ * }}
+ * totalAdjustment is what must be added to (subtotal - discount) to get the order total.
+ */
+function computeOrderTax(settings, { orderType, lines, discountAmount = 0 }) {
+  const empty = {
+    taxInclusive: Boolean(settings?.pricesIncludeTax),
+    taxLines: [],
+    taxAmount: 0,
+    exclusiveTaxAmount: 0,
+    serviceChargeRate: 0,
+    serviceChargeAmount: 0,
+    totalAdjustment: 0,
+  };
+  if (!settings?.enabled) return empty;
+
+  const subtotal = (lines || []).reduce((s, l) => s + (Number(l.lineTotal) || 0), 0);
+  if (subtotal <= 0) return empty;
+  const discountRatio = Math.min(1, Math.max(0, Number(discountAmount) || 0) / subtotal);
+  const inclusive = Boolean(settings.pricesIncludeTax);
+
+  // Net (after discount) amount per rate bucket
+  const byRate = new Map();
+  for (const l of lines) {
+    const net = (Number(l.lineTotal) || 0) * (1 - discountRatio);
+    if (net <= 0) continue;
+    const rate = rateForLine(settings, orderType, l.category);
+    byRate.set(rate, (byRate.get(rate) || 0) + net);
+  }
+
+  const label = settings.label || 'Tax';
+  const taxLines = [];
+  let netOfTax = 0;
+  for (const [rate, gross] of [...byRate.entries()].sort((a, b) => a[0] - b[0])) {
+    if (rate <= 0) {
+      netOfTax += gross;
+      continue;
+    }
+    const r = rate / 100;
+    const taxableAmount = inclusive ? gross / (1 + r) : gross;
+    const amount = inclusive ? gross - taxableAmount : gross * r;
+    netOfTax += taxableAmount;
+    taxLines.push({
+      name: `${label} ${rate}%`,
+      rate,
+      taxableAmount: round2(taxableAmount),
+      amount: round2(amount),
+      inclusive,
+      appliesTo: 'ITEMS',
+    });
+  }
+
+  let serviceChargeRate = 0;
+  let serviceChargeAmount = 0;
+  if (orderType === 'DINE_IN' && settings.serviceChargeRate > 0) {
+    serviceChargeRate = settings.serviceChargeRate;
+    serviceChargeAmount = round2(netOfTax * (serviceChargeRate / 100));
+    if (settings.serviceChargeTaxable && serviceChargeAmount > 0) {
+      const rate = rateForLine(settings, orderType, null);
+      if (rate > 0) {
+        taxLines.push({
+          name: `${label} ${rate}% on service charge`,
+          rate,
+          taxableAmount: serviceChargeAmount,
+          amount: round2(serviceChargeAmount * (rate / 100)),
+          inclusive: false,
+          appliesTo: 'SERVICE_CHARGE',
+        });
+      }
+    }
+  }
+
+  const taxAmount = round2(taxLines.reduce((s, t) => s + t.amount, 0));
+  const exclusiveTaxAmount = round2(taxLines.filter((t) => !t.inclusive).reduce((s, t) => s + t.amount, 0));
+
+  return {
+    taxInclusive: inclusive,
+    taxLines,
+    taxAmount,
+    exclusiveTaxAmount,
+    serviceChargeRate,
+    serviceChargeAmount,
+    totalAdjustment: round2(serviceChargeAmount + exclusiveTaxAmount),
+  };
+}
+
+/** Order fields to persist from a computeOrderTax result. */
+function taxFieldsForOrder(result) {
+  return {
+    taxInclusive: result.taxInclusive,
+    taxLines: result.taxLines,
+    taxAmount: result.taxAmount,
+    serviceChargeRate: result.serviceChargeRate,
+    serviceChargeAmount: result.serviceChargeAmount,
+  };
+}
+
+module.exports = {
+  DEFAULT_TAX_SETTINGS,
+  sanitizeTaxSettingsInput,
+  resolveTaxSettings,
+  computeOrderTax,
+  taxFieldsForOrder,
+};